@@ -10,6 +10,11 @@ import("./services/scheduler.server")
   .then(({ initScheduler }) => initScheduler())
   .catch((err) => console.error("[Scheduler] Init failed:", err.message));
 
+// Start the sync job worker; resumes or fails runs interrupted by a restart
+import("./services/sync-queue.server")
+  .then(({ initSyncQueue }) => initSyncQueue())
+  .catch((err) => console.error("[SyncQueue] Init failed:", err.message));
+
 export const streamTimeout = 5000;
 
 export default async function handleRequest(
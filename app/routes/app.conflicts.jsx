@@ -0,0 +1,292 @@
+import { useFetcher, useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Select,
+  Banner,
+  Box,
+  EmptyState,
+  DataTable,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  getSyncConflicts,
+  getSyncConflictsCount,
+  resolveSyncConflict,
+} from "../services/resource-mapping.server";
+import { diffConflictFields } from "../services/sync-conflict.server";
+import { getTargetedSyncType } from "../utils/sync-types";
+
+// Loader to fetch the open conflicts of a connection with their differences
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const connections = await prisma.storeConnection.findMany({
+    where: {
+      shop: session.shop,
+      isActive: true,
+    },
+    select: {
+      id: true,
+      name: true,
+      storeDomain: true,
+    },
+  });
+
+  const connectionId =
+    connections.find((c) => c.id === url.searchParams.get("connectionId"))
+      ?.id || connections[0]?.id;
+
+  if (!connectionId) {
+    return { connections, connectionId: null, conflicts: [], totalOpen: 0 };
+  }
+
+  const conflicts = await getSyncConflicts(connectionId);
+  const totalOpen = await getSyncConflictsCount(connectionId);
+
+  return {
+    connections,
+    connectionId,
+    totalOpen,
+    conflicts: conflicts.map((conflict) => ({
+      id: conflict.id,
+      resourceType: conflict.resourceType,
+      productionGid: conflict.productionGid,
+      handle: conflict.handle,
+      title: conflict.title,
+      detectedAt: conflict.detectedAt,
+      syncType: getTargetedSyncType(conflict.resourceType),
+      changes: diffConflictFields(
+        JSON.parse(conflict.productionFields),
+        JSON.parse(conflict.stagingFields),
+      ),
+    })),
+  };
+};
+
+// Keep the staging version of a conflict; overwriting goes through the
+// single-resource sync route
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const conflictId = formData.get("conflictId");
+
+  const conflict = conflictId
+    ? await prisma.syncConflict.findUnique({
+        where: { id: conflictId },
+        include: { storeConnection: true },
+      })
+    : null;
+  if (!conflict || conflict.storeConnection.shop !== session.shop) {
+    return { error: "Conflict not found" };
+  }
+
+  await resolveSyncConflict(conflict.id, "kept");
+  return { success: true, conflictId };
+};
+
+// Shortened JSON value for a diff cell
+function formatConflictValue(value) {
+  if (value === null || value === undefined) return "(empty)";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 500 ? `${text.slice(0, 500)}…` : text;
+}
+
+function ConflictCard({ conflict, connectionId }) {
+  const keepFetcher = useFetcher();
+  const overwriteFetcher = useFetcher();
+  const busy =
+    keepFetcher.state !== "idle" || overwriteFetcher.state !== "idle";
+  const error = keepFetcher.data?.error || overwriteFetcher.data?.error;
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Badge tone="attention">{conflict.resourceType}</Badge>
+            <Text variant="headingMd" as="h2">
+              {conflict.title || conflict.handle}
+            </Text>
+            <Text variant="bodySm" color="subdued">
+              {conflict.handle}
+            </Text>
+          </InlineStack>
+          <Text variant="bodySm" color="subdued">
+            Detected {new Date(conflict.detectedAt).toLocaleString()}
+          </Text>
+        </InlineStack>
+
+        {error && (
+          <Banner status="critical">
+            <p>{error}</p>
+          </Banner>
+        )}
+
+        {conflict.changes.length === 0 ? (
+          <Text variant="bodyMd" color="subdued">
+            Staging matches production again; the next sync clears this
+            conflict.
+          </Text>
+        ) : (
+          <DataTable
+            columnContentTypes={["text", "text", "text"]}
+            headings={["Field", "Production", "Staging"]}
+            rows={conflict.changes.map((change) => [
+              <Text key="field" variant="bodyMd" fontWeight="semibold">
+                {change.field}
+              </Text>,
+              <Text key="production" variant="bodySm" breakWord>
+                {formatConflictValue(change.production)}
+              </Text>,
+              <Text key="staging" variant="bodySm" breakWord>
+                {formatConflictValue(change.staging)}
+              </Text>,
+            ])}
+          />
+        )}
+
+        <InlineStack gap="200">
+          <Button
+            variant="primary"
+            loading={overwriteFetcher.state !== "idle"}
+            disabled={busy}
+            onClick={() =>
+              overwriteFetcher.submit(
+                {
+                  connectionId,
+                  syncType: conflict.syncType,
+                  target: conflict.productionGid,
+                  overwrite: "true",
+                },
+                { method: "post", action: "/app/sync/target" },
+              )
+            }
+          >
+            Overwrite staging
+          </Button>
+          <Button
+            loading={keepFetcher.state !== "idle"}
+            disabled={busy}
+            onClick={() =>
+              keepFetcher.submit(
+                { conflictId: conflict.id },
+                { method: "post" },
+              )
+            }
+          >
+            Keep staging
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function Conflicts() {
+  const { connections, connectionId, conflicts, totalOpen } = useLoaderData();
+  const navigate = useNavigate();
+
+  if (connections.length === 0) {
+    return (
+      <Page title="Conflicts">
+        <Layout>
+          <Layout.Section>
+            <EmptyState
+              heading="No active connections"
+              action={{
+                content: "Add a connection",
+                url: "/app/settings",
+              }}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Connect to a production store to start syncing.</p>
+            </EmptyState>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title="Conflicts"
+      subtitle="Staging resources edited since their last sync"
+    >
+      <Layout>
+        <Layout.Section>
+          <Banner title="About conflicts" status="info">
+            <BlockStack gap="200">
+              <Text variant="bodyMd">
+                With the "Queue for review" strategy, a sync leaves a resource
+                alone when it was changed in staging since its last sync, and
+                lists it here.
+              </Text>
+              <Text variant="bodyMd">
+                <strong>Overwrite staging</strong> syncs the resource from
+                production now. <strong>Keep staging</strong> keeps the staging
+                version, and later syncs skip the resource until you overwrite
+                it.
+              </Text>
+            </BlockStack>
+          </Banner>
+        </Layout.Section>
+
+        {connections.length > 1 && (
+          <Layout.Section>
+            <Card>
+              <Select
+                label="Connection"
+                options={connections.map((c) => ({
+                  label: `${c.name} (${c.storeDomain})`,
+                  value: c.id,
+                }))}
+                value={connectionId}
+                onChange={(id) => navigate(`/app/conflicts?connectionId=${id}`)}
+              />
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          {conflicts.length === 0 ? (
+            <Card>
+              <EmptyState
+                heading="No open conflicts"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>
+                  Choose "Queue for review" under Staging edits on the Data Sync
+                  page to collect conflicts here.
+                </p>
+              </EmptyState>
+            </Card>
+          ) : (
+            <BlockStack gap="400">
+              <Box>
+                <Text variant="bodyMd" color="subdued">
+                  {totalOpen} open conflict{totalOpen !== 1 ? "s" : ""}
+                </Text>
+              </Box>
+              {conflicts.map((conflict) => (
+                <ConflictCard
+                  key={conflict.id}
+                  conflict={conflict}
+                  connectionId={connectionId}
+                />
+              ))}
+            </BlockStack>
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
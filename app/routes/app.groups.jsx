@@ -0,0 +1,452 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Select,
+  Banner,
+  TextField,
+  ChoiceList,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { GROUP_SYNC_TYPES } from "../services/sync-group.server";
+import {
+  deleteSyncGroup,
+  deleteSyncGroupPairing,
+  getAvailableTargetShops,
+  getSyncGroupPairings,
+  getSyncGroups,
+  saveSyncGroup,
+  saveSyncGroupPairing,
+} from "../services/sync-group-settings.server";
+import { enqueueSyncJob } from "../services/sync-queue.server";
+import { getSyncTypeLabel } from "../utils/sync-types";
+
+const EMPTY_GROUP = {
+  id: null,
+  name: "",
+  connectionId: "",
+  syncTypes: [],
+  targetShops: [],
+};
+
+// Loader for the sync groups of the shop, the stores they can target (the
+// shop and the stores that paired with it) and the shops allowed to sync
+// into this store
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const connections = await prisma.storeConnection.findMany({
+    where: {
+      shop: session.shop,
+      isActive: true,
+    },
+    select: {
+      id: true,
+      name: true,
+      storeDomain: true,
+    },
+  });
+
+  return {
+    shop: session.shop,
+    connections,
+    groups: await getSyncGroups(session.shop),
+    availableShops: await getAvailableTargetShops(session.shop),
+    pairings: await getSyncGroupPairings(session.shop),
+    // Read here since the group service is server-only
+    groupSyncTypes: GROUP_SYNC_TYPES,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    try {
+      await saveSyncGroup(session.shop, {
+        id: formData.get("id") || null,
+        name: formData.get("name"),
+        connectionId: formData.get("connectionId"),
+        syncTypes: JSON.parse(formData.get("syncTypes") || "[]"),
+        targetShops: JSON.parse(formData.get("targetShops") || "[]"),
+      });
+      return { success: true, message: "Sync group saved" };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  if (intent === "allow") {
+    try {
+      await saveSyncGroupPairing(session.shop, formData.get("ownerShop"));
+      return {
+        success: true,
+        message: `${formData.get("ownerShop")} can now sync into this store`,
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  if (intent === "revoke") {
+    await deleteSyncGroupPairing(session.shop, formData.get("ownerShop"));
+    return {
+      success: true,
+      message: `${formData.get("ownerShop")} can no longer sync into this store`,
+    };
+  }
+
+  if (intent === "delete") {
+    await deleteSyncGroup(session.shop, formData.get("id"));
+    return { success: true, message: "Sync group deleted" };
+  }
+
+  if (intent === "run") {
+    const group = (await getSyncGroups(session.shop)).find(
+      (g) => g.id === formData.get("id"),
+    );
+    if (!group) {
+      return { error: "Sync group not found" };
+    }
+    if (group.targets.length === 0) {
+      return { error: "The sync group has no target stores" };
+    }
+
+    // One grouped log per sync type; the queue runs a connection's jobs in
+    // the order they were queued
+    for (const syncType of group.syncTypes) {
+      const syncLog = await prisma.syncLog.create({
+        data: {
+          shop: session.shop,
+          connectionId: group.connectionId,
+          syncGroupId: group.id,
+          syncType,
+          status: "in_progress",
+          startedAt: new Date(),
+        },
+      });
+      await enqueueSyncJob({
+        shop: session.shop,
+        connectionId: group.connectionId,
+        syncType,
+        syncLogId: syncLog.id,
+        options: { syncGroupId: group.id },
+      });
+    }
+
+    return {
+      success: true,
+      message: `${group.name} started for ${group.targets.length} store(s). Follow its progress on the Data Sync page.`,
+    };
+  }
+
+  return { error: `Unknown action: ${intent}` };
+};
+
+export default function SyncGroups() {
+  const {
+    shop,
+    connections,
+    groups,
+    availableShops,
+    pairings,
+    groupSyncTypes,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+  const [form, setForm] = useState(null);
+  const [ownerShop, setOwnerShop] = useState("");
+
+  const isSubmitting = fetcher.state !== "idle";
+  const result = fetcher.data;
+
+  // Close the form once the group is saved
+  useEffect(() => {
+    if (fetcher.state === "idle" && result?.success) {
+      setForm(null);
+      setOwnerShop("");
+    }
+  }, [fetcher.state, result]);
+
+  const updateForm = (field) => (value) =>
+    setForm((current) => ({ ...current, [field]: value }));
+
+  const submit = (data) => fetcher.submit(data, { method: "post" });
+
+  const handleSave = () =>
+    submit({
+      intent: "save",
+      id: form.id || "",
+      name: form.name,
+      connectionId: form.connectionId,
+      syncTypes: JSON.stringify(form.syncTypes),
+      targetShops: JSON.stringify(form.targetShops),
+    });
+
+  if (connections.length === 0) {
+    return (
+      <Page title="Sync Groups">
+        <Layout>
+          <Layout.Section>
+            <EmptyState
+              heading="No active connections"
+              action={{
+                content: "Add a connection",
+                url: "/app/settings",
+              }}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Connect to a production store to start syncing.</p>
+            </EmptyState>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    );
+  }
+
+  return (
+    <Page
+      title="Sync Groups"
+      subtitle="Sync one production store into several staging stores"
+      primaryAction={{
+        content: "New sync group",
+        disabled: form !== null,
+        onAction: () =>
+          setForm({
+            ...EMPTY_GROUP,
+            connectionId: connections[0].id,
+            targetShops: [shop],
+          }),
+      }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Banner title="How sync groups run" status="info">
+            <BlockStack gap="200">
+              <Text variant="bodyMd">
+                A group run fetches production data once and applies it to each
+                target store in turn, with one log per sync type reporting every
+                store. A group can target this store and any store that allowed
+                this store to sync into it; the production access token stays on
+                this store's connection. Each target syncs through its own
+                connection, with its own mappings, filters, field policies and
+                conflict strategies.
+              </Text>
+              <Text variant="bodyMd">
+                Group runs always fetch everything, never prune, and can be
+                cancelled but not paused. Themes are synced per store.
+              </Text>
+            </BlockStack>
+          </Banner>
+        </Layout.Section>
+
+        {result && !isSubmitting && (
+          <Layout.Section>
+            {result.error ? (
+              <Banner status="critical">
+                <p>{result.error}</p>
+              </Banner>
+            ) : (
+              <Banner status="success">
+                <p>{result.message}</p>
+              </Banner>
+            )}
+          </Layout.Section>
+        )}
+
+        {form && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {form.id ? "Edit sync group" : "New sync group"}
+                </Text>
+                <TextField
+                  label="Name"
+                  value={form.name}
+                  onChange={updateForm("name")}
+                  autoComplete="off"
+                />
+                <Select
+                  label="Production connection"
+                  options={connections.map((c) => ({
+                    label: `${c.name} (${c.storeDomain})`,
+                    value: c.id,
+                  }))}
+                  value={form.connectionId}
+                  onChange={updateForm("connectionId")}
+                />
+                <ChoiceList
+                  allowMultiple
+                  title="Sync types"
+                  choices={groupSyncTypes.map((syncType) => ({
+                    label: getSyncTypeLabel(syncType),
+                    value: syncType,
+                  }))}
+                  selected={form.syncTypes}
+                  onChange={updateForm("syncTypes")}
+                />
+                <ChoiceList
+                  allowMultiple
+                  title="Target stores"
+                  choices={availableShops.map((targetShop) => ({
+                    label: targetShop,
+                    value: targetShop,
+                    helpText: targetShop === shop ? "This store" : undefined,
+                  }))}
+                  selected={form.targetShops}
+                  onChange={updateForm("targetShops")}
+                />
+                <InlineStack gap="200">
+                  <Button
+                    variant="primary"
+                    onClick={handleSave}
+                    loading={isSubmitting}
+                  >
+                    Save
+                  </Button>
+                  <Button onClick={() => setForm(null)}>Cancel</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">
+                Stores allowed to sync into this store
+              </Text>
+              <Text variant="bodyMd" color="subdued">
+                Another store&apos;s sync groups can only target this store once
+                it is allowed here.
+              </Text>
+              {pairings.map((pairedShop) => (
+                <InlineStack
+                  key={pairedShop}
+                  align="space-between"
+                  blockAlign="center"
+                >
+                  <Text variant="bodyMd">{pairedShop}</Text>
+                  <Button
+                    tone="critical"
+                    onClick={() =>
+                      submit({ intent: "revoke", ownerShop: pairedShop })
+                    }
+                    disabled={isSubmitting}
+                  >
+                    Revoke
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack gap="200" blockAlign="end">
+                <TextField
+                  label="Store domain"
+                  value={ownerShop}
+                  onChange={setOwnerShop}
+                  placeholder="your-store.myshopify.com"
+                  autoComplete="off"
+                />
+                <Button
+                  onClick={() => submit({ intent: "allow", ownerShop })}
+                  disabled={isSubmitting || !ownerShop}
+                >
+                  Allow
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          {groups.length === 0 ? (
+            <Card>
+              <Text variant="bodyMd" color="subdued">
+                No sync groups yet.
+              </Text>
+            </Card>
+          ) : (
+            <BlockStack gap="400">
+              {groups.map((group) => (
+                <Card key={group.id}>
+                  <BlockStack gap="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <BlockStack gap="100">
+                        <Text variant="headingMd" as="h2">
+                          {group.name}
+                        </Text>
+                        <Text variant="bodySm" color="subdued">
+                          From {group.connection.storeDomain} to{" "}
+                          {group.targets.length} store(s)
+                        </Text>
+                      </BlockStack>
+                      <InlineStack gap="200">
+                        <Button
+                          onClick={() =>
+                            setForm({
+                              id: group.id,
+                              name: group.name,
+                              connectionId: group.connectionId,
+                              syncTypes: group.syncTypes,
+                              targetShops: group.targets.map((t) => t.shop),
+                            })
+                          }
+                          disabled={isSubmitting}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          tone="critical"
+                          onClick={() =>
+                            submit({ intent: "delete", id: group.id })
+                          }
+                          disabled={isSubmitting}
+                        >
+                          Delete
+                        </Button>
+                        <Button
+                          variant="primary"
+                          onClick={() =>
+                            submit({ intent: "run", id: group.id })
+                          }
+                          disabled={isSubmitting}
+                        >
+                          Run now
+                        </Button>
+                      </InlineStack>
+                    </InlineStack>
+                    <InlineStack gap="100">
+                      {group.syncTypes.map((syncType) => (
+                        <Badge key={syncType}>
+                          {getSyncTypeLabel(syncType)}
+                        </Badge>
+                      ))}
+                    </InlineStack>
+                    <InlineStack gap="100">
+                      {group.targets.map((target) => (
+                        <Badge key={target.shop} tone="info">
+                          {target.shop}
+                        </Badge>
+                      ))}
+                    </InlineStack>
+                  </BlockStack>
+                </Card>
+              ))}
+            </BlockStack>
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -26,6 +26,10 @@ export default function App() {
         <Link to="/app/schedule">Scheduled Syncs</Link>
         <Link to="/app/settings">Settings</Link>
         <Link to="/app/mapped-elements">Mapped Elements</Link>
+        <Link to="/app/conflicts">Conflicts</Link>
+        <Link to="/app/groups">Sync Groups</Link>
+        <Link to="/app/promote">Promote</Link>
+        <Link to="/app/snapshots">Snapshots</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -26,6 +26,7 @@ import {
   getUnmappedReferencesCount,
   getMappingStats,
 } from "../services/resource-mapping.server";
+import { getTargetedSyncType } from "../utils/sync-types";
 
 // Loader to fetch mappings and stats
 export const loader = async ({ request }) => {
@@ -92,6 +93,8 @@ export const loader = async ({ request }) => {
     totalMappings,
     totalUnmapped,
     resourceType,
+    // Rows of these types can be re-synced one at a time
+    targetSyncType: getTargetedSyncType(resourceType),
     page,
     totalPages,
   };
@@ -103,11 +106,18 @@ const RESOURCE_TYPES = [
   { id: "variant", label: "Product Variants" },
   { id: "collection", label: "Collections" },
   { id: "market", label: "Markets" },
+  { id: "catalog", label: "Market Catalogs" },
+  { id: "price_list", label: "Price Lists" },
   { id: "location", label: "Locations" },
   { id: "page", label: "Pages" },
+  { id: "blog", label: "Blogs" },
+  { id: "article", label: "Articles" },
   { id: "file", label: "Files" },
+  { id: "metaobject_definition", label: "Metaobject Definitions" },
   { id: "metaobject", label: "Metaobjects" },
   { id: "navigation", label: "Navigation Menus" },
+  { id: "discount", label: "Discounts" },
+  { id: "delivery_profile", label: "Delivery Profiles" },
 ];
 
 export default function MappedElements() {
@@ -119,11 +129,15 @@ export default function MappedElements() {
     totalMappings,
     totalUnmapped,
     resourceType,
+    targetSyncType,
     page,
     totalPages,
   } = useLoaderData();
 
   const navigate = useNavigate();
+  const syncFetcher = useFetcher();
+  const syncingGid =
+    syncFetcher.state !== "idle" ? syncFetcher.formData?.get("target") : null;
   const [searchQuery, setSearchQuery] = useState("");
 
   const handleResourceTypeChange = useCallback(
@@ -171,6 +185,28 @@ export default function MappedElements() {
     mapping.title || "-",
     mapping.syncId || "-",
     new Date(mapping.lastSyncedAt).toLocaleDateString(),
+    ...(targetSyncType
+      ? [
+          <Button
+            key={`sync-${mapping.id}`}
+            size="slim"
+            loading={syncingGid === mapping.productionGid}
+            disabled={!!syncingGid}
+            onClick={() =>
+              syncFetcher.submit(
+                {
+                  connectionId,
+                  syncType: targetSyncType,
+                  target: mapping.productionGid,
+                },
+                { method: "post", action: "/app/sync/target" },
+              )
+            }
+          >
+            Sync
+          </Button>,
+        ]
+      : []),
   ]);
 
   if (connections.length === 0) {
@@ -344,6 +380,15 @@ export default function MappedElements() {
                 autoComplete="off"
               />
 
+              {syncFetcher.state === "idle" && syncFetcher.data && (
+                <Banner
+                  status={syncFetcher.data.error ? "critical" : "success"}
+                >
+                  {syncFetcher.data.error ||
+                    `Synced ${syncFetcher.data.target} from production`}
+                </Banner>
+              )}
+
               {filteredMappings.length === 0 ? (
                 <EmptyState
                   heading={`No ${RESOURCE_TYPES.find((t) => t.id === resourceType)?.label?.toLowerCase()} mappings found`}
@@ -366,6 +411,7 @@ export default function MappedElements() {
                       "text",
                       "text",
                       "text",
+                      ...(targetSyncType ? ["text"] : []),
                     ]}
                     headings={[
                       "Production ID",
@@ -375,6 +421,7 @@ export default function MappedElements() {
                       "Title",
                       "Sync ID",
                       "Last Synced",
+                      ...(targetSyncType ? [""] : []),
                     ]}
                     rows={tableRows}
                   />
@@ -427,8 +474,12 @@ export default function MappedElements() {
                   Matching Strategy:
                 </Text>
                 <Text variant="bodySm" color="subdued">
-                  • Products, Collections, Pages, Markets, Navigation: Matched
-                  by <strong>handle</strong>
+                  • Products, Collections, Pages, Blogs, Markets, Navigation:
+                  Matched by <strong>handle</strong>
+                </Text>
+                <Text variant="bodySm" color="subdued">
+                  • Articles: Matched by blog <strong>handle</strong> and
+                  article <strong>handle</strong>
                 </Text>
                 <Text variant="bodySm" color="subdued">
                   • Locations: Matched by <strong>name</strong>{" "}
@@ -439,7 +490,19 @@ export default function MappedElements() {
                   URL)
                 </Text>
                 <Text variant="bodySm" color="subdued">
-                  • Metaobjects: Matched by <strong>type</strong>
+                  • Metaobject Definitions: Matched by <strong>type</strong>
+                </Text>
+                <Text variant="bodySm" color="subdued">
+                  • Metaobjects: Matched by <strong>type</strong> and{" "}
+                  <strong>handle</strong>
+                </Text>
+                <Text variant="bodySm" color="subdued">
+                  • Discounts: Matched by <strong>code</strong> (automatic
+                  discounts by <strong>title</strong>)
+                </Text>
+                <Text variant="bodySm" color="subdued">
+                  • Delivery Profiles: Matched by <strong>name</strong> (the
+                  general profile matches the staging default)
                 </Text>
                 <Text variant="bodySm" color="subdued">
                   • Product Variants: Matched by{" "}
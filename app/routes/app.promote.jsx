@@ -0,0 +1,413 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Select,
+  Banner,
+  Checkbox,
+  EmptyState,
+  Modal,
+  TextField,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getSyncStatus } from "../services/sync-runner.server";
+import {
+  getPromotionCandidates,
+  promoteToProduction,
+} from "../services/sync-promote.server";
+import { getSyncType, getSyncTypesWith } from "../utils/sync-types";
+
+// Loader to list the staging resources of a type with their production
+// counterparts
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const connections = await prisma.storeConnection.findMany({
+    where: {
+      shop: session.shop,
+      isActive: true,
+    },
+    select: {
+      id: true,
+      name: true,
+      storeDomain: true,
+    },
+  });
+
+  const connectionId =
+    connections.find((c) => c.id === url.searchParams.get("connectionId"))
+      ?.id || connections[0]?.id;
+  const syncType = getSyncType(url.searchParams.get("syncType"))?.promote
+    ? url.searchParams.get("syncType")
+    : "pages";
+
+  if (!connectionId) {
+    return { connections, connectionId: null, syncType, candidates: [] };
+  }
+
+  try {
+    const candidates = await getPromotionCandidates(
+      admin,
+      connectionId,
+      syncType,
+    );
+    return { connections, connectionId, syncType, candidates };
+  } catch (error) {
+    return {
+      connections,
+      connectionId,
+      syncType,
+      candidates: [],
+      error: error.message,
+    };
+  }
+};
+
+// Promote the chosen staging resources once the production store domain
+// was typed to confirm
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const syncType = formData.get("syncType");
+
+  if (!getSyncType(syncType)?.promote) {
+    return { error: `Promotion is not supported for ${syncType}` };
+  }
+
+  const connectionId = formData.get("connectionId");
+  const connection = connectionId
+    ? await prisma.storeConnection.findUnique({ where: { id: connectionId } })
+    : null;
+  if (!connection || connection.shop !== session.shop) {
+    return { error: "Invalid connection" };
+  }
+
+  let stagingIds = [];
+  try {
+    stagingIds = JSON.parse(formData.get("stagingIds") || "[]");
+  } catch {
+    // Handled as an empty selection below
+  }
+  if (!Array.isArray(stagingIds) || stagingIds.length === 0) {
+    return { error: "Select the staging resources to promote" };
+  }
+
+  if (formData.get("confirmation")?.trim() !== connection.storeDomain) {
+    return {
+      error: `Type ${connection.storeDomain} to confirm the promotion`,
+    };
+  }
+
+  const { decrypt } = await import("../utils/encryption.server");
+  const decryptedToken = decrypt(connection.encryptedToken);
+  if (!decryptedToken) {
+    return {
+      error:
+        "Failed to decrypt access token. Please go to Settings and update this connection with a new access token.",
+    };
+  }
+
+  const syncLog = await prisma.syncLog.create({
+    data: {
+      shop: session.shop,
+      connectionId: connection.id,
+      syncType,
+      direction: "promote",
+      status: "in_progress",
+      startedAt: new Date(),
+    },
+  });
+
+  // Runs within the request, like a single-resource sync; failed items
+  // are not stored, since retries run in the pull direction
+  let result;
+  try {
+    result = await promoteToProduction(
+      connection.storeDomain,
+      decryptedToken,
+      admin,
+      connection.id,
+      syncType,
+      stagingIds,
+    );
+  } catch (error) {
+    result = {
+      summary: { total: 0, failed: 1, errors: [error.message] },
+      log: [],
+    };
+  }
+
+  const status = getSyncStatus(result.summary);
+  await prisma.syncLog.update({
+    where: { id: syncLog.id },
+    data: {
+      status,
+      summary: JSON.stringify(result.summary || {}),
+      logs: JSON.stringify(result.log || []),
+      completedAt: new Date(),
+    },
+  });
+
+  return {
+    success: status === "success" || status === "partially_successful",
+    logId: syncLog.id,
+    summary: result.summary,
+  };
+};
+
+export default function Promote() {
+  const { connections, connectionId, syncType, candidates, error } =
+    useLoaderData();
+  const navigate = useNavigate();
+  const fetcher = useFetcher();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [confirmation, setConfirmation] = useState("");
+
+  const connection = connections.find((c) => c.id === connectionId);
+  const promoteLabel = getSyncType(syncType).promote.label;
+  const isPromoting = fetcher.state !== "idle";
+  const result = fetcher.data;
+
+  // A new list clears the selection, and a finished promotion the dialog
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [connectionId, syncType]);
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && result) {
+      setConfirmOpen(false);
+      setConfirmation("");
+      if (result.success) setSelectedIds([]);
+    }
+  }, [fetcher.state, result]);
+
+  const toggleSelected = (id) =>
+    setSelectedIds((ids) =>
+      ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id],
+    );
+
+  const selectLocation = (params) =>
+    navigate(
+      `/app/promote?${new URLSearchParams({ connectionId, syncType, ...params })}`,
+    );
+
+  const handlePromote = () =>
+    fetcher.submit(
+      {
+        connectionId,
+        syncType,
+        stagingIds: JSON.stringify(selectedIds),
+        confirmation,
+      },
+      { method: "post" },
+    );
+
+  if (connections.length === 0) {
+    return (
+      <Page title="Promote to Production">
+        <Layout>
+          <Layout.Section>
+            <EmptyState
+              heading="No active connections"
+              action={{
+                content: "Add a connection",
+                url: "/app/settings",
+              }}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Connect to a production store to start syncing.</p>
+            </EmptyState>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    );
+  }
+
+  const selected = candidates.filter((c) => selectedIds.includes(c.id));
+
+  return (
+    <Page
+      title="Promote to Production"
+      subtitle="Push selected staging content to the production store"
+    >
+      <Layout>
+        <Layout.Section>
+          <Banner title="This writes to production" status="warning">
+            <BlockStack gap="200">
+              <Text variant="bodyMd">
+                Promotion updates the production resources mapped to the
+                selected staging resources, and creates the ones that have no
+                mapping. A production resource that exists but is not mapped is
+                never overwritten; sync it to staging first.
+              </Text>
+              <Text variant="bodyMd">
+                References to products, pages or other resources must have a
+                production counterpart, otherwise the item fails. Collections
+                only gain products, and metaobject definitions only gain fields.
+              </Text>
+            </BlockStack>
+          </Banner>
+        </Layout.Section>
+
+        {result && !isPromoting && (
+          <Layout.Section>
+            {result.error ? (
+              <Banner status="critical">
+                <p>{result.error}</p>
+              </Banner>
+            ) : (
+              <Banner
+                title="Promotion completed"
+                status={result.summary?.failed > 0 ? "warning" : "success"}
+              >
+                <BlockStack gap="100">
+                  <Text variant="bodyMd">
+                    {result.summary.created} created, {result.summary.updated}{" "}
+                    updated, {result.summary.failed} failed
+                  </Text>
+                  {result.summary.errors?.map((message, index) => (
+                    <Text key={index} variant="bodySm">
+                      {message}
+                    </Text>
+                  ))}
+                </BlockStack>
+              </Banner>
+            )}
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <InlineStack gap="400">
+              {connections.length > 1 && (
+                <Select
+                  label="Connection"
+                  options={connections.map((c) => ({
+                    label: `${c.name} (${c.storeDomain})`,
+                    value: c.id,
+                  }))}
+                  value={connectionId}
+                  onChange={(id) => selectLocation({ connectionId: id })}
+                />
+              )}
+              <Select
+                label="Content"
+                options={getSyncTypesWith("promote").map(({ id, promote }) => ({
+                  label: promote.label,
+                  value: id,
+                }))}
+                value={syncType}
+                onChange={(type) => selectLocation({ syncType: type })}
+              />
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">
+                  Staging {promoteLabel.toLowerCase()}
+                </Text>
+                <Button
+                  variant="primary"
+                  tone="critical"
+                  disabled={selectedIds.length === 0 || isPromoting}
+                  onClick={() => setConfirmOpen(true)}
+                >
+                  Promote {selectedIds.length} to production
+                </Button>
+              </InlineStack>
+
+              {error && (
+                <Banner status="critical">
+                  <p>{error}</p>
+                </Banner>
+              )}
+
+              {candidates.length === 0 && !error ? (
+                <Text variant="bodyMd" color="subdued">
+                  No staging {promoteLabel.toLowerCase()} found.
+                </Text>
+              ) : (
+                candidates.map((candidate) => (
+                  <InlineStack
+                    key={candidate.id}
+                    align="space-between"
+                    blockAlign="center"
+                  >
+                    <Checkbox
+                      label={candidate.label}
+                      helpText={candidate.key}
+                      checked={selectedIds.includes(candidate.id)}
+                      onChange={() => toggleSelected(candidate.id)}
+                      disabled={isPromoting}
+                    />
+                    {candidate.action === "update" ? (
+                      <Badge tone="info">Updates production</Badge>
+                    ) : (
+                      <Badge tone="attention">Creates in production</Badge>
+                    )}
+                  </InlineStack>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+
+      <Modal
+        open={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        title="Promote to production"
+        primaryAction={{
+          content: `Promote ${selected.length}`,
+          onAction: handlePromote,
+          destructive: true,
+          loading: isPromoting,
+          disabled: confirmation.trim() !== connection?.storeDomain,
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setConfirmOpen(false),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="300">
+            <Text variant="bodyMd">
+              These staging {promoteLabel.toLowerCase()} will be written to{" "}
+              {connection?.storeDomain}:
+            </Text>
+            <BlockStack gap="100">
+              {selected.map((candidate) => (
+                <Text key={candidate.id} variant="bodySm">
+                  {candidate.action === "update" ? "Update" : "Create"}:{" "}
+                  {candidate.label} ({candidate.key})
+                </Text>
+              ))}
+            </BlockStack>
+            <TextField
+              label={`Type ${connection?.storeDomain} to confirm`}
+              value={confirmation}
+              onChange={setConfirmation}
+              autoComplete="off"
+            />
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
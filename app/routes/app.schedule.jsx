@@ -29,19 +29,11 @@ import {
   runScheduleNow,
   calculateNextRunAt,
 } from "../services/scheduler.server";
-
-const SYNC_TYPE_LABELS = {
-  metafield_definitions: "Metafield Definitions",
-  metaobject_definitions: "Metaobject Definitions",
-  products: "Products",
-  collections: "Collections",
-  locations: "Locations",
-  navigation: "Navigation Menus",
-  pages: "Pages",
-  files: "Files",
-  markets: "Markets",
-  search_discovery: "Search & Discovery",
-};
+import {
+  SYNC_TYPES,
+  getSyncTypeLabel,
+  sortSyncTypes,
+} from "../utils/sync-types";
 
 const FREQUENCY_OPTIONS = [
   { label: "Daily", value: "daily" },
@@ -96,13 +88,15 @@ export const action = async ({ request }) => {
       case "create":
       case "update": {
         const connectionId = formData.get("connectionId");
-        const syncTypes = formData.getAll("syncTypes");
+        // Stored in run order so dependencies are synced first
+        const syncTypes = sortSyncTypes(formData.getAll("syncTypes"));
         const frequency = formData.get("frequency") || "daily";
         const hour = parseInt(formData.get("hour") || "2", 10);
         const minute = parseInt(formData.get("minute") || "0", 10);
         const dayOfWeek = formData.get("dayOfWeek")
           ? parseInt(formData.get("dayOfWeek"), 10)
           : null;
+        const fullResync = formData.get("fullResync") === "true";
 
         if (!connectionId) {
           return { error: "Please select a connection", success: false };
@@ -128,6 +122,7 @@ export const action = async ({ request }) => {
           hour,
           minute,
           dayOfWeek: frequency === "weekly" ? dayOfWeek : null,
+          fullResync,
           enabled: true,
         };
 
@@ -240,6 +235,7 @@ export default function Schedule() {
   const [frequency, setFrequency] = useState("daily");
   const [hour, setHour] = useState("2");
   const [dayOfWeek, setDayOfWeek] = useState("0");
+  const [fullResync, setFullResync] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
 
   // Populate form when editing
@@ -249,6 +245,7 @@ export default function Schedule() {
     setFrequency(schedule.frequency);
     setHour(String(schedule.hour));
     setDayOfWeek(String(schedule.dayOfWeek ?? 0));
+    setFullResync(schedule.fullResync);
     setIsEditing(true);
   }, []);
 
@@ -263,6 +260,7 @@ export default function Schedule() {
     setFrequency("daily");
     setHour("2");
     setDayOfWeek("0");
+    setFullResync(false);
     setIsEditing(false);
   }, []);
 
@@ -292,9 +290,10 @@ export default function Schedule() {
     formData.append("hour", hour);
     formData.append("minute", "0");
     formData.append("dayOfWeek", dayOfWeek);
+    formData.append("fullResync", String(fullResync));
     selectedSyncTypes.forEach((t) => formData.append("syncTypes", t));
     submit(formData, { method: "post" });
-  }, [isEditing, selectedConnection, frequency, hour, dayOfWeek, selectedSyncTypes, submit]);
+  }, [isEditing, selectedConnection, frequency, hour, dayOfWeek, fullResync, selectedSyncTypes, submit]);
 
   const handleToggle = useCallback(
     (schedule) => {
@@ -383,6 +382,7 @@ export default function Schedule() {
     const toneMap = {
       success: "success",
       partial: "warning",
+      running: "info",
       failed: "critical",
     };
     return (
@@ -495,11 +495,17 @@ export default function Schedule() {
                           <InlineStack gap="100">
                             {JSON.parse(schedule.syncTypes).map((t) => (
                               <Badge key={t} tone="info">
-                                {SYNC_TYPE_LABELS[t] || t}
+                                {getSyncTypeLabel(t)}
                               </Badge>
                             ))}
                           </InlineStack>
                         </BlockStack>
+                        <BlockStack gap="100">
+                          <Text variant="bodySm" tone="subdued">Mode</Text>
+                          <Text variant="bodyMd">
+                            {schedule.fullResync ? "Full resync" : "Incremental"}
+                          </Text>
+                        </BlockStack>
                       </InlineStack>
 
                       <InlineStack gap="600">
@@ -554,17 +560,24 @@ export default function Schedule() {
                     Sync Types
                   </Text>
                   <InlineStack gap="400" wrap>
-                    {Object.entries(SYNC_TYPE_LABELS).map(([key, label]) => (
+                    {SYNC_TYPES.map(({ id, label }) => (
                       <Checkbox
-                        key={key}
+                        key={id}
                         label={label}
-                        checked={selectedSyncTypes.includes(key)}
-                        onChange={() => handleSyncTypeToggle(key)}
+                        checked={selectedSyncTypes.includes(id)}
+                        onChange={() => handleSyncTypeToggle(id)}
                       />
                     ))}
                   </InlineStack>
                 </BlockStack>
 
+                <Checkbox
+                  label="Full resync"
+                  helpText="Products, collections and pages normally only sync resources updated since the last successful run. Check to re-fetch everything on every run."
+                  checked={fullResync}
+                  onChange={setFullResync}
+                />
+
                 <InlineStack gap="400">
                   <Box minWidth="200px">
                     <Select
@@ -659,7 +672,7 @@ function LastRunSummary({ summary }) {
           )}
           {data.results.map((r, i) => (
             <Text key={i} variant="bodySm">
-              {SYNC_TYPE_LABELS[r.syncType] || r.syncType}: {r.status}
+              {getSyncTypeLabel(r.syncType)}: {r.status}
               {r.created != null ? ` (created: ${r.created}, updated: ${r.updated}, failed: ${r.failed ?? 0})` : ""}
             </Text>
           ))}
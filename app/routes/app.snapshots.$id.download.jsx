@@ -0,0 +1,36 @@
+import { createReadStream } from "node:fs";
+import { stat } from "node:fs/promises";
+import { createReadableStreamFromReadable } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getSnapshotArchive } from "../services/sync-snapshot-store.server";
+
+// Resource route streaming a snapshot archive as a download
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const archive = await getSnapshotArchive(session.shop, params.id);
+  const size = archive
+    ? await stat(archive.path).then(
+        (file) => file.size,
+        () => null,
+      )
+    : null;
+
+  if (size === null) {
+    return new Response(JSON.stringify({ error: "Snapshot not found" }), {
+      status: 404,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  return new Response(
+    createReadableStreamFromReadable(createReadStream(archive.path)),
+    {
+      headers: {
+        "Content-Type": "application/gzip",
+        "Content-Length": String(size),
+        "Content-Disposition": `attachment; filename="${archive.fileName}"`,
+      },
+    },
+  );
+};
@@ -0,0 +1,336 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Select,
+  Banner,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  SNAPSHOT_RESOURCES,
+  getSnapshotRetention,
+} from "../services/sync-snapshot.server";
+import {
+  createSnapshot,
+  deleteSnapshot,
+  getSnapshots,
+  setSnapshotPinned,
+} from "../services/sync-snapshot-store.server";
+import { enqueueSyncJob } from "../services/sync-queue.server";
+
+const STATUS_TONES = {
+  success: "success",
+  partially_successful: "warning",
+  failed: "critical",
+  cancelled: undefined,
+  in_progress: "info",
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return "—";
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Loader for the snapshots of the shop and the retention policy
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const connections = await prisma.storeConnection.findMany({
+    where: {
+      shop: session.shop,
+      isActive: true,
+    },
+    select: {
+      id: true,
+      name: true,
+      storeDomain: true,
+    },
+  });
+
+  return {
+    connections,
+    snapshots: await getSnapshots(session.shop),
+    retention: getSnapshotRetention(),
+    resourceLabels: Object.fromEntries(
+      Object.entries(SNAPSHOT_RESOURCES).map(([key, { label }]) => [
+        key,
+        label,
+      ]),
+    ),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "export") {
+    const connectionId = formData.get("connectionId");
+    const connection = connectionId
+      ? await prisma.storeConnection.findUnique({ where: { id: connectionId } })
+      : null;
+    if (!connection || connection.shop !== session.shop) {
+      return { error: "Invalid connection" };
+    }
+
+    // Exports run in the sync queue and show in Sync History
+    const syncLog = await prisma.syncLog.create({
+      data: {
+        shop: session.shop,
+        connectionId: connection.id,
+        syncType: "snapshot",
+        direction: "export",
+        status: "in_progress",
+        startedAt: new Date(),
+      },
+    });
+    const snapshot = await createSnapshot(session.shop, connection, syncLog.id);
+    await enqueueSyncJob({
+      shop: session.shop,
+      connectionId: connection.id,
+      syncType: "snapshot",
+      syncLogId: syncLog.id,
+      options: { snapshotId: snapshot.id },
+    });
+
+    return {
+      success: true,
+      message: `Exporting ${connection.storeDomain} in the background`,
+    };
+  }
+
+  if (intent === "pin" || intent === "unpin") {
+    await setSnapshotPinned(session.shop, formData.get("id"), intent === "pin");
+    return { success: true };
+  }
+
+  if (intent === "delete") {
+    await deleteSnapshot(session.shop, formData.get("id"));
+    return { success: true, message: "Snapshot deleted" };
+  }
+
+  return { error: `Unknown action: ${intent}` };
+};
+
+export default function Snapshots() {
+  const { connections, snapshots, retention, resourceLabels } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const [connectionId, setConnectionId] = useState(connections[0]?.id || "");
+  const [downloadError, setDownloadError] = useState(null);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const result = fetcher.data;
+  const error = downloadError || (!isSubmitting && result?.error);
+  const message = !isSubmitting && result?.message;
+  const isExporting = snapshots.some((s) => s.status === "in_progress");
+
+  // Refresh the list while an export runs
+  useEffect(() => {
+    if (!isExporting) return;
+    const interval = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [isExporting, revalidator]);
+
+  const submit = (data) => fetcher.submit(data, { method: "post" });
+
+  // Fetched rather than linked, so the embedded app's session token is sent
+  const handleDownload = async (snapshot) => {
+    setDownloadError(null);
+    try {
+      const response = await fetch(`/app/snapshots/${snapshot.id}/download`);
+      if (!response.ok) {
+        throw new Error(`Download failed (HTTP ${response.status})`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = snapshot.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setDownloadError(err.message);
+    }
+  };
+
+  if (connections.length === 0) {
+    return (
+      <Page title="Snapshots">
+        <Layout>
+          <Layout.Section>
+            <EmptyState
+              heading="No active connections"
+              action={{
+                content: "Add a connection",
+                url: "/app/settings",
+              }}
+              image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+            >
+              <p>Connect to a production store to start syncing.</p>
+            </EmptyState>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    );
+  }
+
+  return (
+    <Page title="Snapshots" subtitle="Export production to a portable archive">
+      <Layout>
+        <Layout.Section>
+          <Banner title="What a snapshot holds" status="info">
+            <BlockStack gap="200">
+              <Text variant="bodyMd">
+                A snapshot is a gzipped NDJSON archive of the production{" "}
+                {Object.values(resourceLabels).join(", ").toLowerCase()}, as
+                fetched by the syncs. Its first line is a manifest with the
+                format version and the number of each resource.
+              </Text>
+              <Text variant="bodyMd">
+                The newest{" "}
+                {retention.keep ? `${retention.keep} snapshots` : "snapshots"}
+                {retention.maxAgeDays
+                  ? ` from the last ${retention.maxAgeDays} days`
+                  : ""}{" "}
+                are kept on disk; pin a snapshot to keep it longer.
+              </Text>
+            </BlockStack>
+          </Banner>
+        </Layout.Section>
+
+        {(error || message) && (
+          <Layout.Section>
+            {error ? (
+              <Banner status="critical">
+                <p>{error}</p>
+              </Banner>
+            ) : (
+              <Banner status="success">
+                <p>{message}</p>
+              </Banner>
+            )}
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <InlineStack gap="400" blockAlign="end">
+              <Select
+                label="Production connection"
+                options={connections.map((c) => ({
+                  label: `${c.name} (${c.storeDomain})`,
+                  value: c.id,
+                }))}
+                value={connectionId}
+                onChange={setConnectionId}
+              />
+              <Button
+                variant="primary"
+                onClick={() => submit({ intent: "export", connectionId })}
+                loading={isSubmitting}
+              >
+                Export snapshot
+              </Button>
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          {snapshots.length === 0 ? (
+            <Card>
+              <Text variant="bodyMd" color="subdued">
+                No snapshots yet.
+              </Text>
+            </Card>
+          ) : (
+            <BlockStack gap="400">
+              {snapshots.map((snapshot) => (
+                <Card key={snapshot.id}>
+                  <BlockStack gap="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <BlockStack gap="100">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text variant="headingMd" as="h2">
+                            {snapshot.productionStore}
+                          </Text>
+                          <Badge tone={STATUS_TONES[snapshot.status]}>
+                            {snapshot.status.replace(/_/g, " ")}
+                          </Badge>
+                          {snapshot.pinned && <Badge>Pinned</Badge>}
+                        </InlineStack>
+                        <Text variant="bodySm" color="subdued">
+                          {new Date(snapshot.createdAt).toLocaleString()} ·{" "}
+                          {formatSize(snapshot.size)}
+                          {snapshot.progress ? ` · ${snapshot.progress}` : ""}
+                        </Text>
+                      </BlockStack>
+                      <InlineStack gap="200">
+                        <Button
+                          onClick={() => handleDownload(snapshot)}
+                          disabled={!snapshot.fileName}
+                        >
+                          Download
+                        </Button>
+                        <Button
+                          onClick={() =>
+                            submit({
+                              intent: snapshot.pinned ? "unpin" : "pin",
+                              id: snapshot.id,
+                            })
+                          }
+                          disabled={isSubmitting}
+                        >
+                          {snapshot.pinned ? "Unpin" : "Pin"}
+                        </Button>
+                        <Button
+                          tone="critical"
+                          onClick={() =>
+                            submit({ intent: "delete", id: snapshot.id })
+                          }
+                          disabled={
+                            isSubmitting || snapshot.status === "in_progress"
+                          }
+                        >
+                          Delete
+                        </Button>
+                      </InlineStack>
+                    </InlineStack>
+                    {snapshot.manifest && (
+                      <InlineStack gap="100">
+                        {Object.entries(snapshot.manifest.resources).map(
+                          ([resource, count]) => (
+                            <Badge key={resource}>
+                              {`${resourceLabels[resource] || resource}: ${count}`}
+                            </Badge>
+                          ),
+                        )}
+                      </InlineStack>
+                    )}
+                    {snapshot.manifest?.errors?.map((message, index) => (
+                      <Text key={index} variant="bodySm" color="critical">
+                        {message}
+                      </Text>
+                    ))}
+                  </BlockStack>
+                </Card>
+              ))}
+            </BlockStack>
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
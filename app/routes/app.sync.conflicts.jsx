@@ -0,0 +1,59 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  CONFLICT_STRATEGIES,
+  CONFLICT_SYNC_TYPES,
+} from "../services/sync-conflict.server";
+import {
+  getConflictSettings,
+  saveConflictStrategy,
+} from "../services/sync-conflict-settings.server";
+
+async function getConnection(session, connectionId) {
+  if (!connectionId) return null;
+  const connection = await prisma.storeConnection.findUnique({
+    where: { id: connectionId },
+  });
+  return connection && connection.shop === session.shop ? connection : null;
+}
+
+// Resource route for the per-type conflict strategies shown on the Sync page
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const connection = await getConnection(
+    session,
+    url.searchParams.get("connectionId"),
+  );
+
+  if (!connection) {
+    return { error: "Invalid connection", strategies: {} };
+  }
+
+  return { strategies: await getConflictSettings(connection.id) };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const connection = await getConnection(session, formData.get("connectionId"));
+  const syncType = formData.get("syncType");
+  const strategy = formData.get("strategy");
+
+  if (!connection) {
+    return { error: "Invalid connection", strategies: {} };
+  }
+  if (
+    !CONFLICT_SYNC_TYPES[syncType] ||
+    !CONFLICT_STRATEGIES.includes(strategy)
+  ) {
+    return {
+      error: `Invalid conflict strategy for ${syncType}`,
+      strategies: await getConflictSettings(connection.id),
+    };
+  }
+
+  await saveConflictStrategy(connection.id, syncType, strategy);
+
+  return { strategies: await getConflictSettings(connection.id) };
+};
@@ -0,0 +1,28 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { requestSyncStop, resumeSyncJob } from "../services/sync-queue.server";
+
+// Resource route for cancelling, pausing and resuming background syncs
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const logId = formData.get("logId");
+
+  const log = logId
+    ? await prisma.syncLog.findUnique({ where: { id: logId } })
+    : null;
+  if (!log || log.shop !== session.shop) {
+    return { error: "Sync not found" };
+  }
+
+  switch (intent) {
+    case "cancel":
+    case "pause":
+      return { logId, ...(await requestSyncStop(logId, intent)) };
+    case "resume":
+      return { logId, ...(await resumeSyncJob(logId)) };
+    default:
+      return { error: `Unknown action: ${intent}` };
+  }
+};
@@ -0,0 +1,65 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  FIELD_POLICY_SYNC_TYPES,
+  POLICY_FIELDS,
+} from "../services/sync-field-policy.server";
+import {
+  getFieldPolicies,
+  saveFieldPolicy,
+} from "../services/sync-field-policy-settings.server";
+
+async function getConnection(session, connectionId) {
+  if (!connectionId) return null;
+  const connection = await prisma.storeConnection.findUnique({
+    where: { id: connectionId },
+  });
+  return connection && connection.shop === session.shop ? connection : null;
+}
+
+// Resource route for the field policies shown on the Sync page. Fields are
+// returned with their labels, grouped under the sync types applying them.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const connection = await getConnection(
+    session,
+    url.searchParams.get("connectionId"),
+  );
+
+  if (!connection) {
+    return { error: "Invalid connection", policies: {} };
+  }
+
+  return {
+    policies: await getFieldPolicies(connection.id),
+    fields: POLICY_FIELDS,
+    syncTypes: FIELD_POLICY_SYNC_TYPES,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const connection = await getConnection(session, formData.get("connectionId"));
+
+  if (!connection) {
+    return { error: "Invalid connection", policies: {} };
+  }
+
+  try {
+    await saveFieldPolicy(
+      connection.id,
+      formData.get("resourceType"),
+      formData.get("field"),
+      formData.get("policy"),
+    );
+  } catch (error) {
+    return {
+      error: error.message,
+      policies: await getFieldPolicies(connection.id),
+    };
+  }
+
+  return { policies: await getFieldPolicies(connection.id) };
+};
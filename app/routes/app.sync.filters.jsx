@@ -0,0 +1,55 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { FILTER_SYNC_TYPES } from "../services/sync-filter.server";
+import {
+  getSyncFilters,
+  saveSyncFilter,
+} from "../services/sync-filter-settings.server";
+
+async function getConnection(session, connectionId) {
+  if (!connectionId) return null;
+  const connection = await prisma.storeConnection.findUnique({
+    where: { id: connectionId },
+  });
+  return connection && connection.shop === session.shop ? connection : null;
+}
+
+// Resource route for the per-type sync filters shown on the Sync page
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const connection = await getConnection(
+    session,
+    url.searchParams.get("connectionId"),
+  );
+
+  if (!connection) {
+    return { error: "Invalid connection", filters: {} };
+  }
+
+  return { filters: await getSyncFilters(connection.id) };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const connection = await getConnection(session, formData.get("connectionId"));
+  const syncType = formData.get("syncType");
+
+  if (!connection) {
+    return { error: "Invalid connection", filters: {} };
+  }
+  if (!FILTER_SYNC_TYPES.includes(syncType)) {
+    return {
+      error: `Filters are not supported for ${syncType}`,
+      filters: await getSyncFilters(connection.id),
+    };
+  }
+
+  await saveSyncFilter(connection.id, syncType, {
+    query: formData.get("query"),
+    exclude: formData.get("exclude"),
+  });
+
+  return { filters: await getSyncFilters(connection.id) };
+};
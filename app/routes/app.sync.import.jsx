@@ -0,0 +1,161 @@
+import { randomUUID } from "node:crypto";
+import { mkdir } from "node:fs/promises";
+import {
+  unstable_composeUploadHandlers,
+  unstable_createFileUploadHandler,
+  unstable_createMemoryUploadHandler,
+  unstable_parseMultipartFormData,
+} from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getSnapshotDir } from "../services/sync-snapshot.server";
+import {
+  getSnapshotImportTypes,
+  getSnapshots,
+  getUnsupportedSnapshotTypes,
+  saveUploadedSnapshot,
+} from "../services/sync-snapshot-store.server";
+import { getFilterOptions } from "../services/sync-filter-settings.server";
+import { getFieldPolicyOptions } from "../services/sync-field-policy-settings.server";
+import { getConflictOptions } from "../services/sync-conflict-settings.server";
+import { enqueueSyncJob } from "../services/sync-queue.server";
+import { getSyncTypeLabel } from "../utils/sync-types";
+
+// Largest archive accepted for upload
+const MAX_UPLOAD_SIZE = 1024 * 1024 * 1024;
+
+async function getConnection(session, connectionId) {
+  if (!connectionId) return null;
+  const connection = await prisma.storeConnection.findUnique({
+    where: { id: connectionId },
+  });
+  return connection && connection.shop === session.shop ? connection : null;
+}
+
+// Finished snapshots of the connection's production store
+async function getImportableSnapshots(shop, connection) {
+  return (await getSnapshots(shop)).filter(
+    (snapshot) =>
+      snapshot.fileName &&
+      snapshot.manifest &&
+      snapshot.productionStore === connection.storeDomain,
+  );
+}
+
+// Resource route for importing a snapshot archive on the Sync page
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const connection = await getConnection(
+    session,
+    url.searchParams.get("connectionId"),
+  );
+
+  if (!connection) {
+    return { error: "Invalid connection", snapshots: [] };
+  }
+
+  const snapshots = await getImportableSnapshots(session.shop, connection);
+  return {
+    snapshots: snapshots.map((snapshot) => ({
+      id: snapshot.id,
+      createdAt: snapshot.manifest.createdAt,
+      resources: snapshot.manifest.resources,
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  // Uploads are written straight to the snapshot directory
+  let formData;
+  try {
+    await mkdir(getSnapshotDir(), { recursive: true });
+    formData = await unstable_parseMultipartFormData(
+      request,
+      unstable_composeUploadHandlers(
+        unstable_createFileUploadHandler({
+          directory: getSnapshotDir(),
+          file: () => `upload-${randomUUID()}.ndjson.gz`,
+          maxPartSize: MAX_UPLOAD_SIZE,
+          filter: ({ name }) => name === "file",
+        }),
+        unstable_createMemoryUploadHandler(),
+      ),
+    );
+  } catch (error) {
+    return { error: `Upload failed: ${error.message}` };
+  }
+
+  const file = formData.get("file");
+  const connection = await getConnection(session, formData.get("connectionId"));
+  if (!connection) {
+    if (file?.remove) await file.remove();
+    return { error: "Invalid connection" };
+  }
+
+  let snapshot;
+  if (file?.getFilePath) {
+    try {
+      snapshot = await saveUploadedSnapshot(
+        session.shop,
+        connection,
+        file.getFilePath(),
+      );
+    } catch (error) {
+      return { error: error.message };
+    }
+  } else {
+    snapshot = (await getImportableSnapshots(session.shop, connection)).find(
+      (s) => s.id === formData.get("snapshotId"),
+    );
+    if (!snapshot) {
+      return { error: "Choose a snapshot of this store or upload an archive" };
+    }
+  }
+
+  // One log per resource type, queued definitions first. Imports are
+  // full syncs filtered like a normal run, but never pruned.
+  const manifest =
+    typeof snapshot.manifest === "string"
+      ? JSON.parse(snapshot.manifest)
+      : snapshot.manifest;
+  // Types whose sync can't read a snapshot would import from production
+  const unsupported = getUnsupportedSnapshotTypes(manifest);
+  if (unsupported.length > 0) {
+    return {
+      error: `The snapshot holds resource types that can't be imported: ${unsupported.map(getSyncTypeLabel).join(", ")}`,
+    };
+  }
+  const syncTypes = getSnapshotImportTypes(manifest);
+  for (const syncType of syncTypes) {
+    const syncLog = await prisma.syncLog.create({
+      data: {
+        shop: session.shop,
+        connectionId: connection.id,
+        syncType,
+        direction: "import",
+        status: "in_progress",
+        startedAt: new Date(),
+      },
+    });
+    await enqueueSyncJob({
+      shop: session.shop,
+      connectionId: connection.id,
+      syncType,
+      syncLogId: syncLog.id,
+      options: {
+        ...(await getFilterOptions(connection.id, syncType)),
+        ...(await getFieldPolicyOptions(connection.id, syncType)),
+        ...(await getConflictOptions(connection.id, syncType)),
+        importSnapshotId: snapshot.id,
+      },
+    });
+  }
+
+  return {
+    started: true,
+    message: `Importing ${syncTypes.length} resource types from the ${manifest.productionStore} snapshot of ${new Date(manifest.createdAt).toLocaleString()} in the background`,
+  };
+};
@@ -26,28 +26,55 @@ import {
   Modal,
   ProgressBar,
   Checkbox,
+  TextField,
+  DropZone,
 } from "@shopify/polaris";
-import {
-  RefreshIcon,
-  ProductIcon,
-  CollectionIcon,
-  ProfileIcon,
-  SettingsIcon,
-  ImportIcon,
-  ImageIcon,
-} from "@shopify/polaris-icons";
+import { RefreshIcon, SettingsIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
-import { syncMetafieldDefinitions } from "../services/sync.metafields.server";
-import { syncMetaobjectDefinitions } from "../services/sync.metaobjects.server";
-import { syncImageFiles } from "../services/sync.files.server";
-import { syncNavigationMenus } from "../services/sync.navigation.server";
-import { syncPages } from "../services/sync.pages.server";
-import { syncMarkets } from "../services/sync.markets.server";
-import { syncProducts } from "../services/sync.products.server";
-import { syncCollections } from "../services/sync.collections.server";
-import { syncLocations } from "../services/sync.locations.server";
-import { syncSearchDiscoveryMetafields } from "../services/sync.search-discovery.server";
+import { getSyncStatus, runSyncType } from "../services/sync-runner.server";
+import {
+  getIncrementalOptions,
+  saveSyncWatermark,
+} from "../services/sync-watermark.server";
+import {
+  getPlanLogData,
+  getReviewedPlan,
+  markPlanApplied,
+} from "../services/sync-preview.server";
+import { getPruneOptions } from "../services/sync-prune-settings.server";
+import { getFilterOptions } from "../services/sync-filter-settings.server";
+import { getFieldPolicyOptions } from "../services/sync-field-policy-settings.server";
+import { getConflictOptions } from "../services/sync-conflict-settings.server";
+import { enqueueSyncJob } from "../services/sync-queue.server";
+import { getFailedItemsLogData } from "../services/sync-retry.server";
+import {
+  SYNC_TYPES as REGISTERED_SYNC_TYPES,
+  getMissingScopes,
+  getSyncType,
+  getSyncTypeLabel,
+  getSyncTypesWith,
+  sortSyncTypes,
+} from "../utils/sync-types";
+
+// Sync types that can sync a single resource by handle or production GID,
+// handled by the /app/sync/target route
+const SINGLE_SYNC_OPTIONS = getSyncTypesWith("target").map(
+  ({ id, target }) => ({ label: target.label, value: id }),
+);
+
+const FIELD_POLICY_OPTIONS = [
+  { label: "Always sync", value: "always" },
+  { label: "Only on create", value: "create" },
+  { label: "Never sync", value: "never" },
+];
+
+const CONFLICT_STRATEGY_OPTIONS = [
+  { label: "Don't check", value: "off" },
+  { label: "Overwrite and report", value: "overwrite" },
+  { label: "Skip and report", value: "skip" },
+  { label: "Queue for review", value: "queue" },
+];
 
 // Loader to fetch connections and recent sync logs
 export const loader = async ({ request }) => {
@@ -77,12 +104,21 @@ export const loader = async ({ request }) => {
           storeDomain: true,
         },
       },
+      syncGroup: {
+        select: {
+          name: true,
+        },
+      },
     },
   });
 
-  // Fetch currently running syncs so UI can display a banner even after refresh
+  // Fetch currently running or paused syncs so UI can display a banner even after refresh
   const activeLogs = await prisma.syncLog.findMany({
-    where: { shop: session.shop, status: "in_progress" },
+    where: {
+      shop: session.shop,
+      direction: { in: ["pull", "import"] },
+      status: { in: ["in_progress", "paused"] },
+    },
     orderBy: { startedAt: "desc" },
     take: 5,
     select: {
@@ -103,11 +139,20 @@ export const loader = async ({ request }) => {
     },
   });
 
+  // Scopes the staging session lacks, by sync type
+  const missingScopes = Object.fromEntries(
+    REGISTERED_SYNC_TYPES.map((syncType) => [
+      syncType.id,
+      getMissingScopes(syncType.id, session.scope || ""),
+    ]).filter(([, scopes]) => scopes.length > 0),
+  );
+
   return {
     connections,
     recentLogs,
     lastUsedConnectionId: lastUsedConnection?.connectionId || "",
     activeLogs,
+    missingScopes,
   };
 };
 
@@ -170,6 +215,63 @@ async function runSyncWithTimeout(syncFunction, timeoutMs = 90000) {
   });
 }
 
+// Per-type options read from the form: the watermark of incremental syncs
+// and whatever the type's registry entry reads
+async function getSyncTypeOptions(syncType, formData, connectionId) {
+  const { incremental, formOptions } = getSyncType(syncType) || {};
+  return {
+    // Only fetch changes since the last successful run unless a full
+    // resync is requested
+    ...(incremental &&
+      (await getIncrementalOptions(
+        connectionId,
+        syncType,
+        formData.get("fullResync") === "true",
+      ))),
+    ...formOptions?.(formData),
+  };
+}
+
+/**
+ * Load the failed items of an earlier run for retrying, checking it belongs
+ * to the same shop, connection and sync type and has finished
+ * @returns {Promise<Object>} { items } or { error }
+ */
+async function getRetryItems(shop, logId, connectionId, syncType) {
+  const log = await prisma.syncLog.findUnique({ where: { id: logId } });
+
+  if (!log || log.shop !== shop) {
+    return { error: "Sync run not found" };
+  }
+  if (log.connectionId !== connectionId || log.syncType !== syncType) {
+    return {
+      error: "The run was made for a different connection or sync type",
+    };
+  }
+  if (!getSyncType(syncType)?.retryable) {
+    return { error: `Retrying failed items is not supported for ${syncType}` };
+  }
+  if (log.status === "in_progress" || log.status === "paused") {
+    return { error: "The run has not finished yet" };
+  }
+  // Retries fetch from production, which may no longer match the snapshot
+  if (log.direction === "import") {
+    return { error: "Import the snapshot again to retry a snapshot import" };
+  }
+
+  let items = [];
+  try {
+    items = log.failedItems ? JSON.parse(log.failedItems) : [];
+  } catch {
+    // Treated as having no failed items
+  }
+  if (items.length === 0) {
+    return { error: "The run has no failed items to retry" };
+  }
+
+  return { items };
+}
+
 // Action handler for sync operations
 export const action = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
@@ -177,22 +279,19 @@ export const action = async ({ request }) => {
 
   const syncType = formData.get("syncType");
   const connectionId = formData.get("connectionId");
-
-  // Fix 7A: Validate syncType against known values
-  const validSyncTypes = [
-    "metafield_definitions",
-    "metaobject_definitions",
-    "products",
-    "collections",
-    "locations",
-    "navigation",
-    "pages",
-    "files",
-    "markets",
-    "search_discovery",
-  ];
-  if (!syncType || !validSyncTypes.includes(syncType)) {
-    return { error: `Invalid sync type: "${syncType || "(none)"}". Valid types: ${validSyncTypes.join(", ")}` };
+  // A preview records what the sync would change without writing to
+  // staging; applying it re-runs the sync limited to the reviewed plan
+  const dryRun = formData.get("dryRun") === "true";
+  const planLogId = formData.get("planLogId");
+  // Retrying re-runs the sync for the failed items of an earlier run only
+  const retryLogId = formData.get("retryLogId");
+
+  // Fix 7A: Validate syncType against the registered sync types
+  const registeredSyncType = getSyncType(syncType);
+  if (!registeredSyncType) {
+    return {
+      error: `Invalid sync type: "${syncType || "(none)"}". Valid types: ${REGISTERED_SYNC_TYPES.map((type) => type.id).join(", ")}`,
+    };
   }
 
   // Fix 7B: Show error when no connection is selected
@@ -219,6 +318,20 @@ export const action = async ({ request }) => {
     };
   }
 
+  const reviewed = planLogId
+    ? await getReviewedPlan(session.shop, planLogId, connection.id, syncType)
+    : null;
+  if (reviewed?.error) {
+    return { error: reviewed.error };
+  }
+
+  const retried = retryLogId
+    ? await getRetryItems(session.shop, retryLogId, connection.id, syncType)
+    : null;
+  if (retried?.error) {
+    return { error: retried.error };
+  }
+
   // Create sync log entry
   const syncLog = await prisma.syncLog.create({
     data: {
@@ -226,441 +339,75 @@ export const action = async ({ request }) => {
       connectionId: connection.id,
       syncType,
       status: "in_progress",
+      dryRun: !reviewed && !retried && dryRun,
+      retryOfLogId: retried ? retryLogId : null,
       startedAt: new Date(),
     },
   });
 
-  try {
-    let result;
-
-    switch (syncType) {
-      case "metafield_definitions":
-        // Sync all metafield definitions EXCEPT product and variant (those are handled in product sync)
-        const metafieldTypes = [
-          "COLLECTION",
-          "CUSTOMER",
-          "ORDER",
-          "DRAFTORDER",
-          "PAGE",
-          "SHOP",
-          "ARTICLE",
-          "BLOG",
-          "COMPANY",
-          "COMPANYLOCATION",
-          "LOCATION",
-          "MARKET",
-        ];
-        result = await runSyncWithTimeout(() =>
-          syncMetafieldDefinitions(
-            connection.storeDomain,
-            decryptedToken,
-            admin,
-            metafieldTypes,
-          ),
-        );
-        break;
-
-      case "metaobject_definitions":
-        result = await runSyncWithTimeout(() =>
-          syncMetaobjectDefinitions(
-            connection.storeDomain,
-            decryptedToken,
-            admin,
-            connection.id,
-          ),
-        );
-        break;
-
-      case "products": {
-        // Kick off a background sync and return immediately with the log id
-        // so the UI can poll progress. This avoids Cloudflare 524 timeouts.
-        (async () => {
-          try {
-            const onProgress = async (progress) => {
-              try {
-                // Persist progress stage/percentage so UI can show a live bar
-                await prisma.syncLog.update({
-                  where: { id: syncLog.id },
-                  data: {
-                    summary: JSON.stringify({
-                      progress: {
-                        percentage: progress.percentage ?? 0,
-                        stage: progress.stage ?? "running",
-                        message: progress.message ?? "",
-                      },
-                    }),
-                  },
-                });
-              } catch (e) {
-                console.error("Failed to update sync progress:", e);
-              }
-            };
-
-            const bgResult = await syncProducts(
-              connection.storeDomain,
-              decryptedToken,
-              admin,
-              connection.id,
-              onProgress,
-            );
-
-            const hasErrors =
-              bgResult.summary?.errors && bgResult.summary.errors.length > 0;
-            const hasSuccess =
-              bgResult.summary?.created > 0 || bgResult.summary?.updated > 0;
-
-            let status = "failed";
-            if (hasSuccess && hasErrors) {
-              status = "partially_successful";
-            } else if (
-              hasSuccess ||
-              (!hasErrors &&
-                (bgResult.summary?.total > 0 || bgResult.summary?.skipped > 0))
-            ) {
-              status = "success";
-            }
-
-            const logsToSave = bgResult.logs || bgResult.log || [];
-
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status,
-                summary: JSON.stringify(bgResult.summary || {}),
-                logs: JSON.stringify(logsToSave),
-                completedAt: new Date(),
-              },
-            });
-          } catch (err) {
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status: "failed",
-                summary: JSON.stringify({ error: err.message }),
-                completedAt: new Date(),
-              },
-            });
-          }
-        })();
-
-        // Return quickly; UI will poll /app/sync/status?logId=...
-        console.log("=== SYNC DEBUG === Products sync dispatched to background, logId:", syncLog.id);
-        return {
-          started: true,
-          logId: syncLog.id,
-          syncType: "products",
-          message:
-            "Product sync started and is running in the background. You can close this window.",
-        };
-      }
-
-      case "collections": {
-        // Run collections sync in background to avoid timeouts
-        (async () => {
-          try {
-            const onProgress = async (progress) => {
-              try {
-                await prisma.syncLog.update({
-                  where: { id: syncLog.id },
-                  data: {
-                    summary: JSON.stringify({
-                      progress: {
-                        percentage: progress.percentage ?? 0,
-                        stage: progress.stage ?? "running",
-                        message: progress.message ?? "",
-                      },
-                    }),
-                  },
-                });
-              } catch (e) {
-                console.error("Failed to update sync progress:", e);
-              }
-            };
-
-            const bgResult = await syncCollections(
-              connection.storeDomain,
-              decryptedToken,
-              admin,
-              connection.id,
-              onProgress,
-            );
-
-            const hasErrors =
-              bgResult.summary?.errors && bgResult.summary.errors.length > 0;
-            const hasSuccess =
-              bgResult.summary?.created > 0 || bgResult.summary?.updated > 0;
-
-            let status = "failed";
-            if (hasSuccess && hasErrors) {
-              status = "partially_successful";
-            } else if (
-              hasSuccess ||
-              (!hasErrors &&
-                (bgResult.summary?.total > 0 || bgResult.summary?.skipped > 0))
-            ) {
-              status = "success";
-            }
-
-            const logsToSave = bgResult.logs || bgResult.log || [];
-
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status,
-                summary: JSON.stringify(bgResult.summary || {}),
-                logs: JSON.stringify(logsToSave),
-                completedAt: new Date(),
-              },
-            });
-          } catch (err) {
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status: "failed",
-                summary: JSON.stringify({ error: err.message }),
-                completedAt: new Date(),
-              },
-            });
-          }
-        })();
-
-        console.log("=== SYNC DEBUG === Collections sync dispatched to background, logId:", syncLog.id);
-        return {
-          started: true,
-          logId: syncLog.id,
-          syncType: "collections",
-          message:
-            "Collections sync started and is running in the background. You can close this window.",
-        };
-      }
-
-      case "files": {
-        // Run files sync in background to avoid timeouts with high volume
-        (async () => {
-          try {
-            const onProgress = async (progress) => {
-              try {
-                await prisma.syncLog.update({
-                  where: { id: syncLog.id },
-                  data: {
-                    summary: JSON.stringify({
-                      progress: {
-                        percentage: progress.percentage ?? 0,
-                        stage: progress.stage ?? "running",
-                        message: progress.message ?? "",
-                      },
-                    }),
-                  },
-                });
-              } catch (e) {
-                console.error("Failed to update sync progress:", e);
-              }
-            };
-
-            const bgResult = await syncImageFiles(
-              connection.storeDomain,
-              decryptedToken,
-              admin,
-              connection.id,
-              onProgress,
-            );
-
-            const hasErrors =
-              bgResult.summary?.errors && bgResult.summary.errors.length > 0;
-            const hasSuccess = bgResult.summary?.created > 0;
-
-            let status = "failed";
-            if (hasSuccess && hasErrors) {
-              status = "partially_successful";
-            } else if (
-              hasSuccess ||
-              (!hasErrors &&
-                (bgResult.summary?.total > 0 || bgResult.summary?.skipped > 0))
-            ) {
-              status = "success";
-            }
-
-            const logsToSave = bgResult.logs || bgResult.log || [];
-
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status,
-                summary: JSON.stringify(bgResult.summary || {}),
-                logs: JSON.stringify(logsToSave),
-                completedAt: new Date(),
-              },
-            });
-          } catch (err) {
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status: "failed",
-                summary: JSON.stringify({ error: err.message }),
-                completedAt: new Date(),
-              },
-            });
-          }
-        })();
-
-        console.log("=== SYNC DEBUG === Files sync dispatched to background, logId:", syncLog.id);
-        return {
-          started: true,
-          logId: syncLog.id,
-          syncType: "files",
-          message:
-            "Files sync started and is running in the background. You can close this window.",
-        };
-      }
-
-      case "navigation":
-        result = await runSyncWithTimeout(() =>
-          syncNavigationMenus(
-            connection.storeDomain,
-            decryptedToken,
-            admin,
-            connection.id,
-          ),
-        );
-        break;
-
-      case "pages":
-        result = await runSyncWithTimeout(() =>
-          syncPages(
-            connection.storeDomain,
-            decryptedToken,
-            admin,
-            connection.id,
-          ),
-        );
-        break;
-
-      case "markets":
-        result = await runSyncWithTimeout(() =>
-          syncMarkets(
-            connection.storeDomain,
-            decryptedToken,
-            admin,
-            connection.id,
-          ),
-        );
-        break;
-
-      case "locations":
-        result = await runSyncWithTimeout(() =>
-          syncLocations(
-            connection.storeDomain,
-            decryptedToken,
-            admin,
-            connection.id,
-            (progress) => {
-              // Progress callback for locations sync
-              console.log("Location sync progress:", progress);
-            },
-          ),
-        );
-        break;
-
-      case "search_discovery": {
-        // Run search & discovery sync in background to avoid timeouts
-        (async () => {
-          try {
-            const onProgress = async (progress) => {
-              try {
-                await prisma.syncLog.update({
-                  where: { id: syncLog.id },
-                  data: {
-                    summary: JSON.stringify({
-                      progress: {
-                        percentage: progress.percentage ?? 0,
-                        stage: progress.stage ?? "running",
-                        message: progress.message ?? "",
-                      },
-                    }),
-                  },
-                });
-              } catch (e) {
-                console.error("Failed to update sync progress:", e);
-              }
-            };
-
-            const bgResult = await syncSearchDiscoveryMetafields(
-              connection.storeDomain,
-              decryptedToken,
-              admin,
-              connection.id,
-              onProgress,
-            );
-
-            const hasErrors =
-              bgResult.summary?.errors && bgResult.summary.errors.length > 0;
-            const hasSuccess = bgResult.summary?.updated > 0;
-
-            let status = "failed";
-            if (hasSuccess && hasErrors) {
-              status = "partially_successful";
-            } else if (
-              hasSuccess ||
-              (!hasErrors &&
-                (bgResult.summary?.total > 0 || bgResult.summary?.skipped > 0))
-            ) {
-              status = "success";
-            }
+  // Applying a plan reuses the preview's options (including its incremental
+  // watermark) so the same resources are compared again, and advances the
+  // watermark only to when the preview started
+  let syncOptions;
+  if (reviewed) {
+    await markPlanApplied(reviewed.previewLog, reviewed.plan, syncLog.id);
+    syncOptions = {
+      ...reviewed.plan.options,
+      plan: { ...reviewed.plan, startedAt: reviewed.previewLog.startedAt },
+    };
+  } else if (retried) {
+    // Fetch the failed resources whatever the watermark, and don't prune
+    syncOptions = {
+      ...(await getSyncTypeOptions(syncType, formData, connection.id)),
+      ...(await getFieldPolicyOptions(connection.id, syncType)),
+      ...(await getConflictOptions(connection.id, syncType)),
+      since: null,
+      retryItems: retried.items,
+    };
+  } else {
+    syncOptions = {
+      ...(await getSyncTypeOptions(syncType, formData, connection.id)),
+      ...(await getPruneOptions(connection.id, syncType)),
+      ...(await getFilterOptions(connection.id, syncType)),
+      ...(await getFieldPolicyOptions(connection.id, syncType)),
+      ...(await getConflictOptions(connection.id, syncType)),
+      dryRun,
+    };
+  }
 
-            const logsToSave = bgResult.logs || bgResult.log || [];
-
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status,
-                summary: JSON.stringify(bgResult.summary || {}),
-                logs: JSON.stringify(logsToSave),
-                completedAt: new Date(),
-              },
-            });
-          } catch (err) {
-            await prisma.syncLog.update({
-              where: { id: syncLog.id },
-              data: {
-                status: "failed",
-                summary: JSON.stringify({ error: err.message }),
-                completedAt: new Date(),
-              },
-            });
-          }
-        })();
-
-        return {
-          started: true,
-          logId: syncLog.id,
-          message:
-            "Search & Discovery sync started and is running in the background. You can close this window.",
-        };
-      }
+  try {
+    // Long-running sync types run as persisted jobs in the sync queue so
+    // they survive a server restart; the UI polls /app/sync/status for
+    // progress
+    if (registeredSyncType.background) {
+      await enqueueSyncJob({
+        shop: session.shop,
+        connectionId: connection.id,
+        syncType,
+        syncLogId: syncLog.id,
+        options: syncOptions,
+      });
 
-      default:
-        result = {
-          success: false,
-          error: `Unhandled sync type: "${syncType}"`,
-        };
+      return {
+        started: true,
+        logId: syncLog.id,
+        syncType,
+        message: `${registeredSyncType.label} sync started and is running in the background. You can close this window.`,
+      };
     }
 
-    // Determine success based on summary data
-    const hasErrors =
-      result.summary?.errors && result.summary.errors.length > 0;
-    const hasSuccess =
-      result.summary?.created > 0 || result.summary?.updated > 0;
+    const result = await runSyncWithTimeout(() =>
+      runSyncType(syncType, {
+        productionStore: connection.storeDomain,
+        accessToken: decryptedToken,
+        stagingAdmin: admin,
+        connectionId: connection.id,
+        options: syncOptions,
+      }),
+    );
 
     // Determine status: success, partially successful, or failed
-    let status = "failed";
-    if (hasSuccess && hasErrors) {
-      status = "partially_successful";
-    } else if (
-      hasSuccess ||
-      (!hasErrors && (result.summary?.total > 0 || result.summary?.skipped > 0))
-    ) {
-      status = "success";
-    }
+    const status = getSyncStatus(result.summary);
 
     // Debug: Log what we're about to save
     const logsToSave = result.logs || result.log || [];
@@ -675,19 +422,29 @@ export const action = async ({ request }) => {
     console.log("==================");
 
     // Update sync log with results
+    const failedItems = getFailedItemsLogData(result);
     await prisma.syncLog.update({
       where: { id: syncLog.id },
       data: {
         status: status,
         summary: JSON.stringify(result.summary || {}),
         logs: JSON.stringify(logsToSave),
+        ...getPlanLogData(syncOptions, result),
+        ...failedItems,
         completedAt: new Date(),
       },
     });
 
+    if (status === "success") {
+      await saveSyncWatermark(connection.id, syncType, syncLog, syncOptions);
+    }
+
     return {
       ...result,
       success: status === "success" || status === "partially_successful",
+      logId: syncLog.id,
+      syncType,
+      dryRun: syncLog.dryRun,
     };
   } catch (error) {
     // Update sync log with error
@@ -707,89 +464,19 @@ export const action = async ({ request }) => {
   }
 };
 
-// Sync type configurations
-const SYNC_TYPES = [
-  {
-    id: "metaobject_definitions",
-    label: "Metaobject Definitions",
-    description: "Sync metaobject definitions between stores",
-    icon: ImportIcon,
-    available: true,
-  },
-  {
-    id: "locations",
-    label: "Locations",
-    description: "Sync store locations for inventory management",
-    icon: ImportIcon,
-    available: true,
-  },
-  {
-    id: "files",
-    label: "Theme Images",
-    description:
-      "Sync images uploaded in theme editor (excludes product images) - Formats accepted: PNG, JPG, SVG, WEBP",
-    icon: ImageIcon,
-    available: true,
-  },
-  {
-    id: "pages",
-    label: "Pages",
-    description: "Sync online store pages and their content",
-    icon: ProfileIcon,
-    available: true,
-  },
-  {
-    id: "navigation",
-    label: "Navigation Menus",
-    description: "Sync navigation menus and their structure (pages should be synced first)",
-    icon: SettingsIcon,
-    available: true,
-  },
-  {
-    id: "markets",
-    label: "Markets",
-    description: "Sync Shopify Markets configuration and settings",
-    icon: SettingsIcon,
-    available: true,
-  },
-  {
-    id: "products",
-    label: "Products",
-    description:
-      "Sync product catalog including variants, images, and metafields",
-    icon: ProductIcon,
-    available: true,
-    // cliRecommended: true,
-  },
-  /* {
-    id: "metafield_definitions",
-    label: "Metafield Definitions",
-    description:
-      "Sync metafield structures between stores (excludes product/variant metafields - use Product sync for those)",
-    icon: SettingsIcon,
-    available: false,
-  }, */
-  {
-    id: "collections",
-    label: "Collections",
-    description:
-      "Sync collections and their product associations (run the product sync previously)",
-    icon: CollectionIcon,
-    available: true,
-  },
-  {
-    id: "search_discovery",
-    label: "Search & Discovery Settings",
-    description:
-      "Translate product references in Search & Discovery app metafields (complementary/related products)",
-    icon: SettingsIcon,
-    available: true,
-  },
-];
+// Sync types listed on the page, in the order they run
+const SYNC_TYPES = REGISTERED_SYNC_TYPES.filter(
+  (syncType) => syncType.syncPage !== false,
+);
 
 export default function DataSync() {
-  const { connections, recentLogs, lastUsedConnectionId, activeLogs } =
-    useLoaderData();
+  const {
+    connections,
+    recentLogs,
+    lastUsedConnectionId,
+    activeLogs,
+    missingScopes,
+  } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
   const submit = useSubmit();
@@ -807,6 +494,223 @@ export default function DataSync() {
   const [isRunningBulkSync, setIsRunningBulkSync] = useState(false);
   const [activeLogId, setActiveLogId] = useState(null);
   const [backgroundStatus, setBackgroundStatus] = useState(null);
+  const [rewriteRedirectTargets, setRewriteRedirectTargets] = useState(true);
+  const [fullResync, setFullResync] = useState(false);
+  const [themeMode, setThemeMode] = useState("json");
+  const [productionThemeId, setProductionThemeId] = useState("");
+  const [stagingThemeId, setStagingThemeId] = useState("");
+  // Preview awaiting review: { logId, syncType, plan }
+  const [reviewPlan, setReviewPlan] = useState(null);
+  const themesFetcher = useFetcher();
+  // Per-type prune settings of the selected connection, saved as they change
+  const [pruneSettings, setPruneSettings] = useState({});
+  const pruneFetcher = useFetcher();
+  // Per-type filters of the selected connection, saved when a field loses focus
+  const [syncFilters, setSyncFilters] = useState({});
+  const filterFetcher = useFetcher();
+  // Field policies of the selected connection, with the fields and sync
+  // types they apply to, and the sync type whose policies are expanded
+  const [fieldPolicies, setFieldPolicies] = useState({});
+  const [fieldPolicyConfig, setFieldPolicyConfig] = useState(null);
+  const [fieldPolicyType, setFieldPolicyType] = useState(null);
+  const fieldPolicyFetcher = useFetcher();
+  // Per-type handling of staging edits made since the last sync
+  const [conflictStrategies, setConflictStrategies] = useState({});
+  const conflictFetcher = useFetcher();
+  const controlFetcher = useFetcher();
+  const targetFetcher = useFetcher();
+  const [singleSyncType, setSingleSyncType] = useState("products");
+  const [singleSyncTarget, setSingleSyncTarget] = useState("");
+  // Snapshot to import into staging: a stored one or an uploaded archive
+  const snapshotsFetcher = useFetcher();
+  const importFetcher = useFetcher();
+  const [importSnapshotId, setImportSnapshotId] = useState("");
+  const [importFile, setImportFile] = useState(null);
+  const importSnapshots = snapshotsFetcher.data?.snapshots || [];
+
+  // Load theme choices for the theme sync row whenever the connection changes
+  useEffect(() => {
+    if (selectedConnection) {
+      setProductionThemeId("");
+      setStagingThemeId("");
+      themesFetcher.load(`/app/sync/themes?connectionId=${selectedConnection}`);
+      setPruneSettings({});
+      pruneFetcher.load(`/app/sync/prune?connectionId=${selectedConnection}`);
+      setSyncFilters({});
+      filterFetcher.load(
+        `/app/sync/filters?connectionId=${selectedConnection}`,
+      );
+      setFieldPolicies({});
+      fieldPolicyFetcher.load(
+        `/app/sync/field-policies?connectionId=${selectedConnection}`,
+      );
+      setConflictStrategies({});
+      conflictFetcher.load(
+        `/app/sync/conflicts?connectionId=${selectedConnection}`,
+      );
+      setImportSnapshotId("");
+      snapshotsFetcher.load(
+        `/app/sync/import?connectionId=${selectedConnection}`,
+      );
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedConnection]);
+
+  // An uploaded archive is stored as a snapshot, so list it once queued
+  useEffect(() => {
+    if (importFetcher.state === "idle" && importFetcher.data?.started) {
+      setImportFile(null);
+      snapshotsFetcher.load(
+        `/app/sync/import?connectionId=${selectedConnection}`,
+      );
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [importFetcher.state, importFetcher.data]);
+
+  useEffect(() => {
+    if (pruneFetcher.data?.settings) {
+      setPruneSettings(pruneFetcher.data.settings);
+    }
+  }, [pruneFetcher.data]);
+
+  // Exclusion patterns are edited as text, one per line
+  useEffect(() => {
+    if (filterFetcher.data?.filters) {
+      setSyncFilters(
+        Object.fromEntries(
+          Object.entries(filterFetcher.data.filters).map(
+            ([syncType, filter]) => [
+              syncType,
+              { query: filter.query, exclude: filter.exclude.join("\n") },
+            ],
+          ),
+        ),
+      );
+    }
+  }, [filterFetcher.data]);
+
+  useEffect(() => {
+    if (fieldPolicyFetcher.data?.policies) {
+      setFieldPolicies(fieldPolicyFetcher.data.policies);
+    }
+    if (fieldPolicyFetcher.data?.fields) {
+      setFieldPolicyConfig({
+        fields: fieldPolicyFetcher.data.fields,
+        syncTypes: fieldPolicyFetcher.data.syncTypes,
+      });
+    }
+  }, [fieldPolicyFetcher.data]);
+
+  useEffect(() => {
+    if (conflictFetcher.data?.strategies) {
+      setConflictStrategies(conflictFetcher.data.strategies);
+    }
+  }, [conflictFetcher.data]);
+
+  const updateConflictStrategy = (syncType, strategy) => {
+    setConflictStrategies((prev) => ({ ...prev, [syncType]: strategy }));
+    conflictFetcher.submit(
+      { connectionId: selectedConnection, syncType, strategy },
+      { method: "post", action: "/app/sync/conflicts" },
+    );
+  };
+
+  const updateFieldPolicy = (resourceType, field, policy) => {
+    setFieldPolicies((prev) => ({
+      ...prev,
+      [resourceType]: { ...prev[resourceType], [field]: policy },
+    }));
+    fieldPolicyFetcher.submit(
+      { connectionId: selectedConnection, resourceType, field, policy },
+      { method: "post", action: "/app/sync/field-policies" },
+    );
+  };
+
+  const updateSyncFilter = (syncType, changes) => {
+    setSyncFilters((prev) => ({
+      ...prev,
+      [syncType]: { ...prev[syncType], ...changes },
+    }));
+  };
+
+  const saveSyncFilter = useCallback(
+    (syncType) => {
+      filterFetcher.submit(
+        {
+          connectionId: selectedConnection,
+          syncType,
+          query: syncFilters[syncType].query,
+          exclude: syncFilters[syncType].exclude,
+        },
+        { method: "post", action: "/app/sync/filters" },
+      );
+    },
+    [filterFetcher, selectedConnection, syncFilters],
+  );
+
+  const savePruneSetting = useCallback(
+    (syncType, setting) => {
+      pruneFetcher.submit(
+        {
+          connectionId: selectedConnection,
+          syncType,
+          enabled: String(setting.enabled),
+          policy: setting.policy,
+          maxPercent: String(setting.maxPercent),
+        },
+        { method: "post", action: "/app/sync/prune" },
+      );
+    },
+    [pruneFetcher, selectedConnection],
+  );
+
+  // Cancel, pause or resume the background sync shown in the banner
+  const controlSync = useCallback(
+    (intent) => {
+      if (!activeLogId) return;
+      controlFetcher.submit(
+        { intent, logId: activeLogId },
+        { method: "post", action: "/app/sync/control" },
+      );
+    },
+    [controlFetcher, activeLogId],
+  );
+
+  // Refresh the banner as soon as the run changes state
+  useEffect(() => {
+    if (controlFetcher.data?.logId && !controlFetcher.data.error) {
+      statusFetcher.load(`/app/sync/status?logId=${controlFetcher.data.logId}`);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [controlFetcher.data]);
+
+  const stopRequested =
+    controlFetcher.data?.logId === activeLogId &&
+    ["pausing", "cancelling"].includes(controlFetcher.data?.status);
+
+  const updatePruneSetting = (syncType, changes, save = true) => {
+    const setting = { ...pruneSettings[syncType], ...changes };
+    setPruneSettings((prev) => ({ ...prev, [syncType]: setting }));
+    if (save) savePruneSetting(syncType, setting);
+  };
+
+  // Per-type options read by the action for incremental, redirects and theme syncs
+  const appendSyncOptions = useCallback(
+    (formData) => {
+      formData.append("fullResync", String(fullResync));
+      formData.append("rewriteRedirectTargets", String(rewriteRedirectTargets));
+      formData.append("themeMode", themeMode);
+      formData.append("productionThemeId", productionThemeId);
+      formData.append("stagingThemeId", stagingThemeId);
+    },
+    [
+      fullResync,
+      rewriteRedirectTargets,
+      themeMode,
+      productionThemeId,
+      stagingThemeId,
+    ],
+  );
 
   const isLoading = navigation.state === "submitting";
 
@@ -821,6 +725,13 @@ export default function DataSync() {
     if (actionData?.logs && actionData?.success !== undefined) {
       setShowLogs(true);
     }
+    if (actionData?.dryRun && actionData?.plan) {
+      setReviewPlan({
+        logId: actionData.logId,
+        syncType: actionData.syncType,
+        plan: actionData.plan,
+      });
+    }
   }, [actionData]);
 
   // When a background job is started by the action, begin polling status
@@ -979,6 +890,14 @@ export default function DataSync() {
 
       // Then show logs
       setShowLogs(true);
+
+      if (statusFetcher.data.dryRun && statusFetcher.data.plan) {
+        setReviewPlan({
+          logId: statusFetcher.data.id,
+          syncType: statusFetcher.data.syncType,
+          plan: statusFetcher.data.plan,
+        });
+      }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [statusDataString]);
@@ -1010,6 +929,7 @@ export default function DataSync() {
         formData.append("syncType", nextSyncType);
         formData.append("connectionId", selectedConnection);
         formData.append("isBulkSync", "true");
+        appendSyncOptions(formData);
         submit(formData, { method: "post" });
       }, 1000);
     } else {
@@ -1029,7 +949,13 @@ export default function DataSync() {
         setSelectedSyncTypes([]);
       }, 3000);
     }
-  }, [currentSyncIndex, selectedSyncTypes, selectedConnection, submit]);
+  }, [
+    currentSyncIndex,
+    selectedSyncTypes,
+    selectedConnection,
+    appendSyncOptions,
+    submit,
+  ]);
 
   // Handle bulk sync progress
   useEffect(() => {
@@ -1120,8 +1046,9 @@ export default function DataSync() {
     [],
   );
 
+  // options: { dryRun } to preview, or { planLogId } to apply a reviewed preview
   const handleSync = useCallback(
-    (syncType) => {
+    (syncType, { dryRun = false, planLogId = null } = {}) => {
       if (!selectedConnection) {
         return;
       }
@@ -1129,26 +1056,48 @@ export default function DataSync() {
       const formData = new FormData();
       formData.append("syncType", syncType);
       formData.append("connectionId", selectedConnection);
+      appendSyncOptions(formData);
+      if (dryRun) formData.append("dryRun", "true");
+      if (planLogId) formData.append("planLogId", planLogId);
       submit(formData, { method: "post" });
     },
-    [selectedConnection, submit],
+    [selectedConnection, appendSyncOptions, submit],
   );
 
+  // Re-run a finished sync for the items it failed to sync
+  const handleRetryFailed = useCallback(
+    (log) => {
+      const formData = new FormData();
+      formData.append("syncType", log.syncType);
+      formData.append("connectionId", log.connectionId);
+      appendSyncOptions(formData);
+      formData.append("retryLogId", log.id);
+      submit(formData, { method: "post" });
+      setSelectedLogId(null);
+      setSelectedLogDetails(null);
+    },
+    [appendSyncOptions, submit],
+  );
+
+  const handleApplyPlan = useCallback(() => {
+    if (!reviewPlan) return;
+    handleSync(reviewPlan.syncType, { planLogId: reviewPlan.logId });
+    setReviewPlan(null);
+  }, [reviewPlan, handleSync]);
+
+  // Selected types are kept in run order, which bulk syncs follow
   const handleSyncTypeToggle = useCallback((syncTypeId) => {
     setSelectedSyncTypes((prev) => {
       if (prev.includes(syncTypeId)) {
         return prev.filter((id) => id !== syncTypeId);
       } else {
-        return [...prev, syncTypeId];
+        return sortSyncTypes([...prev, syncTypeId]);
       }
     });
   }, []);
 
   const handleSelectAll = useCallback(() => {
-    const availableSyncTypes = SYNC_TYPES.filter((type) => type.available).map(
-      (type) => type.id,
-    );
-    setSelectedSyncTypes(availableSyncTypes);
+    setSelectedSyncTypes(SYNC_TYPES.map((type) => type.id));
   }, []);
 
   const handleDeselectAll = useCallback(() => {
@@ -1180,8 +1129,9 @@ export default function DataSync() {
     formData.append("syncType", selectedSyncTypes[0]);
     formData.append("connectionId", selectedConnection);
     formData.append("isBulkSync", "true");
+    appendSyncOptions(formData);
     submit(formData, { method: "post" });
-  }, [selectedConnection, selectedSyncTypes, submit]);
+  }, [selectedConnection, selectedSyncTypes, appendSyncOptions, submit]);
 
   const handleViewLog = useCallback((log) => {
     // Parse the logs and summary from JSON
@@ -1213,10 +1163,18 @@ export default function DataSync() {
         }
       }
 
+      let failedItems = [];
+      try {
+        failedItems = log.failedItems ? JSON.parse(log.failedItems) : [];
+      } catch {
+        failedItems = [];
+      }
+
       setSelectedLogDetails({
         ...log,
         parsedLogs: logs,
         parsedSummary: summary,
+        parsedFailedItems: failedItems,
       });
       setSelectedLogId(log.id);
     } catch (error) {
@@ -1226,6 +1184,7 @@ export default function DataSync() {
         ...log,
         parsedLogs: [],
         parsedSummary: { error: "Failed to parse log data" },
+        parsedFailedItems: [],
       });
       setSelectedLogId(log.id);
     }
@@ -1303,10 +1262,76 @@ export default function DataSync() {
                       Stage: {backgroundStatus.summary.progress.stage}
                     </Text>
                   )}
+                  {stopRequested ? (
+                    <Text variant="bodySm" color="subdued">
+                      {controlFetcher.data.status === "pausing"
+                        ? "Pausing"
+                        : "Cancelling"}{" "}
+                      after the current item...
+                    </Text>
+                  ) : (
+                    <InlineStack gap="200">
+                      {backgroundStatus.pausable && (
+                        <Button
+                          onClick={() => controlSync("pause")}
+                          loading={controlFetcher.state !== "idle"}
+                        >
+                          Pause
+                        </Button>
+                      )}
+                      <Button
+                        tone="critical"
+                        onClick={() => controlSync("cancel")}
+                        loading={controlFetcher.state !== "idle"}
+                      >
+                        Cancel
+                      </Button>
+                    </InlineStack>
+                  )}
+                  {controlFetcher.data?.error && (
+                    <Text variant="bodySm" tone="critical">
+                      {controlFetcher.data.error}
+                    </Text>
+                  )}
                 </BlockStack>
               </Banner>
             </Layout.Section>
           )}
+        {activeLogId && backgroundStatus?.status === "paused" && (
+          <Layout.Section>
+            <Banner status="warning" title="Sync paused">
+              <BlockStack gap="200">
+                <Text variant="bodyMd">
+                  {backgroundStatus.summary?.stoppedAt !== undefined
+                    ? `Paused after ${backgroundStatus.summary.stoppedAt} of ${backgroundStatus.summary.total} items. `
+                    : ""}
+                  Resuming picks up where the sync stopped.
+                </Text>
+                <InlineStack gap="200">
+                  <Button
+                    variant="primary"
+                    onClick={() => controlSync("resume")}
+                    loading={controlFetcher.state !== "idle"}
+                  >
+                    Resume
+                  </Button>
+                  <Button
+                    tone="critical"
+                    onClick={() => controlSync("cancel")}
+                    loading={controlFetcher.state !== "idle"}
+                  >
+                    Cancel
+                  </Button>
+                </InlineStack>
+                {controlFetcher.data?.error && (
+                  <Text variant="bodySm" tone="critical">
+                    {controlFetcher.data.error}
+                  </Text>
+                )}
+              </BlockStack>
+            </Banner>
+          </Layout.Section>
+        )}
         {/* Show warning when status fetcher has network errors */}
         {activeLogId &&
           statusFetcher.state === "idle" &&
@@ -1513,6 +1538,155 @@ export default function DataSync() {
               </Card>
             </Layout.Section>
 
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">
+                    Sync a Single Resource
+                  </Text>
+                  <InlineStack gap="200" blockAlign="end" wrap={false}>
+                    <Select
+                      label="Type"
+                      options={SINGLE_SYNC_OPTIONS}
+                      value={singleSyncType}
+                      onChange={setSingleSyncType}
+                    />
+                    <div style={{ flexGrow: 1 }}>
+                      <TextField
+                        label="Handle or production GID"
+                        value={singleSyncTarget}
+                        onChange={setSingleSyncTarget}
+                        placeholder={
+                          singleSyncType === "metaobjects"
+                            ? "author/jane-doe or gid://shopify/Metaobject/123"
+                            : "summer-dress or gid://shopify/Product/123"
+                        }
+                        autoComplete="off"
+                      />
+                    </div>
+                    <Button
+                      disabled={!selectedConnection || !singleSyncTarget.trim()}
+                      loading={targetFetcher.state !== "idle"}
+                      onClick={() =>
+                        targetFetcher.submit(
+                          {
+                            connectionId: selectedConnection,
+                            syncType: singleSyncType,
+                            target: singleSyncTarget,
+                          },
+                          { method: "post", action: "/app/sync/target" },
+                        )
+                      }
+                    >
+                      Sync now
+                    </Button>
+                  </InlineStack>
+                  {targetFetcher.state === "idle" && targetFetcher.data && (
+                    <Banner
+                      status={targetFetcher.data.error ? "critical" : "success"}
+                    >
+                      {targetFetcher.data.error ||
+                        `Synced ${targetFetcher.data.target}: ${targetFetcher.data.summary.created} created, ${targetFetcher.data.summary.updated} updated, ${targetFetcher.data.summary.failed} failed`}
+                    </Banner>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">
+                    Import from Snapshot
+                  </Text>
+                  <Text variant="bodyMd" color="subdued">
+                    Seed staging from a snapshot of the source store instead of
+                    the live store. Each resource type in the snapshot is synced
+                    in the background with the exclusions, field policies and
+                    conflict handling set below. Inventory levels, market
+                    catalogs and price lists aren't in snapshots and are left as
+                    they are.
+                  </Text>
+                  <Select
+                    label="Stored snapshot"
+                    options={[
+                      {
+                        label:
+                          importSnapshots.length > 0
+                            ? "Choose a snapshot"
+                            : "No snapshots of this store",
+                        value: "",
+                      },
+                      ...importSnapshots.map((snapshot) => ({
+                        label: `${new Date(snapshot.createdAt).toLocaleString()} (${Object.values(
+                          snapshot.resources,
+                        ).reduce((sum, count) => sum + count, 0)} resources)`,
+                        value: snapshot.id,
+                      })),
+                    ]}
+                    value={importSnapshotId}
+                    onChange={setImportSnapshotId}
+                    disabled={Boolean(importFile)}
+                  />
+                  <DropZone
+                    label="Or upload an archive"
+                    allowMultiple={false}
+                    onDrop={(files, acceptedFiles) =>
+                      setImportFile(acceptedFiles[0] || null)
+                    }
+                  >
+                    {importFile ? (
+                      <Box padding="400">
+                        <Text variant="bodyMd" alignment="center">
+                          {importFile.name}
+                        </Text>
+                      </Box>
+                    ) : (
+                      <DropZone.FileUpload actionHint="A .ndjson.gz archive downloaded from the Snapshots page" />
+                    )}
+                  </DropZone>
+                  <InlineStack gap="200">
+                    <Button
+                      variant="primary"
+                      disabled={
+                        !selectedConnection ||
+                        (!importFile && !importSnapshotId)
+                      }
+                      loading={importFetcher.state !== "idle"}
+                      onClick={() => {
+                        const formData = new FormData();
+                        formData.append("connectionId", selectedConnection);
+                        if (importFile) {
+                          formData.append("file", importFile);
+                        } else {
+                          formData.append("snapshotId", importSnapshotId);
+                        }
+                        importFetcher.submit(formData, {
+                          method: "post",
+                          action: "/app/sync/import",
+                          encType: "multipart/form-data",
+                        });
+                      }}
+                    >
+                      Import snapshot
+                    </Button>
+                    {importFile && (
+                      <Button onClick={() => setImportFile(null)}>
+                        Remove file
+                      </Button>
+                    )}
+                  </InlineStack>
+                  {importFetcher.state === "idle" && importFetcher.data && (
+                    <Banner
+                      status={importFetcher.data.error ? "critical" : "success"}
+                    >
+                      {importFetcher.data.error || importFetcher.data.message}
+                    </Banner>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
             <Layout.Section>
               <Tabs
                 tabs={tabs}
@@ -1644,7 +1818,7 @@ export default function DataSync() {
                                 <Text variant="bodySm" color="subdued">
                                   {syncProgress.complete
                                     ? "All selected syncs have been completed successfully!"
-                                    : `Currently syncing: ${SYNC_TYPES.find((t) => t.id === syncProgress.currentSync)?.label || syncProgress.currentSync}`}
+                                    : `Currently syncing: ${getSyncTypeLabel(syncProgress.currentSync)}`}
                                 </Text>
                               </BlockStack>
                             </Box>
@@ -1679,11 +1853,9 @@ export default function DataSync() {
                                 padding="400"
                                 borderRadius="200"
                                 background={
-                                  !syncType.available
-                                    ? "bg-surface-disabled"
-                                    : selectedSyncTypes.includes(syncType.id)
-                                      ? "bg-surface-selected"
-                                      : "bg-surface"
+                                  selectedSyncTypes.includes(syncType.id)
+                                    ? "bg-surface-selected"
+                                    : "bg-surface"
                                 }
                               >
                                 <InlineStack
@@ -1699,16 +1871,9 @@ export default function DataSync() {
                                       onChange={() =>
                                         handleSyncTypeToggle(syncType.id)
                                       }
-                                      disabled={
-                                        !syncType.available || isRunningBulkSync
-                                      }
-                                    />
-                                    <Icon
-                                      source={syncType.icon}
-                                      color={
-                                        syncType.available ? "base" : "subdued"
-                                      }
+                                      disabled={isRunningBulkSync}
                                     />
+                                    <Icon source={syncType.icon} color="base" />
                                     <BlockStack gap="100">
                                       <Text
                                         variant="bodyMd"
@@ -1719,33 +1884,58 @@ export default function DataSync() {
                                       <Text variant="bodySm" color="subdued">
                                         {syncType.description}
                                       </Text>
+                                      {syncType.dependencies.length > 0 && (
+                                        <Text variant="bodySm" color="subdued">
+                                          Sync first:{" "}
+                                          {syncType.dependencies
+                                            .map(getSyncTypeLabel)
+                                            .join(", ")}
+                                        </Text>
+                                      )}
+                                      {missingScopes[syncType.id] && (
+                                        <Text variant="bodySm" tone="critical">
+                                          Missing access scopes:{" "}
+                                          {missingScopes[syncType.id].join(
+                                            ", ",
+                                          )}
+                                        </Text>
+                                      )}
                                     </BlockStack>
                                   </InlineStack>
 
-                                  <Button
-                                    primary={syncType.available}
-                                    disabled={
-                                      !syncType.available ||
-                                      !selectedConnection ||
-                                      isLoading ||
-                                      isRunningBulkSync
-                                    }
-                                    loading={
-                                      isLoading &&
-                                      navigation.formData?.get("syncType") ===
-                                        syncType.id
-                                    }
-                                    onClick={() => handleSync(syncType.id)}
-                                  >
-                                    {syncType.available ? (
-                                      <>
-                                        <Icon source={RefreshIcon} />
-                                        Sync Now
-                                      </>
-                                    ) : (
-                                      "Coming Soon"
-                                    )}
-                                  </Button>
+                                  <InlineStack gap="200">
+                                    <Button
+                                      disabled={
+                                        !selectedConnection ||
+                                        isLoading ||
+                                        isRunningBulkSync
+                                      }
+                                      onClick={() =>
+                                        handleSync(syncType.id, {
+                                          dryRun: true,
+                                        })
+                                      }
+                                    >
+                                      Preview
+                                    </Button>
+                                    <Button
+                                      primary
+                                      disabled={
+                                        !selectedConnection ||
+                                        isLoading ||
+                                        isRunningBulkSync
+                                      }
+                                      loading={
+                                        isLoading &&
+                                        navigation.formData?.get("syncType") ===
+                                          syncType.id
+                                      }
+                                      onClick={() => handleSync(syncType.id)}
+                                    >
+                                      <Icon source={RefreshIcon} />
+                                      Sync Now
+                                    </Button>
+                                  </InlineStack>
                                 </InlineStack>
                                 {syncType.cliRecommended && (
                                   <div style={{ marginTop: "0.75rem" }}>
@@ -1777,6 +1967,278 @@ export default function DataSync() {
                                     </Box>
                                   </div>
                                 )}
+                                {syncType.id === "themes" && (
+                                  <div style={{ marginTop: "0.75rem" }}>
+                                    <InlineStack gap="300" wrap>
+                                      <Select
+                                        label="Production theme"
+                                        options={[
+                                          { label: "Live theme", value: "" },
+                                          ...(
+                                            themesFetcher.data
+                                              ?.productionThemes || []
+                                          ).map((theme) => ({
+                                            label: `${theme.name} (${theme.role.toLowerCase()})`,
+                                            value: theme.id,
+                                          })),
+                                        ]}
+                                        value={productionThemeId}
+                                        onChange={setProductionThemeId}
+                                        disabled={isRunningBulkSync}
+                                      />
+                                      <Select
+                                        label="Staging theme"
+                                        options={[
+                                          { label: "Live theme", value: "" },
+                                          ...(
+                                            themesFetcher.data?.stagingThemes ||
+                                            []
+                                          ).map((theme) => ({
+                                            label: `${theme.name} (${theme.role.toLowerCase()})`,
+                                            value: theme.id,
+                                          })),
+                                        ]}
+                                        value={stagingThemeId}
+                                        onChange={setStagingThemeId}
+                                        disabled={isRunningBulkSync}
+                                      />
+                                      <Select
+                                        label="Files"
+                                        options={[
+                                          {
+                                            label: "JSON templates and config",
+                                            value: "json",
+                                          },
+                                          { label: "Full theme", value: "full" },
+                                        ]}
+                                        value={themeMode}
+                                        onChange={setThemeMode}
+                                        disabled={isRunningBulkSync}
+                                      />
+                                    </InlineStack>
+                                    {themesFetcher.data?.error && (
+                                      <Text variant="bodySm" tone="critical">
+                                        Could not load themes:{" "}
+                                        {themesFetcher.data.error}
+                                      </Text>
+                                    )}
+                                  </div>
+                                )}
+                                {syncType.incremental && (
+                                  <div style={{ marginTop: "0.75rem" }}>
+                                    <Checkbox
+                                      label="Full resync"
+                                      helpText="Re-fetch every resource instead of only those updated since the last successful sync"
+                                      checked={fullResync}
+                                      onChange={setFullResync}
+                                      disabled={isRunningBulkSync}
+                                    />
+                                  </div>
+                                )}
+                                {syncType.id === "redirects" && (
+                                  <div style={{ marginTop: "0.75rem" }}>
+                                    <Checkbox
+                                      label="Rewrite product and collection paths whose handles differ in staging"
+                                      checked={rewriteRedirectTargets}
+                                      onChange={setRewriteRedirectTargets}
+                                      disabled={isRunningBulkSync}
+                                    />
+                                  </div>
+                                )}
+                                {pruneSettings[syncType.id] && (
+                                  <div style={{ marginTop: "0.75rem" }}>
+                                    <BlockStack gap="200">
+                                      <Checkbox
+                                        label="Prune resources deleted in production"
+                                        helpText="After syncing, remove staging resources whose mapped production resource no longer exists"
+                                        checked={
+                                          pruneSettings[syncType.id].enabled
+                                        }
+                                        onChange={(enabled) =>
+                                          updatePruneSetting(syncType.id, {
+                                            enabled,
+                                          })
+                                        }
+                                        disabled={isRunningBulkSync}
+                                      />
+                                      {pruneSettings[syncType.id].enabled && (
+                                        <InlineStack gap="300" wrap>
+                                          <Select
+                                            label="Prune policy"
+                                            options={pruneSettings[
+                                              syncType.id
+                                            ].policies.map((policy) => ({
+                                              label:
+                                                policy === "delete"
+                                                  ? "Delete"
+                                                  : syncType.id === "pages"
+                                                    ? "Unpublish"
+                                                    : "Archive",
+                                              value: policy,
+                                            }))}
+                                            value={
+                                              pruneSettings[syncType.id].policy
+                                            }
+                                            onChange={(policy) =>
+                                              updatePruneSetting(syncType.id, {
+                                                policy,
+                                              })
+                                            }
+                                            disabled={isRunningBulkSync}
+                                          />
+                                          <TextField
+                                            label="Safety cap"
+                                            type="number"
+                                            suffix="%"
+                                            min={0}
+                                            max={100}
+                                            autoComplete="off"
+                                            helpText="Abort the prune if more than this share of mapped resources would be removed"
+                                            value={String(
+                                              pruneSettings[syncType.id]
+                                                .maxPercent,
+                                            )}
+                                            onChange={(maxPercent) =>
+                                              updatePruneSetting(
+                                                syncType.id,
+                                                { maxPercent },
+                                                false,
+                                              )
+                                            }
+                                            onBlur={() =>
+                                              savePruneSetting(
+                                                syncType.id,
+                                                pruneSettings[syncType.id],
+                                              )
+                                            }
+                                            disabled={isRunningBulkSync}
+                                          />
+                                        </InlineStack>
+                                      )}
+                                    </BlockStack>
+                                  </div>
+                                )}
+                                {syncFilters[syncType.id] && (
+                                  <div style={{ marginTop: "0.75rem" }}>
+                                    <InlineStack gap="300" wrap>
+                                      <TextField
+                                        label="Filter query"
+                                        placeholder="status:active tag:launch vendor:Acme"
+                                        helpText="Shopify search query limiting which production resources are synced"
+                                        autoComplete="off"
+                                        value={syncFilters[syncType.id].query}
+                                        onChange={(query) =>
+                                          updateSyncFilter(syncType.id, {
+                                            query,
+                                          })
+                                        }
+                                        onBlur={() =>
+                                          saveSyncFilter(syncType.id)
+                                        }
+                                        disabled={isRunningBulkSync}
+                                      />
+                                      <TextField
+                                        label="Exclude handles"
+                                        placeholder="test-*"
+                                        helpText="One pattern per line; * matches any characters"
+                                        autoComplete="off"
+                                        multiline={2}
+                                        value={syncFilters[syncType.id].exclude}
+                                        onChange={(exclude) =>
+                                          updateSyncFilter(syncType.id, {
+                                            exclude,
+                                          })
+                                        }
+                                        onBlur={() =>
+                                          saveSyncFilter(syncType.id)
+                                        }
+                                        disabled={isRunningBulkSync}
+                                      />
+                                    </InlineStack>
+                                  </div>
+                                )}
+                                {conflictStrategies[syncType.id] && (
+                                  <div style={{ marginTop: "0.75rem" }}>
+                                    <Select
+                                      label="Staging edits"
+                                      helpText="How to handle resources changed in staging since their last sync. Queued conflicts are reviewed on the Conflicts page."
+                                      options={CONFLICT_STRATEGY_OPTIONS}
+                                      value={conflictStrategies[syncType.id]}
+                                      onChange={(strategy) =>
+                                        updateConflictStrategy(
+                                          syncType.id,
+                                          strategy,
+                                        )
+                                      }
+                                      disabled={isRunningBulkSync}
+                                    />
+                                  </div>
+                                )}
+                                {fieldPolicyConfig?.syncTypes[syncType.id] && (
+                                  <div style={{ marginTop: "0.75rem" }}>
+                                    <BlockStack gap="300">
+                                      <InlineStack>
+                                        <Button
+                                          plain
+                                          onClick={() =>
+                                            setFieldPolicyType(
+                                              fieldPolicyType === syncType.id
+                                                ? null
+                                                : syncType.id,
+                                            )
+                                          }
+                                        >
+                                          {fieldPolicyType === syncType.id
+                                            ? "Hide field policies"
+                                            : "Field policies"}
+                                        </Button>
+                                      </InlineStack>
+                                      {fieldPolicyType === syncType.id &&
+                                        fieldPolicyConfig.syncTypes[
+                                          syncType.id
+                                        ].map((resourceType) => (
+                                          <BlockStack
+                                            key={resourceType}
+                                            gap="200"
+                                          >
+                                            <Text variant="headingSm" as="h3">
+                                              {
+                                                fieldPolicyConfig.fields[
+                                                  resourceType
+                                                ].label
+                                              }
+                                            </Text>
+                                            <InlineStack gap="300" wrap>
+                                              {Object.entries(
+                                                fieldPolicyConfig.fields[
+                                                  resourceType
+                                                ].fields,
+                                              ).map(([field, label]) => (
+                                                <Select
+                                                  key={field}
+                                                  label={label}
+                                                  options={FIELD_POLICY_OPTIONS}
+                                                  value={
+                                                    fieldPolicies[
+                                                      resourceType
+                                                    ]?.[field] || "always"
+                                                  }
+                                                  onChange={(policy) =>
+                                                    updateFieldPolicy(
+                                                      resourceType,
+                                                      field,
+                                                      policy,
+                                                    )
+                                                  }
+                                                  disabled={isRunningBulkSync}
+                                                />
+                                              ))}
+                                            </InlineStack>
+                                          </BlockStack>
+                                        ))}
+                                    </BlockStack>
+                                  </div>
+                                )}
                               </Box>
                             ))}
                           </BlockStack>
@@ -1845,6 +2307,27 @@ export default function DataSync() {
                                     parts.push(`${summary.skipped} skipped`);
                                   if (summary.failed > 0)
                                     parts.push(`${summary.failed} failed`);
+                                  if (summary.conflicts > 0)
+                                    parts.push(
+                                      `${summary.conflicts} changed in staging`,
+                                    );
+                                  if (
+                                    summary.pruned?.archived > 0 ||
+                                    summary.pruned?.deleted > 0
+                                  )
+                                    parts.push(
+                                      `${summary.pruned.archived + summary.pruned.deleted} pruned`,
+                                    );
+                                  if (summary.pruned?.aborted)
+                                    parts.push("prune aborted");
+                                  if (summary.cost?.throttled > 0)
+                                    parts.push(
+                                      `${summary.cost.throttled} throttled`,
+                                    );
+                                  if (summary.stopped)
+                                    parts.push(
+                                      `${summary.stopped} at ${summary.stoppedAt}/${summary.total}`,
+                                    );
                                   summaryText =
                                     parts.length > 0
                                       ? parts.join(", ")
@@ -1854,10 +2337,41 @@ export default function DataSync() {
                                 summaryText = "Error parsing";
                               }
 
+                              let storedPlan = null;
+                              try {
+                                storedPlan = log.plan
+                                  ? JSON.parse(log.plan)
+                                  : null;
+                              } catch {
+                                storedPlan = null;
+                              }
+
                               return [
-                                log.syncType
-                                  .replace(/_/g, " ")
-                                  .replace(/\b\w/g, (l) => l.toUpperCase()),
+                                <InlineStack
+                                  key={`type-${log.id}`}
+                                  gap="200"
+                                  blockAlign="center"
+                                >
+                                  <Text variant="bodyMd">
+                                    {getSyncTypeLabel(log.syncType)}
+                                  </Text>
+                                  {log.dryRun && (
+                                    <Badge tone="info">Preview</Badge>
+                                  )}
+                                  {log.retryOfLogId && <Badge>Retry</Badge>}
+                                  {log.target && <Badge>{log.target}</Badge>}
+                                  {log.direction === "promote" && (
+                                    <Badge tone="warning">Promote</Badge>
+                                  )}
+                                  {log.direction === "import" && (
+                                    <Badge tone="info">Snapshot import</Badge>
+                                  )}
+                                  {log.syncGroup && (
+                                    <Badge tone="info">
+                                      {log.syncGroup.name}
+                                    </Badge>
+                                  )}
+                                </InlineStack>,
                                 log.connection.name,
                                 <Badge
                                   key={`status-${log.id}`}
@@ -1883,15 +2397,30 @@ export default function DataSync() {
                                 </Text>,
                                 new Date(log.startedAt).toLocaleString(),
                                 duration ? `${duration}s` : "In progress",
-                                <Button
-                                  key={`view-${log.id}`}
-                                  plain
-                                  onClick={() => {
-                                    handleViewLog(log);
-                                  }}
-                                >
-                                  View Logs
-                                </Button>,
+                                <InlineStack key={`view-${log.id}`} gap="200">
+                                  <Button
+                                    plain
+                                    onClick={() => {
+                                      handleViewLog(log);
+                                    }}
+                                  >
+                                    View Logs
+                                  </Button>
+                                  {storedPlan && !storedPlan.appliedLogId && (
+                                    <Button
+                                      plain
+                                      onClick={() =>
+                                        setReviewPlan({
+                                          logId: log.id,
+                                          syncType: log.syncType,
+                                          plan: storedPlan,
+                                        })
+                                      }
+                                    >
+                                      Review
+                                    </Button>
+                                  )}
+                                </InlineStack>,
                               ];
                             })}
                           />
@@ -1953,6 +2482,33 @@ export default function DataSync() {
         )}
       </Layout>
 
+      {/* Modal for reviewing a preview before applying it */}
+      <Modal
+        open={!!reviewPlan}
+        onClose={() => setReviewPlan(null)}
+        title="Review Sync Preview"
+        large
+        primaryAction={{
+          content: "Apply Plan",
+          onAction: handleApplyPlan,
+          disabled:
+            !reviewPlan?.syncType ||
+            !selectedConnection ||
+            isLoading ||
+            !reviewPlan?.plan?.items?.some((item) => item.action !== "skip"),
+        }}
+        secondaryActions={[
+          {
+            content: "Close",
+            onAction: () => setReviewPlan(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          {reviewPlan && <SyncPlanReview plan={reviewPlan.plan} />}
+        </Modal.Section>
+      </Modal>
+
       {/* Modal for viewing historical log details */}
       <Modal
         open={!!selectedLogId}
@@ -1962,6 +2518,16 @@ export default function DataSync() {
         }}
         title="Sync Log Details"
         large
+        primaryAction={
+          selectedLogDetails?.parsedFailedItems?.length > 0 &&
+          !["in_progress", "paused"].includes(selectedLogDetails.status)
+            ? {
+                content: `Retry failed (${selectedLogDetails.parsedFailedItems.length})`,
+                onAction: () => handleRetryFailed(selectedLogDetails),
+                disabled: isLoading,
+              }
+            : undefined
+        }
         secondaryActions={[
           {
             content: "Close",
@@ -1981,9 +2547,7 @@ export default function DataSync() {
                     Type:
                   </Text>
                   <Text variant="bodyMd">
-                    {selectedLogDetails.syncType
-                      .replace(/_/g, " ")
-                      .replace(/\b\w/g, (l) => l.toUpperCase())}
+                    {getSyncTypeLabel(selectedLogDetails.syncType)}
                   </Text>
                 </InlineStack>
                 <InlineStack gap="400">
@@ -2076,8 +2640,10 @@ export default function DataSync() {
                           }
 
                           // Filter out numeric keys (which would indicate string indices)
+                          // and the per-store results of group runs, shown below
                           const validEntries = Object.entries(summary).filter(
-                            ([key]) => isNaN(parseInt(key)),
+                            ([key]) =>
+                              isNaN(parseInt(key)) && key !== "targets",
                           );
 
                           if (validEntries.length === 0) {
@@ -2157,6 +2723,69 @@ export default function DataSync() {
                   </Card>
                 )}
 
+              {Array.isArray(selectedLogDetails.parsedSummary?.targets) && (
+                <Card>
+                  <BlockStack gap="300">
+                    <Text variant="headingMd" as="h3">
+                      Target Stores
+                    </Text>
+                    <Text variant="bodySm" color="subdued">
+                      Results of the sync group in each staging store
+                    </Text>
+                    <DataTable
+                      columnContentTypes={[
+                        "text",
+                        "text",
+                        "numeric",
+                        "numeric",
+                        "numeric",
+                        "numeric",
+                      ]}
+                      headings={[
+                        "Store",
+                        "Status",
+                        "Created",
+                        "Updated",
+                        "Skipped",
+                        "Failed",
+                      ]}
+                      rows={selectedLogDetails.parsedSummary.targets.map(
+                        (target) => [
+                          target.shop,
+                          target.status.replace(/_/g, " "),
+                          target.created,
+                          target.updated,
+                          target.skipped,
+                          target.failed,
+                        ],
+                      )}
+                    />
+                  </BlockStack>
+                </Card>
+              )}
+
+              {selectedLogDetails.parsedFailedItems?.length > 0 && (
+                <Card>
+                  <BlockStack gap="300">
+                    <Text variant="headingMd" as="h3">
+                      Failed Items
+                    </Text>
+                    <Text variant="bodySm" color="subdued">
+                      "Retry failed" re-runs the sync for these items only
+                    </Text>
+                    <DataTable
+                      columnContentTypes={["text", "text", "text"]}
+                      headings={["Type", "Item", "Error"]}
+                      rows={selectedLogDetails.parsedFailedItems.map((item) => [
+                        item.resourceType,
+                        item.label || item.key || item.id,
+                        item.error || "",
+                      ])}
+                    />
+                  </BlockStack>
+                </Card>
+              )}
+
               {/* Show key operations summary */}
               {selectedLogDetails.parsedLogs &&
                 selectedLogDetails.parsedLogs.length > 0 && (
@@ -2440,3 +3069,99 @@ export default function DataSync() {
     </Page>
   );
 }
+
+// Shortened JSON value for a before/after diff cell
+function formatPlanValue(value) {
+  if (value === null || value === undefined) return "(empty)";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+}
+
+const PLAN_ACTION_TONES = {
+  create: "success",
+  update: "attention",
+  archive: "warning",
+  delete: "critical",
+};
+
+function SyncPlanReview({ plan }) {
+  const summary = plan.summary || {};
+  const changes = (plan.items || []).filter((item) => item.action !== "skip");
+  const skipped = (plan.items || []).filter(
+    (item) => item.action === "skip" && item.reason !== "No changes",
+  );
+
+  return (
+    <BlockStack gap="400">
+      <InlineStack gap="200">
+        <Badge tone="success">{`${summary.create || 0} to create`}</Badge>
+        <Badge tone="attention">{`${summary.update || 0} to update`}</Badge>
+        {summary.archive > 0 && (
+          <Badge tone="warning">{`${summary.archive} to archive`}</Badge>
+        )}
+        {summary.delete > 0 && (
+          <Badge tone="critical">{`${summary.delete} to delete`}</Badge>
+        )}
+        <Badge>{`${summary.skip || 0} unchanged or skipped`}</Badge>
+      </InlineStack>
+      <Text variant="bodySm" color="subdued">
+        Applying runs the sync again and only writes these changes. Anything
+        that changed in either store since the preview is skipped.
+      </Text>
+
+      {changes.length === 0 ? (
+        <Text variant="bodyMd">Staging already matches production.</Text>
+      ) : (
+        <Scrollable style={{ height: "400px" }}>
+          <BlockStack gap="300">
+            {changes.map((item) => (
+              <Box
+                key={`${item.resourceType}:${item.key}`}
+                padding="200"
+                background="bg-surface-secondary"
+                borderRadius="100"
+              >
+                <BlockStack gap="100">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Badge tone={PLAN_ACTION_TONES[item.action]}>
+                      {item.action}
+                    </Badge>
+                    <Text variant="bodyMd" fontWeight="semibold">
+                      {item.resourceType.replace(/_/g, " ")}: {item.label}
+                    </Text>
+                  </InlineStack>
+                  {item.changes.map((change) => (
+                    <Text key={change.field} variant="bodySm">
+                      <strong>{change.field}</strong>:{" "}
+                      {item.action === "delete"
+                        ? formatPlanValue(change.before)
+                        : `${item.action !== "create" ? `${formatPlanValue(change.before)} → ` : ""}${formatPlanValue(change.after)}`}
+                    </Text>
+                  ))}
+                </BlockStack>
+              </Box>
+            ))}
+          </BlockStack>
+        </Scrollable>
+      )}
+
+      {skipped.length > 0 && (
+        <BlockStack gap="100">
+          <Text variant="headingSm" as="h3">
+            Skipped
+          </Text>
+          {skipped.map((item) => (
+            <Text
+              key={`${item.resourceType}:${item.key}`}
+              variant="bodySm"
+              color="subdued"
+            >
+              {item.resourceType.replace(/_/g, " ")}: {item.label} —{" "}
+              {item.reason}
+            </Text>
+          ))}
+        </BlockStack>
+      )}
+    </BlockStack>
+  );
+}
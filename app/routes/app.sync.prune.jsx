@@ -0,0 +1,67 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  getPruneSettings,
+  savePruneSetting,
+} from "../services/sync-prune-settings.server";
+import { getSyncType } from "../utils/sync-types";
+
+async function getConnection(session, connectionId) {
+  if (!connectionId) return null;
+  const connection = await prisma.storeConnection.findUnique({
+    where: { id: connectionId },
+  });
+  return connection && connection.shop === session.shop ? connection : null;
+}
+
+// Settings keyed by sync type, with the policies each type supports
+async function loadSettings(connectionId) {
+  const settings = await getPruneSettings(connectionId);
+  return Object.fromEntries(
+    Object.entries(settings).map(([syncType, setting]) => [
+      syncType,
+      { ...setting, policies: getSyncType(syncType).prune.policies },
+    ]),
+  );
+}
+
+// Resource route for the per-type prune settings shown on the Sync page
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const connection = await getConnection(
+    session,
+    url.searchParams.get("connectionId"),
+  );
+
+  if (!connection) {
+    return { error: "Invalid connection", settings: {} };
+  }
+
+  return { settings: await loadSettings(connection.id) };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const connection = await getConnection(session, formData.get("connectionId"));
+  const syncType = formData.get("syncType");
+
+  if (!connection) {
+    return { error: "Invalid connection", settings: {} };
+  }
+  if (!getSyncType(syncType)?.prune) {
+    return {
+      error: `Pruning is not supported for ${syncType}`,
+      settings: await loadSettings(connection.id),
+    };
+  }
+
+  await savePruneSetting(connection.id, syncType, {
+    enabled: formData.get("enabled") === "true",
+    policy: formData.get("policy"),
+    maxPercent: formData.get("maxPercent"),
+  });
+
+  return { settings: await loadSettings(connection.id) };
+};
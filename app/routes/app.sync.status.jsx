@@ -1,5 +1,7 @@
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { parseStoredPlan } from "../services/sync-preview.server";
+import { canPauseSyncJob } from "../services/sync-queue.server";
 
 // Resource route used for polling background sync status
 export const loader = async ({ request }) => {
@@ -41,11 +43,17 @@ export const loader = async ({ request }) => {
     return new Response(
       JSON.stringify({
         id: log.id,
+        syncType: log.syncType,
         status: log.status,
         startedAt: log.startedAt,
         completedAt: log.completedAt,
         summary,
         logs,
+        dryRun: log.dryRun,
+        plan: parseStoredPlan(log),
+        // Only runs that resume from where they stopped offer Pause
+        pausable:
+          log.status === "in_progress" && (await canPauseSyncJob(log.id)),
       }),
       {
         status: 200,
@@ -0,0 +1,114 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getSyncStatus, runSyncType } from "../services/sync-runner.server";
+import { getFailedItemsLogData } from "../services/sync-retry.server";
+import { getFieldPolicyOptions } from "../services/sync-field-policy-settings.server";
+import { getConflictOptions } from "../services/sync-conflict-settings.server";
+import { parseSyncTarget } from "../services/sync-target.server";
+import { getSyncType } from "../utils/sync-types";
+
+// Resource route syncing a single product, collection, page, menu or
+// metaobject, used by the Sync page and the Mapped Elements rows
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const syncType = formData.get("syncType");
+  const target = parseSyncTarget(formData.get("target"));
+
+  if (!getSyncType(syncType)?.target) {
+    return { error: `Single-resource sync is not supported for ${syncType}` };
+  }
+  if (!target) {
+    return { error: "Enter a handle or production GID to sync" };
+  }
+
+  const connectionId = formData.get("connectionId");
+  const connection = connectionId
+    ? await prisma.storeConnection.findUnique({ where: { id: connectionId } })
+    : null;
+  if (!connection || connection.shop !== session.shop) {
+    return { error: "Invalid connection" };
+  }
+
+  const { decrypt } = await import("../utils/encryption.server");
+  const decryptedToken = decrypt(connection.encryptedToken);
+  if (!decryptedToken) {
+    return {
+      error:
+        "Failed to decrypt access token. Please go to Settings and update this connection with a new access token.",
+    };
+  }
+
+  const targetLabel = target.id || target.key;
+  const syncLog = await prisma.syncLog.create({
+    data: {
+      shop: session.shop,
+      connectionId: connection.id,
+      syncType,
+      status: "in_progress",
+      target: targetLabel,
+      startedAt: new Date(),
+    },
+  });
+
+  // Runs within the request: the paged fetch with a search query returns
+  // just the target, and other resources are skipped by the sync loop.
+  // Field policies and the conflict strategy apply, unless the Conflicts
+  // page asks to overwrite; watermarks and pruning are left alone.
+  const conflicts =
+    formData.get("overwrite") === "true"
+      ? { conflicts: { strategy: "overwrite" } }
+      : await getConflictOptions(connection.id, syncType);
+  let result;
+  try {
+    result = await runSyncType(syncType, {
+      productionStore: connection.storeDomain,
+      accessToken: decryptedToken,
+      stagingAdmin: admin,
+      connectionId: connection.id,
+      options: {
+        ...(await getFieldPolicyOptions(connection.id, syncType)),
+        ...conflicts,
+        fetchMode: "paged",
+        targets: [target],
+      },
+    });
+  } catch (error) {
+    result = {
+      summary: { total: 0, failed: 1, errors: [error.message] },
+      log: [],
+    };
+  }
+
+  const found = result.summary?.total > 0;
+  const status = found ? getSyncStatus(result.summary) : "failed";
+  const failedItems = getFailedItemsLogData(result);
+
+  await prisma.syncLog.update({
+    where: { id: syncLog.id },
+    data: {
+      status,
+      summary: JSON.stringify(result.summary || {}),
+      logs: JSON.stringify(result.logs || result.log || []),
+      ...failedItems,
+      completedAt: new Date(),
+    },
+  });
+
+  if (!found) {
+    return {
+      error:
+        result.summary?.errors?.[0] ||
+        `No production resource found for "${targetLabel}"`,
+      logId: syncLog.id,
+    };
+  }
+
+  return {
+    success: status === "success" || status === "partially_successful",
+    logId: syncLog.id,
+    syncType,
+    target: targetLabel,
+    summary: result.summary,
+  };
+};
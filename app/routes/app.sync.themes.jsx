@@ -0,0 +1,46 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  getProductionThemes,
+  getStagingThemes,
+} from "../services/sync.themes.server";
+
+// Resource route listing production and staging themes for the theme sync picker
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const connectionId = url.searchParams.get("connectionId");
+
+  if (!connectionId) {
+    return { error: "Missing connectionId", productionThemes: [], stagingThemes: [] };
+  }
+
+  const connection = await prisma.storeConnection.findUnique({
+    where: { id: connectionId },
+  });
+
+  if (!connection || connection.shop !== session.shop) {
+    return { error: "Invalid connection", productionThemes: [], stagingThemes: [] };
+  }
+
+  const { decrypt } = await import("../utils/encryption.server");
+  const decryptedToken = decrypt(connection.encryptedToken);
+  if (!decryptedToken) {
+    return {
+      error: "Failed to decrypt access token",
+      productionThemes: [],
+      stagingThemes: [],
+    };
+  }
+
+  try {
+    const [productionThemes, stagingThemes] = await Promise.all([
+      getProductionThemes(connection.storeDomain, decryptedToken),
+      getStagingThemes(admin),
+    ]);
+    return { productionThemes, stagingThemes };
+  } catch (error) {
+    console.error("Error fetching themes:", error);
+    return { error: error.message, productionThemes: [], stagingThemes: [] };
+  }
+};
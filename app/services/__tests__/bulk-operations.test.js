@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { parseJsonLines, runBulkQuery } from "../bulk-operations.server.js";
+
+async function* chunksOf(...chunks) {
+  yield* chunks;
+}
+
+async function collect(generator) {
+  const items = [];
+  for await (const item of generator) items.push(item);
+  return items;
+}
+
+describe("parseJsonLines", () => {
+  it("yields one object per line", async () => {
+    const lines = await collect(
+      parseJsonLines(chunksOf('{"id":1}\n{"id":2}\n')),
+    );
+    expect(lines).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+
+  it("joins lines split across chunks", async () => {
+    const lines = await collect(
+      parseJsonLines(chunksOf('{"id":1}\n{"ti', 'tle":"Tee"}\n{"id"', ":3}")),
+    );
+    expect(lines).toEqual([{ id: 1 }, { title: "Tee" }, { id: 3 }]);
+  });
+
+  it("decodes multi-byte characters split across byte chunks", async () => {
+    const bytes = new TextEncoder().encode('{"title":"Café"}\n');
+    const split = bytes.indexOf(0xc3) + 1;
+    const lines = await collect(
+      parseJsonLines(chunksOf(bytes.slice(0, split), bytes.slice(split))),
+    );
+    expect(lines).toEqual([{ title: "Café" }]);
+  });
+
+  it("skips blank lines", async () => {
+    const lines = await collect(parseJsonLines(chunksOf('\n{"id":1}\n\n')));
+    expect(lines).toEqual([{ id: 1 }]);
+  });
+});
+
+describe("runBulkQuery", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("waits for a bulk query that is already running and starts again", async () => {
+    let starts = 0;
+    const fetchMock = vi.fn(async (url, init) => {
+      if (url === "https://storage.example/result.jsonl") {
+        return new Response('{"id":1}\n');
+      }
+      const { query, variables } = JSON.parse(init.body);
+      let data;
+      if (query.includes("bulkOperationRunQuery")) {
+        starts++;
+        data = {
+          bulkOperationRunQuery:
+            starts === 1
+              ? {
+                  bulkOperation: null,
+                  userErrors: [
+                    {
+                      message: "A bulk query operation is already in progress",
+                      code: "OPERATION_IN_PROGRESS",
+                    },
+                  ],
+                }
+              : {
+                  bulkOperation: { id: "gid://shopify/BulkOperation/2" },
+                  userErrors: [],
+                },
+        };
+      } else if (query.includes("currentBulkOperation")) {
+        data = {
+          currentBulkOperation: {
+            id: "gid://shopify/BulkOperation/1",
+            status: "RUNNING",
+          },
+        };
+      } else {
+        data = {
+          node: {
+            id: variables.id,
+            status: "COMPLETED",
+            url: "https://storage.example/result.jsonl",
+          },
+        };
+      }
+      return new Response(JSON.stringify({ data }));
+    });
+    vi.stubGlobal("fetch", fetchMock);
+
+    const lines = await collect(
+      await runBulkQuery("prod.myshopify.com", "token", "{ products { id } }"),
+    );
+
+    expect(lines).toEqual([{ id: 1 }]);
+    expect(starts).toBe(2);
+    const polled = fetchMock.mock.calls
+      .map(([, init]) => init && JSON.parse(init.body))
+      .filter((body) => body?.query.includes("GetBulkOperation("))
+      .map((body) => body.variables.id);
+    expect(polled).toEqual([
+      "gid://shopify/BulkOperation/1",
+      "gid://shopify/BulkOperation/2",
+    ]);
+  });
+});
@@ -0,0 +1,281 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  createProductionClient,
+  getRetryDelay,
+  getThrottleDelay,
+  isThrottledError,
+  withGraphqlCost,
+  withProductionCache,
+  wrapStagingAdmin,
+} from "../graphql-client.server.js";
+
+const cost = (currentlyAvailable, requestedQueryCost = 10) => ({
+  cost: {
+    requestedQueryCost,
+    actualQueryCost: requestedQueryCost,
+    throttleStatus: {
+      maximumAvailable: 2000,
+      currentlyAvailable,
+      restoreRate: 100,
+    },
+  },
+});
+
+const throttledBody = {
+  errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+  extensions: {
+    cost: {
+      requestedQueryCost: 500,
+      actualQueryCost: null,
+      throttleStatus: {
+        maximumAvailable: 2000,
+        currentlyAvailable: 300,
+        restoreRate: 100,
+      },
+    },
+  },
+};
+
+const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status });
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("getThrottleDelay", () => {
+  const bucket = {
+    maximumAvailable: 2000,
+    currentlyAvailable: 100,
+    restoreRate: 100,
+    updatedAt: 0,
+  };
+
+  it("does not wait before the first response reports a status", () => {
+    expect(
+      getThrottleDelay({ currentlyAvailable: null, restoreRate: null }, 500),
+    ).toBe(0);
+  });
+
+  it("waits for the bucket to refill to the query cost", () => {
+    expect(getThrottleDelay(bucket, 300, 0)).toBe(2000);
+  });
+
+  it("accounts for points restored since the last response", () => {
+    expect(getThrottleDelay(bucket, 300, 1500)).toBe(500);
+    expect(getThrottleDelay(bucket, 300, 5000)).toBe(0);
+  });
+
+  it("never waits for more than a full bucket", () => {
+    expect(getThrottleDelay(bucket, 5000, 0)).toBe(19000);
+  });
+});
+
+describe("isThrottledError", () => {
+  it("detects THROTTLED error codes", () => {
+    expect(isThrottledError(throttledBody.errors)).toBe(true);
+    expect(isThrottledError([{ message: "Access denied" }])).toBe(false);
+    expect(isThrottledError(undefined)).toBe(false);
+  });
+});
+
+describe("getRetryDelay", () => {
+  it("backs off exponentially up to a cap", () => {
+    expect(getRetryDelay(0)).toBe(1000);
+    expect(getRetryDelay(2)).toBe(4000);
+    expect(getRetryDelay(10)).toBe(30000);
+  });
+});
+
+describe("createProductionClient", () => {
+  it("retries THROTTLED responses once the bucket has refilled", async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(throttledBody))
+      .mockResolvedValueOnce(
+        jsonResponse({
+          data: { shop: { name: "Prod" } },
+          extensions: cost(1500, 500),
+        }),
+      );
+    vi.stubGlobal("fetch", fetchMock);
+
+    const sync = withGraphqlCost(async () => {
+      const client = createProductionClient("retry.myshopify.com", "token");
+      const response = await client.graphql("query { shop { name } }");
+      return { summary: { data: await response.json() }, log: [] };
+    });
+
+    const pending = sync();
+    await vi.runAllTimersAsync();
+    const { summary, log } = await pending;
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0]).toBe(
+      "https://retry.myshopify.com/admin/api/2025-07/graphql.json",
+    );
+    expect(summary.data.data.shop.name).toBe("Prod");
+    expect(summary.cost).toMatchObject({
+      requests: 2,
+      retries: 1,
+      throttled: 1,
+      requestedCost: 1000,
+      actualCost: 500,
+      waitedMs: 2000,
+    });
+    expect(log[0].message).toContain("2 requests");
+  });
+
+  it("retries 5xx responses with backoff", async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(new Response("oops", { status: 502 }))
+      .mockResolvedValueOnce(jsonResponse({ data: { ok: true } }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const client = createProductionClient("errors.myshopify.com", "token");
+    const pending = client.graphql("query { ok }", { variables: { a: 1 } });
+    await vi.runAllTimersAsync();
+    const body = await (await pending).json();
+
+    expect(body.data.ok).toBe(true);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({
+      query: "query { ok }",
+      variables: { a: 1 },
+    });
+  });
+});
+
+describe("wrapStagingAdmin", () => {
+  it("retries throttled GraphQL errors thrown by the admin client", async () => {
+    vi.useFakeTimers();
+    const throttledError = Object.assign(new Error("Throttled"), {
+      body: {
+        errors: { graphQLErrors: throttledBody.errors },
+        extensions: throttledBody.extensions,
+      },
+    });
+    const admin = {
+      graphql: vi
+        .fn()
+        .mockRejectedValueOnce(throttledError)
+        .mockResolvedValueOnce(jsonResponse({ data: { ok: true } })),
+    };
+
+    const pending = wrapStagingAdmin(admin).graphql("query { ok }");
+    await vi.runAllTimersAsync();
+    const body = await (await pending).json();
+
+    expect(admin.graphql).toHaveBeenCalledTimes(2);
+    expect(body.data.ok).toBe(true);
+  });
+
+  it("rethrows errors that are not retriable", async () => {
+    const admin = {
+      graphql: vi.fn().mockRejectedValue(new Error("Access denied")),
+    };
+
+    await expect(
+      wrapStagingAdmin(admin).graphql("query { ok }"),
+    ).rejects.toThrow("Access denied");
+    expect(admin.graphql).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not wrap a client twice", () => {
+    const wrapped = wrapStagingAdmin({ graphql: vi.fn() });
+    expect(wrapStagingAdmin(wrapped)).toBe(wrapped);
+  });
+});
+
+describe("withGraphqlCost", () => {
+  it("adds nested run totals to the parent run", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => jsonResponse({ data: {}, extensions: cost(1900) })),
+    );
+    const client = createProductionClient("nested.myshopify.com", "token");
+
+    const inner = withGraphqlCost(async () => {
+      await client.graphql("query { a }");
+      return { summary: {}, log: [] };
+    });
+    const outer = withGraphqlCost(async () => {
+      await client.graphql("query { b }");
+      const result = await inner();
+      return { summary: { inner: result.summary.cost }, log: [] };
+    });
+
+    const { summary } = await outer();
+    expect(summary.inner.requests).toBe(1);
+    expect(summary.cost.requests).toBe(2);
+    expect(summary.cost.actualCost).toBe(20);
+  });
+});
+
+describe("withProductionCache", () => {
+  it("fetches a repeated production query once per run", async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({ data: { a: 1 } }));
+    vi.stubGlobal("fetch", fetchMock);
+    const client = createProductionClient("cache.myshopify.com", "token");
+
+    const bodies = await withProductionCache(async () => [
+      await (await client.graphql("query { a }")).json(),
+      await (await client.graphql("query { a }")).json(),
+      await (await client.graphql("query { a }", { cache: false })).json(),
+      await (await client.graphql("mutation { a }")).json(),
+      await (await client.graphql("mutation { a }")).json(),
+    ]);
+
+    expect(bodies.every((body) => body.data.a === 1)).toBe(true);
+    // One cached query, the uncached one and both mutations
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+
+    await client.graphql("query { a }");
+    expect(fetchMock).toHaveBeenCalledTimes(5);
+  });
+
+  it("drops the least recently used responses beyond its size", async () => {
+    const fetchMock = vi.fn(async (url, init) =>
+      jsonResponse({ data: { query: JSON.parse(init.body).query } }),
+    );
+    vi.stubGlobal("fetch", fetchMock);
+    const client = createProductionClient("cache.myshopify.com", "token");
+    const queried = () =>
+      fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body).query);
+
+    // Room for two of these responses
+    await withProductionCache(async () => {
+      await client.graphql("query { a }");
+      await client.graphql("query { b }");
+      await client.graphql("query { a }");
+      await client.graphql("query { c }");
+      await client.graphql("query { a }");
+      await client.graphql("query { b }");
+    }, 150);
+
+    expect(queried()).toEqual([
+      "query { a }",
+      "query { b }",
+      "query { c }",
+      "query { b }",
+    ]);
+  });
+
+  it("does not cache responses with errors", async () => {
+    const fetchMock = vi.fn(async () =>
+      jsonResponse({ errors: [{ message: "Boom" }] }),
+    );
+    vi.stubGlobal("fetch", fetchMock);
+    const client = createProductionClient("cache.myshopify.com", "token");
+
+    await withProductionCache(async () => {
+      await client.graphql("query { a }");
+      await client.graphql("query { a }");
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
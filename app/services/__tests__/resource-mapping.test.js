@@ -101,6 +101,15 @@ describe("normalizeResourceType", () => {
     );
   });
 
+  it("maps discount nodes to discount", () => {
+    expect(normalizeResourceType("DiscountCodeNode")).toBe("discount");
+    expect(normalizeResourceType("DiscountAutomaticNode")).toBe("discount");
+  });
+
+  it("maps DeliveryProfile to delivery_profile", () => {
+    expect(normalizeResourceType("DeliveryProfile")).toBe("delivery_profile");
+  });
+
   it("maps Page to page", () => {
     expect(normalizeResourceType("Page")).toBe("page");
   });
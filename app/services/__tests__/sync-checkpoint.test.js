@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import {
+  getResumeCursor,
+  getResumeIndex,
+  getResumeLogEntry,
+} from "../sync-checkpoint.server.js";
+
+describe("getResumeIndex", () => {
+  it("starts fresh runs at the first item", () => {
+    expect(getResumeIndex()).toBe(0);
+    expect(getResumeIndex({ dryRun: true })).toBe(0);
+  });
+
+  it("resumes from the checkpointed index", () => {
+    expect(getResumeIndex({ checkpoint: { index: 42 } })).toBe(42);
+  });
+
+  it("ignores malformed checkpoints", () => {
+    expect(getResumeIndex({ checkpoint: { index: -3 } })).toBe(0);
+    expect(getResumeIndex({ checkpoint: { index: "12" } })).toBe(0);
+    expect(getResumeIndex({ checkpoint: { cursor: "abc" } })).toBe(0);
+  });
+});
+
+describe("getResumeCursor", () => {
+  it("returns the cursor a sync checkpointed", () => {
+    const cursor = { type: "COLLECTION", after: "abc", offset: 3 };
+    expect(getResumeCursor({ checkpoint: { cursor } })).toEqual(cursor);
+  });
+
+  it("starts fresh without an object cursor", () => {
+    expect(getResumeCursor()).toBeNull();
+    expect(getResumeCursor({ checkpoint: { index: 4 } })).toBeNull();
+    expect(getResumeCursor({ checkpoint: { cursor: "abc" } })).toBeNull();
+  });
+});
+
+describe("getResumeLogEntry", () => {
+  it("notes how many items are skipped", () => {
+    expect(getResumeLogEntry(12, "products").message).toContain(
+      "skipping the first 12 products",
+    );
+  });
+});
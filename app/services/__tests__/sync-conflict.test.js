@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  diffConflictFields,
+  hashConflictFields,
+  isChangedInStaging,
+  normalizeConflictStrategy,
+  parseSyncBaseline,
+  recordSyncBaseline,
+  shouldSkipForConflict,
+} from "../sync-conflict.server.js";
+import { createSyncPlan } from "../sync-plan.server.js";
+import {
+  getMappingByProductionGid,
+  getSyncConflict,
+  resolveSyncConflict,
+  saveSyncConflict,
+  updateMappingMetadata,
+} from "../resource-mapping.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  extractIdFromGid: (gid) => gid?.split("/").pop(),
+  getMappingByProductionGid: vi.fn(),
+  getSyncConflict: vi.fn(),
+  resolveSyncConflict: vi.fn(),
+  saveSyncConflict: vi.fn(),
+  updateMappingMetadata: vi.fn(),
+}));
+
+const synced = { title: "Shirt", status: "ACTIVE", tags: ["a"] };
+const edited = { ...synced, status: "DRAFT" };
+const production = { ...synced, title: "Shirt v2" };
+
+const baseline = (fields = synced, stagingUpdatedAt = "2026-10-01T00:00:00Z") =>
+  JSON.stringify({ contentHash: hashConflictFields(fields), stagingUpdatedAt });
+
+describe("normalizeConflictStrategy", () => {
+  it("keeps known strategies and defaults to off", () => {
+    expect(normalizeConflictStrategy("queue")).toBe("queue");
+    expect(normalizeConflictStrategy("merge")).toBe("off");
+    expect(normalizeConflictStrategy(undefined)).toBe("off");
+  });
+});
+
+describe("hashConflictFields", () => {
+  it("ignores key order and uncompared fields", () => {
+    expect(
+      hashConflictFields({
+        status: "ACTIVE",
+        title: "Shirt",
+        tags: ["a"],
+        metafields: { "custom.related": "gid://shopify/Product/1" },
+        products: ["hat"],
+      }),
+    ).toBe(hashConflictFields(synced));
+    expect(hashConflictFields(edited)).not.toBe(hashConflictFields(synced));
+  });
+});
+
+describe("parseSyncBaseline", () => {
+  it("reads the baseline from mapping metadata", () => {
+    expect(parseSyncBaseline(baseline())).toEqual({
+      contentHash: hashConflictFields(synced),
+      stagingUpdatedAt: "2026-10-01T00:00:00Z",
+    });
+  });
+
+  it("returns null without a baseline", () => {
+    expect(parseSyncBaseline(null)).toBeNull();
+    expect(parseSyncBaseline('{"selectedOptions":[]}')).toBeNull();
+    expect(parseSyncBaseline("not json")).toBeNull();
+  });
+});
+
+describe("isChangedInStaging", () => {
+  const stored = parseSyncBaseline(baseline());
+
+  it("is unchanged while updatedAt matches the baseline", () => {
+    expect(
+      isChangedInStaging(stored, {
+        updatedAt: "2026-10-01T00:00:00Z",
+        fields: edited,
+      }),
+    ).toBe(false);
+  });
+
+  it("compares content once updatedAt moved", () => {
+    const updatedAt = "2026-10-02T00:00:00Z";
+    expect(isChangedInStaging(stored, { updatedAt, fields: synced })).toBe(
+      false,
+    );
+    expect(isChangedInStaging(stored, { updatedAt, fields: edited })).toBe(
+      true,
+    );
+  });
+
+  it("is unchanged without a baseline", () => {
+    expect(isChangedInStaging(null, { fields: edited })).toBe(false);
+  });
+});
+
+describe("diffConflictFields", () => {
+  it("lists differing fields side by side, variant by variant", () => {
+    expect(
+      diffConflictFields(
+        {
+          title: "Shirt",
+          variants: {
+            "Size: S": { price: "10.00" },
+            "Size: M": { price: "12.00" },
+          },
+        },
+        {
+          title: "Shirt",
+          variants: {
+            "Size: S": { price: "9.00" },
+            "Size: M": { price: "12.00" },
+          },
+        },
+      ),
+    ).toEqual([
+      {
+        field: "Variant Size: S",
+        production: { price: "10.00" },
+        staging: { price: "9.00" },
+      },
+    ]);
+  });
+});
+
+describe("shouldSkipForConflict", () => {
+  let summary;
+  let log;
+
+  const check = (strategy, staging, options = {}) =>
+    shouldSkipForConflict(
+      { conflicts: { strategy }, ...options },
+      summary,
+      log,
+      createSyncPlan(options, log),
+      {
+        storeConnectionId: "conn-1",
+        resourceType: "product",
+        id: "gid://shopify/Product/1",
+        handle: "shirt",
+        label: "Shirt",
+        production,
+        staging: {
+          id: "gid://shopify/Product/99",
+          updatedAt: "2026-10-02T00:00:00Z",
+          fields: staging,
+        },
+      },
+    );
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    summary = { skipped: 0 };
+    log = [];
+    getMappingByProductionGid.mockResolvedValue({ metadata: baseline() });
+    getSyncConflict.mockResolvedValue(null);
+  });
+
+  it("does nothing when conflicts are off", async () => {
+    expect(await check("off", edited)).toBe(false);
+    expect(getMappingByProductionGid).not.toHaveBeenCalled();
+  });
+
+  it("lets unchanged staging resources through", async () => {
+    expect(await check("skip", synced)).toBe(false);
+    expect(summary.conflicts).toBeUndefined();
+  });
+
+  it("is not a conflict when staging was edited to match production", async () => {
+    expect(await check("skip", production)).toBe(false);
+  });
+
+  it("reports and overwrites with the overwrite strategy", async () => {
+    expect(await check("overwrite", edited)).toBe(false);
+    expect(summary.conflicts).toBe(1);
+    expect(summary.skipped).toBe(0);
+    expect(log[0].message).toContain("Overwriting staging edits");
+  });
+
+  it("skips and reports with the skip strategy", async () => {
+    expect(await check("skip", edited)).toBe(true);
+    expect(summary).toMatchObject({ conflicts: 1, skipped: 1 });
+    expect(saveSyncConflict).not.toHaveBeenCalled();
+  });
+
+  it("queues the conflict with both versions", async () => {
+    expect(await check("queue", edited)).toBe(true);
+    expect(saveSyncConflict).toHaveBeenCalledWith("conn-1", {
+      resourceType: "product",
+      productionGid: "gid://shopify/Product/1",
+      stagingGid: "gid://shopify/Product/99",
+      handle: "shirt",
+      title: "Shirt",
+      productionFields: production,
+      stagingFields: edited,
+    });
+  });
+
+  it("only plans the skip in a dry run", async () => {
+    expect(await check("queue", edited, { dryRun: true })).toBe(true);
+    expect(saveSyncConflict).not.toHaveBeenCalled();
+  });
+
+  it("skips resources whose staging version was kept", async () => {
+    getSyncConflict.mockResolvedValue({ id: "c1", status: "kept" });
+    expect(await check("queue", synced)).toBe(true);
+    expect(log[0].message).toContain("staging version kept");
+  });
+
+  it("resolves a stored conflict when overwriting", async () => {
+    getSyncConflict.mockResolvedValue({ id: "c1", status: "kept" });
+    expect(await check("overwrite", edited)).toBe(false);
+    expect(resolveSyncConflict).toHaveBeenCalledWith("c1", "overwritten");
+  });
+});
+
+describe("recordSyncBaseline", () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const record = (options) =>
+    recordSyncBaseline(options, {
+      storeConnectionId: "conn-1",
+      resourceType: "page",
+      id: "gid://shopify/Page/1",
+      getStaging: vi.fn(async () => ({
+        updatedAt: "2026-10-02T00:00:00Z",
+        fields: synced,
+      })),
+    });
+
+  it("stores the staging hash and updatedAt in the mapping metadata", async () => {
+    await record({ conflicts: { strategy: "queue" } });
+    expect(updateMappingMetadata).toHaveBeenCalledWith(
+      "conn-1",
+      "page",
+      "gid://shopify/Page/1",
+      {
+        contentHash: hashConflictFields(synced),
+        stagingUpdatedAt: "2026-10-02T00:00:00Z",
+      },
+    );
+  });
+
+  it("records the baseline when conflicts are off", async () => {
+    await record({});
+    expect(updateMappingMetadata).toHaveBeenCalledTimes(1);
+  });
+
+  it("does nothing in a dry run", async () => {
+    await record({ dryRun: true });
+    await record({ conflicts: { strategy: "skip" }, dryRun: true });
+    expect(updateMappingMetadata).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { createSyncControl, shouldStopSync } from "../sync-control.server.js";
+
+const run = () => ({ summary: { total: 10, created: 3 }, log: [] });
+
+describe("createSyncControl", () => {
+  it("records the requested stop action", () => {
+    const control = createSyncControl();
+    expect(control.requested).toBeNull();
+
+    control.request("pause");
+    expect(control.requested).toBe("pause");
+  });
+
+  it("ignores unknown actions", () => {
+    const control = createSyncControl();
+    control.request("restart");
+    expect(control.requested).toBeNull();
+  });
+});
+
+describe("shouldStopSync", () => {
+  it("keeps going without a control or a stop request", () => {
+    const { summary, log } = run();
+
+    expect(shouldStopSync({}, summary, log, 3, "products")).toBe(false);
+    expect(
+      shouldStopSync(
+        { control: createSyncControl() },
+        summary,
+        log,
+        3,
+        "products",
+      ),
+    ).toBe(false);
+    expect(summary.stopped).toBeUndefined();
+    expect(log).toHaveLength(0);
+  });
+
+  it("records a cancellation with the partial counts", () => {
+    const { summary, log } = run();
+    const control = createSyncControl();
+    control.request("cancel");
+
+    expect(shouldStopSync({ control }, summary, log, 4, "products")).toBe(true);
+    expect(summary).toEqual({
+      total: 10,
+      created: 3,
+      stopped: "cancelled",
+      stoppedAt: 4,
+    });
+    expect(log[0].message).toContain("cancelled after 4 products");
+  });
+
+  it("records where a paused run resumes", () => {
+    const { summary, log } = run();
+    const control = createSyncControl();
+    control.request("pause");
+
+    shouldStopSync({ control }, summary, log, 7, "files");
+
+    expect(summary.stopped).toBe("paused");
+    expect(summary.stoppedAt).toBe(7);
+  });
+
+  it("records the cursor of a sync that walks several lists", () => {
+    const { summary, log } = run();
+    const control = createSyncControl();
+    control.request("pause");
+    const checkpoint = { cursor: { type: "COLLECTION", after: "abc" } };
+
+    shouldStopSync({ control }, summary, log, 12, "resources", checkpoint);
+
+    expect(summary.stoppedAt).toBe(12);
+    expect(summary.checkpoint).toEqual(checkpoint);
+  });
+});
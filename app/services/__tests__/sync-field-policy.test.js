@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyFieldPolicies,
+  normalizeFieldPolicies,
+  shouldSyncField,
+} from "../sync-field-policy.server.js";
+
+describe("normalizeFieldPolicies", () => {
+  it("defaults every field to always", () => {
+    const policies = normalizeFieldPolicies([
+      { resourceType: "variant", field: "price", policy: "never" },
+      { resourceType: "product", field: "status", policy: "create" },
+      { resourceType: "product", field: "tags", policy: "sometimes" },
+      { resourceType: "product", field: "title", policy: "never" },
+    ]);
+
+    expect(policies.variant.price).toBe("never");
+    expect(policies.product.status).toBe("create");
+    expect(policies.product.tags).toBe("always");
+    expect(policies.product.title).toBeUndefined();
+    expect(policies.page).toEqual({
+      body: "always",
+      isPublished: "always",
+      templateSuffix: "always",
+    });
+  });
+});
+
+describe("shouldSyncField", () => {
+  const policies = { product: { status: "create", tags: "never" } };
+
+  it("applies the field's policy to creates and updates", () => {
+    expect(shouldSyncField(policies, "product", "status", "create")).toBe(true);
+    expect(shouldSyncField(policies, "product", "status", "update")).toBe(
+      false,
+    );
+    expect(shouldSyncField(policies, "product", "tags", "create")).toBe(false);
+    expect(shouldSyncField(policies, "product", "vendor", "update")).toBe(true);
+    expect(shouldSyncField(undefined, "page", "body", "update")).toBe(true);
+  });
+});
+
+describe("applyFieldPolicies", () => {
+  it("removes the fields that don't sync from a staging input", () => {
+    const input = {
+      id: "gid://shopify/Product/1",
+      title: "Shirt",
+      status: "ACTIVE",
+      tags: ["summer"],
+      vendor: "Acme",
+    };
+    const policies = { product: { status: "create", tags: "never" } };
+
+    expect(applyFieldPolicies(input, policies, "product", "update")).toEqual({
+      id: "gid://shopify/Product/1",
+      title: "Shirt",
+      vendor: "Acme",
+    });
+    expect(applyFieldPolicies(input, policies, "product", "create")).toEqual({
+      id: "gid://shopify/Product/1",
+      title: "Shirt",
+      status: "ACTIVE",
+      vendor: "Acme",
+    });
+    expect(input.status).toBe("ACTIVE");
+  });
+
+  it("removes nested variant fields without touching the original", () => {
+    const input = {
+      price: "10.00",
+      sku: "SKU-1",
+      inventoryItem: { sku: "SKU-1", tracked: true, cost: "4.00" },
+    };
+    const policies = { variant: { sku: "never", cost: "never" } };
+
+    expect(applyFieldPolicies(input, policies, "variant", "update")).toEqual({
+      price: "10.00",
+      inventoryItem: { tracked: true },
+    });
+    expect(input.inventoryItem.sku).toBe("SKU-1");
+  });
+
+  it("removes plan fields stored under another name", () => {
+    const fields = { title: "Summer", imageAltText: "Beach" };
+    const policies = { collection: { image: "never" } };
+
+    expect(
+      applyFieldPolicies(fields, policies, "collection", "update"),
+    ).toEqual({ title: "Summer" });
+    expect(applyFieldPolicies(null, policies, "collection", "update")).toBe(
+      null,
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import {
+  getExcludingPattern,
+  matchesHandlePattern,
+  normalizeSyncFilter,
+  shouldExcludeFromSync,
+} from "../sync-filter.server.js";
+import { createSyncPlan } from "../sync-plan.server.js";
+
+describe("normalizeSyncFilter", () => {
+  it("trims the query and splits exclusion patterns", () => {
+    expect(
+      normalizeSyncFilter({
+        query: "  status:active vendor:Acme ",
+        exclude: "test-*\n\n *-old , sample",
+      }),
+    ).toEqual({
+      query: "status:active vendor:Acme",
+      exclude: ["test-*", "*-old", "sample"],
+    });
+  });
+
+  it("defaults to no filter", () => {
+    expect(normalizeSyncFilter()).toEqual({ query: "", exclude: [] });
+    expect(normalizeSyncFilter({ exclude: ["a", " "] }).exclude).toEqual(["a"]);
+  });
+});
+
+describe("matchesHandlePattern", () => {
+  it("matches whole handles with * wildcards", () => {
+    expect(matchesHandlePattern("test-shirt", "test-*")).toBe(true);
+    expect(matchesHandlePattern("shirt-old", "*-old")).toBe(true);
+    expect(matchesHandlePattern("my-test-shirt", "test-*")).toBe(false);
+    expect(matchesHandlePattern("sample", "sample")).toBe(true);
+    expect(matchesHandlePattern("samples", "sample")).toBe(false);
+  });
+
+  it("treats other characters literally", () => {
+    expect(matchesHandlePattern("a.b", "a.b")).toBe(true);
+    expect(matchesHandlePattern("axb", "a.b")).toBe(false);
+  });
+});
+
+describe("getExcludingPattern", () => {
+  it("returns the first pattern excluding the handle", () => {
+    const options = { filter: { exclude: ["test-*", "*-old"] } };
+
+    expect(getExcludingPattern(options, "shirt-old")).toBe("*-old");
+    expect(getExcludingPattern(options, "shirt")).toBeNull();
+    expect(getExcludingPattern({}, "shirt")).toBeNull();
+  });
+});
+
+describe("shouldExcludeFromSync", () => {
+  it("skips, logs and plans excluded resources", () => {
+    const options = { dryRun: true, filter: { exclude: ["test-*"] } };
+    const summary = { skipped: 0 };
+    const log = [];
+    const plan = createSyncPlan(options, log);
+    const item = { resourceType: "product", handle: "test-shirt" };
+
+    expect(shouldExcludeFromSync(options, summary, log, plan, item)).toBe(true);
+    expect(summary.skipped).toBe(1);
+    expect(log.at(-1).message).toContain('excluded by handle pattern "test-*"');
+    expect(plan.toJSON().items).toEqual([
+      expect.objectContaining({ key: "test-shirt", action: "skip" }),
+    ]);
+  });
+
+  it("lets other resources through", () => {
+    const options = { filter: { exclude: ["test-*"] } };
+    const summary = { skipped: 0 };
+    const log = [];
+    const plan = createSyncPlan(options, log);
+
+    expect(
+      shouldExcludeFromSync(options, summary, log, plan, {
+        resourceType: "product",
+        handle: "shirt",
+      }),
+    ).toBe(false);
+    expect(summary.skipped).toBe(0);
+    expect(log).toEqual([]);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { normalizeGroupSyncTypes, runSyncGroup } from "../sync-group.server.js";
+import { createProductionClient } from "../graphql-client.server.js";
+import { runSyncType } from "../sync-runner.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({}));
+vi.mock("../sync-runner.server.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  runSyncType: vi.fn(),
+}));
+
+const jsonResponse = (body) => new Response(JSON.stringify(body));
+
+const target = (shop, extra = {}) => ({
+  shop,
+  connectionId: `conn-${shop}`,
+  stagingAdmin: { graphql: vi.fn() },
+  ...extra,
+});
+
+const runGroup = (targets, options = {}) =>
+  runSyncGroup("pages", {
+    productionStore: "prod.myshopify.com",
+    accessToken: "token",
+    targets,
+    options,
+  });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("normalizeGroupSyncTypes", () => {
+  it("keeps supported sync types in run order", () => {
+    expect(
+      normalizeGroupSyncTypes(["pages", "themes", "products", "nope"]),
+    ).toEqual(["products", "pages"]);
+  });
+});
+
+describe("runSyncGroup", () => {
+  it("fetches production once for all target stores", async () => {
+    const fetchMock = vi.fn(async () =>
+      jsonResponse({ data: { pages: { nodes: [{ handle: "about" }] } } }),
+    );
+    vi.stubGlobal("fetch", fetchMock);
+    runSyncType.mockImplementation(async (syncType, { productionStore }) => {
+      const client = createProductionClient(productionStore, "token");
+      const body = await (
+        await client.graphql("query { pages { nodes { handle } } }")
+      ).json();
+      const total = body.data.pages.nodes.length;
+      return {
+        summary: { total, created: total, errors: [] },
+        log: [{ timestamp: "now", message: "Created page about" }],
+      };
+    });
+
+    const { summary, log } = await runGroup([target("a"), target("b")]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(runSyncType).toHaveBeenCalledTimes(2);
+    expect(summary).toMatchObject({ total: 2, created: 2, failed: 0 });
+    expect(summary.targets).toEqual([
+      expect.objectContaining({ shop: "a", status: "success", created: 1 }),
+      expect.objectContaining({ shop: "b", status: "success", created: 1 }),
+    ]);
+    expect(log).toContainEqual(
+      expect.objectContaining({
+        target: "b",
+        message: "b: Created page about",
+      }),
+    );
+  });
+
+  it("syncs each target through its own connection and options", async () => {
+    runSyncType.mockResolvedValue({ summary: { total: 0, errors: [] } });
+
+    await runGroup([target("a", { options: { filter: { query: "tag:a" } } })], {
+      syncGroupId: "group-1",
+      conflicts: { strategy: "skip" },
+    });
+
+    expect(runSyncType).toHaveBeenCalledWith(
+      "pages",
+      expect.objectContaining({
+        connectionId: "conn-a",
+        options: {
+          conflicts: { strategy: "skip" },
+          filter: { query: "tag:a" },
+        },
+      }),
+    );
+  });
+
+  it("reports unavailable and failing targets without stopping the others", async () => {
+    runSyncType.mockRejectedValueOnce(new Error("Boom")).mockResolvedValueOnce({
+      summary: {
+        total: 1,
+        updated: 1,
+        errors: [],
+        failedItems: [{ id: "x" }],
+      },
+      log: [],
+    });
+
+    const { summary } = await runGroup([
+      target("a", { stagingAdmin: undefined, error: "No session" }),
+      target("b"),
+      target("c"),
+    ]);
+
+    expect(runSyncType).toHaveBeenCalledTimes(2);
+    expect(summary.failed).toBe(2);
+    expect(summary.updated).toBe(1);
+    expect(summary.errors).toEqual(["a: No session", "b: Boom"]);
+    expect(summary.targets.map((t) => t.status)).toEqual([
+      "failed",
+      "failed",
+      "success",
+    ]);
+    expect(summary.failedItems).toBeUndefined();
+  });
+
+  it("stops at the target that was cancelled", async () => {
+    runSyncType.mockResolvedValue({
+      summary: { total: 3, created: 1, errors: [], stopped: "cancelled" },
+      log: [],
+    });
+
+    const { summary } = await runGroup([target("a"), target("b")]);
+
+    expect(runSyncType).toHaveBeenCalledTimes(1);
+    expect(summary.stopped).toBe("cancelled");
+  });
+});
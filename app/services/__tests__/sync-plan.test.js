@@ -0,0 +1,186 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  createSyncPlan,
+  diffFields,
+  stableStringify,
+  summarizePlan,
+  toMetafieldMap,
+} from "../sync-plan.server.js";
+
+const pageChange = (after, before = { title: "About", body: "<p>Hi</p>" }) => ({
+  resourceType: "page",
+  key: "about",
+  label: "About",
+  action: "update",
+  before,
+  after,
+});
+
+describe("stableStringify", () => {
+  it("ignores object key order and undefined values", () => {
+    expect(stableStringify({ b: 1, a: [1, { d: 2, c: undefined }] })).toBe(
+      stableStringify({ a: [1, { d: 2 }], b: 1 }),
+    );
+  });
+});
+
+describe("diffFields", () => {
+  it("lists only the fields that differ", () => {
+    expect(
+      diffFields(
+        { title: "Old", body: "Same", tags: ["a"] },
+        { title: "New", body: "Same", tags: ["a"] },
+      ),
+    ).toEqual([{ field: "title", before: "Old", after: "New" }]);
+  });
+
+  it("treats missing and null values as equal", () => {
+    expect(diffFields({ seo: null }, { seo: undefined })).toEqual([]);
+  });
+
+  it("compares only the requested fields", () => {
+    expect(diffFields({ a: 1, b: 1 }, { a: 2, b: 2 }, ["b"])).toEqual([
+      { field: "b", before: 1, after: 2 },
+    ]);
+  });
+
+  it("reports every field of a create", () => {
+    expect(diffFields(null, { title: "New" })).toEqual([
+      { field: "title", before: null, after: "New" },
+    ]);
+  });
+});
+
+describe("toMetafieldMap", () => {
+  it("accepts lists, nodes and edges", () => {
+    const metafield = { namespace: "custom", key: "color", value: "red" };
+    const expected = { "custom.color": "red" };
+    expect(toMetafieldMap([metafield])).toEqual(expected);
+    expect(toMetafieldMap({ nodes: [metafield] })).toEqual(expected);
+    expect(toMetafieldMap({ edges: [{ node: metafield }] })).toEqual(expected);
+    expect(toMetafieldMap(undefined)).toEqual({});
+  });
+});
+
+describe("summarizePlan", () => {
+  it("counts items by action", () => {
+    expect(
+      summarizePlan([
+        { action: "create" },
+        { action: "update" },
+        { action: "update" },
+        { action: "skip" },
+      ]),
+    ).toEqual({ create: 1, update: 2, skip: 1 });
+  });
+});
+
+describe("createSyncPlan", () => {
+  it("allows every change on a normal run without recording it", () => {
+    const plan = createSyncPlan();
+    expect(plan.active).toBe(false);
+    expect(plan.shouldApply(pageChange({ title: "New" }))).toBe(true);
+    expect(plan.toJSON().items).toEqual([]);
+  });
+
+  it("records changes instead of applying them in a dry run", () => {
+    const log = [];
+    const plan = createSyncPlan({ dryRun: true }, log);
+
+    expect(plan.shouldApply(pageChange({ title: "New" }))).toBe(false);
+    expect(
+      plan.shouldApply({
+        resourceType: "page",
+        key: "contact",
+        action: "create",
+        after: { title: "Contact" },
+      }),
+    ).toBe(false);
+
+    const { items, summary } = plan.toJSON();
+    expect(summary).toEqual({ create: 1, update: 1, skip: 0 });
+    expect(items[0]).toMatchObject({
+      resourceType: "page",
+      key: "about",
+      action: "update",
+      changes: [{ field: "title", before: "About", after: "New" }],
+    });
+    expect(items[0].fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(log.map((entry) => entry.message)).toEqual([
+      '📝 Would update page "About" (title)',
+      '📝 Would create page "contact"',
+    ]);
+  });
+
+  it("plans an update without changes as a skip", () => {
+    const log = [];
+    const plan = createSyncPlan({ dryRun: true }, log);
+
+    plan.shouldApply(pageChange({ title: "About" }));
+
+    expect(plan.toJSON().items[0]).toMatchObject({
+      action: "skip",
+      reason: "No changes",
+    });
+    expect(log).toEqual([]);
+  });
+
+  it("applies reviewed changes that still match the preview", () => {
+    const preview = createSyncPlan({ dryRun: true });
+    preview.shouldApply(pageChange({ title: "New" }));
+
+    const plan = createSyncPlan({ plan: preview.toJSON() });
+    expect(plan.active).toBe(true);
+    expect(plan.shouldApply(pageChange({ title: "New" }))).toBe(true);
+  });
+
+  it("skips changes that differ from the preview or were not reviewed", () => {
+    const preview = createSyncPlan({ dryRun: true });
+    preview.shouldApply(pageChange({ title: "New" }));
+
+    const log = [];
+    const plan = createSyncPlan({ plan: preview.toJSON() }, log);
+
+    expect(plan.shouldApply(pageChange({ title: "Newer" }))).toBe(false);
+    expect(
+      plan.shouldApply({ ...pageChange({ title: "New" }), key: "faq" }),
+    ).toBe(false);
+    expect(log.map((entry) => entry.message)).toEqual([
+      '⏭️ Skipped page "About": changed since the preview',
+      '⏭️ Skipped page "About": not in the reviewed plan',
+    ]);
+  });
+
+  it("records skipped resources and nested plans only in a dry run", () => {
+    const plan = createSyncPlan({ dryRun: true });
+    plan.skip({
+      resourceType: "discount",
+      key: "code:save10",
+      reason: "Unsupported type",
+    });
+    plan.merge({
+      plan: { items: [{ resourceType: "metafield_definition", key: "x" }] },
+    });
+    expect(plan.toJSON().items).toHaveLength(2);
+
+    const normal = createSyncPlan();
+    normal.skip({ resourceType: "discount", key: "code:save10" });
+    normal.merge({ plan: { items: [{ key: "x" }] } });
+    expect(normal.toJSON().items).toEqual([]);
+  });
+
+  it("blocks staging mutations during a dry run", async () => {
+    const admin = { graphql: vi.fn().mockResolvedValue("ok") };
+    const guarded = createSyncPlan({ dryRun: true }).guard(admin);
+
+    await expect(guarded.graphql("query { shop { id } }")).resolves.toBe("ok");
+    await expect(
+      guarded.graphql(`
+        mutation { pageCreate(page: {}) { page { id } } }
+      `),
+    ).rejects.toThrow("Staging mutations are disabled during a dry run");
+    expect(admin.graphql).toHaveBeenCalledTimes(1);
+
+    expect(createSyncPlan().guard(admin)).toBe(admin);
+  });
+});
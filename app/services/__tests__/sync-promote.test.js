@@ -0,0 +1,338 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  mapPromotionCandidates,
+  promoteToProduction,
+  translateToProduction,
+} from "../sync-promote.server.js";
+import {
+  getMappingByStagingGid,
+  saveMapping,
+} from "../resource-mapping.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  extractIdFromGid: (gid) => gid?.split("/").pop(),
+  getAllMappings: vi.fn(),
+  getMappingByStagingGid: vi.fn(),
+  saveMapping: vi.fn(),
+}));
+
+// Staging GID → production GID
+const MAPPINGS = {
+  "gid://shopify/Page/10": "gid://shopify/Page/1",
+  "gid://shopify/Product/20": "gid://shopify/Product/2",
+  "gid://shopify/Metaobject/31": "gid://shopify/Metaobject/5",
+};
+
+const getResourceType = (gid) =>
+  gid.includes("/Page/")
+    ? "page"
+    : gid.includes("/Metaobject/")
+      ? "metaobject"
+      : "product";
+
+const jsonResponse = (body) => new Response(JSON.stringify(body));
+
+const stagingPage = (id, handle) => ({
+  id,
+  title: `Page ${handle}`,
+  handle,
+  body: "<p>Staging copy</p>",
+  isPublished: true,
+  templateSuffix: null,
+});
+
+// Staging client answering reads of the given resources by ID
+const createStagingAdmin = (resources) => ({
+  graphql: vi.fn(async (query, { variables }) =>
+    jsonResponse({
+      data: Object.fromEntries(
+        Object.entries(resources).map(([field, byId]) => [
+          field,
+          byId[variables.id] || null,
+        ]),
+      ),
+    }),
+  ),
+});
+
+// Production API that knows the given page handles and records mutations.
+// Like Shopify's search, a handle query also matches similar handles.
+const stubProduction = (existingHandles = []) => {
+  const mutations = [];
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url, init) => {
+      const { query, variables } = JSON.parse(init.body);
+      if (query.includes("FindPage")) {
+        const [, term] = variables.query.match(/^handle:"(.*)"$/);
+        return jsonResponse({
+          data: {
+            pages: {
+              nodes: existingHandles
+                .filter((handle) => handle.includes(term))
+                .map((handle, index) => ({
+                  id: `gid://shopify/Page/${90 + index}`,
+                  handle,
+                })),
+            },
+          },
+        });
+      }
+
+      mutations.push({ query, variables });
+      const page = { id: variables.id || "gid://shopify/Page/3" };
+      return jsonResponse({
+        data: {
+          pageCreate: { page, userErrors: [] },
+          pageUpdate: { page, userErrors: [] },
+          metaobjectUpsert: {
+            metaobject: { id: "gid://shopify/Metaobject/3" },
+            userErrors: [],
+          },
+          metaobjectUpdate: {
+            metaobject: { id: variables.id },
+            userErrors: [],
+          },
+        },
+      });
+    }),
+  );
+  return mutations;
+};
+
+const promote = (syncType, stagingAdmin, ids) =>
+  promoteToProduction(
+    "prod.myshopify.com",
+    "token",
+    stagingAdmin,
+    "conn-1",
+    syncType,
+    ids,
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  getMappingByStagingGid.mockImplementation(async (connectionId, gid) =>
+    MAPPINGS[gid]
+      ? {
+          resourceType: getResourceType(gid),
+          productionGid: MAPPINGS[gid],
+        }
+      : null,
+  );
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("translateToProduction", () => {
+  it("replaces mapped staging GIDs and reports the others", async () => {
+    const result = await translateToProduction(
+      "conn-1",
+      JSON.stringify(["gid://shopify/Product/20", "gid://shopify/Product/201"]),
+    );
+
+    expect(JSON.parse(result.value)).toEqual([
+      "gid://shopify/Product/2",
+      "gid://shopify/Product/201",
+    ]);
+    expect(result.unmapped).toEqual(["gid://shopify/Product/201"]);
+  });
+
+  it("leaves values without GIDs alone", async () => {
+    expect(await translateToProduction("conn-1", "plain text")).toEqual({
+      value: "plain text",
+      unmapped: [],
+    });
+    expect(getMappingByStagingGid).not.toHaveBeenCalled();
+  });
+});
+
+describe("mapPromotionCandidates", () => {
+  it("marks mapped resources as updates and the rest as creates", () => {
+    expect(
+      mapPromotionCandidates(
+        [
+          { id: "gid://shopify/Page/10", key: "about" },
+          { id: "gid://shopify/Page/11", key: "new" },
+        ],
+        [
+          {
+            stagingGid: "gid://shopify/Page/10",
+            productionGid: "gid://shopify/Page/1",
+          },
+        ],
+      ),
+    ).toEqual([
+      {
+        id: "gid://shopify/Page/10",
+        key: "about",
+        productionGid: "gid://shopify/Page/1",
+        action: "update",
+      },
+      {
+        id: "gid://shopify/Page/11",
+        key: "new",
+        productionGid: null,
+        action: "create",
+      },
+    ]);
+  });
+});
+
+describe("promoteToProduction", () => {
+  it("updates the mapped production page", async () => {
+    const mutations = stubProduction();
+    const stagingAdmin = createStagingAdmin({
+      page: {
+        "gid://shopify/Page/10": stagingPage("gid://shopify/Page/10", "about"),
+      },
+    });
+
+    const { summary } = await promote("pages", stagingAdmin, [
+      "gid://shopify/Page/10",
+    ]);
+
+    expect(summary).toMatchObject({ updated: 1, created: 0, failed: 0 });
+    expect(mutations).toHaveLength(1);
+    expect(mutations[0].query).toContain("pageUpdate");
+    expect(mutations[0].variables.id).toBe("gid://shopify/Page/1");
+    expect(saveMapping).toHaveBeenCalledWith(
+      "conn-1",
+      "page",
+      expect.objectContaining({
+        productionGid: "gid://shopify/Page/1",
+        stagingGid: "gid://shopify/Page/10",
+        matchValue: "about",
+      }),
+    );
+  });
+
+  it("creates an unmapped page missing in production", async () => {
+    const mutations = stubProduction();
+    const stagingAdmin = createStagingAdmin({
+      page: {
+        "gid://shopify/Page/11": stagingPage("gid://shopify/Page/11", "new"),
+      },
+    });
+
+    const { summary } = await promote("pages", stagingAdmin, [
+      "gid://shopify/Page/11",
+    ]);
+
+    expect(summary).toMatchObject({ created: 1, failed: 0 });
+    expect(mutations[0].query).toContain("pageCreate");
+  });
+
+  it("never overwrites an unmapped production page", async () => {
+    const mutations = stubProduction(["contact"]);
+    const stagingAdmin = createStagingAdmin({
+      page: {
+        "gid://shopify/Page/12": stagingPage(
+          "gid://shopify/Page/12",
+          "contact",
+        ),
+      },
+    });
+
+    const { summary } = await promote("pages", stagingAdmin, [
+      "gid://shopify/Page/12",
+    ]);
+
+    expect(summary.failed).toBe(1);
+    expect(summary.errors[0]).toContain("already exists in production");
+    expect(mutations).toHaveLength(0);
+    expect(saveMapping).not.toHaveBeenCalled();
+  });
+
+  it("creates a page when production only has similar handles", async () => {
+    const mutations = stubProduction(["about-us", "about-team"]);
+    const stagingAdmin = createStagingAdmin({
+      page: {
+        "gid://shopify/Page/11": stagingPage("gid://shopify/Page/11", "about"),
+      },
+    });
+
+    const { summary } = await promote("pages", stagingAdmin, [
+      "gid://shopify/Page/11",
+    ]);
+
+    expect(summary).toMatchObject({ created: 1, failed: 0 });
+    expect(vi.mocked(fetch).mock.calls[0][1].body).toContain(
+      'handle:\\"about\\"',
+    );
+    expect(mutations[0].query).toContain("pageCreate");
+  });
+
+  it("updates the mapped production entry by ID", async () => {
+    const mutations = stubProduction();
+    const stagingAdmin = createStagingAdmin({
+      metaobject: {
+        "gid://shopify/Metaobject/31": {
+          id: "gid://shopify/Metaobject/31",
+          handle: "summer-renamed",
+          type: "lookbook",
+          displayName: "Summer",
+          capabilities: { publishable: { status: "ACTIVE" } },
+          fields: [
+            { key: "title", type: "single_line_text_field", value: "Hi" },
+          ],
+        },
+      },
+    });
+
+    const { summary } = await promote("metaobjects", stagingAdmin, [
+      "gid://shopify/Metaobject/31",
+    ]);
+
+    expect(summary).toMatchObject({ updated: 1, failed: 0 });
+    expect(mutations).toHaveLength(1);
+    expect(mutations[0].query).toContain("metaobjectUpdate");
+    expect(mutations[0].variables).toEqual({
+      id: "gid://shopify/Metaobject/5",
+      metaobject: {
+        handle: "summer-renamed",
+        capabilities: { publishable: { status: "ACTIVE" } },
+        fields: [{ key: "title", value: "Hi" }],
+      },
+    });
+  });
+
+  it("fails an entry whose references have no production counterpart", async () => {
+    const mutations = stubProduction();
+    vi.mocked(fetch).mockImplementationOnce(async () =>
+      jsonResponse({ data: { metaobjectByHandle: null } }),
+    );
+    const stagingAdmin = createStagingAdmin({
+      metaobject: {
+        "gid://shopify/Metaobject/30": {
+          id: "gid://shopify/Metaobject/30",
+          handle: "spring",
+          type: "lookbook",
+          displayName: "Spring",
+          fields: [
+            {
+              key: "hero",
+              type: "product_reference",
+              value: "gid://shopify/Product/20",
+            },
+            {
+              key: "extra",
+              type: "product_reference",
+              value: "gid://shopify/Product/21",
+            },
+          ],
+        },
+      },
+    });
+
+    const { summary } = await promote("metaobjects", stagingAdmin, [
+      "gid://shopify/Metaobject/30",
+    ]);
+
+    expect(summary.failed).toBe(1);
+    expect(summary.errors[0]).toContain("gid://shopify/Product/21");
+    expect(mutations).toHaveLength(0);
+  });
+});
@@ -0,0 +1,323 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  exceedsPruneCap,
+  findStaleMappings,
+  normalizePruneSetting,
+  pruneDeletedResources,
+  withPrune,
+} from "../sync-prune.server.js";
+import { createSyncPlan } from "../sync-plan.server.js";
+import { deleteMapping, getAllMappings } from "../resource-mapping.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  getAllMappings: vi.fn(),
+  deleteMapping: vi.fn(),
+}));
+
+const mapping = (id, title = `Product ${id}`) => ({
+  resourceType: "product",
+  productionId: String(id),
+  productionGid: `gid://shopify/Product/${id}`,
+  stagingGid: `gid://shopify/Product/${id}00`,
+  matchValue: `product-${id}`,
+  title,
+});
+
+const mappings = Array.from({ length: 10 }, (_, i) => mapping(i + 1));
+
+// Product mappings; dependent variant and inventory item mappings are empty
+const mockProductMappings = (productMappings) => {
+  getAllMappings.mockImplementation(async (connectionId, resourceType) =>
+    resourceType === "product" ? productMappings : [],
+  );
+};
+
+const jsonResponse = (body) => new Response(JSON.stringify(body));
+
+// Production `nodes` lookups answered from a list of existing product IDs
+const stubProduction = (existingIds) => {
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url, init) => {
+      const { variables } = JSON.parse(init.body);
+      return jsonResponse({
+        data: {
+          nodes: variables.ids.map((id) =>
+            existingIds.some((existing) => id.endsWith(`/${existing}`))
+              ? { id }
+              : null,
+          ),
+        },
+      });
+    }),
+  );
+};
+
+// Staging client whose `nodes` lookups return the given staging GIDs
+const createStagingAdmin = (existingGids) => ({
+  graphql: vi.fn(async (query, { variables }) => {
+    if (query.includes("nodes(ids:")) {
+      return jsonResponse({
+        data: {
+          nodes: variables.ids.map((id) =>
+            existingGids.includes(id)
+              ? { id, title: `Staging ${id}`, status: "ACTIVE" }
+              : null,
+          ),
+        },
+      });
+    }
+    return jsonResponse({
+      data: {
+        productDelete: { deletedProductId: variables.input.id, userErrors: [] },
+        productUpdate: { product: { id: variables.input.id }, userErrors: [] },
+      },
+    });
+  }),
+});
+
+const runPrune = (stagingAdmin, options, log = []) =>
+  pruneDeletedResources("products", {
+    productionStore: "prune.myshopify.com",
+    accessToken: "token",
+    stagingAdmin,
+    storeConnectionId: "conn-1",
+    options,
+    log,
+    plan: createSyncPlan(options, log),
+  });
+
+const mutationCalls = (stagingAdmin) =>
+  stagingAdmin.graphql.mock.calls.filter(([query]) =>
+    query.includes("mutation"),
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("normalizePruneSetting", () => {
+  it("falls back to the first supported policy and the default cap", () => {
+    expect(
+      normalizePruneSetting("navigation", {
+        enabled: true,
+        policy: "archive",
+        maxPercent: "250",
+      }),
+    ).toEqual({ enabled: true, policy: "delete", maxPercent: 10 });
+  });
+
+  it("keeps valid values", () => {
+    expect(
+      normalizePruneSetting("products", { policy: "archive", maxPercent: 25 }),
+    ).toEqual({ enabled: false, policy: "archive", maxPercent: 25 });
+  });
+
+  it("returns null for sync types that can't prune", () => {
+    expect(normalizePruneSetting("markets", { enabled: true })).toBeNull();
+  });
+});
+
+describe("findStaleMappings", () => {
+  it("separates deleted resources from staging resources relinked to a live mapping", () => {
+    const relinked = { ...mapping(3), stagingGid: mapping(1).stagingGid };
+    const { stale, relinked: relinkedMappings } = findStaleMappings(
+      [mapping(1), mapping(2), relinked],
+      new Set([mapping(1).productionGid]),
+    );
+
+    expect(stale).toEqual([mapping(2)]);
+    expect(relinkedMappings).toEqual([relinked]);
+  });
+});
+
+describe("exceedsPruneCap", () => {
+  it("aborts only above the allowed share", () => {
+    expect(exceedsPruneCap(1, 10, 10)).toBe(false);
+    expect(exceedsPruneCap(2, 10, 10)).toBe(true);
+    expect(exceedsPruneCap(0, 0, 0)).toBe(false);
+  });
+});
+
+describe("pruneDeletedResources", () => {
+  it("deletes staging resources removed from production and their mappings", async () => {
+    mockProductMappings(mappings);
+    stubProduction([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const stagingAdmin = createStagingAdmin([mapping(10).stagingGid]);
+
+    const summary = await runPrune(stagingAdmin, {
+      prune: { policy: "delete", maxPercent: 10 },
+    });
+
+    expect(summary).toMatchObject({
+      checked: 10,
+      stale: 1,
+      deleted: 1,
+      mappingsRemoved: 1,
+      aborted: false,
+    });
+    expect(mutationCalls(stagingAdmin)[0][1].variables).toEqual({
+      input: { id: mapping(10).stagingGid },
+    });
+    expect(deleteMapping).toHaveBeenCalledWith("conn-1", "product", "10");
+  });
+
+  it("archives instead of deleting when the policy says so", async () => {
+    mockProductMappings(mappings);
+    stubProduction([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const stagingAdmin = createStagingAdmin([mapping(10).stagingGid]);
+
+    const summary = await runPrune(stagingAdmin, {
+      prune: { policy: "archive", maxPercent: 10 },
+    });
+
+    expect(summary.archived).toBe(1);
+    expect(mutationCalls(stagingAdmin)[0][1].variables).toEqual({
+      input: { id: mapping(10).stagingGid, status: "ARCHIVED" },
+    });
+  });
+
+  it("aborts without changes above the safety cap", async () => {
+    mockProductMappings(mappings);
+    stubProduction([1, 2, 3, 4, 5, 6, 7, 8]);
+    const stagingAdmin = createStagingAdmin([
+      mapping(9).stagingGid,
+      mapping(10).stagingGid,
+    ]);
+    const log = [];
+
+    const summary = await runPrune(
+      stagingAdmin,
+      { prune: { policy: "delete", maxPercent: 10 } },
+      log,
+    );
+
+    expect(summary.aborted).toBe(true);
+    expect(summary.stale).toBe(2);
+    expect(mutationCalls(stagingAdmin)).toHaveLength(0);
+    expect(deleteMapping).not.toHaveBeenCalled();
+    expect(log.at(-1).message).toContain("10% safety cap");
+  });
+
+  it("aborts when production can't be checked", async () => {
+    mockProductMappings(mappings);
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () =>
+        jsonResponse({ errors: [{ message: "Access denied" }] }),
+      ),
+    );
+    const stagingAdmin = createStagingAdmin([]);
+
+    const summary = await runPrune(stagingAdmin, {
+      prune: { policy: "delete", maxPercent: 100 },
+    });
+
+    expect(summary.aborted).toBe(true);
+    expect(summary.errors[0]).toContain("Access denied");
+    expect(stagingAdmin.graphql).not.toHaveBeenCalled();
+  });
+
+  it("only removes the mapping when the staging resource is already gone", async () => {
+    mockProductMappings(mappings);
+    stubProduction([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const stagingAdmin = createStagingAdmin([]);
+
+    const summary = await runPrune(stagingAdmin, {
+      prune: { policy: "delete", maxPercent: 10 },
+    });
+
+    expect(summary).toMatchObject({ deleted: 0, mappingsRemoved: 1 });
+    expect(mutationCalls(stagingAdmin)).toHaveLength(0);
+  });
+
+  it("plans deletions without making them in a dry run", async () => {
+    mockProductMappings(mappings);
+    stubProduction([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const stagingAdmin = createStagingAdmin([mapping(10).stagingGid]);
+    const options = { dryRun: true, prune: { policy: "delete" } };
+    const log = [];
+    const plan = createSyncPlan(options, log);
+
+    const summary = await pruneDeletedResources("products", {
+      productionStore: "prune.myshopify.com",
+      accessToken: "token",
+      stagingAdmin,
+      storeConnectionId: "conn-1",
+      options,
+      log,
+      plan,
+    });
+
+    expect(summary.deleted).toBe(0);
+    expect(mutationCalls(stagingAdmin)).toHaveLength(0);
+    expect(deleteMapping).not.toHaveBeenCalled();
+    expect(plan.toJSON().items).toEqual([
+      expect.objectContaining({
+        resourceType: "product",
+        key: "product-10",
+        action: "delete",
+      }),
+    ]);
+  });
+});
+
+describe("withPrune", () => {
+  it("leaves runs without the prune option alone", async () => {
+    const runSync = vi.fn(async () => ({ summary: { errors: [] }, log: [] }));
+
+    const result = await withPrune("products", runSync)(
+      "prune.myshopify.com",
+      "token",
+      createStagingAdmin([]),
+    );
+
+    expect(result.summary.pruned).toBeUndefined();
+    expect(getAllMappings).not.toHaveBeenCalled();
+  });
+
+  it("doesn't prune after a cancelled or paused run", async () => {
+    const runSync = vi.fn(async () => ({
+      summary: { errors: [], stopped: "cancelled", stoppedAt: 2 },
+      log: [],
+    }));
+
+    const result = await withPrune("products", runSync)(
+      "prune.myshopify.com",
+      "token",
+      createStagingAdmin([]),
+      "conn-1",
+      () => {},
+      { prune: { policy: "delete", maxPercent: 100 } },
+    );
+
+    expect(result.summary.pruned).toBeUndefined();
+    expect(getAllMappings).not.toHaveBeenCalled();
+  });
+
+  it("adds the prune summary and plan items to the sync result", async () => {
+    mockProductMappings(mappings.slice(0, 1));
+    stubProduction([]);
+    const runSync = vi.fn(async () => ({
+      summary: { errors: [] },
+      log: [],
+      plan: { items: [], summary: {} },
+    }));
+
+    const result = await withPrune("products", runSync)(
+      "prune.myshopify.com",
+      "token",
+      createStagingAdmin([mapping(1).stagingGid]),
+      "conn-1",
+      () => {},
+      { dryRun: true, prune: { policy: "delete", maxPercent: 100 } },
+    );
+
+    expect(result.summary.pruned.stale).toBe(1);
+    expect(result.plan.summary.delete).toBe(1);
+  });
+});
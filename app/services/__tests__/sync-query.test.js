@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildSyncFetchQuery,
+  buildTargetsQuery,
+  buildUpdatedSinceQuery,
+} from "../sync-query.server.js";
+
+describe("buildUpdatedSinceQuery", () => {
+  it("returns null for a full fetch", () => {
+    expect(buildUpdatedSinceQuery(null)).toBeNull();
+  });
+
+  it("filters by updated_at using an ISO timestamp", () => {
+    expect(buildUpdatedSinceQuery(new Date("2026-03-01T12:00:00Z"))).toBe(
+      "updated_at:>'2026-03-01T12:00:00.000Z'",
+    );
+    expect(buildUpdatedSinceQuery("2026-03-01T12:00:00Z")).toBe(
+      "updated_at:>'2026-03-01T12:00:00.000Z'",
+    );
+  });
+});
+
+describe("buildTargetsQuery", () => {
+  it("matches resources by numeric ID, or by handle without a GID", () => {
+    expect(
+      buildTargetsQuery([
+        { id: "gid://shopify/Product/1", key: "shirt" },
+        { key: "hat" },
+      ]),
+    ).toBe("id:1 OR handle:'hat'");
+  });
+});
+
+describe("buildSyncFetchQuery", () => {
+  it("fetches the failed items when retrying, whatever the watermark", () => {
+    expect(
+      buildSyncFetchQuery({
+        since: "2026-03-01T12:00:00Z",
+        retryItems: [{ id: "gid://shopify/Page/7", key: "about" }],
+      }),
+    ).toBe("id:7");
+  });
+
+  it("fetches the target of a single-resource sync", () => {
+    expect(buildSyncFetchQuery({ targets: [{ key: "summer" }] })).toBe(
+      "handle:'summer'",
+    );
+  });
+
+  it("combines the filter query with the incremental query", () => {
+    expect(
+      buildSyncFetchQuery({
+        since: "2026-03-01T12:00:00Z",
+        filter: { query: "status:active vendor:Acme", exclude: [] },
+      }),
+    ).toBe(
+      "(status:active vendor:Acme) AND updated_at:>'2026-03-01T12:00:00.000Z'",
+    );
+    expect(
+      buildSyncFetchQuery({ filter: { query: "tag:launch", exclude: [] } }),
+    ).toBe("tag:launch");
+  });
+
+  it("ignores the filter query for targeted runs", () => {
+    expect(
+      buildSyncFetchQuery({
+        filter: { query: "tag:launch", exclude: [] },
+        targets: [{ key: "summer" }],
+      }),
+    ).toBe("handle:'summer'");
+  });
+
+  it("falls back to the incremental query", () => {
+    expect(buildSyncFetchQuery({ since: null })).toBeNull();
+  });
+});
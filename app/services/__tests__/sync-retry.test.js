@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import {
+  getFailedItemsLogData,
+  recordFailedItem,
+} from "../sync-retry.server.js";
+
+const failed = (handle) => ({
+  resourceType: "product",
+  id: `gid://shopify/Product/${handle.length}`,
+  key: handle,
+  label: handle,
+  error: "Boom",
+});
+
+describe("recordFailedItem", () => {
+  it("collects failed items on the summary", () => {
+    const summary = { failed: 1 };
+    recordFailedItem(summary, {
+      resourceType: "redirect",
+      key: "/old",
+      error: "Invalid target",
+    });
+
+    expect(summary.failedItems).toEqual([
+      {
+        resourceType: "redirect",
+        id: null,
+        key: "/old",
+        label: "/old",
+        error: "Invalid target",
+      },
+    ]);
+  });
+});
+
+describe("getFailedItemsLogData", () => {
+  it("moves failed items from the summary to their own column", () => {
+    const result = { summary: { failed: 1, failedItems: [failed("shirt")] } };
+
+    expect(getFailedItemsLogData(result)).toEqual({
+      failedItems: JSON.stringify([failed("shirt")]),
+    });
+    expect(result.summary.failedItems).toBeUndefined();
+  });
+
+  it("keeps the items stored by the first part of a resumed run", () => {
+    const result = { summary: { failedItems: [failed("hat")] } };
+
+    const data = getFailedItemsLogData(
+      result,
+      JSON.stringify([failed("shirt")]),
+    );
+
+    expect(JSON.parse(data.failedItems)).toEqual([
+      failed("shirt"),
+      failed("hat"),
+    ]);
+  });
+
+  it("stores nothing when every item synced", () => {
+    expect(getFailedItemsLogData({ summary: { failed: 0 } })).toEqual({});
+  });
+});
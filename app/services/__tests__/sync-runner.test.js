@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  SYNC_SERVICES,
+  getSyncStatus,
+  runSyncType,
+} from "../sync-runner.server.js";
+import { SYNC_TYPES } from "../../utils/sync-types.js";
+
+vi.mock("../resource-mapping.server.js", () => ({}));
+
+describe("getSyncStatus", () => {
+  it("is partially successful when some changes failed", () => {
+    expect(getSyncStatus({ created: 2, errors: ["Boom"] })).toBe(
+      "partially_successful",
+    );
+  });
+
+  it("is partially successful when an export missed some resources", () => {
+    expect(getSyncStatus({ total: 4, exported: 4, errors: ["Markets"] })).toBe(
+      "partially_successful",
+    );
+  });
+
+  it("succeeds when nothing needed to change", () => {
+    expect(getSyncStatus({ total: 5, errors: [] })).toBe("success");
+    expect(getSyncStatus({ total: 0, mode: "incremental", errors: [] })).toBe(
+      "success",
+    );
+  });
+
+  it("fails when nothing was synced", () => {
+    expect(getSyncStatus({ total: 0, errors: [] })).toBe("failed");
+    expect(getSyncStatus({ total: 3, errors: ["Boom"] })).toBe("failed");
+    expect(getSyncStatus(undefined)).toBe("failed");
+  });
+});
+
+describe("runSyncType", () => {
+  it("has a runner for every registered sync type", () => {
+    expect(Object.keys(SYNC_SERVICES).sort()).toEqual(
+      SYNC_TYPES.map((syncType) => syncType.id).sort(),
+    );
+  });
+
+  it("rejects unknown sync types", async () => {
+    await expect(runSyncType("customers", {})).rejects.toThrow(
+      "Unknown sync type: customers",
+    );
+  });
+});
@@ -0,0 +1,300 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { gzipSync } from "node:zlib";
+import {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_RESOURCES,
+  SNAPSHOT_VERSION,
+  createSnapshotSource,
+  exportSnapshot,
+  openSnapshotArchive,
+  selectExpiredSnapshots,
+} from "../sync-snapshot.server.js";
+import { readSourceResources } from "../sync-source.server.js";
+import { syncPages } from "../sync.pages.server.js";
+import { getSyncType } from "../../utils/sync-types.js";
+
+vi.mock("../resource-mapping.server.js", () => ({}));
+
+const jsonResponse = (body) => new Response(JSON.stringify(body));
+
+const connection = (field, nodes) => ({
+  data: {
+    [field]: {
+      edges: nodes.map((node) => ({ node })),
+      pageInfo: { hasNextPage: false, endCursor: null },
+    },
+  },
+});
+
+// Production API answering page and menu queries
+const stubProduction = ({ menusError } = {}) =>
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url, init) => {
+      const { query } = JSON.parse(init.body);
+      if (query.includes("GetPages")) {
+        return jsonResponse(
+          connection("pages", [
+            { id: "gid://shopify/Page/1", handle: "about" },
+            { id: "gid://shopify/Page/2", handle: "contact" },
+          ]),
+        );
+      }
+      if (menusError) {
+        return jsonResponse({ errors: [{ message: menusError }] });
+      }
+      return jsonResponse(
+        connection("menus", [{ id: "gid://shopify/Menu/1", handle: "main" }]),
+      );
+    }),
+  );
+
+const readArchive = async (filePath) => {
+  const { manifest, records } = await openSnapshotArchive(filePath);
+  const entries = [];
+  for await (const record of records) entries.push(record);
+  return { manifest, entries };
+};
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "snapshot-test-"));
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("exportSnapshot", () => {
+  it("writes the manifest followed by one line per resource", async () => {
+    stubProduction();
+    const filePath = path.join(dir, "snapshot.ndjson.gz");
+
+    const { summary, manifest } = await exportSnapshot(
+      "prod.myshopify.com",
+      "token",
+      filePath,
+      { options: { resources: ["pages", "navigation"] } },
+    );
+
+    expect(summary).toMatchObject({
+      total: 3,
+      exported: 3,
+      failed: 0,
+      resources: { pages: 2, navigation: 1 },
+    });
+    expect(summary.size).toBeGreaterThan(0);
+
+    const archive = await readArchive(filePath);
+    expect(archive.manifest).toEqual(manifest);
+    expect(archive.manifest).toMatchObject({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      productionStore: "prod.myshopify.com",
+      resources: { pages: 2, navigation: 1 },
+      errors: [],
+    });
+    expect(archive.entries).toEqual([
+      {
+        resource: "pages",
+        data: { id: "gid://shopify/Page/1", handle: "about" },
+      },
+      {
+        resource: "pages",
+        data: { id: "gid://shopify/Page/2", handle: "contact" },
+      },
+      {
+        resource: "navigation",
+        data: { id: "gid://shopify/Menu/1", handle: "main" },
+      },
+    ]);
+    // Temporary files are cleaned up
+    expect(await readdir(dir)).toEqual(["snapshot.ndjson.gz"]);
+  });
+
+  it("reports a resource that can't be fetched and keeps the others", async () => {
+    stubProduction({ menusError: "Access denied for menus field" });
+    const filePath = path.join(dir, "snapshot.ndjson.gz");
+
+    const { summary } = await exportSnapshot(
+      "prod.myshopify.com",
+      "token",
+      filePath,
+      { options: { resources: ["pages", "navigation"] } },
+    );
+
+    expect(summary.exported).toBe(2);
+    expect(summary.failed).toBe(1);
+    expect(summary.errors[0]).toContain("Navigation menus: Access denied");
+
+    const { manifest } = await readArchive(filePath);
+    expect(manifest.errors).toEqual(summary.errors);
+  });
+
+  it("writes no archive when cancelled", async () => {
+    stubProduction();
+    const filePath = path.join(dir, "snapshot.ndjson.gz");
+
+    const { summary, manifest } = await exportSnapshot(
+      "prod.myshopify.com",
+      "token",
+      filePath,
+      {
+        options: {
+          resources: ["pages"],
+          control: { requested: "cancel" },
+        },
+      },
+    );
+
+    expect(summary.stopped).toBe("cancelled");
+    expect(manifest).toBeNull();
+    expect(await readdir(dir)).toEqual([]);
+  });
+});
+
+describe("openSnapshotArchive", () => {
+  it("rejects files that are not snapshots", async () => {
+    const filePath = path.join(dir, "other.ndjson.gz");
+    await writeFile(filePath, gzipSync('{"hello":"world"}\n'));
+
+    await expect(openSnapshotArchive(filePath)).rejects.toThrow(
+      "not a snapshot archive",
+    );
+  });
+
+  it("rejects snapshots from a newer format version", async () => {
+    const filePath = path.join(dir, "newer.ndjson.gz");
+    await writeFile(
+      filePath,
+      gzipSync(
+        `${JSON.stringify({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION + 1 })}\n`,
+      ),
+    );
+
+    await expect(openSnapshotArchive(filePath)).rejects.toThrow(
+      "newer than this app supports",
+    );
+  });
+});
+
+describe("createSnapshotSource", () => {
+  const writeSnapshot = async () => {
+    stubProduction();
+    const filePath = path.join(dir, "snapshot.ndjson.gz");
+    await exportSnapshot("prod.myshopify.com", "token", filePath, {
+      options: { resources: ["pages", "navigation"] },
+    });
+    // Anything fetched from production after the export is a mistake
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => {
+        throw new Error("Production was fetched");
+      }),
+    );
+    return filePath;
+  };
+
+  it("reads one resource type from the archive instead of production", async () => {
+    const source = await createSnapshotSource(await writeSnapshot());
+    const fetchLive = vi.fn();
+
+    const pages = await readSourceResources({ source }, "pages", fetchLive);
+
+    expect(pages.map((page) => page.handle)).toEqual(["about", "contact"]);
+    expect(source.count("navigation")).toBe(1);
+    expect(fetchLive).not.toHaveBeenCalled();
+  });
+
+  it("rejects resource types the snapshot doesn't hold", async () => {
+    const source = await createSnapshotSource(await writeSnapshot());
+
+    await expect(source.read("products")).rejects.toThrow(
+      "The snapshot has no products",
+    );
+  });
+
+  it("runs a sync from the snapshot", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const source = await createSnapshotSource(await writeSnapshot());
+    // Staging has no pages yet
+    const stagingAdmin = {
+      graphql: vi.fn(async () => jsonResponse(connection("pages", []))),
+    };
+
+    const result = await syncPages(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      null,
+      () => {},
+      { source, dryRun: true },
+    );
+
+    expect(result.summary.total).toBe(2);
+    expect(result.plan.items.map((item) => [item.action, item.key])).toEqual([
+      ["create", "about"],
+      ["create", "contact"],
+    ]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("SNAPSHOT_RESOURCES", () => {
+  it("only exports resources whose sync can import a snapshot", () => {
+    for (const resource of Object.keys(SNAPSHOT_RESOURCES)) {
+      expect(getSyncType(resource)?.snapshot).toBe(true);
+    }
+  });
+});
+
+describe("selectExpiredSnapshots", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const daysAgo = (days) => new Date(now.getTime() - days * 86400000);
+  const snapshot = (id, days, extra = {}) => ({
+    id,
+    status: "success",
+    pinned: false,
+    createdAt: daysAgo(days),
+    ...extra,
+  });
+
+  it("keeps the newest snapshots up to the count", () => {
+    const expired = selectExpiredSnapshots(
+      [snapshot("a", 1), snapshot("b", 3), snapshot("c", 2)],
+      { keep: 2, maxAgeDays: 0 },
+      now,
+    );
+    expect(expired.map((s) => s.id)).toEqual(["b"]);
+  });
+
+  it("removes snapshots older than the maximum age", () => {
+    const expired = selectExpiredSnapshots(
+      [snapshot("a", 1), snapshot("b", 40)],
+      { keep: 0, maxAgeDays: 30 },
+      now,
+    );
+    expect(expired.map((s) => s.id)).toEqual(["b"]);
+  });
+
+  it("never removes pinned or running snapshots", () => {
+    const expired = selectExpiredSnapshots(
+      [
+        snapshot("a", 90, { pinned: true }),
+        snapshot("b", 90, { status: "in_progress" }),
+        snapshot("c", 1),
+        snapshot("d", 2),
+      ],
+      { keep: 1, maxAgeDays: 30 },
+      now,
+    );
+    expect(expired.map((s) => s.id)).toEqual(["d"]);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import {
+  getSyncTargets,
+  isSyncTarget,
+  parseSyncTarget,
+} from "../sync-target.server.js";
+
+describe("parseSyncTarget", () => {
+  it("reads a production GID", () => {
+    expect(parseSyncTarget(" gid://shopify/Product/1 ")).toEqual({
+      id: "gid://shopify/Product/1",
+    });
+  });
+
+  it("reads a handle", () => {
+    expect(parseSyncTarget("summer-sale")).toEqual({ key: "summer-sale" });
+    expect(parseSyncTarget("author/jane")).toEqual({ key: "author/jane" });
+  });
+
+  it("returns null when nothing was entered", () => {
+    expect(parseSyncTarget("  ")).toBeNull();
+    expect(parseSyncTarget(null)).toBeNull();
+  });
+});
+
+describe("getSyncTargets", () => {
+  it("limits a run to its targets or retried items", () => {
+    expect(getSyncTargets({})).toBeNull();
+    expect(getSyncTargets({ targets: [{ key: "a" }] })).toEqual([{ key: "a" }]);
+    expect(getSyncTargets({ retryItems: [{ key: "b" }] })).toEqual([
+      { key: "b" },
+    ]);
+  });
+});
+
+describe("isSyncTarget", () => {
+  it("processes everything on a normal run", () => {
+    expect(isSyncTarget({}, { id: "gid://shopify/Product/1" })).toBe(true);
+  });
+
+  it("only processes failed items when retrying", () => {
+    const options = {
+      retryItems: [
+        { id: "gid://shopify/Product/5", key: "shirt" },
+        { key: "/old" },
+      ],
+    };
+
+    expect(isSyncTarget(options, { id: "gid://shopify/Product/5" })).toBe(true);
+    expect(isSyncTarget(options, { id: "gid://x/1", key: "/old" })).toBe(true);
+    expect(isSyncTarget(options, { id: "gid://x/2", key: "/new" })).toBe(false);
+  });
+
+  it("only processes the target of a single-resource sync", () => {
+    const options = { targets: [{ key: "author/jane" }] };
+
+    expect(isSyncTarget(options, { key: "author/jane" })).toBe(true);
+    expect(isSyncTarget(options, { key: "author/john" })).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  getSyncWatermark,
+  resetSyncWatermark,
+  saveSyncWatermark,
+} from "../sync-watermark.server.js";
+import prisma from "../../db.server";
+
+vi.mock("../../db.server", () => ({
+  default: {
+    syncWatermark: {
+      findUnique: vi.fn(),
+      upsert: vi.fn(async ({ create }) => create),
+    },
+    syncLog: { findFirst: vi.fn() },
+  },
+}));
+
+const syncLog = {
+  id: "log-2",
+  startedAt: new Date("2026-10-19T12:00:00Z"),
+  dryRun: false,
+  retryOfLogId: null,
+};
+
+describe("saveSyncWatermark", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("advances to the run's start time", async () => {
+    const saved = await saveSyncWatermark("conn-1", "products", syncLog);
+
+    expect(saved.watermark).toEqual(syncLog.startedAt);
+  });
+
+  it("advances only to the preview's start time when applying a plan", async () => {
+    const plan = { items: [], startedAt: "2026-10-19T09:00:00.000Z" };
+
+    const saved = await saveSyncWatermark("conn-1", "products", syncLog, {
+      plan,
+    });
+
+    expect(saved.watermark).toEqual(new Date(plan.startedAt));
+    expect(prisma.syncWatermark.upsert.mock.calls[0][0].update).toEqual({
+      watermark: new Date(plan.startedAt),
+      syncLogId: "log-2",
+    });
+  });
+
+  it("leaves the watermark when the applied plan has no preview time", async () => {
+    const saved = await saveSyncWatermark("conn-1", "products", syncLog, {
+      plan: { items: [] },
+    });
+
+    expect(saved).toBeNull();
+    expect(prisma.syncWatermark.upsert).not.toHaveBeenCalled();
+  });
+
+  it("leaves the watermark after a dry run or a retry", async () => {
+    await saveSyncWatermark("conn-1", "products", { ...syncLog, dryRun: true });
+    await saveSyncWatermark("conn-1", "products", {
+      ...syncLog,
+      retryOfLogId: "log-1",
+    });
+
+    expect(prisma.syncWatermark.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe("resetSyncWatermark", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("clears the watermark so the next run is full", async () => {
+    await resetSyncWatermark("conn-1", "products");
+
+    expect(prisma.syncWatermark.upsert).toHaveBeenCalledWith({
+      where: {
+        connectionId_syncType: { connectionId: "conn-1", syncType: "products" },
+      },
+      create: { connectionId: "conn-1", syncType: "products", watermark: null },
+      update: { watermark: null, syncLogId: null },
+    });
+  });
+
+  it("ignores sync types that always fetch everything", async () => {
+    expect(await resetSyncWatermark("conn-1", "redirects")).toBeNull();
+    expect(prisma.syncWatermark.upsert).not.toHaveBeenCalled();
+  });
+
+  it("doesn't fall back to earlier sync logs once reset", async () => {
+    prisma.syncWatermark.findUnique.mockResolvedValue({ watermark: null });
+    prisma.syncLog.findFirst.mockResolvedValue({
+      completedAt: new Date("2026-10-18T00:00:00Z"),
+    });
+
+    expect(await getSyncWatermark("conn-1", "products")).toBeNull();
+    expect(prisma.syncLog.findFirst).not.toHaveBeenCalled();
+  });
+});
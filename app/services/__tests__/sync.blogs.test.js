@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  filterSyncableMetafields,
+  buildBlogInput,
+  buildArticleInput,
+} from "../sync.blogs.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  saveMapping: vi.fn(),
+  extractIdFromGid: vi.fn(),
+  getMappingByProductionGid: vi.fn(),
+  logUnmappedReference: vi.fn(),
+  extractResourceTypeFromGid: vi.fn(),
+}));
+
+describe("filterSyncableMetafields", () => {
+  it("skips reserved namespaces and empty values", () => {
+    const result = filterSyncableMetafields([
+      { namespace: "custom", key: "subtitle", type: "single_line_text_field", value: "Hi" },
+      { namespace: "shopify", key: "color", type: "single_line_text_field", value: "red" },
+      { namespace: "shopify--discovery", key: "x", type: "json", value: "{}" },
+      { namespace: "app--123--reviews", key: "rating", type: "rating", value: "5" },
+      { namespace: "custom", key: "empty", type: "single_line_text_field", value: null },
+    ]);
+
+    expect(result.map((mf) => `${mf.namespace}.${mf.key}`)).toEqual([
+      "custom.subtitle",
+    ]);
+  });
+
+  it("handles missing metafields", () => {
+    expect(filterSyncableMetafields(undefined)).toEqual([]);
+  });
+});
+
+describe("buildBlogInput", () => {
+  it("copies handle, comment policy and template suffix", () => {
+    const input = buildBlogInput({
+      id: "gid://shopify/Blog/1",
+      title: "News",
+      handle: "news",
+      commentPolicy: "MODERATED",
+      templateSuffix: "alternate",
+    });
+
+    expect(input).toEqual({
+      title: "News",
+      handle: "news",
+      commentPolicy: "MODERATED",
+      templateSuffix: "alternate",
+    });
+  });
+
+  it("includes metafields only when present", () => {
+    const metafields = [
+      { namespace: "custom", key: "a", type: "single_line_text_field", value: "b" },
+    ];
+    expect(buildBlogInput({ title: "News", handle: "news" }, metafields).metafields).toEqual(metafields);
+  });
+});
+
+describe("buildArticleInput", () => {
+  const article = {
+    id: "gid://shopify/Article/5",
+    title: "Summer launch",
+    handle: "summer-launch",
+    body: "<p>Hello</p>",
+    summary: "<p>Short</p>",
+    tags: ["launch", "summer"],
+    author: { name: "Alex Doe" },
+    image: { url: "https://cdn.shopify.com/a.jpg", altText: null },
+    isPublished: true,
+    publishedAt: "2025-06-01T10:00:00Z",
+    templateSuffix: null,
+  };
+
+  it("targets the staging blog and copies content fields", () => {
+    const input = buildArticleInput(article, "gid://shopify/Blog/900");
+
+    expect(input).toEqual({
+      blogId: "gid://shopify/Blog/900",
+      title: "Summer launch",
+      handle: "summer-launch",
+      body: "<p>Hello</p>",
+      summary: "<p>Short</p>",
+      tags: ["launch", "summer"],
+      isPublished: true,
+      templateSuffix: null,
+      author: { name: "Alex Doe" },
+      image: { url: "https://cdn.shopify.com/a.jpg", altText: "" },
+      publishDate: "2025-06-01T10:00:00Z",
+    });
+  });
+
+  it("omits publish date, author and image when absent", () => {
+    const input = buildArticleInput(
+      { ...article, isPublished: false, author: null, image: null, tags: null },
+      "gid://shopify/Blog/900",
+    );
+
+    expect(input.publishDate).toBeUndefined();
+    expect(input.author).toBeUndefined();
+    expect(input.image).toBeUndefined();
+    expect(input.tags).toEqual([]);
+  });
+});
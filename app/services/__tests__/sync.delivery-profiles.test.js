@@ -0,0 +1,274 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  buildCountriesInput,
+  buildDeliveryProfileInput,
+  buildMethodDefinitionInput,
+  findStagingProfile,
+} from "../sync.delivery-profiles.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  saveMapping: vi.fn(),
+  extractIdFromGid: vi.fn(),
+  getMappingByProductionGid: vi.fn(),
+  logUnmappedReference: vi.fn(),
+  extractResourceTypeFromGid: vi.fn(),
+}));
+
+const flatRate = {
+  name: "Standard",
+  active: true,
+  description: null,
+  rateProvider: {
+    __typename: "DeliveryRateDefinition",
+    price: { amount: "5.0", currencyCode: "USD" },
+  },
+  methodConditions: [],
+};
+
+const productionGroup = {
+  locationGroup: {
+    id: "gid://shopify/DeliveryLocationGroup/1",
+    locations: { nodes: [{ id: "gid://shopify/Location/1", name: "Main" }] },
+  },
+  locationGroupZones: {
+    nodes: [
+      {
+        zone: {
+          id: "gid://shopify/DeliveryZone/1",
+          name: "Domestic",
+          countries: [
+            {
+              code: { countryCode: "US", restOfWorld: false },
+              provinces: [],
+            },
+          ],
+        },
+        methodDefinitions: { nodes: [flatRate] },
+      },
+    ],
+  },
+};
+
+describe("findStagingProfile", () => {
+  const stagingProfiles = [
+    { id: "s-default", name: "General profile", default: true },
+    { id: "s-heavy", name: "Heavy goods", default: false },
+  ];
+
+  it("matches the default profile regardless of name", () => {
+    expect(
+      findStagingProfile({ name: "General", default: true }, stagingProfiles)
+        .id,
+    ).toBe("s-default");
+  });
+
+  it("matches custom profiles by name", () => {
+    expect(
+      findStagingProfile(
+        { name: "Heavy goods", default: false },
+        stagingProfiles,
+      ).id,
+    ).toBe("s-heavy");
+    expect(
+      findStagingProfile({ name: "Fragile", default: false }, stagingProfiles),
+    ).toBeUndefined();
+  });
+});
+
+describe("buildCountriesInput", () => {
+  it("maps provinces, whole countries and rest of world", () => {
+    const zone = {
+      countries: [
+        {
+          code: { countryCode: "CA", restOfWorld: false },
+          provinces: [{ code: "ON" }, { code: "QC" }],
+        },
+        { code: { countryCode: "US", restOfWorld: false }, provinces: [] },
+        { code: { countryCode: null, restOfWorld: true }, provinces: [] },
+      ],
+    };
+    expect(buildCountriesInput(zone)).toEqual([
+      { code: "CA", provinces: [{ code: "ON" }, { code: "QC" }] },
+      { code: "US", includeAllProvinces: true },
+      { restOfWorld: true },
+    ]);
+  });
+});
+
+describe("buildMethodDefinitionInput", () => {
+  it("builds flat rates with weight and price conditions", () => {
+    const input = buildMethodDefinitionInput({
+      ...flatRate,
+      methodConditions: [
+        {
+          field: "TOTAL_WEIGHT",
+          operator: "LESS_THAN_OR_EQUAL_TO",
+          conditionCriteria: {
+            __typename: "Weight",
+            unit: "KILOGRAMS",
+            value: 2,
+          },
+        },
+        {
+          field: "TOTAL_PRICE",
+          operator: "GREATER_THAN_OR_EQUAL_TO",
+          conditionCriteria: {
+            __typename: "MoneyV2",
+            amount: "50.0",
+            currencyCode: "USD",
+          },
+        },
+      ],
+    });
+
+    expect(input).toEqual({
+      name: "Standard",
+      active: true,
+      description: null,
+      rateDefinition: { price: { amount: "5.0", currencyCode: "USD" } },
+      weightConditionsToCreate: [
+        {
+          operator: "LESS_THAN_OR_EQUAL_TO",
+          criteria: { unit: "KILOGRAMS", value: 2 },
+        },
+      ],
+      priceConditionsToCreate: [
+        {
+          operator: "GREATER_THAN_OR_EQUAL_TO",
+          criteria: { amount: "50.0", currencyCode: "USD" },
+        },
+      ],
+    });
+  });
+
+  it("returns null for carrier-calculated rates", () => {
+    expect(
+      buildMethodDefinitionInput({
+        ...flatRate,
+        rateProvider: { __typename: "DeliveryParticipant" },
+      }),
+    ).toBeNull();
+  });
+});
+
+describe("buildDeliveryProfileInput", () => {
+  it("creates location groups and associates variants for new custom profiles", () => {
+    const input = buildDeliveryProfileInput(
+      { name: "Heavy goods", default: false },
+      [
+        {
+          group: productionGroup,
+          stagingLocationIds: ["gid://shopify/Location/901"],
+        },
+      ],
+      ["gid://shopify/ProductVariant/501"],
+    );
+
+    expect(input).toEqual({
+      name: "Heavy goods",
+      locationGroupsToCreate: [
+        {
+          locations: ["gid://shopify/Location/901"],
+          zonesToCreate: [
+            {
+              name: "Domestic",
+              countries: [{ code: "US", includeAllProvinces: true }],
+              methodDefinitionsToCreate: [
+                {
+                  name: "Standard",
+                  active: true,
+                  description: null,
+                  rateDefinition: {
+                    price: { amount: "5.0", currencyCode: "USD" },
+                  },
+                },
+              ],
+            },
+          ],
+        },
+      ],
+      variantsToAssociate: ["gid://shopify/ProductVariant/501"],
+    });
+  });
+
+  it("replaces zones of matching staging groups and adds missing locations", () => {
+    const stagingProfile = {
+      id: "gid://shopify/DeliveryProfile/9",
+      profileLocationGroups: [
+        {
+          locationGroup: {
+            id: "gid://shopify/DeliveryLocationGroup/90",
+            locations: { nodes: [{ id: "gid://shopify/Location/901" }] },
+          },
+          locationGroupZones: {
+            nodes: [{ zone: { id: "gid://shopify/DeliveryZone/99" } }],
+          },
+        },
+      ],
+    };
+
+    const input = buildDeliveryProfileInput(
+      { name: "General", default: true },
+      [
+        {
+          group: productionGroup,
+          stagingLocationIds: [
+            "gid://shopify/Location/901",
+            "gid://shopify/Location/902",
+          ],
+        },
+      ],
+      ["gid://shopify/ProductVariant/501"],
+      stagingProfile,
+    );
+
+    expect(input.locationGroupsToCreate).toBeUndefined();
+    expect(input.locationGroupsToUpdate).toEqual([
+      expect.objectContaining({
+        id: "gid://shopify/DeliveryLocationGroup/90",
+        locationsToAdd: ["gid://shopify/Location/902"],
+      }),
+    ]);
+    expect(input.zonesToDelete).toEqual(["gid://shopify/DeliveryZone/99"]);
+    // Variants fall back to the default profile on their own
+    expect(input.variantsToAssociate).toBeUndefined();
+  });
+
+  it("warns about rates that cannot be copied", () => {
+    const warnings = [];
+    const group = {
+      ...productionGroup,
+      locationGroupZones: {
+        nodes: [
+          {
+            zone: productionGroup.locationGroupZones.nodes[0].zone,
+            methodDefinitions: {
+              nodes: [
+                {
+                  ...flatRate,
+                  name: "UPS",
+                  rateProvider: { __typename: "DeliveryParticipant" },
+                },
+              ],
+            },
+          },
+        ],
+      },
+    };
+
+    const input = buildDeliveryProfileInput(
+      { name: "Heavy goods", default: false },
+      [{ group, stagingLocationIds: ["gid://shopify/Location/901"] }],
+      [],
+      null,
+      warnings,
+    );
+
+    expect(
+      input.locationGroupsToCreate[0].zonesToCreate[0]
+        .methodDefinitionsToCreate,
+    ).toEqual([]);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain("UPS");
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  buildDiscountInput,
+  buildItemsInput,
+  buildMinimumRequirementInput,
+  buildValueInput,
+  extractItemGids,
+  getDiscountMatchKey,
+} from "../sync.discounts.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  saveMapping: vi.fn(),
+  extractIdFromGid: vi.fn(),
+  getMappingByProductionGid: vi.fn(),
+  logUnmappedReference: vi.fn(),
+  extractResourceTypeFromGid: vi.fn(),
+}));
+
+describe("getDiscountMatchKey", () => {
+  it("matches code discounts by code, case-insensitively", () => {
+    expect(
+      getDiscountMatchKey({
+        method: "code",
+        code: "SUMMER10",
+        title: "Summer",
+      }),
+    ).toEqual({
+      key: "code:summer10",
+      matchKey: "code",
+      matchValue: "SUMMER10",
+    });
+  });
+
+  it("matches automatic discounts by title", () => {
+    expect(
+      getDiscountMatchKey({ method: "automatic", title: "Free gift" }),
+    ).toEqual({
+      key: "title:Free gift",
+      matchKey: "title",
+      matchValue: "Free gift",
+    });
+  });
+});
+
+describe("extractItemGids", () => {
+  it("collects product, variant and collection GIDs", () => {
+    const items = {
+      products: { nodes: [{ id: "gid://shopify/Product/1" }] },
+      productVariants: { nodes: [{ id: "gid://shopify/ProductVariant/2" }] },
+    };
+    expect(extractItemGids(items)).toEqual({
+      all: false,
+      products: ["gid://shopify/Product/1"],
+      variants: ["gid://shopify/ProductVariant/2"],
+      collections: [],
+    });
+  });
+
+  it("flags all-items selections", () => {
+    expect(extractItemGids({ allItems: true }).all).toBe(true);
+  });
+});
+
+describe("buildItemsInput", () => {
+  it("returns all for all-items selections", () => {
+    expect(buildItemsInput({ all: true })).toEqual({ all: true });
+  });
+
+  it("removes staging products that are no longer eligible", () => {
+    const items = {
+      all: false,
+      products: ["gid://shopify/Product/11"],
+      variants: [],
+      collections: [],
+    };
+    const existing = {
+      products: {
+        nodes: [
+          { id: "gid://shopify/Product/11" },
+          { id: "gid://shopify/Product/12" },
+        ],
+      },
+      productVariants: { nodes: [] },
+    };
+    expect(buildItemsInput(items, existing)).toEqual({
+      products: {
+        productsToAdd: ["gid://shopify/Product/11"],
+        productVariantsToAdd: [],
+        productsToRemove: ["gid://shopify/Product/12"],
+      },
+    });
+  });
+
+  it("builds collection selections", () => {
+    const items = {
+      all: false,
+      products: [],
+      variants: [],
+      collections: ["gid://shopify/Collection/5"],
+    };
+    expect(buildItemsInput(items)).toEqual({
+      collections: { add: ["gid://shopify/Collection/5"] },
+    });
+  });
+});
+
+describe("buildValueInput", () => {
+  it("maps percentage, amount and quantity values", () => {
+    expect(buildValueInput({ percentage: 0.1 })).toEqual({ percentage: 0.1 });
+    expect(
+      buildValueInput({ amount: { amount: "5.0" }, appliesOnEachItem: true }),
+    ).toEqual({ discountAmount: { amount: "5.0", appliesOnEachItem: true } });
+    expect(
+      buildValueInput({
+        quantity: { quantity: "1" },
+        effect: { percentage: 1 },
+      }),
+    ).toEqual({
+      discountOnQuantity: { quantity: "1", effect: { percentage: 1 } },
+    });
+  });
+});
+
+describe("buildMinimumRequirementInput", () => {
+  it("maps quantity and subtotal minimums", () => {
+    expect(
+      buildMinimumRequirementInput({ greaterThanOrEqualToQuantity: "2" }),
+    ).toEqual({ quantity: { greaterThanOrEqualToQuantity: "2" } });
+    expect(
+      buildMinimumRequirementInput({
+        greaterThanOrEqualToSubtotal: { amount: "50.0" },
+      }),
+    ).toEqual({ subtotal: { greaterThanOrEqualToSubtotal: "50.0" } });
+    expect(buildMinimumRequirementInput(null)).toBeNull();
+  });
+});
+
+describe("buildDiscountInput", () => {
+  const base = {
+    title: "Summer",
+    startsAt: "2025-06-01T00:00:00Z",
+    endsAt: null,
+    combinesWith: {
+      orderDiscounts: false,
+      productDiscounts: true,
+      shippingDiscounts: true,
+    },
+  };
+
+  it("builds a basic code discount applying to all customers", () => {
+    const input = buildDiscountInput(
+      {
+        ...base,
+        kind: "basic",
+        method: "code",
+        code: "SUMMER10",
+        usageLimit: 100,
+        appliesOncePerCustomer: true,
+        customerGets: { value: { percentage: 0.1 } },
+        minimumRequirement: null,
+      },
+      { getsItems: { all: true } },
+    );
+
+    expect(input).toMatchObject({
+      title: "Summer",
+      code: "SUMMER10",
+      usageLimit: 100,
+      appliesOncePerCustomer: true,
+      context: { all: "ALL" },
+      customerGets: { value: { percentage: 0.1 }, items: { all: true } },
+      minimumRequirement: null,
+    });
+  });
+
+  it("builds a buy X get Y automatic discount with remapped items", () => {
+    const input = buildDiscountInput(
+      {
+        ...base,
+        kind: "bxgy",
+        method: "automatic",
+        customerGets: {
+          value: { quantity: { quantity: "1" }, effect: { percentage: 1 } },
+        },
+        customerBuys: { value: { quantity: "2" } },
+        usesPerOrderLimit: "1",
+      },
+      {
+        getsItems: {
+          all: false,
+          products: ["gid://shopify/Product/21"],
+          variants: [],
+          collections: [],
+        },
+        buysItems: {
+          all: false,
+          products: [],
+          variants: [],
+          collections: ["gid://shopify/Collection/31"],
+        },
+      },
+    );
+
+    expect(input.code).toBeUndefined();
+    expect(input.customerBuys).toEqual({
+      value: { quantity: "2" },
+      items: { collections: { add: ["gid://shopify/Collection/31"] } },
+    });
+    expect(input.customerGets.items.products.productsToAdd).toEqual([
+      "gid://shopify/Product/21",
+    ]);
+    expect(input.usesPerOrderLimit).toBe("1");
+  });
+
+  it("builds a free shipping discount with destinations", () => {
+    const input = buildDiscountInput(
+      {
+        ...base,
+        kind: "free_shipping",
+        method: "automatic",
+        destinationSelection: {
+          countries: ["US", "CA"],
+          includeRestOfWorld: false,
+        },
+        maximumShippingPrice: { amount: "20.0" },
+        minimumRequirement: {
+          greaterThanOrEqualToSubtotal: { amount: "75.0" },
+        },
+      },
+      {},
+    );
+
+    expect(input.destination).toEqual({
+      countries: { add: ["US", "CA"], includeRestOfWorld: false },
+    });
+    expect(input.maximumShippingPrice).toBe("20.0");
+    expect(input.minimumRequirement).toEqual({
+      subtotal: { greaterThanOrEqualToSubtotal: "75.0" },
+    });
+    expect(input.customerGets).toBeUndefined();
+  });
+});
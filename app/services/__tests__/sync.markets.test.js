@@ -1,4 +1,20 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  buildFixedPriceInputs,
+  buildPriceListParentInput,
+  getFixedPricePlanFields,
+  getPriceListPlanFields,
+  syncMarkets,
+} from "../sync.markets.server.js";
+import { getMappingByProductionGid } from "../resource-mapping.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  saveMapping: vi.fn(),
+  extractIdFromGid: vi.fn(),
+  getMappingByProductionGid: vi.fn(),
+  logUnmappedReference: vi.fn(),
+  extractResourceTypeFromGid: vi.fn(),
+}));
 
 describe("Fix 6A: Markets batch product resolution", () => {
   describe("resolveStagingProductIdsByHandles logic", () => {
@@ -74,9 +90,15 @@ describe("Fix 6A: Markets batch product resolution", () => {
       const { fragments, query } = batches[0];
 
       // Verify each alias prefix
-      expect(fragments).toContain('p0: productByIdentifier(identifier: { handle: "summer-dress" }) { id }');
-      expect(fragments).toContain('p1: productByIdentifier(identifier: { handle: "winter-coat" }) { id }');
-      expect(fragments).toContain('p2: productByIdentifier(identifier: { handle: "spring-hat" }) { id }');
+      expect(fragments).toContain(
+        'p0: productByIdentifier(identifier: { handle: "summer-dress" }) { id }',
+      );
+      expect(fragments).toContain(
+        'p1: productByIdentifier(identifier: { handle: "winter-coat" }) { id }',
+      );
+      expect(fragments).toContain(
+        'p2: productByIdentifier(identifier: { handle: "spring-hat" }) { id }',
+      );
 
       // Verify wrapped in query
       expect(query).toMatch(/^query \{ .+ \}$/s);
@@ -141,7 +163,7 @@ describe("Fix 6A: Markets batch product resolution", () => {
     });
 
     it("escapes double quotes in handles", () => {
-      const handles = ['my-"special"-product', 'normal-handle'];
+      const handles = ['my-"special"-product', "normal-handle"];
       const batches = buildBatchFragments(handles);
       const { fragments } = batches[0];
 
@@ -179,9 +201,8 @@ describe("Fix 6A: Markets batch product resolution", () => {
       const batch1Data = {};
       for (let idx = 0; idx < 50; idx++) {
         // Every other product is "found"
-        batch1Data[`p${idx}`] = idx % 2 === 0
-          ? { id: `gid://shopify/Product/${idx}` }
-          : null;
+        batch1Data[`p${idx}`] =
+          idx % 2 === 0 ? { id: `gid://shopify/Product/${idx}` } : null;
       }
       allIds.push(...extractIdsFromResponse(batch1, batch1Data));
 
@@ -217,3 +238,355 @@ describe("Fix 6A: Markets batch product resolution", () => {
     });
   });
 });
+
+describe("Market price lists", () => {
+  describe("buildPriceListParentInput", () => {
+    it("mirrors the production adjustment and compare-at rule", () => {
+      expect(
+        buildPriceListParentInput({
+          adjustment: { type: "PERCENTAGE_INCREASE", value: 15 },
+          settings: { compareAtMode: "NULLIFY" },
+        }),
+      ).toEqual({
+        adjustment: { type: "PERCENTAGE_INCREASE", value: 15 },
+        settings: { compareAtMode: "NULLIFY" },
+      });
+    });
+
+    it("falls back to a 0% decrease when production has no parent", () => {
+      expect(buildPriceListParentInput(null)).toEqual({
+        adjustment: { type: "PERCENTAGE_DECREASE", value: 0 },
+      });
+    });
+  });
+
+  describe("buildFixedPriceInputs", () => {
+    it("maps variants to staging and keeps compare-at prices", () => {
+      const prices = [
+        {
+          variantId: "gid://shopify/ProductVariant/1",
+          price: { amount: "10.0", currencyCode: "EUR" },
+          compareAtPrice: { amount: "12.0", currencyCode: "EUR" },
+        },
+        {
+          variantId: "gid://shopify/ProductVariant/2",
+          price: { amount: "20.0", currencyCode: "EUR" },
+          compareAtPrice: null,
+        },
+      ];
+      const variantIdMap = new Map([
+        ["gid://shopify/ProductVariant/1", "gid://shopify/ProductVariant/901"],
+      ]);
+
+      expect(buildFixedPriceInputs(prices, variantIdMap)).toEqual({
+        inputs: [
+          {
+            variantId: "gid://shopify/ProductVariant/901",
+            price: { amount: "10.0", currencyCode: "EUR" },
+            compareAtPrice: { amount: "12.0", currencyCode: "EUR" },
+          },
+        ],
+        unmapped: ["gid://shopify/ProductVariant/2"],
+      });
+    });
+  });
+
+  describe("plan fields", () => {
+    it("compares a price list without a parent as a 0% decrease", () => {
+      expect(getPriceListPlanFields({ currency: "EUR", parent: null })).toEqual(
+        {
+          currency: "EUR",
+          adjustment: { type: "PERCENTAGE_DECREASE", value: 0 },
+          compareAtMode: null,
+        },
+      );
+    });
+
+    it("keys fixed prices by staging variant", () => {
+      expect(
+        getFixedPricePlanFields([
+          {
+            variantId: "gid://shopify/ProductVariant/901",
+            price: { amount: "9.0", currencyCode: "EUR" },
+            compareAtPrice: null,
+          },
+        ]),
+      ).toEqual({
+        prices: {
+          "gid://shopify/ProductVariant/901": {
+            price: "9.0 EUR",
+            compareAtPrice: null,
+          },
+        },
+      });
+    });
+  });
+});
+
+describe("syncMarkets catalogs", () => {
+  const jsonResponse = (data) => new Response(JSON.stringify({ data }));
+  const edges = (nodes) => ({
+    edges: nodes.map((node) => ({ node, cursor: node.id })),
+    pageInfo: { hasNextPage: false },
+  });
+  const market = {
+    id: "gid://shopify/Market/1",
+    handle: "eu",
+    name: "EU",
+    status: "ACTIVE",
+    conditions: { regionsCondition: { regions: { nodes: [{ code: "DE" }] } } },
+  };
+  const catalog = (id, priceList) => ({
+    market: {
+      catalogs: {
+        nodes: [
+          {
+            id,
+            title: "EU",
+            status: "ACTIVE",
+            priceList,
+            publication: {
+              id: `${id}-publication`,
+              products: {
+                nodes: [{ id: "gid://shopify/Product/1", handle: "hat" }],
+                pageInfo: { hasNextPage: false },
+              },
+            },
+          },
+        ],
+      },
+    },
+  });
+  const prices = (nodes) => ({
+    priceList: { prices: { nodes, pageInfo: { hasNextPage: false } } },
+  });
+  const fixedPrice = (variantId, amount) => ({
+    variant: { id: variantId },
+    price: { amount, currencyCode: "EUR" },
+    compareAtPrice: null,
+  });
+
+  // Production has one market with a 10% off EUR price list and a fixed
+  // price for variant 1 (staging variant 901)
+  function stubStores({
+    stagingPriceList = null,
+    stagingPrices = [],
+    priceListCreate = {
+      priceList: { id: "gid://shopify/PriceList/801" },
+      userErrors: [],
+    },
+  } = {}) {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    getMappingByProductionGid.mockResolvedValue({
+      stagingGid: "gid://shopify/ProductVariant/901",
+    });
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, init) => {
+        const { query } = JSON.parse(init.body);
+        if (query.includes("GetMarkets")) {
+          return jsonResponse({ markets: edges([market]) });
+        }
+        if (query.includes("GetMarketCatalog")) {
+          return jsonResponse(
+            catalog("gid://shopify/MarketCatalog/1", {
+              id: "gid://shopify/PriceList/1",
+              currency: "EUR",
+              parent: {
+                adjustment: { type: "PERCENTAGE_DECREASE", value: 10 },
+                settings: { compareAtMode: "ADJUSTED" },
+              },
+            }),
+          );
+        }
+        if (query.includes("GetFixedPrices")) {
+          return jsonResponse(
+            prices([fixedPrice("gid://shopify/ProductVariant/1", "9.0")]),
+          );
+        }
+        return jsonResponse({ metafieldDefinitions: edges([]) });
+      }),
+    );
+    return {
+      graphql: vi.fn(async (query) => {
+        if (query.includes("GetMarkets")) {
+          return jsonResponse({
+            markets: edges([{ ...market, id: "gid://shopify/Market/501" }]),
+          });
+        }
+        if (query.includes("marketUpdate")) {
+          return jsonResponse({
+            marketUpdate: { market: { id: "gid://shopify/Market/501" } },
+          });
+        }
+        if (query.includes("unifiedMarkets")) {
+          return jsonResponse({ shop: { features: { unifiedMarkets: true } } });
+        }
+        if (query.includes("GetMarketCatalog")) {
+          return jsonResponse(
+            catalog("gid://shopify/MarketCatalog/601", stagingPriceList),
+          );
+        }
+        if (query.includes("GetFixedPrices")) {
+          return jsonResponse(prices(stagingPrices));
+        }
+        if (query.includes("priceListCreate")) {
+          return jsonResponse({ priceListCreate });
+        }
+        if (query.includes("priceListUpdate")) {
+          return jsonResponse({
+            priceListUpdate: { priceList: stagingPriceList, userErrors: [] },
+          });
+        }
+        if (query.includes("priceListFixedPricesAdd")) {
+          return jsonResponse({
+            priceListFixedPricesAdd: {
+              prices: [{ variant: { id: "gid://shopify/ProductVariant/901" } }],
+              userErrors: [],
+            },
+          });
+        }
+        if (query.includes("priceListFixedPricesDelete")) {
+          return jsonResponse({
+            priceListFixedPricesDelete: {
+              deletedFixedPriceVariantIds: ["gid://shopify/ProductVariant/902"],
+              userErrors: [],
+            },
+          });
+        }
+        if (query.includes("productByIdentifier")) {
+          return jsonResponse({ p0: { id: "gid://shopify/Product/1" } });
+        }
+        if (query.includes("publicationUpdate")) {
+          return jsonResponse({ publicationUpdate: { userErrors: [] } });
+        }
+        return jsonResponse({ metafieldDefinitions: edges([]) });
+      }),
+    };
+  }
+  const run = (stagingAdmin, options) =>
+    syncMarkets(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      "conn-1",
+      () => {},
+      options,
+    );
+  const mutationsOf = (stagingAdmin) =>
+    stagingAdmin.graphql.mock.calls
+      .map(([query, options]) => [query, options?.variables])
+      .filter(([query]) => /^\s*mutation\b/.test(query))
+      .map(([query, variables]) => [query.match(/\{\s*(\w+)\(/)[1], variables]);
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("syncs the price list of a market whose own fields are unchanged", async () => {
+    const stagingAdmin = stubStores();
+
+    const preview = await run(stagingAdmin, { dryRun: true });
+    expect(
+      preview.plan.items
+        .filter((item) => item.resourceType.startsWith("market"))
+        .map((item) => [item.resourceType, item.action]),
+    ).toEqual([
+      ["market", "skip"],
+      ["market_catalog", "skip"],
+      ["market_price_list", "create"],
+      ["market_fixed_prices", "update"],
+    ]);
+
+    stagingAdmin.graphql.mockClear();
+    const { summary } = await run(stagingAdmin, { plan: preview.plan });
+
+    expect(mutationsOf(stagingAdmin)).toEqual([
+      ["priceListCreate", expect.any(Object)],
+      [
+        "priceListFixedPricesAdd",
+        {
+          priceListId: "gid://shopify/PriceList/801",
+          prices: [
+            {
+              variantId: "gid://shopify/ProductVariant/901",
+              price: { amount: "9.0", currencyCode: "EUR" },
+            },
+          ],
+        },
+      ],
+    ]);
+    expect(summary.skipped).toBe(1);
+  });
+
+  it("updates an existing price list and removes stale fixed prices", async () => {
+    const stagingAdmin = stubStores({
+      stagingPriceList: {
+        id: "gid://shopify/PriceList/801",
+        currency: "EUR",
+        parent: {
+          adjustment: { type: "PERCENTAGE_DECREASE", value: 0 },
+          settings: { compareAtMode: "ADJUSTED" },
+        },
+      },
+      stagingPrices: [
+        fixedPrice("gid://shopify/ProductVariant/901", "9.0"),
+        fixedPrice("gid://shopify/ProductVariant/902", "5.0"),
+      ],
+    });
+
+    const { log } = await run(stagingAdmin, {});
+
+    const mutations = mutationsOf(stagingAdmin).filter(([name]) =>
+      name.startsWith("priceList"),
+    );
+    expect(mutations).toEqual([
+      [
+        "priceListUpdate",
+        {
+          id: "gid://shopify/PriceList/801",
+          input: {
+            currency: "EUR",
+            parent: {
+              adjustment: { type: "PERCENTAGE_DECREASE", value: 10 },
+              settings: { compareAtMode: "ADJUSTED" },
+            },
+          },
+        },
+      ],
+      [
+        "priceListFixedPricesDelete",
+        {
+          priceListId: "gid://shopify/PriceList/801",
+          variantIds: ["gid://shopify/ProductVariant/902"],
+        },
+      ],
+    ]);
+    expect(mutationsOf(stagingAdmin).map(([name]) => name)).not.toContain(
+      "catalogCreate",
+    );
+    expect(log.map((entry) => entry.message)).toContain(
+      "✅ Synced 0 fixed price(s) for market: EU, removed 1",
+    );
+  });
+
+  it("reports price list errors as failures", async () => {
+    const stagingAdmin = stubStores({
+      priceListCreate: {
+        priceList: null,
+        userErrors: [{ field: ["currency"], message: "Currency is invalid" }],
+      },
+    });
+
+    const { summary, log } = await run(stagingAdmin, {});
+
+    expect(summary.failed).toBe(1);
+    expect(summary.errors).toContain(
+      'Failed to create price list for market "EU": Currency is invalid',
+    );
+    expect(log).toContainEqual(
+      expect.objectContaining({ type: "price_list_sync", success: false }),
+    );
+  });
+});
@@ -0,0 +1,536 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  dropUnmappedReferences,
+  splitDeferredFields,
+  syncMetaobjects,
+  translateMetaobjectFields,
+} from "../sync.metaobjects.server.js";
+import {
+  getMappingByProductionGid,
+  logUnmappedReference,
+  saveMapping,
+} from "../resource-mapping.server.js";
+
+// Mock the resource-mapping module (also used by the GID translator)
+vi.mock("../resource-mapping.server.js", () => ({
+  saveMapping: vi.fn(),
+  extractIdFromGid: vi.fn((gid) => gid?.split("/").pop() ?? null),
+  getMappingByProductionGid: vi.fn(),
+  logUnmappedReference: vi.fn().mockResolvedValue(null),
+  extractResourceTypeFromGid: vi.fn((gid) => {
+    const match = gid?.match(/gid:\/\/shopify\/([^/]+)\/\d+/);
+    return match ? match[1] : null;
+  }),
+}));
+
+const MAPPINGS = {
+  "gid://shopify/Metaobject/1": "gid://shopify/Metaobject/901",
+  "gid://shopify/Product/10": "gid://shopify/Product/910",
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  getMappingByProductionGid.mockImplementation(async (_connId, gid) =>
+    MAPPINGS[gid] ? { stagingGid: MAPPINGS[gid] } : null,
+  );
+});
+
+const entry = { type: "designer", handle: "jane" };
+
+describe("splitDeferredFields", () => {
+  it("defers fields referencing metaobjects that are not mapped yet", async () => {
+    const { ready, deferred } = await splitDeferredFields("conn-1", [
+      { key: "name", type: "single_line_text_field", value: "Jane" },
+      {
+        key: "mentor",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/2",
+      },
+      {
+        key: "studio",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/1",
+      },
+    ]);
+
+    expect(ready.map((f) => f.key)).toEqual(["name", "studio"]);
+    expect(deferred.map((f) => f.key)).toEqual(["mentor"]);
+  });
+
+  it("defers a list when any referenced entry is unmapped", async () => {
+    const { deferred } = await splitDeferredFields("conn-1", [
+      {
+        key: "peers",
+        type: "list.metaobject_reference",
+        value: JSON.stringify([
+          "gid://shopify/Metaobject/1",
+          "gid://shopify/Metaobject/3",
+        ]),
+      },
+    ]);
+
+    expect(deferred).toHaveLength(1);
+  });
+
+  it("does not defer non-metaobject references", async () => {
+    const { ready, deferred } = await splitDeferredFields("conn-1", [
+      {
+        key: "product",
+        type: "product_reference",
+        value: "gid://shopify/Product/99",
+      },
+    ]);
+
+    expect(ready).toHaveLength(1);
+    expect(deferred).toHaveLength(0);
+  });
+
+  it("drops fields with null values", async () => {
+    const { ready, deferred } = await splitDeferredFields("conn-1", [
+      { key: "bio", type: "multi_line_text_field", value: null },
+    ]);
+
+    expect(ready).toHaveLength(0);
+    expect(deferred).toHaveLength(0);
+  });
+
+  it("blocks required fields instead of deferring them", async () => {
+    const { deferred, blocked } = await splitDeferredFields(
+      "conn-1",
+      [
+        {
+          key: "mentor",
+          type: "metaobject_reference",
+          value: "gid://shopify/Metaobject/2",
+        },
+        {
+          key: "peer",
+          type: "metaobject_reference",
+          value: "gid://shopify/Metaobject/3",
+        },
+      ],
+      new Set(["mentor"]),
+    );
+
+    expect(blocked.map((f) => f.key)).toEqual(["mentor"]);
+    expect(deferred.map((f) => f.key)).toEqual(["peer"]);
+  });
+
+  it("never defers without a store connection", async () => {
+    const { ready, deferred } = await splitDeferredFields(null, [
+      {
+        key: "mentor",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/2",
+      },
+    ]);
+
+    expect(ready).toHaveLength(1);
+    expect(deferred).toHaveLength(0);
+    expect(getMappingByProductionGid).not.toHaveBeenCalled();
+  });
+});
+
+describe("dropUnmappedReferences", () => {
+  it("drops unmapped references and logs each one", async () => {
+    const result = await dropUnmappedReferences("conn-1", entry, [
+      {
+        key: "mentor",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/2",
+      },
+      {
+        key: "peers",
+        type: "list.metaobject_reference",
+        value: JSON.stringify([
+          "gid://shopify/Metaobject/1",
+          "gid://shopify/Metaobject/3",
+        ]),
+      },
+      {
+        key: "studio",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/1",
+      },
+    ]);
+
+    expect(result.fields).toEqual([
+      {
+        key: "peers",
+        type: "list.metaobject_reference",
+        value: JSON.stringify(["gid://shopify/Metaobject/1"]),
+      },
+      {
+        key: "studio",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/1",
+      },
+    ]);
+    expect(result.dropped).toBe(2);
+    expect(logUnmappedReference).toHaveBeenCalledWith(
+      "conn-1",
+      "gid://shopify/Metaobject/2",
+      "metaobject:designer/jane field mentor",
+      "metaobjects",
+    );
+  });
+
+  it("drops a list when none of its references are mapped", async () => {
+    const result = await dropUnmappedReferences("conn-1", entry, [
+      {
+        key: "peers",
+        type: "list.metaobject_reference",
+        value: JSON.stringify(["gid://shopify/Metaobject/3"]),
+      },
+    ]);
+
+    expect(result.fields).toEqual([]);
+  });
+});
+
+describe("translateMetaobjectFields", () => {
+  it("translates single and list references to staging GIDs", async () => {
+    const result = await translateMetaobjectFields("conn-1", entry, [
+      {
+        key: "studio",
+        type: "metaobject_reference",
+        value: "gid://shopify/Metaobject/1",
+      },
+      {
+        key: "products",
+        type: "list.product_reference",
+        value: JSON.stringify(["gid://shopify/Product/10"]),
+      },
+      { key: "name", type: "single_line_text_field", value: "Jane" },
+    ]);
+
+    expect(result.fields).toEqual([
+      { key: "studio", value: "gid://shopify/Metaobject/901" },
+      { key: "products", value: JSON.stringify(["gid://shopify/Product/910"]) },
+      { key: "name", value: "Jane" },
+    ]);
+    expect(result.translated).toBe(2);
+    expect(result.unmapped).toBe(0);
+  });
+
+  it("translates mixed references", async () => {
+    const result = await translateMetaobjectFields("conn-1", entry, [
+      {
+        key: "featured",
+        type: "mixed_reference",
+        value: "gid://shopify/Product/10",
+      },
+      {
+        key: "related",
+        type: "list.mixed_reference",
+        value: JSON.stringify([
+          "gid://shopify/Product/10",
+          "gid://shopify/Metaobject/1",
+        ]),
+      },
+    ]);
+
+    expect(result.fields[0].value).toBe("gid://shopify/Product/910");
+    expect(JSON.parse(result.fields[1].value)).toEqual([
+      "gid://shopify/Product/910",
+      "gid://shopify/Metaobject/901",
+    ]);
+  });
+
+  it("keeps unmapped references and logs them with the entry context", async () => {
+    const result = await translateMetaobjectFields("conn-1", entry, [
+      {
+        key: "product",
+        type: "product_reference",
+        value: "gid://shopify/Product/99",
+      },
+    ]);
+
+    expect(result.fields[0].value).toBe("gid://shopify/Product/99");
+    expect(result.unmapped).toBe(1);
+    expect(logUnmappedReference).toHaveBeenCalledWith(
+      "conn-1",
+      "gid://shopify/Product/99",
+      expect.stringContaining("metaobject:designer/jane"),
+      "metaobjects",
+    );
+  });
+
+  it("copies values as-is without a store connection", async () => {
+    const result = await translateMetaobjectFields(null, entry, [
+      {
+        key: "product",
+        type: "product_reference",
+        value: "gid://shopify/Product/10",
+      },
+    ]);
+
+    expect(result.fields).toEqual([
+      { key: "product", value: "gid://shopify/Product/10" },
+    ]);
+    expect(getMappingByProductionGid).not.toHaveBeenCalled();
+  });
+});
+
+describe("syncMetaobjects", () => {
+  const jsonResponse = (data) => new Response(JSON.stringify({ data }));
+  const edges = (nodes) => ({
+    edges: nodes.map((node) => ({ node, cursor: node.id })),
+    pageInfo: { hasNextPage: false },
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("replays the entries written before an interruption into the second pass", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    getMappingByProductionGid.mockImplementation(async (_connId, gid) =>
+      gid === "gid://shopify/Metaobject/2"
+        ? { stagingGid: "gid://shopify/Metaobject/902" }
+        : null,
+    );
+    // Production has jane, who references bob; the run stopped at bob
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, init) => {
+        const { query } = JSON.parse(init.body);
+        if (query.includes("getMetaobjectDefinitions")) {
+          return jsonResponse({
+            metaobjectDefinitions: edges([
+              { id: "gid://shopify/MetaobjectDefinition/1", type: "designer" },
+            ]),
+          });
+        }
+        return jsonResponse({
+          metaobjects: edges([
+            {
+              id: "gid://shopify/Metaobject/1",
+              handle: "jane",
+              type: "designer",
+              fields: [
+                {
+                  key: "mentor",
+                  type: "metaobject_reference",
+                  value: "gid://shopify/Metaobject/2",
+                },
+              ],
+            },
+            {
+              id: "gid://shopify/Metaobject/2",
+              handle: "bob",
+              type: "designer",
+              fields: [
+                { key: "name", type: "single_line_text_field", value: "Bob" },
+              ],
+            },
+          ]),
+        });
+      }),
+    );
+    const stagingAdmin = {
+      graphql: vi.fn(async (query) => {
+        if (query.includes("GetMetaobjectDefinition(")) {
+          return jsonResponse({
+            metaobjectDefinitionByType: { id: "gid://shopify/Def/9" },
+          });
+        }
+        if (query.includes("getMetaobjectHandles")) {
+          return jsonResponse({
+            metaobjects: edges([
+              { id: "gid://shopify/Metaobject/801", handle: "jane" },
+            ]),
+          });
+        }
+        if (query.includes("UpsertMetaobject")) {
+          return jsonResponse({
+            metaobjectUpsert: {
+              metaobject: { id: "gid://shopify/Metaobject/902" },
+              userErrors: [],
+            },
+          });
+        }
+        return jsonResponse({ metaobjectUpdate: { userErrors: [] } });
+      }),
+    };
+
+    const { summary } = await syncMetaobjects(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      "conn-1",
+      () => {},
+      {
+        checkpoint: {
+          cursor: { step: "entries", type: "designer", handle: "bob" },
+        },
+      },
+    );
+
+    const mutations = stagingAdmin.graphql.mock.calls.filter(([query]) =>
+      query.includes("mutation"),
+    );
+    expect(
+      mutations.map(
+        ([, { variables }]) => variables.handle?.handle ?? variables.id,
+      ),
+    ).toEqual(["bob", "gid://shopify/Metaobject/801"]);
+    expect(mutations[1][1].variables.metaobject.fields).toEqual([
+      { key: "mentor", value: "gid://shopify/Metaobject/902" },
+    ]);
+    expect(summary.created).toBe(1);
+    expect(summary.secondPass.updated).toBe(1);
+  });
+
+  // Production designers, a definition whose "mentor" field may be required,
+  // and an empty staging store whose upserts are mapped like the real sync
+  const stubStores = (designers, { required = false } = {}) => {
+    const mappings = {};
+    getMappingByProductionGid.mockImplementation(async (_connId, gid) =>
+      mappings[gid] ? { stagingGid: mappings[gid] } : null,
+    );
+    saveMapping.mockImplementation(async (_connId, _type, mapping) => {
+      mappings[mapping.productionGid] = mapping.stagingGid;
+    });
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, init) => {
+        const { query } = JSON.parse(init.body);
+        if (query.includes("getMetaobjectDefinitions")) {
+          return jsonResponse({
+            metaobjectDefinitions: edges([
+              {
+                id: "gid://shopify/MetaobjectDefinition/1",
+                type: "designer",
+                fieldDefinitions: [{ key: "mentor", required }],
+              },
+            ]),
+          });
+        }
+        return jsonResponse({ metaobjects: edges(designers) });
+      }),
+    );
+    return {
+      graphql: vi.fn(async (query, { variables } = {}) => {
+        if (query.includes("GetMetaobjectDefinition(")) {
+          return jsonResponse({
+            metaobjectDefinitionByType: { id: "gid://shopify/Def/9" },
+          });
+        }
+        if (query.includes("getMetaobjectHandles")) {
+          return jsonResponse({ metaobjects: edges([]) });
+        }
+        if (query.includes("UpsertMetaobject")) {
+          return jsonResponse({
+            metaobjectUpsert: {
+              metaobject: {
+                id: `gid://shopify/Metaobject/staging-${variables.handle.handle}`,
+              },
+              userErrors: [],
+            },
+          });
+        }
+        return jsonResponse({ metaobjectUpdate: { userErrors: [] } });
+      }),
+    };
+  };
+  const mutationsOf = (stagingAdmin) =>
+    stagingAdmin.graphql.mock.calls
+      .filter(([query]) => query.includes("mutation"))
+      .map(([, { variables }]) => variables);
+  const designer = (id, handle, mentor) => ({
+    id: `gid://shopify/Metaobject/${id}`,
+    handle,
+    type: "designer",
+    fields: [
+      { key: "name", type: "single_line_text_field", value: handle },
+      ...(mentor
+        ? [
+            {
+              key: "mentor",
+              type: "metaobject_reference",
+              value: `gid://shopify/Metaobject/${mentor}`,
+            },
+          ]
+        : []),
+    ],
+  });
+
+  it("creates entries with a required reference after the entry they reference", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const stagingAdmin = stubStores(
+      [designer(1, "jane", 2), designer(2, "bob")],
+      { required: true },
+    );
+
+    const { summary } = await syncMetaobjects(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      "conn-1",
+    );
+
+    const mutations = mutationsOf(stagingAdmin);
+    expect(mutations.map((variables) => variables.handle.handle)).toEqual([
+      "bob",
+      "jane",
+    ]);
+    expect(mutations[1].metaobject.fields).toContainEqual({
+      key: "mentor",
+      value: "gid://shopify/Metaobject/staging-bob",
+    });
+    expect(summary.created).toBe(2);
+    expect(summary.failed).toBe(0);
+  });
+
+  it("fails an entry whose required reference points to an entry not in staging", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const stagingAdmin = stubStores([designer(1, "jane", 77)], {
+      required: true,
+    });
+
+    const { summary } = await syncMetaobjects(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      "conn-1",
+    );
+
+    expect(mutationsOf(stagingAdmin)).toEqual([]);
+    expect(summary.failed).toBe(1);
+    expect(summary.errors[0]).toContain("designer/jane: required reference");
+    expect(logUnmappedReference).toHaveBeenCalledWith(
+      "conn-1",
+      "gid://shopify/Metaobject/77",
+      "metaobject:designer/jane field mentor",
+      "metaobjects",
+    );
+  });
+
+  it("drops references that are still unmapped in the second pass", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const stagingAdmin = stubStores([designer(1, "jane", 77)]);
+
+    const { summary, log } = await syncMetaobjects(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      "conn-1",
+    );
+
+    // Only the first-pass upsert: no update writes the production GID
+    expect(mutationsOf(stagingAdmin)).toHaveLength(1);
+    expect(summary.created).toBe(1);
+    expect(summary.secondPass.updated).toBe(0);
+    expect(logUnmappedReference).toHaveBeenCalledWith(
+      "conn-1",
+      "gid://shopify/Metaobject/77",
+      "metaobject:designer/jane field mentor",
+      "metaobjects",
+    );
+    expect(log.map((entry) => entry.message)).toContain(
+      "⚠️ Left references on designer/jane unset (1 unmapped reference(s) dropped)",
+    );
+  });
+});
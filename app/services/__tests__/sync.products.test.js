@@ -1,4 +1,15 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi } from "vitest";
+import {
+  addProductionHsCodes,
+  assembleBulkProducts,
+  buildProductsBulkQuery,
+  getProductPlanFields,
+} from "../sync.products.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  saveMapping: vi.fn(),
+  extractIdFromGid: vi.fn(),
+}));
 
 describe("Fix 2A: Variant matching by selectedOptions (not array index)", () => {
   // Helper that replicates the fix logic
@@ -544,3 +555,207 @@ describe("Multi-channel publishing", () => {
     expect(input[0].publicationId).toBe("gid://shopify/Publication/1");
   });
 });
+
+describe("Bulk operation product assembly", () => {
+  async function* toAsync(lines) {
+    yield* lines;
+  }
+
+  async function collect(generator) {
+    const items = [];
+    for await (const item of generator) items.push(item);
+    return items;
+  }
+
+  const lines = [
+    { id: "gid://shopify/Product/1", handle: "tee", title: "Tee" },
+    {
+      id: "gid://shopify/ProductVariant/11",
+      title: "Small",
+      inventoryItem: { id: "gid://shopify/InventoryItem/111" },
+      __parentId: "gid://shopify/Product/1",
+    },
+    {
+      id: "gid://shopify/Metafield/1001",
+      namespace: "custom",
+      key: "fit",
+      __parentId: "gid://shopify/ProductVariant/11",
+    },
+    {
+      id: "gid://shopify/MediaImage/501",
+      image: { url: "https://cdn.shopify.com/tee.png" },
+      __parentId: "gid://shopify/Product/1",
+    },
+    // Non-image media lines carry no fields
+    { __parentId: "gid://shopify/Product/1" },
+    {
+      id: "gid://shopify/Metafield/1002",
+      namespace: "custom",
+      key: "material",
+      __parentId: "gid://shopify/Product/1",
+    },
+    { id: "gid://shopify/Product/2", handle: "hat", title: "Hat" },
+  ];
+
+  it("rebuilds products in the paged query shape", async () => {
+    const hsCodes = new Map([
+      [
+        "gid://shopify/InventoryItem/111",
+        [{ node: { harmonizedSystemCode: "6109", countryCode: "CA" } }],
+      ],
+    ]);
+
+    const products = await collect(
+      addProductionHsCodes(
+        assembleBulkProducts(toAsync(lines)),
+        async () => hsCodes,
+      ),
+    );
+
+    expect(products).toHaveLength(2);
+    const [tee, hat] = products;
+
+    expect(tee.variants.edges).toHaveLength(1);
+    expect(tee.variants.pageInfo.hasNextPage).toBe(false);
+    const variant = tee.variants.edges[0].node;
+    expect(variant.__parentId).toBeUndefined();
+    expect(variant.metafields.nodes.map((m) => m.key)).toEqual(["fit"]);
+    expect(variant.inventoryItem.countryHarmonizedSystemCodes.edges).toEqual([
+      { node: { harmonizedSystemCode: "6109", countryCode: "CA" } },
+    ]);
+
+    expect(tee.media.edges).toEqual([
+      {
+        node: {
+          id: "gid://shopify/MediaImage/501",
+          image: { url: "https://cdn.shopify.com/tee.png" },
+        },
+      },
+    ]);
+    expect(tee.metafields.nodes.map((m) => m.key)).toEqual(["material"]);
+
+    expect(hat.variants.edges).toEqual([]);
+    expect(hat.metafields.nodes).toEqual([]);
+  });
+
+  it("yields each product before reading the next product's lines", async () => {
+    const seen = [];
+    async function* tracked() {
+      for (const line of lines) {
+        seen.push(line.id);
+        yield line;
+      }
+    }
+
+    const generator = assembleBulkProducts(tracked());
+    const first = await generator.next();
+
+    expect(first.value.id).toBe("gid://shopify/Product/1");
+    // Only the lines up to the next product have been consumed
+    expect(seen[seen.length - 1]).toBe("gid://shopify/Product/2");
+  });
+
+  it("looks up HS codes for the streamed products' inventory items in batches", async () => {
+    const product = (n) => ({
+      id: `gid://shopify/Product/${n}`,
+      variants: {
+        edges: Array.from({ length: 60 }, (_, v) => ({
+          node: {
+            id: `gid://shopify/ProductVariant/${n}${v}`,
+            inventoryItem: { id: `gid://shopify/InventoryItem/${n}-${v}` },
+          },
+        })),
+      },
+    });
+    const getHsCodes = vi.fn(
+      async (ids) =>
+        new Map([
+          [
+            ids[0],
+            [{ node: { harmonizedSystemCode: "6109", countryCode: "CA" } }],
+          ],
+        ]),
+    );
+
+    const products = await collect(
+      addProductionHsCodes(toAsync([1, 2, 3].map(product)), getHsCodes),
+    );
+
+    // Two products fill a batch; the third is looked up on its own
+    expect(getHsCodes.mock.calls.map(([ids]) => ids.length)).toEqual([120, 60]);
+    expect(products).toHaveLength(3);
+    const [first, second] = products.map((p) =>
+      p.variants.edges.map(
+        ({ node }) => node.inventoryItem.countryHarmonizedSystemCodes.edges,
+      ),
+    );
+    expect(first[0]).toEqual([
+      { node: { harmonizedSystemCode: "6109", countryCode: "CA" } },
+    ]);
+    expect(first[1]).toEqual([]);
+    expect(second[0]).toEqual([]);
+  });
+});
+
+describe("buildProductsBulkQuery", () => {
+  it("exports every product for a full sync", () => {
+    expect(buildProductsBulkQuery()).toMatch(/^\s*{\s*products {/);
+  });
+
+  it("filters the top-level products connection for incremental syncs", () => {
+    const query = buildProductsBulkQuery(
+      "updated_at:>'2026-01-01T00:00:00.000Z'",
+    );
+    expect(query).toContain(
+      `products(query: "updated_at:>'2026-01-01T00:00:00.000Z'") {`,
+    );
+    expect(query.match(/products\(query:/g)).toHaveLength(1);
+  });
+});
+
+describe("getProductPlanFields with field policies", () => {
+  const product = {
+    title: "Shirt",
+    status: "ACTIVE",
+    tags: ["b", "a"],
+    variants: {
+      edges: [
+        {
+          node: {
+            title: "S",
+            selectedOptions: [{ name: "Size", value: "S" }],
+            sku: "SKU-S",
+            price: "10.00",
+            taxable: true,
+            inventoryPolicy: "DENY",
+          },
+        },
+      ],
+    },
+  };
+
+  it("compares every field by default", () => {
+    const fields = getProductPlanFields(product);
+
+    expect(fields.status).toBe("ACTIVE");
+    expect(fields.tags).toEqual(["a", "b"]);
+    expect(fields.variants["Size: S"].price).toBe("10.00");
+  });
+
+  it("leaves out product and variant fields that don't sync", () => {
+    const fieldPolicies = {
+      product: { status: "create" },
+      variant: { price: "never" },
+    };
+
+    const fields = getProductPlanFields(product, fieldPolicies, "update");
+
+    expect(fields).not.toHaveProperty("status");
+    expect(fields.tags).toEqual(["a", "b"]);
+    expect(fields.variants["Size: S"]).not.toHaveProperty("price");
+    expect(fields.variants["Size: S"].sku).toBe("SKU-S");
+    expect(getProductPlanFields(product, fieldPolicies, "create").status).toBe(
+      "ACTIVE",
+    );
+  });
+});
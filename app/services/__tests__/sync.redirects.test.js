@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  rewriteTargetHandles,
+  syncRedirects,
+} from "../sync.redirects.server.js";
+import { saveMapping } from "../resource-mapping.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  extractIdFromGid: (gid) => gid.split("/").pop(),
+  getMappingByMatchValue: vi.fn(),
+  saveMapping: vi.fn(),
+}));
+
+// Staging handles that differ from production
+const STAGING_HANDLES = {
+  "product:old-shirt": "shirt",
+  "collection:summer-2024": "summer",
+  "product:same-handle": "same-handle",
+};
+
+const resolveHandle = vi.fn(
+  async (resourceType, handle) =>
+    STAGING_HANDLES[`${resourceType}:${handle}`] || null,
+);
+
+describe("rewriteTargetHandles", () => {
+  it("rewrites a product path whose handle differs", async () => {
+    const result = await rewriteTargetHandles(
+      "/products/old-shirt",
+      resolveHandle,
+    );
+    expect(result).toEqual({ target: "/products/shirt", rewritten: 1 });
+  });
+
+  it("rewrites nested collection/product paths and keeps query strings", async () => {
+    const result = await rewriteTargetHandles(
+      "/collections/summer-2024/products/old-shirt?variant=1#top",
+      resolveHandle,
+    );
+    expect(result.target).toBe(
+      "/collections/summer/products/shirt?variant=1#top",
+    );
+    expect(result.rewritten).toBe(2);
+  });
+
+  it("rewrites absolute URLs and locale-prefixed paths", async () => {
+    const absolute = await rewriteTargetHandles(
+      "https://example.com/fr/products/old-shirt",
+      resolveHandle,
+    );
+    expect(absolute.target).toBe("https://example.com/fr/products/shirt");
+  });
+
+  it("leaves unmapped and unchanged handles alone", async () => {
+    const unmapped = await rewriteTargetHandles(
+      "/products/unknown",
+      resolveHandle,
+    );
+    expect(unmapped).toEqual({ target: "/products/unknown", rewritten: 0 });
+
+    const same = await rewriteTargetHandles(
+      "/products/same-handle",
+      resolveHandle,
+    );
+    expect(same.rewritten).toBe(0);
+  });
+
+  it("looks up handles with malformed escapes as they are written", async () => {
+    resolveHandle.mockClear();
+    const result = await rewriteTargetHandles(
+      "/products/100%-cotton",
+      resolveHandle,
+    );
+    expect(result).toEqual({ target: "/products/100%-cotton", rewritten: 0 });
+    expect(resolveHandle).toHaveBeenCalledWith("product", "100%-cotton");
+  });
+
+  it("ignores targets without product or collection paths", async () => {
+    resolveHandle.mockClear();
+    const result = await rewriteTargetHandles("/pages/about", resolveHandle);
+    expect(result).toEqual({ target: "/pages/about", rewritten: 0 });
+    expect(resolveHandle).not.toHaveBeenCalled();
+  });
+});
+
+const jsonResponse = (body) => new Response(JSON.stringify(body));
+
+const redirectsResponse = (redirects) =>
+  jsonResponse({
+    data: {
+      urlRedirects: {
+        edges: redirects.map((node) => ({ node })),
+        pageInfo: { hasNextPage: false, endCursor: null },
+      },
+    },
+  });
+
+describe("syncRedirects", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("doesn't save mappings for unchanged redirects in a preview", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const redirect = { path: "/old", target: "/pages/about" };
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () =>
+        redirectsResponse([{ id: "gid://shopify/UrlRedirect/1", ...redirect }]),
+      ),
+    );
+    const stagingAdmin = {
+      graphql: vi.fn(async () =>
+        redirectsResponse([{ id: "gid://shopify/UrlRedirect/9", ...redirect }]),
+      ),
+    };
+
+    const result = await syncRedirects(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      "conn-1",
+      () => {},
+      { dryRun: true },
+    );
+
+    expect(result.summary.skipped).toBe(1);
+    expect(saveMapping).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  isJsonConfigFile,
+  parseThemeJson,
+  translateShopifyUrls,
+  translateThemeReferences,
+} from "../sync.themes.server.js";
+import {
+  getMappingByProductionGid,
+  logUnmappedReference,
+} from "../resource-mapping.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  getMappingByMatchValue: vi.fn(),
+  getMappingByProductionGid: vi.fn(),
+  logUnmappedReference: vi.fn().mockResolvedValue(null),
+  extractResourceTypeFromGid: vi.fn((gid) => {
+    const match = gid?.match(/gid:\/\/shopify\/([^/]+)\/\d+/);
+    return match ? match[1] : null;
+  }),
+}));
+
+// Production handle -> staging handle
+const HANDLES = {
+  "product:old-tee": "tee",
+  "collection:sale": "sale",
+  "blog:news": "journal",
+  "article:news/launch": "launch-day",
+};
+
+const resolve = vi.fn(async (kind, handle, parentHandle) => {
+  const key = kind === "article" ? `${parentHandle}/${handle}` : handle;
+  return HANDLES[`${kind}:${key}`] || null;
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  getMappingByProductionGid.mockImplementation(async (_connId, gid) =>
+    gid === "gid://shopify/Metaobject/1"
+      ? { stagingGid: "gid://shopify/Metaobject/901" }
+      : null,
+  );
+});
+
+describe("isJsonConfigFile", () => {
+  it("matches templates, section groups and settings data", () => {
+    expect(isJsonConfigFile("templates/index.json")).toBe(true);
+    expect(isJsonConfigFile("templates/customers/account.json")).toBe(true);
+    expect(isJsonConfigFile("sections/header-group.json")).toBe(true);
+    expect(isJsonConfigFile("config/settings_data.json")).toBe(true);
+  });
+
+  it("ignores liquid, schema and asset files", () => {
+    expect(isJsonConfigFile("templates/page.liquid")).toBe(false);
+    expect(isJsonConfigFile("config/settings_schema.json")).toBe(false);
+    expect(isJsonConfigFile("locales/en.default.json")).toBe(false);
+    expect(isJsonConfigFile("assets/theme.css")).toBe(false);
+  });
+});
+
+describe("parseThemeJson", () => {
+  it("separates the generated header comment from the JSON body", () => {
+    const content = `/*\n * Auto-generated\n */\n{"sections":{}}`;
+    const { header, json } = parseThemeJson(content);
+    expect(header).toBe("/*\n * Auto-generated\n */\n");
+    expect(json).toEqual({ sections: {} });
+  });
+
+  it("returns null json for invalid content", () => {
+    expect(parseThemeJson("{ not json").json).toBeNull();
+  });
+});
+
+describe("translateShopifyUrls", () => {
+  it("rewrites product and collection links to staging handles", async () => {
+    const result = await translateShopifyUrls(
+      "shopify://products/old-tee",
+      resolve,
+    );
+    expect(result).toEqual({
+      value: "shopify://products/tee",
+      translated: 1,
+      unmapped: 0,
+    });
+  });
+
+  it("rewrites article links using both blog and article handles", async () => {
+    const result = await translateShopifyUrls(
+      "shopify://blogs/news/launch",
+      resolve,
+    );
+    expect(result.value).toBe("shopify://blogs/journal/launch-day");
+  });
+
+  it("counts unresolvable links and leaves them untouched", async () => {
+    const result = await translateShopifyUrls(
+      "shopify://pages/missing",
+      resolve,
+    );
+    expect(result).toEqual({
+      value: "shopify://pages/missing",
+      translated: 0,
+      unmapped: 1,
+    });
+  });
+
+  it("leaves image and other shopify:// links alone", async () => {
+    const result = await translateShopifyUrls(
+      "shopify://shop_images/logo.png",
+      resolve,
+    );
+    expect(result.translated + result.unmapped).toBe(0);
+    expect(resolve).not.toHaveBeenCalled();
+  });
+});
+
+describe("translateThemeReferences", () => {
+  it("translates shopify:// links and GIDs, passing the template path as context", async () => {
+    const template = {
+      sections: {
+        hero: {
+          settings: {
+            link: "shopify://collections/sale",
+            cta: "shopify://products/unknown",
+            metaobject: "gid://shopify/Metaobject/1",
+            product: "gid://shopify/Product/5",
+          },
+        },
+      },
+    };
+
+    const result = await translateThemeReferences(
+      "conn-1",
+      template,
+      "templates/index.json",
+      resolve,
+    );
+
+    expect(result.value.sections.hero.settings).toEqual({
+      link: "shopify://collections/sale",
+      cta: "shopify://products/unknown",
+      metaobject: "gid://shopify/Metaobject/901",
+      product: "gid://shopify/Product/5",
+    });
+    expect(result.translated).toBe(2);
+    expect(result.unmapped).toBe(2);
+
+    expect(resolve).toHaveBeenCalledWith(
+      "product",
+      "unknown",
+      undefined,
+      "templates/index.json.sections.hero.settings.cta",
+    );
+    expect(logUnmappedReference).toHaveBeenCalledWith(
+      "conn-1",
+      "gid://shopify/Product/5",
+      "templates/index.json.sections.hero.settings.product",
+      "themes",
+    );
+  });
+});
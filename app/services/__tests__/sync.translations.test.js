@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  buildTranslatableResourcesQuery,
+  buildTranslationInputs,
+  buildTranslationSelections,
+  collectTranslations,
+  syncTranslations,
+} from "../sync.translations.server.js";
+
+vi.mock("../resource-mapping.server.js", () => ({
+  saveMapping: vi.fn(),
+  extractIdFromGid: vi.fn(),
+  getMappingByProductionGid: vi.fn(),
+  logUnmappedReference: vi.fn(),
+  extractResourceTypeFromGid: vi.fn(),
+}));
+
+const markets = [{ productionId: "gid://shopify/Market/1", name: "Canada" }];
+
+describe("buildTranslationSelections", () => {
+  it("creates one selection per locale plus one per locale and market", () => {
+    expect(buildTranslationSelections(["fr", "de"], markets)).toEqual([
+      { alias: "t0", locale: "fr", marketId: null },
+      { alias: "t0_m0", locale: "fr", marketId: "gid://shopify/Market/1" },
+      { alias: "t1", locale: "de", marketId: null },
+      { alias: "t1_m0", locale: "de", marketId: "gid://shopify/Market/1" },
+    ]);
+  });
+});
+
+describe("buildTranslatableResourcesQuery", () => {
+  it("aliases translations for each locale and market", () => {
+    const query = buildTranslatableResourcesQuery(
+      buildTranslationSelections(["fr"], markets),
+    );
+    expect(query).toContain('t0: translations(locale: "fr")');
+    expect(query).toContain(
+      't0_m0: translations(locale: "fr", marketId: "gid://shopify/Market/1")',
+    );
+  });
+});
+
+describe("collectTranslations", () => {
+  it("groups non-empty translations by locale and market", () => {
+    const selections = buildTranslationSelections(["fr"], markets);
+    const resource = {
+      resourceId: "gid://shopify/Product/1",
+      t0: [
+        { key: "title", value: "Chemise" },
+        { key: "body_html", value: "" },
+      ],
+      t0_m0: [],
+    };
+
+    expect(collectTranslations(resource, selections)).toEqual([
+      {
+        locale: "fr",
+        marketId: null,
+        translations: [{ key: "title", value: "Chemise" }],
+      },
+    ]);
+  });
+});
+
+describe("buildTranslationInputs", () => {
+  const productionContent = [
+    { key: "title", value: "Shirt" },
+    { key: "body_html", value: "<p>Cotton</p>" },
+  ];
+  const stagingContent = [
+    { key: "title", value: "Shirt", digest: "abc" },
+    { key: "body_html", value: "<p>Linen</p>", digest: "def" },
+  ];
+
+  it("uses staging digests and skips keys whose source text differs", () => {
+    const { inputs, mismatched } = buildTranslationInputs(
+      [
+        {
+          locale: "fr",
+          marketId: null,
+          translations: [
+            { key: "title", value: "Chemise" },
+            { key: "body_html", value: "<p>Coton</p>" },
+          ],
+        },
+      ],
+      productionContent,
+      stagingContent,
+    );
+
+    expect(inputs).toEqual([
+      {
+        locale: "fr",
+        key: "title",
+        value: "Chemise",
+        translatableContentDigest: "abc",
+      },
+    ]);
+    expect(mismatched).toBe(1);
+  });
+
+  it("maps market-specific translations to the staging market", () => {
+    const groups = [
+      {
+        locale: "fr",
+        marketId: "gid://shopify/Market/1",
+        translations: [{ key: "title", value: "Chandail" }],
+      },
+      {
+        locale: "fr",
+        marketId: "gid://shopify/Market/2",
+        translations: [{ key: "title", value: "Maillot" }],
+      },
+    ];
+
+    const { inputs, unmappedMarkets } = buildTranslationInputs(
+      groups,
+      productionContent,
+      stagingContent,
+      new Map([["gid://shopify/Market/1", "gid://shopify/Market/901"]]),
+    );
+
+    expect(inputs).toEqual([
+      {
+        locale: "fr",
+        key: "title",
+        value: "Chandail",
+        translatableContentDigest: "abc",
+        marketId: "gid://shopify/Market/901",
+      },
+    ]);
+    expect(unmappedMarkets).toBe(1);
+  });
+});
+
+describe("syncTranslations", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("resumes from the checkpointed page and resource", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const fetched = [];
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, init) => {
+        const { query, variables } = JSON.parse(init.body);
+        let data;
+        if (query.includes("GetShopLocales")) {
+          data = {
+            shopLocales: [
+              { locale: "en", primary: true },
+              { locale: "fr", primary: false },
+            ],
+          };
+        } else if (query.includes("GetMarkets")) {
+          data = { markets: { nodes: [] } };
+        } else {
+          fetched.push([variables.resourceType, variables.after]);
+          const nodes =
+            variables.resourceType === "COLLECTION"
+              ? [1, 2].map((id) => ({
+                  resourceId: `gid://shopify/Collection/${id}`,
+                  translatableContent: [{ key: "title", value: "Title" }],
+                  t0: [{ key: "title", value: "Titre" }],
+                }))
+              : [];
+          data = {
+            translatableResources: {
+              nodes,
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          };
+        }
+        return new Response(JSON.stringify({ data }));
+      }),
+    );
+    const stagingAdmin = {
+      graphql: vi.fn(
+        async () =>
+          new Response(
+            JSON.stringify({ data: { shopLocales: [{ locale: "fr" }] } }),
+          ),
+      ),
+    };
+
+    const { summary } = await syncTranslations(
+      "prod.myshopify.com",
+      "token",
+      stagingAdmin,
+      "conn-1",
+      () => {},
+      {
+        checkpoint: {
+          cursor: { type: "COLLECTION", after: "page-2", offset: 1 },
+        },
+      },
+    );
+
+    // Products are done and the first collection on the page was processed
+    expect(fetched[0]).toEqual(["COLLECTION", "page-2"]);
+    expect(fetched.map(([type]) => type)).not.toContain("PRODUCT");
+    expect(summary.total).toBe(1);
+    expect(summary.skipped).toBe(1);
+  });
+});
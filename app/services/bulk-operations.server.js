@@ -0,0 +1,282 @@
+/**
+ * Bulk Operations Service
+ * Runs Admin API bulk queries against the production store and streams the
+ * JSONL result line by line so large catalogs never sit in memory at once
+ * https://shopify.dev/docs/api/usage/bulk-operations/queries
+ */
+
+import {
+  createProductionClient,
+  getProductionCache,
+} from "./graphql-client.server.js";
+
+const TERMINAL_FAILURE_STATUSES = ["FAILED", "CANCELED", "EXPIRED"];
+const ACTIVE_STATUSES = ["CREATED", "RUNNING", "CANCELING"];
+// Times a bulk query is retried after waiting for another one to finish
+const MAX_START_ATTEMPTS = 5;
+
+/**
+ * Run a query against the production Admin API
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Response data
+ */
+async function productionGraphql(
+  productionStore,
+  accessToken,
+  query,
+  variables = {},
+) {
+  // Operation status changes between polls, so it is never cached
+  const response = await createProductionClient(
+    productionStore,
+    accessToken,
+  ).graphql(query, { variables, cache: false });
+
+  const data = await response.json();
+
+  if (data.errors) {
+    const errorMessage = Array.isArray(data.errors)
+      ? data.errors.map((e) => e.message || e).join(", ")
+      : JSON.stringify(data.errors);
+    throw new Error(`GraphQL errors: ${errorMessage}`);
+  }
+
+  return data.data;
+}
+
+/**
+ * Start a bulk query on the production store. An app can run one bulk query
+ * per shop at a time, so none is started while another is running.
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} query - Bulk query (connections without pagination arguments)
+ * @returns {Promise<string|null>} Bulk operation GID, or null while another bulk query is running
+ */
+export async function startBulkQuery(productionStore, accessToken, query) {
+  const data = await productionGraphql(
+    productionStore,
+    accessToken,
+    `
+      mutation RunBulkQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    `,
+    { query },
+  );
+
+  const userErrors = data?.bulkOperationRunQuery?.userErrors || [];
+  if (userErrors.some((e) => e.code === "OPERATION_IN_PROGRESS")) {
+    return null;
+  }
+  if (userErrors.length > 0) {
+    throw new Error(
+      `Failed to start bulk operation: ${userErrors.map((e) => e.message).join(", ")}`,
+    );
+  }
+
+  const id = data?.bulkOperationRunQuery?.bulkOperation?.id;
+  if (!id) {
+    throw new Error("Failed to start bulk operation: no operation returned");
+  }
+
+  return id;
+}
+
+/**
+ * Poll a bulk operation until it completes
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} operationId - Bulk operation GID
+ * @param {Object} options - { interval, onPoll }
+ * @returns {Promise<Object>} Completed operation { id, status, objectCount, url }
+ */
+export async function waitForBulkOperation(
+  productionStore,
+  accessToken,
+  operationId,
+  options = {},
+) {
+  const { interval = 2000, onPoll = () => {} } = options;
+
+  while (true) {
+    const data = await productionGraphql(
+      productionStore,
+      accessToken,
+      `
+        query GetBulkOperation($id: ID!) {
+          node(id: $id) {
+            ... on BulkOperation {
+              id
+              status
+              errorCode
+              objectCount
+              url
+            }
+          }
+        }
+      `,
+      { id: operationId },
+    );
+
+    const operation = data?.node;
+    if (!operation) {
+      throw new Error(`Bulk operation ${operationId} not found`);
+    }
+
+    if (operation.status === "COMPLETED") {
+      return operation;
+    }
+
+    if (TERMINAL_FAILURE_STATUSES.includes(operation.status)) {
+      throw new Error(
+        `Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ""}`,
+      );
+    }
+
+    onPoll(operation);
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Wait for the bulk query running on the production store, if any, to
+ * finish. It was started by another sync, so how it ends doesn't matter.
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Function} onPoll - Called with the running operation on each poll
+ */
+async function waitForRunningBulkOperation(
+  productionStore,
+  accessToken,
+  onPoll,
+) {
+  const data = await productionGraphql(
+    productionStore,
+    accessToken,
+    `
+      query GetCurrentBulkOperation {
+        currentBulkOperation {
+          id
+          status
+        }
+      }
+    `,
+  );
+
+  const operation = data?.currentBulkOperation;
+  if (!operation || !ACTIVE_STATUSES.includes(operation.status)) return;
+
+  try {
+    await waitForBulkOperation(productionStore, accessToken, operation.id, {
+      onPoll,
+    });
+  } catch {
+    // Failed or canceled: either way it's no longer running
+  }
+}
+
+/**
+ * Parse JSONL from a stream of chunks, yielding one object per line.
+ * Only the current partial line is buffered between chunks.
+ * @param {AsyncIterable<string|Uint8Array>} chunks - Response body chunks
+ * @returns {AsyncGenerator<Object>} Parsed lines
+ */
+export async function* parseJsonLines(chunks) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of chunks) {
+    buffer +=
+      typeof chunk === "string"
+        ? chunk
+        : decoder.decode(chunk, { stream: true });
+
+    let newline = buffer.indexOf("\n");
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield JSON.parse(line);
+      newline = buffer.indexOf("\n");
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    yield JSON.parse(buffer.trim());
+  }
+}
+
+/**
+ * Stream the JSONL result file of a completed bulk operation
+ * @param {string|null} url - Result URL (null when the query matched nothing)
+ * @returns {AsyncGenerator<Object>} Parsed lines
+ */
+export async function* streamBulkResult(url) {
+  if (!url) return;
+
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(
+      `Failed to download bulk operation result: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  yield* parseJsonLines(response.body);
+}
+
+/**
+ * Run a bulk query to completion and return a stream of its result lines.
+ * Within withProductionCache(), the same query reuses the result file of
+ * the operation already run. While another bulk query is running on the
+ * store, it waits for that one to finish and starts again.
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} query - Bulk query
+ * @param {Function} onPoll - Called with the running operation on each poll
+ * @returns {Promise<AsyncGenerator<Object>>} Parsed result lines
+ */
+export async function runBulkQuery(
+  productionStore,
+  accessToken,
+  query,
+  onPoll = () => {},
+) {
+  const cache = getProductionCache();
+  const cacheKey = `bulk:${productionStore}\n${query}`;
+  if (cache?.has(cacheKey)) {
+    return streamBulkResult(cache.get(cacheKey));
+  }
+
+  let operationId = await startBulkQuery(productionStore, accessToken, query);
+  for (let attempt = 1; !operationId; attempt++) {
+    if (attempt >= MAX_START_ATTEMPTS) {
+      throw new Error(
+        "Failed to start bulk operation: another bulk query is still running on the production store",
+      );
+    }
+    await waitForRunningBulkOperation(productionStore, accessToken, onPoll);
+    operationId = await startBulkQuery(productionStore, accessToken, query);
+  }
+
+  const operation = await waitForBulkOperation(
+    productionStore,
+    accessToken,
+    operationId,
+    { onPoll },
+  );
+  cache?.set(cacheKey, operation.url);
+  return streamBulkResult(operation.url);
+}
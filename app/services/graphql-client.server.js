@@ -0,0 +1,413 @@
+/**
+ * Cost-aware GraphQL Client
+ * Shared by all sync services for production and staging Admin API calls.
+ * Tracks the calculated query cost bucket reported in
+ * `extensions.cost.throttleStatus`, waits for it to refill before sending
+ * expensive queries, and retries THROTTLED, 429 and 5xx responses with
+ * exponential backoff.
+ * https://shopify.dev/docs/api/usage/rate-limits#graphql-admin-api-rate-limits
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+export const ADMIN_API_VERSION = "2025-07";
+
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Cost assumed for a query the API has not priced for us yet
+const DEFAULT_QUERY_COST = 50;
+
+// Total JSON length a run's production cache holds before it drops its
+// least recently used responses
+const PRODUCTION_CACHE_MAX_SIZE = 32 * 1024 * 1024;
+
+const STAGING_CLIENT = Symbol("costAwareStagingClient");
+
+const costStorage = new AsyncLocalStorage();
+const productionCacheStorage = new AsyncLocalStorage();
+
+// Throttle buckets are per app and store, so production clients created by
+// different services for the same store share one
+const productionBuckets = new Map();
+const stagingBuckets = new WeakMap();
+
+/**
+ * Create an empty set of per-run cost statistics
+ * @returns {Object} Cost stats
+ */
+export function createCostStats() {
+  return {
+    requests: 0,
+    retries: 0,
+    throttled: 0,
+    requestedCost: 0,
+    actualCost: 0,
+    waitedMs: 0,
+  };
+}
+
+/**
+ * Wrap a sync function so every GraphQL call it makes is counted, and the
+ * totals are added to its result as `summary.cost` and a closing log entry
+ * @param {Function} syncFunction - Sync function returning { summary, log }
+ * @returns {Function} Wrapped sync function
+ */
+export function withGraphqlCost(syncFunction) {
+  return async (...args) => {
+    const stats = createCostStats();
+    const parentStats = costStorage.getStore();
+
+    try {
+      const result = await costStorage.run(stats, () => syncFunction(...args));
+      if (result?.summary) {
+        result.summary.cost = stats;
+      }
+      if (Array.isArray(result?.log)) {
+        result.log.push({
+          timestamp: new Date().toISOString(),
+          message: `📊 GraphQL usage: ${stats.requests} requests, ${stats.actualCost} cost points, ${stats.throttled} throttled, ${Math.round(stats.waitedMs / 1000)}s waiting`,
+          type: "graphql_cost",
+          details: stats,
+        });
+      }
+      return result;
+    } finally {
+      // Nested syncs also count towards the run that started them
+      if (parentStats) {
+        for (const key of Object.keys(stats)) {
+          parentStats[key] += stats[key];
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Create a production cache bounded by the JSON length of its values. Once
+ * it's full, the least recently used entries are dropped; a value larger
+ * than the whole cache isn't kept.
+ * @param {number} maxSize - Maximum total JSON length of keys and values
+ * @returns {Object} Cache with has(), get() and set()
+ */
+function createProductionCache(maxSize) {
+  const entries = new Map();
+  let size = 0;
+
+  const remove = (key) => {
+    size -= entries.get(key).size;
+    entries.delete(key);
+  };
+
+  return {
+    has: (key) => entries.has(key),
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      // Re-inserted so the Map's order runs from least to most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      if (entries.has(key)) remove(key);
+      const entrySize = key.length + JSON.stringify(value).length;
+      if (entrySize > maxSize) return;
+
+      entries.set(key, { value, size: entrySize });
+      size += entrySize;
+      for (const oldest of entries.keys()) {
+        if (size <= maxSize) break;
+        remove(oldest);
+      }
+    },
+  };
+}
+
+/**
+ * Run a function with production reads cached: production queries sent
+ * with the same store, query and variables within it reach the API once,
+ * and later calls get the stored body. Sync groups use it to fetch
+ * production once for all their target stores. The cache is bounded, so
+ * a large catalog may be fetched again once its responses are dropped.
+ * @param {Function} fn - Async function to run
+ * @param {number} maxSize - Maximum total JSON length the cache holds
+ * @returns {Promise<*>} Result of fn
+ */
+export function withProductionCache(fn, maxSize = PRODUCTION_CACHE_MAX_SIZE) {
+  return productionCacheStorage.run(createProductionCache(maxSize), fn);
+}
+
+/**
+ * The production cache of the current run
+ * @returns {Object|null} Cache with has(), get() and set(), or null outside withProductionCache()
+ */
+export function getProductionCache() {
+  return productionCacheStorage.getStore() || null;
+}
+
+function getProductionCacheKey(productionStore, query, variables) {
+  if (/^\s*mutation\b/.test(query)) return null;
+  return `${productionStore}\n${query}\n${JSON.stringify(variables)}`;
+}
+
+function track(key, amount = 1) {
+  const stats = costStorage.getStore();
+  if (stats) {
+    stats[key] += amount;
+  }
+}
+
+function sleep(ms) {
+  if (ms <= 0) return Promise.resolve();
+  track("waitedMs", ms);
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createBucket() {
+  return {
+    maximumAvailable: null,
+    currentlyAvailable: null,
+    restoreRate: null,
+    updatedAt: 0,
+    queryCosts: new Map(),
+  };
+}
+
+/**
+ * Exponential backoff delay for a retry attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * How long to wait before the bucket can afford a query
+ * @param {Object} bucket - Last known throttle status
+ * @param {number} cost - Expected query cost
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function getThrottleDelay(bucket, cost, now = Date.now()) {
+  if (!bucket?.restoreRate || bucket.currentlyAvailable === null) return 0;
+
+  const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+  const available = Math.min(
+    bucket.maximumAvailable,
+    bucket.currentlyAvailable + elapsedSeconds * bucket.restoreRate,
+  );
+  // A query can never need more than a full bucket
+  const needed = Math.min(cost, bucket.maximumAvailable);
+
+  if (available >= needed) return 0;
+  return Math.ceil(((needed - available) / bucket.restoreRate) * 1000);
+}
+
+/**
+ * Check whether a list of GraphQL errors contains a THROTTLED error
+ * @param {Array} errors - GraphQL errors
+ * @returns {boolean}
+ */
+export function isThrottledError(errors) {
+  return (
+    Array.isArray(errors) &&
+    errors.some((error) => error?.extensions?.code === "THROTTLED")
+  );
+}
+
+/**
+ * Update the bucket and run stats from a response's cost extension
+ * @param {Object} bucket - Throttle bucket
+ * @param {string} query - GraphQL query
+ * @param {Object} extensions - Response extensions
+ * @param {number} now - Current time in milliseconds
+ */
+export function recordCost(bucket, query, extensions, now = Date.now()) {
+  const cost = extensions?.cost;
+  if (!cost) return;
+
+  if (typeof cost.requestedQueryCost === "number") {
+    bucket.queryCosts.set(query, cost.requestedQueryCost);
+    track("requestedCost", cost.requestedQueryCost);
+  }
+  if (typeof cost.actualQueryCost === "number") {
+    track("actualCost", cost.actualQueryCost);
+  }
+
+  const status = cost.throttleStatus;
+  if (status) {
+    bucket.maximumAvailable = status.maximumAvailable;
+    bucket.currentlyAvailable = status.currentlyAvailable;
+    bucket.restoreRate = status.restoreRate;
+    bucket.updatedAt = now;
+  }
+}
+
+async function waitForCapacity(bucket, query) {
+  const cost = bucket.queryCosts.get(query) ?? DEFAULT_QUERY_COST;
+  await sleep(getThrottleDelay(bucket, cost));
+}
+
+// Delay before retrying a THROTTLED response: enough for the bucket to
+// refill, or plain backoff when the API did not report its status
+function getThrottledRetryDelay(bucket, query, attempt) {
+  const cost = bucket.queryCosts.get(query) ?? DEFAULT_QUERY_COST;
+  return getThrottleDelay(bucket, cost) || getRetryDelay(attempt);
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Create a client for the production store's Admin API. `graphql()` mirrors
+ * the staging admin client and resolves to a Response whose `json()` holds
+ * the full GraphQL body ({ data, errors, extensions }). Within
+ * withProductionCache(), queries are answered from the run's cache unless
+ * called with `cache: false`.
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @returns {Object} Client with a graphql(query, { variables }) method
+ */
+export function createProductionClient(productionStore, accessToken) {
+  if (!productionBuckets.has(productionStore)) {
+    productionBuckets.set(productionStore, createBucket());
+  }
+  const bucket = productionBuckets.get(productionStore);
+  const url = `https://${productionStore}/admin/api/${ADMIN_API_VERSION}/graphql.json`;
+
+  return {
+    async graphql(query, { variables = {}, cache = true } = {}) {
+      const productionCache = cache ? getProductionCache() : null;
+      const cacheKey =
+        productionCache &&
+        getProductionCacheKey(productionStore, query, variables);
+      if (cacheKey && productionCache.has(cacheKey)) {
+        return jsonResponse(productionCache.get(cacheKey));
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        if (attempt > 0) track("retries");
+        await waitForCapacity(bucket, query);
+        track("requests");
+
+        let response;
+        try {
+          response = await fetch(url, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "X-Shopify-Access-Token": accessToken,
+            },
+            body: JSON.stringify({ query, variables }),
+          });
+        } catch (error) {
+          if (attempt >= MAX_RETRIES) throw error;
+          console.warn(
+            `⚠️ Production GraphQL request failed (${error.message}), retrying`,
+          );
+          await sleep(getRetryDelay(attempt));
+          continue;
+        }
+
+        if (response.status === 429 || response.status >= 500) {
+          if (attempt >= MAX_RETRIES) {
+            throw new Error(
+              `Production GraphQL request failed: ${response.status} ${response.statusText}`,
+            );
+          }
+          if (response.status === 429) track("throttled");
+          const retryAfter = parseFloat(response.headers.get("Retry-After"));
+          await sleep(
+            Number.isFinite(retryAfter)
+              ? retryAfter * 1000
+              : getRetryDelay(attempt),
+          );
+          continue;
+        }
+
+        const body = await response.json();
+        recordCost(bucket, query, body.extensions);
+
+        if (isThrottledError(body.errors) && attempt < MAX_RETRIES) {
+          track("throttled");
+          await sleep(getThrottledRetryDelay(bucket, query, attempt));
+          continue;
+        }
+
+        if (cacheKey && !body.errors) {
+          productionCache.set(cacheKey, body);
+        }
+        return jsonResponse(body, response.status);
+      }
+    },
+  };
+}
+
+function isRetriableStagingError(error) {
+  const code = error?.response?.code;
+  return code === 429 || code >= 500;
+}
+
+/**
+ * Wrap the staging admin client with throttle tracking and retries.
+ * Wrapping an already wrapped client returns it unchanged.
+ * @param {Object} stagingAdmin - Staging store admin client
+ * @returns {Object} Client with the same graphql(query, options) method
+ */
+export function wrapStagingAdmin(stagingAdmin) {
+  if (!stagingAdmin || stagingAdmin[STAGING_CLIENT]) return stagingAdmin;
+
+  if (!stagingBuckets.has(stagingAdmin)) {
+    stagingBuckets.set(stagingAdmin, createBucket());
+  }
+  const bucket = stagingBuckets.get(stagingAdmin);
+
+  return {
+    ...stagingAdmin,
+    [STAGING_CLIENT]: true,
+    async graphql(query, options) {
+      for (let attempt = 0; ; attempt++) {
+        if (attempt > 0) track("retries");
+        await waitForCapacity(bucket, query);
+        track("requests");
+
+        try {
+          const response = await stagingAdmin.graphql(query, options);
+          const body = await response.json();
+          recordCost(bucket, query, body.extensions);
+          return jsonResponse(body, response.status);
+        } catch (error) {
+          // The admin client throws instead of returning GraphQL errors
+          const throttled = isThrottledError(
+            error?.body?.errors?.graphQLErrors,
+          );
+          if (
+            (!throttled && !isRetriableStagingError(error)) ||
+            attempt >= MAX_RETRIES
+          ) {
+            throw error;
+          }
+
+          if (throttled) {
+            recordCost(bucket, query, error.body?.extensions);
+            track("throttled");
+            await sleep(getThrottledRetryDelay(bucket, query, attempt));
+          } else if (error.response.retryAfter) {
+            track("throttled");
+            await sleep(error.response.retryAfter * 1000);
+          } else {
+            if (error.response.code === 429) track("throttled");
+            await sleep(getRetryDelay(attempt));
+          }
+        }
+      }
+    },
+  };
+}
@@ -39,6 +39,8 @@ export function normalizeResourceType(gidType) {
     ProductVariant: "variant",
     Collection: "collection",
     Market: "market",
+    MarketCatalog: "catalog",
+    PriceList: "price_list",
     Location: "location",
     Page: "page",
     MediaImage: "file",
@@ -49,6 +51,10 @@ export function normalizeResourceType(gidType) {
     Menu: "navigation",
     InventoryItem: "inventory_item",
     InventoryLevel: "inventory_level",
+    DiscountCodeNode: "discount",
+    DiscountAutomaticNode: "discount",
+    DeliveryProfile: "delivery_profile",
+    UrlRedirect: "redirect",
   };
   return typeMap[gidType] || gidType?.toLowerCase();
 }
@@ -191,6 +197,40 @@ export async function getMappingByProductionGid(
   });
 }
 
+/**
+ * Get a mapping by staging GID, for promoting staging resources back to
+ * production
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} stagingGid - Staging GID to look up
+ * @returns {Promise<Object|null>} Mapping object or null
+ */
+export async function getMappingByStagingGid(storeConnectionId, stagingGid) {
+  return await prisma.resourceMapping.findFirst({
+    where: { storeConnectionId, stagingGid },
+  });
+}
+
+/**
+ * Get a mapping by its match value (e.g. a product handle)
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} resourceType - Type of resource
+ * @param {string} matchValue - Value of the match key
+ * @returns {Promise<Object|null>} Mapping object or null
+ */
+export async function getMappingByMatchValue(
+  storeConnectionId,
+  resourceType,
+  matchValue,
+) {
+  return await prisma.resourceMapping.findFirst({
+    where: {
+      storeConnectionId,
+      resourceType,
+      matchValue,
+    },
+  });
+}
+
 /**
  * Get all mappings for a resource type
  * @param {string} storeConnectionId - Store connection ID
@@ -225,6 +265,19 @@ export async function getMappings(
   });
 }
 
+/**
+ * Get every mapping of a resource type, without paging
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} resourceType - Type of resource
+ * @returns {Promise<Array>} Array of mapping objects
+ */
+export async function getAllMappings(storeConnectionId, resourceType) {
+  return await prisma.resourceMapping.findMany({
+    where: { storeConnectionId, resourceType },
+    orderBy: { lastSyncedAt: "asc" },
+  });
+}
+
 /**
  * Get count of mappings for a resource type
  * @param {string} storeConnectionId - Store connection ID
@@ -368,6 +421,162 @@ export async function markUnmappedReferenceResolved(id) {
   });
 }
 
+/**
+ * Merge values into the metadata of a mapping
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} resourceType - Type of resource
+ * @param {string} productionGid - Production GID of the mapped resource
+ * @param {Object} metadata - Values to merge into the stored metadata
+ * @returns {Promise<Object|null>} Updated mapping, or null when not mapped
+ */
+export async function updateMappingMetadata(
+  storeConnectionId,
+  resourceType,
+  productionGid,
+  metadata,
+) {
+  const productionId = extractIdFromGid(productionGid);
+  const where = {
+    storeConnectionId_resourceType_productionId: {
+      storeConnectionId,
+      resourceType,
+      productionId,
+    },
+  };
+
+  const mapping = await prisma.resourceMapping.findUnique({ where });
+  if (!mapping) return null;
+
+  let stored = {};
+  try {
+    stored = mapping.metadata ? JSON.parse(mapping.metadata) : {};
+  } catch {
+    // Replace unreadable metadata
+  }
+
+  return await prisma.resourceMapping.update({
+    where,
+    data: { metadata: JSON.stringify({ ...stored, ...metadata }) },
+  });
+}
+
+/**
+ * Get the stored conflict of a resource, whatever its status
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} resourceType - Type of resource
+ * @param {string} productionGid - Production GID of the resource
+ * @returns {Promise<Object|null>} Sync conflict or null
+ */
+export async function getSyncConflict(
+  storeConnectionId,
+  resourceType,
+  productionGid,
+) {
+  return await prisma.syncConflict.findUnique({
+    where: {
+      storeConnectionId_resourceType_productionGid: {
+        storeConnectionId,
+        resourceType,
+        productionGid,
+      },
+    },
+  });
+}
+
+/**
+ * Queue a resource edited in staging since its last sync, or refresh the
+ * queued conflict with the latest values
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {Object} conflict - { resourceType, productionGid, stagingGid, handle, title, productionFields, stagingFields }
+ * @returns {Promise<Object>} Saved sync conflict
+ */
+export async function saveSyncConflict(storeConnectionId, conflict) {
+  const { resourceType, productionGid, stagingGid, handle, title } = conflict;
+  const data = {
+    stagingGid,
+    handle,
+    title,
+    productionFields: JSON.stringify(conflict.productionFields),
+    stagingFields: JSON.stringify(conflict.stagingFields),
+    status: "open",
+    detectedAt: new Date(),
+    resolvedAt: null,
+  };
+
+  return await prisma.syncConflict.upsert({
+    where: {
+      storeConnectionId_resourceType_productionGid: {
+        storeConnectionId,
+        resourceType,
+        productionGid,
+      },
+    },
+    update: data,
+    create: { storeConnectionId, resourceType, productionGid, ...data },
+  });
+}
+
+/**
+ * Get the sync conflicts of a connection
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {Object} options - Query options (status, limit, offset)
+ * @returns {Promise<Array>} Array of sync conflicts
+ */
+export async function getSyncConflicts(storeConnectionId, options = {}) {
+  const { status = "open", limit = 100, offset = 0 } = options;
+
+  return await prisma.syncConflict.findMany({
+    where: { storeConnectionId, status },
+    orderBy: { detectedAt: "desc" },
+    take: limit,
+    skip: offset,
+  });
+}
+
+/**
+ * Get count of sync conflicts
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {Object} options - Query options (status)
+ * @returns {Promise<number>} Count of sync conflicts
+ */
+export async function getSyncConflictsCount(storeConnectionId, options = {}) {
+  const { status = "open" } = options;
+
+  return await prisma.syncConflict.count({
+    where: { storeConnectionId, status },
+  });
+}
+
+/**
+ * Resolve a sync conflict
+ * @param {string} id - Sync conflict ID
+ * @param {string} status - "kept" (staging wins) or "overwritten"
+ * @returns {Promise<Object>} Updated sync conflict
+ */
+export async function resolveSyncConflict(id, status) {
+  return await prisma.syncConflict.update({
+    where: { id },
+    data: { status, resolvedAt: new Date() },
+  });
+}
+
+/**
+ * Delete the mapping for a single production resource
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} resourceType - Type of resource
+ * @param {string} productionId - Production ID (numeric part)
+ * @returns {Promise<Object>} Delete result
+ */
+export async function deleteMapping(
+  storeConnectionId,
+  resourceType,
+  productionId,
+) {
+  return await prisma.resourceMapping.deleteMany({
+    where: { storeConnectionId, resourceType, productionId },
+  });
+}
+
 /**
  * Delete all mappings for a store connection
  * @param {string} storeConnectionId - Store connection ID
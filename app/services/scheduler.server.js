@@ -1,16 +1,12 @@
 import cron from "node-cron";
 import prisma from "../db.server";
-import { unauthenticated } from "../shopify.server";
-import { syncMetafieldDefinitions } from "./sync.metafields.server";
-import { syncMetaobjectDefinitions } from "./sync.metaobjects.server";
-import { syncProducts } from "./sync.products.server";
-import { syncCollections } from "./sync.collections.server";
-import { syncLocations } from "./sync.locations.server";
-import { syncNavigationMenus } from "./sync.navigation.server";
-import { syncPages } from "./sync.pages.server";
-import { syncImageFiles } from "./sync.files.server";
-import { syncMarkets } from "./sync.markets.server";
-import { syncSearchDiscoveryMetafields } from "./sync.search-discovery.server";
+import { getIncrementalOptions } from "./sync-watermark.server";
+import { getPruneOptions } from "./sync-prune-settings.server";
+import { getFilterOptions } from "./sync-filter-settings.server";
+import { getFieldPolicyOptions } from "./sync-field-policy-settings.server";
+import { getConflictOptions } from "./sync-conflict-settings.server";
+import { enqueueSyncJob } from "./sync-queue.server";
+import { sortSyncTypes } from "../utils/sync-types";
 
 // Singleton guard: prevent duplicate cron registrations in dev mode
 // (remix-serve purges module cache on each request in dev)
@@ -97,13 +93,15 @@ function calculateNextRunAt(schedule) {
 }
 
 /**
- * Run a single sync type for a given connection.
- * Returns the sync result and log ID.
+ * Queue a single sync type for a given connection.
+ * Products, collections and pages run incrementally unless the schedule
+ * asks for a full resync.
+ * Returns the queued job.
  */
-async function runSingleSync(shop, admin, connection, decryptedToken, syncType) {
+async function queueSingleSync(schedule, connection, syncType, batchId) {
   const syncLog = await prisma.syncLog.create({
     data: {
-      shop,
+      shop: schedule.shop,
       connectionId: connection.id,
       syncType,
       status: "in_progress",
@@ -111,126 +109,33 @@ async function runSingleSync(shop, admin, connection, decryptedToken, syncType)
     },
   });
 
-  try {
-    const onProgress = async (progress) => {
-      try {
-        await prisma.syncLog.update({
-          where: { id: syncLog.id },
-          data: {
-            summary: JSON.stringify({
-              progress: {
-                percentage: progress.percentage ?? 0,
-                stage: progress.stage ?? "running",
-                message: progress.message ?? "",
-              },
-            }),
-          },
-        });
-      } catch (e) {
-        console.error("[Scheduler] Failed to update progress:", e);
-      }
-    };
-
-    let result;
-
-    switch (syncType) {
-      case "metafield_definitions": {
-        const metafieldTypes = [
-          "COLLECTION", "CUSTOMER", "ORDER", "DRAFTORDER", "PAGE",
-          "SHOP", "ARTICLE", "BLOG", "COMPANY", "COMPANYLOCATION",
-          "LOCATION", "MARKET",
-        ];
-        result = await syncMetafieldDefinitions(
-          connection.storeDomain, decryptedToken, admin, metafieldTypes,
-        );
-        break;
-      }
-      case "metaobject_definitions":
-        result = await syncMetaobjectDefinitions(
-          connection.storeDomain, decryptedToken, admin, connection.id,
-        );
-        break;
-      case "products":
-        result = await syncProducts(
-          connection.storeDomain, decryptedToken, admin, connection.id, onProgress,
-        );
-        break;
-      case "collections":
-        result = await syncCollections(
-          connection.storeDomain, decryptedToken, admin, connection.id, onProgress,
-        );
-        break;
-      case "locations":
-        result = await syncLocations(
-          connection.storeDomain, decryptedToken, admin, connection.id, onProgress,
-        );
-        break;
-      case "navigation":
-        result = await syncNavigationMenus(
-          connection.storeDomain, decryptedToken, admin, connection.id,
-        );
-        break;
-      case "pages":
-        result = await syncPages(
-          connection.storeDomain, decryptedToken, admin, connection.id,
-        );
-        break;
-      case "files":
-        result = await syncImageFiles(
-          connection.storeDomain, decryptedToken, admin, connection.id, onProgress,
-        );
-        break;
-      case "markets":
-        result = await syncMarkets(
-          connection.storeDomain, decryptedToken, admin, connection.id,
-        );
-        break;
-      case "search_discovery":
-        result = await syncSearchDiscoveryMetafields(
-          connection.storeDomain, decryptedToken, admin, connection.id, onProgress,
-        );
-        break;
-      default:
-        throw new Error(`Unknown sync type: ${syncType}`);
-    }
-
-    const hasErrors = result.summary?.errors?.length > 0;
-    const hasSuccess = result.summary?.created > 0 || result.summary?.updated > 0;
-
-    let status = "failed";
-    if (hasSuccess && hasErrors) {
-      status = "partially_successful";
-    } else if (hasSuccess || (!hasErrors && (result.summary?.total > 0 || result.summary?.skipped > 0))) {
-      status = "success";
-    }
-
-    await prisma.syncLog.update({
-      where: { id: syncLog.id },
-      data: {
-        status,
-        summary: JSON.stringify(result.summary || {}),
-        logs: JSON.stringify(result.logs || result.log || []),
-        completedAt: new Date(),
-      },
-    });
-
-    return { syncType, status, summary: result.summary };
-  } catch (err) {
-    console.error(`[Scheduler] Sync ${syncType} failed:`, err.message);
-    await prisma.syncLog.update({
-      where: { id: syncLog.id },
-      data: {
-        status: "failed",
-        summary: JSON.stringify({ error: err.message }),
-        completedAt: new Date(),
-      },
-    });
-    return { syncType, status: "failed", error: err.message };
-  }
+  const incremental = await getIncrementalOptions(connection.id, syncType, schedule.fullResync);
+  // Prune mode, filters, field policies and conflict strategies are
+  // configured per connection on the Sync page
+  const prune = await getPruneOptions(connection.id, syncType);
+  const filter = await getFilterOptions(connection.id, syncType);
+  const fieldPolicies = await getFieldPolicyOptions(connection.id, syncType);
+  const conflicts = await getConflictOptions(connection.id, syncType);
+
+  return enqueueSyncJob({
+    shop: schedule.shop,
+    connectionId: connection.id,
+    syncType,
+    syncLogId: syncLog.id,
+    options: {
+      ...incremental,
+      ...prune,
+      ...filter,
+      ...fieldPolicies,
+      ...conflicts,
+    },
+    batchId,
+    scheduleId: schedule.id,
+  });
 }
 
 /**
- * Execute a full scheduled sync: runs all configured sync types sequentially.
+ * Execute a full scheduled sync: queues all configured sync types.
  */
 async function executeScheduledSync(schedule) {
   const startTime = new Date();
@@ -256,66 +161,61 @@ async function executeScheduledSync(schedule) {
       return;
     }
 
-    // Decrypt the production store token
+    // Each queued job decrypts the production token when it runs; checking
+    // it here fails the run once instead of every job it would queue
     const { decrypt } = await import("../utils/encryption.server.js");
-    const decryptedToken = decrypt(connection.encryptedToken);
-    if (!decryptedToken) {
+    if (!decrypt(connection.encryptedToken)) {
       console.error("[Scheduler] Failed to decrypt token");
       await prisma.syncSchedule.update({
         where: { id: schedule.id },
         data: {
           lastRunAt: startTime,
           lastRunStatus: "failed",
-          lastRunSummary: JSON.stringify({ error: "Failed to decrypt access token" }),
+          lastRunSummary: JSON.stringify({
+            error:
+              "Failed to decrypt the connection's access token. Update the connection with a new access token in Settings.",
+          }),
           nextRunAt: calculateNextRunAt(schedule),
         },
       });
       return;
     }
 
-    // Get the staging store admin client using offline token
-    const { admin } = await unauthenticated.admin(schedule.shop);
-
-    // Parse sync types
-    const syncTypes = JSON.parse(schedule.syncTypes);
-    const results = [];
+    // Queue each sync type in run order; the sync queue runs one
+    // connection's jobs one at a time in the order they were queued, and
+    // calls finishScheduledRun() once the last one is done. Types no longer
+    // registered are left out.
+    const syncTypes = sortSyncTypes(JSON.parse(schedule.syncTypes));
+    const batchId = `${schedule.id}:${startTime.getTime()}`;
 
-    // Run each sync type sequentially
-    for (const syncType of syncTypes) {
-      console.log(`[Scheduler] Running ${syncType}...`);
-      const result = await runSingleSync(
-        schedule.shop, admin, connection, decryptedToken, syncType,
-      );
-      results.push(result);
-      console.log(`[Scheduler] ${syncType}: ${result.status}`);
+    if (syncTypes.length === 0) {
+      console.log("[Scheduler] No sync types to run, skipping");
+      await prisma.syncSchedule.update({
+        where: { id: schedule.id },
+        data: {
+          lastRunAt: startTime,
+          lastRunStatus: "failed",
+          lastRunSummary: JSON.stringify({ error: "No sync types to run" }),
+          nextRunAt: calculateNextRunAt(schedule),
+        },
+      });
+      return;
     }
 
-    // Summarize all results
-    const allSucceeded = results.every((r) => r.status === "success");
-    const allFailed = results.every((r) => r.status === "failed");
-    const overallStatus = allSucceeded ? "success" : allFailed ? "failed" : "partial";
-
-    const elapsed = ((Date.now() - startTime.getTime()) / 1000).toFixed(1);
-    console.log(`[Scheduler] Completed in ${elapsed}s — status: ${overallStatus}`);
-
     await prisma.syncSchedule.update({
       where: { id: schedule.id },
       data: {
         lastRunAt: startTime,
-        lastRunStatus: overallStatus,
-        lastRunSummary: JSON.stringify({
-          duration: `${elapsed}s`,
-          results: results.map((r) => ({
-            syncType: r.syncType,
-            status: r.status,
-            created: r.summary?.created,
-            updated: r.summary?.updated,
-            failed: r.summary?.failed,
-          })),
-        }),
+        lastRunStatus: "running",
+        lastRunSummary: null,
         nextRunAt: calculateNextRunAt(schedule),
       },
     });
+
+    for (const syncType of syncTypes) {
+      console.log(`[Scheduler] Queueing ${syncType}...`);
+      await queueSingleSync(schedule, connection, syncType, batchId);
+    }
   } catch (err) {
     console.error("[Scheduler] Unexpected error:", err);
     await prisma.syncSchedule.update({
@@ -330,6 +230,59 @@ async function executeScheduledSync(schedule) {
   }
 }
 
+/**
+ * Record the outcome of a scheduled run on its schedule once every job of
+ * the run has finished. Called by the sync queue.
+ */
+export async function finishScheduledRun(scheduleId, batchId) {
+  const jobs = await prisma.syncJob.findMany({
+    where: { batchId },
+    include: { syncLog: true },
+    orderBy: { createdAt: "asc" },
+  });
+  if (jobs.length === 0) return;
+
+  const startTime = jobs[0].createdAt;
+  const results = jobs.map((job) => {
+    let summary = {};
+    try {
+      summary = JSON.parse(job.syncLog?.summary || "{}");
+    } catch {
+      // Keep the empty summary
+    }
+    return {
+      syncType: job.syncType,
+      status: job.syncLog?.status ?? "failed",
+      summary,
+    };
+  });
+
+  // Summarize all results
+  const allSucceeded = results.every((r) => r.status === "success");
+  const allFailed = results.every((r) => r.status === "failed");
+  const overallStatus = allSucceeded ? "success" : allFailed ? "failed" : "partial";
+
+  const elapsed = ((Date.now() - startTime.getTime()) / 1000).toFixed(1);
+  console.log(`[Scheduler] Completed in ${elapsed}s — status: ${overallStatus}`);
+
+  await prisma.syncSchedule.update({
+    where: { id: scheduleId },
+    data: {
+      lastRunStatus: overallStatus,
+      lastRunSummary: JSON.stringify({
+        duration: `${elapsed}s`,
+        results: results.map((r) => ({
+          syncType: r.syncType,
+          status: r.status,
+          created: r.summary?.created,
+          updated: r.summary?.updated,
+          failed: r.summary?.failed,
+        })),
+      }),
+    },
+  });
+}
+
 /**
  * Initialize the scheduler. Loads all enabled schedules from DB and
  * registers cron jobs for each. Uses globalThis to prevent duplicates.
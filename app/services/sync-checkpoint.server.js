@@ -0,0 +1,45 @@
+/**
+ * Sync Checkpoints
+ * A sync run by the job queue reports how far it got through its main loop
+ * as `checkpoint: { index }` on its progress updates, where `index` is the
+ * first item not yet processed. When an interrupted job is resumed the
+ * checkpoint is passed back as `options.checkpoint` and the sync skips the
+ * items before it.
+ *
+ * Syncs that walk several lists, such as one list per resource type,
+ * report `checkpoint: { cursor }` instead, with whatever position they
+ * need to find their place again.
+ */
+
+/**
+ * Index of the first item a resumed sync should process
+ * @param {Object} options - Sync options
+ * @returns {number} Item index (0 for a fresh run)
+ */
+export function getResumeIndex(options = {}) {
+  const index = options.checkpoint?.index;
+  return Number.isInteger(index) && index > 0 ? index : 0;
+}
+
+/**
+ * Log entry noting where a resumed sync picks up
+ * @param {number} index - Resume index from getResumeIndex()
+ * @param {string} noun - What the sync iterates over (e.g. "products")
+ * @returns {Object} Log entry
+ */
+export function getResumeLogEntry(index, noun) {
+  return {
+    timestamp: new Date().toISOString(),
+    message: `⏩ Resuming after an interruption, skipping the first ${index} ${noun} already processed`,
+  };
+}
+
+/**
+ * Position a resumed sync that walks several lists should start from
+ * @param {Object} options - Sync options
+ * @returns {Object|null} Cursor the sync reported, or null for a fresh run
+ */
+export function getResumeCursor(options = {}) {
+  const cursor = options.checkpoint?.cursor;
+  return cursor && typeof cursor === "object" ? cursor : null;
+}
@@ -0,0 +1,72 @@
+/**
+ * Conflict Settings Service
+ * Stores how each sync type of a connection handles resources edited in
+ * staging since their last sync
+ */
+
+import prisma from "../db.server";
+import {
+  CONFLICT_STRATEGIES,
+  CONFLICT_SYNC_TYPES,
+  normalizeConflictStrategy,
+} from "./sync-conflict.server.js";
+
+/**
+ * Get the conflict strategy of a connection for every sync type that
+ * detects conflicts
+ * @param {string} connectionId - Store connection ID
+ * @returns {Promise<Object>} Strategies keyed by sync type
+ */
+export async function getConflictSettings(connectionId) {
+  const saved = await prisma.conflictSetting.findMany({
+    where: { connectionId },
+  });
+  return Object.fromEntries(
+    Object.keys(CONFLICT_SYNC_TYPES).map((syncType) => [
+      syncType,
+      normalizeConflictStrategy(
+        saved.find((setting) => setting.syncType === syncType)?.strategy,
+      ),
+    ]),
+  );
+}
+
+/**
+ * Save the conflict strategy of a connection for one sync type
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @param {string} strategy - off, overwrite, skip or queue
+ * @returns {Promise<Object>} Saved setting
+ */
+export async function saveConflictStrategy(connectionId, syncType, strategy) {
+  if (!CONFLICT_SYNC_TYPES[syncType]) {
+    throw new Error(`Conflict detection is not supported for ${syncType}`);
+  }
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown conflict strategy: ${strategy}`);
+  }
+
+  return prisma.conflictSetting.upsert({
+    where: { connectionId_syncType: { connectionId, syncType } },
+    create: { connectionId, syncType, strategy },
+    update: { strategy },
+  });
+}
+
+/**
+ * Resolve the conflict options a sync run should use
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Object>} { conflicts: { strategy } }, or {} when off
+ */
+export async function getConflictOptions(connectionId, syncType) {
+  if (!CONFLICT_SYNC_TYPES[syncType]) return {};
+
+  const setting = await prisma.conflictSetting.findUnique({
+    where: { connectionId_syncType: { connectionId, syncType } },
+  });
+  const strategy = normalizeConflictStrategy(setting?.strategy);
+  if (strategy === "off") return {};
+
+  return { conflicts: { strategy } };
+}
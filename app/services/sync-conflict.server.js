@@ -0,0 +1,273 @@
+/**
+ * Staging Conflicts
+ * Detects resources edited in staging since their last sync, so a run does
+ * not silently overwrite them. After syncing a resource, its mapping
+ * metadata stores a hash of the staging content and the staging `updatedAt`;
+ * the next run compares the current staging values with them and applies
+ * the connection's strategy (see sync-conflict-settings.server.js), passed
+ * to the services as `options.conflicts`.
+ */
+
+import { createHash } from "node:crypto";
+import { diffFields, stableStringify } from "./sync-plan.server.js";
+import {
+  extractIdFromGid,
+  getMappingByProductionGid,
+  getSyncConflict,
+  resolveSyncConflict,
+  saveSyncConflict,
+  updateMappingMetadata,
+} from "./resource-mapping.server.js";
+
+// off: no detection; overwrite: report and overwrite; skip: report and
+// leave staging alone; queue: leave staging alone until the conflict is
+// resolved on the Conflicts page
+export const CONFLICT_STRATEGIES = ["off", "overwrite", "skip", "queue"];
+
+// Sync types that detect conflicts, with their resource type
+export const CONFLICT_SYNC_TYPES = {
+  products: "product",
+  collections: "collection",
+  pages: "page",
+};
+
+// Plan fields left out of the content hash: metafield references and
+// collection products are rewritten to staging IDs and handles, so they
+// never match production
+const UNCOMPARED_FIELDS = ["metafields", "products"];
+
+/**
+ * Normalize a saved strategy
+ * @param {string} strategy - Saved strategy
+ * @returns {string} A valid strategy, "off" by default
+ */
+export function normalizeConflictStrategy(strategy) {
+  return CONFLICT_STRATEGIES.includes(strategy) ? strategy : "off";
+}
+
+/**
+ * Fields of a resource compared for conflicts
+ * @param {Object} fields - Plan fields of the resource
+ * @returns {Object} Copy without the uncompared fields
+ */
+export function getConflictFields(fields) {
+  const result = { ...fields };
+  for (const field of UNCOMPARED_FIELDS) delete result[field];
+  return result;
+}
+
+/**
+ * Hash the compared fields of a resource
+ * @param {Object} fields - Plan fields of the resource
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashConflictFields(fields) {
+  return createHash("sha256")
+    .update(stableStringify(getConflictFields(fields)))
+    .digest("hex");
+}
+
+/**
+ * Read the baseline stored by the last sync from mapping metadata
+ * @param {string|null} metadata - `metadata` column of the mapping
+ * @returns {Object|null} { contentHash, stagingUpdatedAt }, or null when none
+ */
+export function parseSyncBaseline(metadata) {
+  try {
+    const parsed = metadata ? JSON.parse(metadata) : null;
+    return parsed?.contentHash
+      ? {
+          contentHash: parsed.contentHash,
+          stagingUpdatedAt: parsed.stagingUpdatedAt || null,
+        }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a staging resource changed since its last sync. An unchanged
+ * `updatedAt` settles it without hashing; a newer one may come from fields
+ * that are not compared, so the content hash decides.
+ * @param {Object|null} baseline - { contentHash, stagingUpdatedAt }
+ * @param {Object} staging - { updatedAt, fields } of the staging resource
+ * @returns {boolean}
+ */
+export function isChangedInStaging(baseline, staging) {
+  if (!baseline) return false;
+  if (staging.updatedAt && staging.updatedAt === baseline.stagingUpdatedAt) {
+    return false;
+  }
+  return hashConflictFields(staging.fields) !== baseline.contentHash;
+}
+
+// Variants are compared one by one, so a price edit shows as its variant
+function flattenVariants(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (key === "variants" && value && typeof value === "object") {
+      for (const [variant, variantFields] of Object.entries(value)) {
+        result[`Variant ${variant}`] = variantFields;
+      }
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Side-by-side differences of a queued conflict
+ * @param {Object} productionFields - Fields the sync would write
+ * @param {Object} stagingFields - Current staging fields
+ * @returns {Array<Object>} Differing fields as { field, production, staging }
+ */
+export function diffConflictFields(productionFields, stagingFields) {
+  const production = flattenVariants(productionFields);
+  const staging = flattenVariants(stagingFields);
+  const fields = [
+    ...new Set([...Object.keys(production), ...Object.keys(staging)]),
+  ];
+  return diffFields(staging, production, fields).map((change) => ({
+    field: change.field,
+    production: change.after,
+    staging: change.before,
+  }));
+}
+
+function getStrategy(options) {
+  return normalizeConflictStrategy(options?.conflicts?.strategy);
+}
+
+/**
+ * Check an existing staging resource for edits made since its last sync
+ * and apply the conflict strategy. A conflict is counted on
+ * `summary.conflicts` and logged; with skip or queue the resource is
+ * counted as skipped and listed in the plan of a preview. A conflict kept
+ * on the Conflicts page keeps the resource out of later queue runs.
+ * @param {Object} options - Sync options with an optional `conflicts`
+ * @param {Object} summary - Sync summary
+ * @param {Array} log - Sync log
+ * @param {Object} plan - Sync plan
+ * @param {Object} item - { storeConnectionId, resourceType, id (production GID), handle, label, production (plan fields), staging: { id, updatedAt, fields } }
+ * @returns {Promise<boolean>} Whether the loop should skip the resource
+ */
+export async function shouldSkipForConflict(
+  options,
+  summary,
+  log,
+  plan,
+  { storeConnectionId, resourceType, id, handle, label, production, staging },
+) {
+  const strategy = getStrategy(options);
+  if (strategy === "off" || !storeConnectionId) return false;
+
+  const mapping = await getMappingByProductionGid(storeConnectionId, id);
+  const stored =
+    strategy === "skip"
+      ? null
+      : await getSyncConflict(storeConnectionId, resourceType, id);
+
+  if (stored?.status === "kept" && strategy === "queue") {
+    summary.skipped++;
+    plan.skip({
+      resourceType,
+      key: handle,
+      label,
+      reason: "Staging version kept",
+    });
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `⏭️ Skipped ${resourceType} ${handle}: staging version kept on the Conflicts page`,
+      skipped: true,
+    });
+    return true;
+  }
+
+  const conflict =
+    isChangedInStaging(parseSyncBaseline(mapping?.metadata), staging) &&
+    hashConflictFields(staging.fields) !== hashConflictFields(production);
+
+  if (strategy === "overwrite") {
+    if (stored && stored.status !== "overwritten" && !plan.dryRun) {
+      await resolveSyncConflict(stored.id, "overwritten");
+    }
+    if (conflict) {
+      summary.conflicts = (summary.conflicts || 0) + 1;
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `⚠️ Overwriting staging edits to ${resourceType} ${handle}`,
+        type: "conflict",
+      });
+    }
+    return false;
+  }
+
+  if (!conflict) {
+    // Staging went back to its synced state, so nothing is left to review
+    if (stored?.status === "open" && !plan.dryRun) {
+      await resolveSyncConflict(stored.id, "overwritten");
+    }
+    return false;
+  }
+
+  summary.conflicts = (summary.conflicts || 0) + 1;
+  summary.skipped++;
+  plan.skip({
+    resourceType,
+    key: handle,
+    label,
+    reason: "Changed in staging since the last sync",
+  });
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `⏭️ Skipped ${resourceType} ${handle}: changed in staging since the last sync${strategy === "queue" ? " (queued for review)" : ""}`,
+    type: "conflict",
+    skipped: true,
+  });
+
+  if (strategy === "queue" && !plan.dryRun) {
+    await saveSyncConflict(storeConnectionId, {
+      resourceType,
+      productionGid: id,
+      stagingGid: staging.id,
+      handle,
+      title: label,
+      productionFields: getConflictFields(production),
+      stagingFields: getConflictFields(staging.fields),
+    });
+  }
+  return true;
+}
+
+/**
+ * Store the staging state of a resource the run just synced, as the
+ * baseline the next run compares against. Recorded whatever the strategy,
+ * so turning detection on later compares against the last sync rather than
+ * an older one. Previews write nothing.
+ * @param {Object} options - Sync options with an optional `conflicts`
+ * @param {Object} item - { storeConnectionId, resourceType, id (production GID), getStaging: async () => ({ updatedAt, fields }) }
+ * @returns {Promise<void>}
+ */
+export async function recordSyncBaseline(
+  options,
+  { storeConnectionId, resourceType, id, getStaging },
+) {
+  if (!storeConnectionId || options.dryRun) return;
+
+  try {
+    const staging = await getStaging();
+    if (!staging) return;
+
+    await updateMappingMetadata(storeConnectionId, resourceType, id, {
+      contentHash: hashConflictFields(staging.fields),
+      stagingUpdatedAt: staging.updatedAt || null,
+    });
+  } catch (error) {
+    console.error(
+      `⚠️ Failed to record sync baseline for ${resourceType} ${extractIdFromGid(id)}:`,
+      error.message,
+    );
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Sync Control
+ * Lets a queued sync job be cancelled or paused while it runs. The sync
+ * queue passes a control as `options.control`; sync loops call
+ * shouldStopSync() between items and return early with the partial summary
+ * when a stop was requested.
+ */
+
+export const SYNC_STOP_ACTIONS = ["cancel", "pause"];
+
+/**
+ * Create the control for one running job
+ * @returns {Object} { request(action), requested }
+ */
+export function createSyncControl() {
+  let requested = null;
+  return {
+    request(action) {
+      if (SYNC_STOP_ACTIONS.includes(action)) requested = action;
+    },
+    get requested() {
+      return requested;
+    },
+  };
+}
+
+/**
+ * Check between items whether the run should stop. When it should, the
+ * summary records how the run stopped (`stopped`: "cancelled" or "paused")
+ * and the index of the first item not processed (`stoppedAt`), which a
+ * paused job resumes from. Syncs that checkpoint a cursor rather than an
+ * index (see sync-checkpoint.server.js) pass it too, recorded as
+ * `checkpoint`.
+ * @param {Object} options - Sync options with an optional `control`
+ * @param {Object} summary - Sync summary
+ * @param {Array} log - Sync log
+ * @param {number} index - Index of the next item to process
+ * @param {string} noun - What the sync iterates over (e.g. "products")
+ * @param {Object} [checkpoint] - Checkpoint to resume from instead of `index`
+ * @returns {boolean} Whether the loop should stop
+ */
+export function shouldStopSync(options, summary, log, index, noun, checkpoint) {
+  const action = options?.control?.requested;
+  if (!action) return false;
+
+  summary.stopped = action === "pause" ? "paused" : "cancelled";
+  summary.stoppedAt = index;
+  if (checkpoint) summary.checkpoint = checkpoint;
+  log.push({
+    timestamp: new Date().toISOString(),
+    message:
+      action === "pause"
+        ? `⏸️ Sync paused after ${index} ${noun}`
+        : `⏹️ Sync cancelled after ${index} ${noun}`,
+  });
+  return true;
+}
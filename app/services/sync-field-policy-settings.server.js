@@ -0,0 +1,77 @@
+/**
+ * Field Policy Settings Service
+ * Stores which product, variant, collection and page fields of a connection
+ * sync always, only on create, or never
+ */
+
+import prisma from "../db.server";
+import {
+  FIELD_POLICIES,
+  FIELD_POLICY_SYNC_TYPES,
+  POLICY_FIELDS,
+  normalizeFieldPolicies,
+} from "./sync-field-policy.server.js";
+
+/**
+ * Get the field policies of a connection
+ * @param {string} connectionId - Store connection ID
+ * @returns {Promise<Object>} Policies keyed by resource type, then field
+ */
+export async function getFieldPolicies(connectionId) {
+  const saved = await prisma.fieldPolicy.findMany({
+    where: { connectionId },
+  });
+  return normalizeFieldPolicies(saved);
+}
+
+/**
+ * Save the policy of one field
+ * @param {string} connectionId - Store connection ID
+ * @param {string} resourceType - product, variant, collection or page
+ * @param {string} field - Field name
+ * @param {string} policy - always, create or never
+ * @returns {Promise<Object>} Saved policy
+ */
+export async function saveFieldPolicy(
+  connectionId,
+  resourceType,
+  field,
+  policy,
+) {
+  if (!POLICY_FIELDS[resourceType]?.fields[field]) {
+    throw new Error(`No field policy for ${resourceType} ${field}`);
+  }
+  if (!FIELD_POLICIES.includes(policy)) {
+    throw new Error(`Unknown field policy: ${policy}`);
+  }
+
+  return prisma.fieldPolicy.upsert({
+    where: {
+      connectionId_resourceType_field: { connectionId, resourceType, field },
+    },
+    create: { connectionId, resourceType, field, policy },
+    update: { policy },
+  });
+}
+
+/**
+ * Resolve the field policy options a sync run should use
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Object>} { fieldPolicies }, or {} when every field syncs
+ */
+export async function getFieldPolicyOptions(connectionId, syncType) {
+  const resourceTypes = FIELD_POLICY_SYNC_TYPES[syncType];
+  if (!resourceTypes) return {};
+
+  const saved = await prisma.fieldPolicy.findMany({
+    where: {
+      connectionId,
+      resourceType: { in: resourceTypes },
+      policy: { not: "always" },
+    },
+  });
+  if (saved.length === 0) return {};
+
+  return { fieldPolicies: normalizeFieldPolicies(saved) };
+}
@@ -0,0 +1,143 @@
+/**
+ * Field Policies
+ * Decide per connection which fields a sync writes to staging: a field can
+ * always sync, sync only when the resource is created, or never sync, so
+ * staging edits such as prices or status survive later runs. Policies are
+ * saved per connection (see sync-field-policy-settings.server.js) and reach
+ * the services as `options.fieldPolicies`.
+ */
+
+export const FIELD_POLICIES = ["always", "create", "never"];
+
+// Fields that take a policy, by resource type, with their labels
+export const POLICY_FIELDS = {
+  product: {
+    label: "Products",
+    fields: {
+      descriptionHtml: "Description",
+      productType: "Product type",
+      vendor: "Vendor",
+      status: "Status",
+      tags: "Tags",
+      seo: "SEO",
+      category: "Category",
+      images: "Images",
+    },
+  },
+  variant: {
+    label: "Variants",
+    fields: {
+      price: "Price",
+      compareAtPrice: "Compare-at price",
+      sku: "SKU",
+      barcode: "Barcode",
+      inventoryPolicy: "Inventory policy",
+      taxable: "Taxable",
+      weight: "Weight",
+      cost: "Cost",
+      inventory: "Inventory quantities",
+    },
+  },
+  collection: {
+    label: "Collections",
+    fields: {
+      descriptionHtml: "Description",
+      sortOrder: "Sort order",
+      templateSuffix: "Template",
+      seo: "SEO",
+      image: "Image",
+      ruleSet: "Smart collection rules",
+      products: "Products",
+    },
+  },
+  page: {
+    label: "Pages",
+    fields: {
+      body: "Content",
+      isPublished: "Visibility",
+      templateSuffix: "Template",
+    },
+  },
+};
+
+// Resource types whose policies each sync type applies
+export const FIELD_POLICY_SYNC_TYPES = {
+  products: ["product", "variant"],
+  collections: ["collection"],
+  pages: ["page"],
+};
+
+// Where a field sits in staging inputs or dry-run plan fields when that is
+// not under its own name
+const FIELD_PATHS = {
+  variant: {
+    sku: ["inventoryItem.sku"],
+    weight: ["inventoryItem.measurement"],
+    cost: ["inventoryItem.cost"],
+  },
+  collection: { image: ["imageAltText"] },
+};
+
+/**
+ * Normalize saved policies into a policy for every field
+ * @param {Array<Object>} saved - [{ resourceType, field, policy }]
+ * @returns {Object} Policies keyed by resource type, then field
+ */
+export function normalizeFieldPolicies(saved = []) {
+  return Object.fromEntries(
+    Object.entries(POLICY_FIELDS).map(([resourceType, { fields }]) => [
+      resourceType,
+      Object.fromEntries(
+        Object.keys(fields).map((field) => {
+          const policy = saved.find(
+            (row) => row.resourceType === resourceType && row.field === field,
+          )?.policy;
+          return [field, FIELD_POLICIES.includes(policy) ? policy : "always"];
+        }),
+      ),
+    ]),
+  );
+}
+
+/**
+ * Whether a field is written to staging
+ * @param {Object} policies - Policies keyed by resource type, then field
+ * @param {string} resourceType - product, variant, collection or page
+ * @param {string} field - Field name
+ * @param {string} action - "create" or "update"
+ * @returns {boolean}
+ */
+export function shouldSyncField(policies, resourceType, field, action) {
+  const policy = policies?.[resourceType]?.[field] || "always";
+  if (policy === "never") return false;
+  if (policy === "create") return action === "create";
+  return true;
+}
+
+/**
+ * Remove the fields a policy keeps out of a staging input or plan fields
+ * @param {Object} fields - Staging input or plan fields
+ * @param {Object} policies - Policies keyed by resource type, then field
+ * @param {string} resourceType - product, variant, collection or page
+ * @param {string} action - "create" or "update"
+ * @returns {Object} Copy without the fields that don't sync
+ */
+export function applyFieldPolicies(fields, policies, resourceType, action) {
+  if (!fields || !POLICY_FIELDS[resourceType]) return fields;
+
+  const result = { ...fields };
+  for (const field of Object.keys(POLICY_FIELDS[resourceType].fields)) {
+    if (shouldSyncField(policies, resourceType, field, action)) continue;
+
+    for (const path of [field, ...(FIELD_PATHS[resourceType]?.[field] || [])]) {
+      const [key, nested] = path.split(".");
+      if (!nested) {
+        delete result[key];
+      } else if (result[key]) {
+        result[key] = { ...result[key] };
+        delete result[key][nested];
+      }
+    }
+  }
+  return result;
+}
@@ -0,0 +1,86 @@
+/**
+ * Sync Filter Settings Service
+ * Stores the search query and excluded handle patterns of each filterable
+ * sync type of a connection
+ */
+
+import prisma from "../db.server";
+import {
+  FILTER_SYNC_TYPES,
+  normalizeSyncFilter,
+} from "./sync-filter.server.js";
+import { resetSyncWatermark } from "./sync-watermark.server.js";
+
+/**
+ * Get the filters of a connection for every filterable sync type
+ * @param {string} connectionId - Store connection ID
+ * @returns {Promise<Object>} Filters keyed by sync type
+ */
+export async function getSyncFilters(connectionId) {
+  const saved = await prisma.syncFilter.findMany({
+    where: { connectionId },
+  });
+  return Object.fromEntries(
+    FILTER_SYNC_TYPES.map((syncType) => [
+      syncType,
+      normalizeSyncFilter(saved.find((filter) => filter.syncType === syncType)),
+    ]),
+  );
+}
+
+/**
+ * Save the filter of a connection for one sync type. Changing the query or
+ * exclusions resets the incremental watermark, so the next run fetches the
+ * resources the old filter left out.
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @param {Object} filter - { query, exclude }
+ * @returns {Promise<Object>} Saved filter
+ */
+export async function saveSyncFilter(connectionId, syncType, filter) {
+  if (!FILTER_SYNC_TYPES.includes(syncType)) {
+    throw new Error(`Filters are not supported for ${syncType}`);
+  }
+
+  const { query, exclude } = normalizeSyncFilter(filter);
+  const data = { query, exclude: exclude.join("\n") };
+
+  const previous = normalizeSyncFilter(
+    (await prisma.syncFilter.findUnique({
+      where: { connectionId_syncType: { connectionId, syncType } },
+    })) || {},
+  );
+
+  const saved = await prisma.syncFilter.upsert({
+    where: { connectionId_syncType: { connectionId, syncType } },
+    create: { connectionId, syncType, ...data },
+    update: data,
+  });
+
+  if (
+    previous.query !== query ||
+    previous.exclude.join("\n") !== data.exclude
+  ) {
+    await resetSyncWatermark(connectionId, syncType);
+  }
+
+  return saved;
+}
+
+/**
+ * Resolve the filter options a sync run should use
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Object>} { filter: { query, exclude } }, or {} when unfiltered
+ */
+export async function getFilterOptions(connectionId, syncType) {
+  if (!FILTER_SYNC_TYPES.includes(syncType)) return {};
+
+  const saved = await prisma.syncFilter.findUnique({
+    where: { connectionId_syncType: { connectionId, syncType } },
+  });
+  const filter = normalizeSyncFilter(saved || {});
+  if (!filter.query && filter.exclude.length === 0) return {};
+
+  return { filter };
+}
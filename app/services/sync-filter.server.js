@@ -0,0 +1,92 @@
+/**
+ * Sync Filters
+ * Narrow what a sync copies from production: a Shopify search query passed
+ * to the production fetch (e.g. `status:active tag:launch vendor:Acme`), and
+ * handle patterns excluded by the sync loop. Filters are saved per connection
+ * and sync type (see sync-filter-settings.server.js) and reach the services
+ * as `options.filter`.
+ */
+
+// Sync types whose production fetch accepts a search query
+export const FILTER_SYNC_TYPES = ["products", "collections", "pages"];
+
+/**
+ * Normalize a saved or submitted filter
+ * @param {Object} setting - { query, exclude } with exclude as an array or as
+ *   patterns separated by newlines or commas
+ * @returns {Object} { query, exclude: Array<string> }
+ */
+export function normalizeSyncFilter(setting = {}) {
+  const exclude = Array.isArray(setting.exclude)
+    ? setting.exclude
+    : String(setting.exclude || "").split(/[\n,]/);
+
+  return {
+    query: String(setting.query || "").trim(),
+    exclude: exclude.map((pattern) => pattern.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Match a handle against an exclusion pattern, where `*` matches any
+ * characters (e.g. `test-*`, `*-old`)
+ * @param {string} handle - Resource handle
+ * @param {string} pattern - Handle pattern
+ * @returns {boolean}
+ */
+export function matchesHandlePattern(handle, pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i").test(handle || "");
+}
+
+/**
+ * Whether the run's filter excludes a resource by its handle
+ * @param {Object} options - Sync options with an optional `filter`
+ * @param {string} handle - Resource handle
+ * @returns {string|null} The matching pattern, or null when not excluded
+ */
+export function getExcludingPattern(options, handle) {
+  const patterns = options?.filter?.exclude || [];
+  return (
+    patterns.find((pattern) => matchesHandlePattern(handle, pattern)) || null
+  );
+}
+
+/**
+ * Check before processing a resource whether the run's filter excludes it.
+ * An excluded resource is counted as skipped, logged, and listed in the
+ * plan of a preview.
+ * @param {Object} options - Sync options with an optional `filter`
+ * @param {Object} summary - Sync summary
+ * @param {Array} log - Sync log
+ * @param {Object} plan - Sync plan
+ * @param {Object} item - { resourceType, handle, label }
+ * @returns {boolean} Whether the loop should skip the resource
+ */
+export function shouldExcludeFromSync(
+  options,
+  summary,
+  log,
+  plan,
+  { resourceType, handle, label },
+) {
+  const pattern = getExcludingPattern(options, handle);
+  if (!pattern) return false;
+
+  summary.skipped++;
+  plan.skip({
+    resourceType,
+    key: handle,
+    label,
+    reason: `Excluded by handle pattern "${pattern}"`,
+  });
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `⏭️ Skipped ${resourceType} ${handle}: excluded by handle pattern "${pattern}"`,
+    skipped: true,
+  });
+  return true;
+}
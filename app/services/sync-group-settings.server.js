@@ -0,0 +1,263 @@
+/**
+ * Sync Group Settings Service
+ * Stores the sync groups of a shop and resolves their target stores for a
+ * run. A target is the owning shop itself or a store that paired with it
+ * (allowed it from its own Sync Groups page); it syncs through its own
+ * connection to the group's production store, with the access token read
+ * from the group's connection at run time.
+ */
+
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { normalizeGroupSyncTypes } from "./sync-group.server.js";
+import { getFilterOptions } from "./sync-filter-settings.server";
+import { getFieldPolicyOptions } from "./sync-field-policy-settings.server";
+import { getConflictOptions } from "./sync-conflict-settings.server";
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+/**
+ * Get the sync groups of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} Groups with their connection, targets and parsed syncTypes
+ */
+export async function getSyncGroups(shop) {
+  const groups = await prisma.syncGroup.findMany({
+    where: { shop },
+    include: {
+      connection: {
+        select: { id: true, name: true, storeDomain: true },
+      },
+      targets: {
+        select: { shop: true, connectionId: true },
+        orderBy: { shop: "asc" },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return groups.map((group) => ({
+    ...group,
+    syncTypes: normalizeGroupSyncTypes(JSON.parse(group.syncTypes || "[]")),
+  }));
+}
+
+/**
+ * Get the shops a store allowed to run sync groups into it
+ * @param {string} shop - Shop domain of the target store
+ * @returns {Promise<Array<string>>} Owner shop domains
+ */
+export async function getSyncGroupPairings(shop) {
+  const pairings = await prisma.syncGroupPairing.findMany({
+    where: { shop },
+    orderBy: { ownerShop: "asc" },
+  });
+  return pairings.map((pairing) => pairing.ownerShop);
+}
+
+/**
+ * Allow another shop to run its sync groups into this store. Recorded by
+ * the target store, so a shop can only target stores that opted in.
+ * @param {string} shop - Shop domain of the target store
+ * @param {string} ownerShop - Shop domain allowed to target it
+ */
+export async function saveSyncGroupPairing(shop, ownerShop) {
+  const owner = ownerShop?.trim().toLowerCase();
+  if (!owner || !SHOP_DOMAIN_PATTERN.test(owner)) {
+    throw new Error("Enter a store domain such as your-store.myshopify.com");
+  }
+  if (owner === shop) {
+    throw new Error("This store can always run its own sync groups");
+  }
+
+  await prisma.syncGroupPairing.upsert({
+    where: { shop_ownerShop: { shop, ownerShop: owner } },
+    create: { shop, ownerShop: owner },
+    update: {},
+  });
+}
+
+/**
+ * Stop another shop from running sync groups into this store, removing the
+ * store from that shop's groups. Its connection and mappings are kept.
+ * @param {string} shop - Shop domain of the target store
+ * @param {string} ownerShop - Shop domain to revoke
+ */
+export async function deleteSyncGroupPairing(shop, ownerShop) {
+  await prisma.syncGroupPairing.deleteMany({ where: { shop, ownerShop } });
+  await prisma.syncGroupTarget.deleteMany({
+    where: { shop, group: { shop: ownerShop } },
+  });
+}
+
+/**
+ * Get the stores a shop's groups can target: the shop itself and the
+ * stores that paired with it
+ * @param {string} shop - Shop that owns the groups
+ * @returns {Promise<Array<string>>} Shop domains
+ */
+export async function getAvailableTargetShops(shop) {
+  const pairings = await prisma.syncGroupPairing.findMany({
+    where: { ownerShop: shop },
+    select: { shop: true },
+    orderBy: { shop: "asc" },
+  });
+  return [shop, ...pairings.map((pairing) => pairing.shop)];
+}
+
+/**
+ * Create or update a sync group. Each target store gets a connection to the
+ * group's production store unless it already has one. The production access
+ * token is never copied into another store's connection; group runs read it
+ * from the group's connection.
+ * @param {string} shop - Shop that owns the group
+ * @param {Object} group - { id, name, connectionId, syncTypes, targetShops }
+ * @returns {Promise<Object>} Saved group
+ */
+export async function saveSyncGroup(shop, group) {
+  const name = group.name?.trim();
+  const syncTypes = normalizeGroupSyncTypes(group.syncTypes);
+  const targetShops = [...new Set(group.targetShops || [])];
+
+  if (!name) throw new Error("Name the sync group");
+  if (syncTypes.length === 0) throw new Error("Choose at least one sync type");
+  if (targetShops.length === 0) {
+    throw new Error("Choose at least one target store");
+  }
+
+  const connection = await prisma.storeConnection.findUnique({
+    where: { id: group.connectionId },
+  });
+  if (!connection || connection.shop !== shop) {
+    throw new Error("Invalid connection");
+  }
+
+  const availableShops = await getAvailableTargetShops(shop);
+  const unavailable = targetShops.filter((s) => !availableShops.includes(s));
+  if (unavailable.length > 0) {
+    throw new Error(
+      `${unavailable.join(", ")} hasn't allowed this store to sync into it; allow it from that store's Sync Groups page first`,
+    );
+  }
+
+  if (group.id) {
+    const existing = await prisma.syncGroup.findUnique({
+      where: { id: group.id },
+    });
+    if (!existing || existing.shop !== shop) {
+      throw new Error("Sync group not found");
+    }
+  }
+
+  const data = {
+    name,
+    connectionId: connection.id,
+    syncTypes: JSON.stringify(syncTypes),
+  };
+  const saved = group.id
+    ? await prisma.syncGroup.update({ where: { id: group.id }, data })
+    : await prisma.syncGroup.create({ data: { shop, ...data } });
+
+  const targetConnections = await Promise.all(
+    targetShops.map((targetShop) =>
+      prisma.storeConnection.upsert({
+        where: {
+          shop_storeDomain: {
+            shop: targetShop,
+            storeDomain: connection.storeDomain,
+          },
+        },
+        create: {
+          shop: targetShop,
+          name: connection.name,
+          storeDomain: connection.storeDomain,
+          // Only the owning shop's own connection holds the token
+          encryptedToken: targetShop === shop ? connection.encryptedToken : "",
+          environment: connection.environment,
+        },
+        // The target's own connection, with its mappings and settings
+        update: {},
+      }),
+    ),
+  );
+
+  await prisma.syncGroupTarget.deleteMany({
+    where: { groupId: saved.id, shop: { notIn: targetShops } },
+  });
+  for (const [index, targetShop] of targetShops.entries()) {
+    await prisma.syncGroupTarget.upsert({
+      where: { groupId_shop: { groupId: saved.id, shop: targetShop } },
+      create: {
+        groupId: saved.id,
+        shop: targetShop,
+        connectionId: targetConnections[index].id,
+      },
+      update: { connectionId: targetConnections[index].id },
+    });
+  }
+
+  return saved;
+}
+
+/**
+ * Delete a sync group of a shop. Target connections and their mappings
+ * are kept.
+ * @param {string} shop - Shop that owns the group
+ * @param {string} id - Sync group ID
+ */
+export async function deleteSyncGroup(shop, id) {
+  await prisma.syncGroup.deleteMany({ where: { id, shop } });
+}
+
+/**
+ * Resolve the target stores of a group for a run of one sync type. A store
+ * whose session can't be loaded, or that no longer allows the group's shop
+ * to sync into it, is returned with an error instead of an admin client, so
+ * the other stores still sync.
+ * @param {string} syncGroupId - Sync group ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Array>} [{ shop, connectionId, stagingAdmin, options } | { shop, connectionId, error }]
+ */
+export async function getSyncGroupTargets(syncGroupId, syncType) {
+  const group = await prisma.syncGroup.findUnique({
+    where: { id: syncGroupId },
+    include: { targets: { orderBy: { shop: "asc" } } },
+  });
+  if (!group) return [];
+  const availableShops = await getAvailableTargetShops(group.shop);
+
+  const resolved = [];
+  for (const target of group.targets) {
+    if (!availableShops.includes(target.shop)) {
+      resolved.push({
+        shop: target.shop,
+        connectionId: target.connectionId,
+        error: `The store no longer allows ${group.shop} to sync into it`,
+      });
+      continue;
+    }
+    try {
+      const { admin } = await unauthenticated.admin(target.shop);
+      // Filters, field policies and conflict strategies are configured on
+      // each target's own connection
+      const options = {
+        ...(await getFilterOptions(target.connectionId, syncType)),
+        ...(await getFieldPolicyOptions(target.connectionId, syncType)),
+        ...(await getConflictOptions(target.connectionId, syncType)),
+      };
+      resolved.push({
+        shop: target.shop,
+        connectionId: target.connectionId,
+        stagingAdmin: admin,
+        options,
+      });
+    } catch (error) {
+      resolved.push({
+        shop: target.shop,
+        connectionId: target.connectionId,
+        error: `Could not load the store's session: ${error.message}`,
+      });
+    }
+  }
+  return resolved;
+}
@@ -0,0 +1,147 @@
+/**
+ * Sync Groups
+ * Run a sync type from one production store into several staging stores.
+ * Each target store syncs through its own connection (for its mappings,
+ * filters, field policies and conflict strategy), while production reads
+ * are cached for the run, so production is fetched once for all targets.
+ * Groups are saved per shop (see sync-group-settings.server.js) and run by
+ * the sync queue; one SyncLog reports the run, per target in
+ * `summary.targets`.
+ */
+
+import {
+  withGraphqlCost,
+  withProductionCache,
+} from "./graphql-client.server.js";
+import { getSyncStatus, runSyncType } from "./sync-runner.server.js";
+import { SYNC_TYPES } from "../utils/sync-types.js";
+
+// Sync types a group can run, in the order they run. Theme syncs need a
+// theme chosen per store, so they are left out.
+export const GROUP_SYNC_TYPES = SYNC_TYPES.map(
+  (syncType) => syncType.id,
+).filter((syncType) => syncType !== "themes");
+
+const COUNTED_FIELDS = ["total", "created", "updated", "skipped", "failed"];
+
+/**
+ * Keep the sync types a group can run, in run order
+ * @param {Array<string>} syncTypes - Chosen sync types
+ * @returns {Array<string>}
+ */
+export function normalizeGroupSyncTypes(syncTypes = []) {
+  return GROUP_SYNC_TYPES.filter((syncType) => syncTypes.includes(syncType));
+}
+
+/**
+ * Add the result of one target to the group summary and log
+ * @param {Object} summary - Group summary
+ * @param {Array} log - Group log
+ * @param {string} shop - Target store
+ * @param {Object} result - Sync result of the target ({ summary, log })
+ */
+export function addTargetResult(summary, log, shop, result) {
+  const targetSummary = result.summary || {};
+  const errors = targetSummary.errors || [];
+
+  for (const field of COUNTED_FIELDS) {
+    summary[field] += targetSummary[field] || 0;
+  }
+  summary.errors.push(...errors.map((error) => `${shop}: ${error}`));
+  summary.targets.push({
+    shop,
+    status: getSyncStatus(targetSummary),
+    ...Object.fromEntries(
+      COUNTED_FIELDS.map((field) => [field, targetSummary[field] || 0]),
+    ),
+    errors: errors.length,
+  });
+
+  for (const entry of result.logs || result.log || []) {
+    log.push({ ...entry, target: shop, message: `${shop}: ${entry.message}` });
+  }
+}
+
+/**
+ * Run a sync type for every target store of a group
+ * @param {string} syncType - Sync type
+ * @param {Object} context - { productionStore, accessToken, targets: [{ shop, connectionId, stagingAdmin, options, error }], onProgress, options }
+ * @returns {Promise<Object>} { summary (with per-target `targets`), log }
+ */
+async function runGroupSync(syncType, context) {
+  const {
+    productionStore,
+    accessToken,
+    targets,
+    onProgress = () => {},
+    options = {},
+  } = context;
+  const { syncGroupId: _syncGroupId, ...runOptions } = options;
+  const log = [];
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    targets: [],
+  };
+
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `Syncing ${syncType} from ${productionStore} to ${targets.length} store(s)...`,
+  });
+
+  await withProductionCache(async () => {
+    for (const [index, target] of targets.entries()) {
+      if (target.error) {
+        addTargetResult(summary, log, target.shop, {
+          summary: { failed: 1, errors: [target.error] },
+        });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await runSyncType(syncType, {
+          productionStore,
+          accessToken,
+          stagingAdmin: target.stagingAdmin,
+          connectionId: target.connectionId,
+          // Progress of the group as a whole; targets can't be resumed
+          // from a checkpoint on their own
+          onProgress: ({ checkpoint: _checkpoint, ...progress }) =>
+            onProgress({
+              ...progress,
+              message: `${target.shop}: ${progress.message ?? ""}`,
+              percentage: Math.round(
+                (index * 100 + (progress.percentage ?? 0)) / targets.length,
+              ),
+            }),
+          options: { ...runOptions, ...target.options },
+        });
+      } catch (error) {
+        result = { summary: { failed: 1, errors: [error.message] }, log: [] };
+      }
+
+      // Failed items can't be retried per target, so they aren't kept
+      delete result.summary?.failedItems;
+      addTargetResult(summary, log, target.shop, result);
+
+      if (result.summary?.stopped) {
+        summary.stopped = result.summary.stopped;
+        break;
+      }
+    }
+  });
+
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `Group sync completed. Stores: ${summary.targets.length}, Created: ${summary.created}, Updated: ${summary.updated}, Failed: ${summary.failed}`,
+  });
+
+  return { summary, log };
+}
+
+export const runSyncGroup = withGraphqlCost(runGroupSync);
@@ -0,0 +1,236 @@
+/**
+ * Sync Plan
+ * Lets a sync run as a dry run: instead of calling staging mutations it
+ * records the creates, updates and skips it would make, with field-level
+ * before/after diffs. Applying a reviewed plan runs the sync again and only
+ * lets through the changes that are in the plan and still match it.
+ */
+
+import { createHash } from "node:crypto";
+
+/**
+ * Serialize a value with object keys sorted, so equal values compare equal
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} JSON string
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item ?? null)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compare the fields a sync would write with the staging values
+ * @param {Object|null} before - Current staging values (null for a create)
+ * @param {Object} after - Values the sync would write
+ * @param {Array<string>} fields - Fields to compare (defaults to every key of `after`)
+ * @returns {Array<Object>} Changed fields as { field, before, after }
+ */
+export function diffFields(before, after, fields = Object.keys(after || {})) {
+  const changes = [];
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (stableStringify(from) !== stableStringify(to)) {
+      changes.push({ field, before: from, after: to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Reduce metafields to a `namespace.key` -> value map for comparison
+ * @param {Array|Object} metafields - Metafield list, or a connection with nodes or edges
+ * @returns {Object} Metafield values by namespace and key
+ */
+export function toMetafieldMap(metafields) {
+  const list = Array.isArray(metafields)
+    ? metafields
+    : metafields?.nodes || metafields?.edges?.map((edge) => edge.node) || [];
+  return Object.fromEntries(
+    list.map((mf) => [`${mf.namespace}.${mf.key}`, mf.value]),
+  );
+}
+
+function getItemKey(item) {
+  return `${item.resourceType}:${item.key}`;
+}
+
+function getFingerprint(item) {
+  return createHash("sha256")
+    .update(stableStringify({ action: item.action, changes: item.changes }))
+    .digest("hex");
+}
+
+function isMutation(query) {
+  return /^\s*mutation\b/.test(query);
+}
+
+/**
+ * Count plan items by action
+ * @param {Array<Object>} items - Plan items
+ * @returns {Object} { create, update, skip }
+ */
+export function summarizePlan(items = []) {
+  const summary = { create: 0, update: 0, skip: 0 };
+  for (const item of items) {
+    summary[item.action] = (summary[item.action] || 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Create the plan a sync run records into (dry run) or checks against
+ * (applying a reviewed plan). Without either option every change is allowed
+ * and nothing is recorded.
+ * @param {Object} options - Sync options ({ dryRun, plan })
+ * @param {Array} log - The sync's log, for planned and rejected changes
+ * @returns {Object} Sync plan
+ */
+export function createSyncPlan(options = {}, log = []) {
+  const dryRun = Boolean(options.dryRun);
+  const approved = options.plan
+    ? new Map(
+        (options.plan.items || []).map((item) => [getItemKey(item), item]),
+      )
+    : null;
+  const items = [];
+
+  return {
+    dryRun,
+    applying: Boolean(approved),
+    // Whether shouldApply() compares anything, so callers can skip building
+    // before/after values on a normal run
+    active: dryRun || Boolean(approved),
+    items,
+
+    /**
+     * Record a create or update and decide whether the caller should run
+     * its staging mutation. An update without field changes is planned as
+     * a skip.
+     * @param {Object} change - { resourceType, key, label, action, before, after, fields }
+     * @returns {boolean} Whether to run the mutation
+     */
+    shouldApply(change) {
+      if (!dryRun && !approved) return true;
+
+      const changes = diffFields(
+        change.action === "create" ? null : change.before,
+        change.after,
+        change.fields,
+      );
+      const item = {
+        resourceType: change.resourceType,
+        key: String(change.key),
+        label: change.label || String(change.key),
+        action:
+          change.action === "update" && changes.length === 0
+            ? "skip"
+            : change.action,
+        changes,
+      };
+      if (item.action === "skip") {
+        item.reason = "No changes";
+      } else {
+        item.fingerprint = getFingerprint(item);
+      }
+
+      if (dryRun) {
+        items.push(item);
+        if (item.action !== "skip") {
+          log.push({
+            timestamp: new Date().toISOString(),
+            message: `📝 Would ${item.action} ${item.resourceType} "${item.label}"${item.action === "update" ? ` (${changes.map((c) => c.field).join(", ")})` : ""}`,
+            type: "plan",
+          });
+        }
+        return false;
+      }
+
+      const planned = approved.get(getItemKey(item));
+      if (
+        planned?.action === item.action &&
+        planned.fingerprint === item.fingerprint &&
+        item.action !== "skip"
+      ) {
+        return true;
+      }
+
+      if (planned && planned.action !== "skip") {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⏭️ Skipped ${item.resourceType} "${item.label}": changed since the preview`,
+          type: "plan",
+        });
+      } else if (!planned) {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⏭️ Skipped ${item.resourceType} "${item.label}": not in the reviewed plan`,
+          type: "plan",
+        });
+      }
+      return false;
+    },
+
+    /**
+     * Record a resource the sync leaves alone, so the review shows why
+     * @param {Object} skip - { resourceType, key, label, reason }
+     */
+    skip({ resourceType, key, label, reason }) {
+      if (!dryRun) return;
+      items.push({
+        resourceType,
+        key: String(key),
+        label: label || String(key),
+        action: "skip",
+        changes: [],
+        reason,
+      });
+    },
+
+    /**
+     * Add the items planned by a nested sync (e.g. metafield definitions)
+     * @param {Object} result - Nested sync result with a `plan`
+     */
+    merge(result) {
+      if (dryRun && result?.plan?.items) {
+        items.push(...result.plan.items);
+      }
+    },
+
+    /**
+     * In a dry run, wrap the staging client so a mutation the sync failed to
+     * plan for throws instead of reaching the store
+     * @param {Object} stagingAdmin - Staging admin client
+     * @returns {Object} Guarded client
+     */
+    guard(stagingAdmin) {
+      if (!dryRun || !stagingAdmin) return stagingAdmin;
+      return {
+        ...stagingAdmin,
+        async graphql(query, graphqlOptions) {
+          if (isMutation(query)) {
+            throw new Error("Staging mutations are disabled during a dry run");
+          }
+          return stagingAdmin.graphql(query, graphqlOptions);
+        },
+      };
+    },
+
+    /**
+     * Serializable plan returned by a dry run
+     * @returns {Object} { items, summary }
+     */
+    toJSON() {
+      return { items, summary: summarizePlan(items) };
+    },
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Sync Preview Service
+ * Stores the plan recorded by a dry-run sync on its SyncLog and loads it
+ * back when the reviewed plan is applied
+ */
+
+import prisma from "../db.server";
+
+/**
+ * Parse the plan stored on a SyncLog
+ * @param {Object} syncLog - SyncLog with a `plan` JSON column
+ * @returns {Object|null} { options, items, summary, appliedLogId }
+ */
+export function parseStoredPlan(syncLog) {
+  if (!syncLog?.plan) return null;
+  try {
+    return JSON.parse(syncLog.plan);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * SyncLog fields to save when a run completes. A dry run stores its plan
+ * with the options it ran with, so applying it fetches the same resources.
+ * @param {Object} options - Options the sync ran with
+ * @param {Object} result - Sync result with a `plan`
+ * @returns {Object} Extra SyncLog data
+ */
+export function getPlanLogData(options, result) {
+  if (!options.dryRun) return {};
+
+  const runOptions = { ...options };
+  delete runOptions.dryRun;
+  return {
+    plan: JSON.stringify({
+      options: runOptions,
+      items: result?.plan?.items || [],
+      summary: result?.plan?.summary || { create: 0, update: 0, skip: 0 },
+    }),
+  };
+}
+
+/**
+ * Load a reviewed plan for applying, checking it belongs to the same shop,
+ * connection and sync type, finished, and has not been applied already
+ * @param {string} shop - Shop domain
+ * @param {string} planLogId - SyncLog ID of the preview
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Object>} { plan, previewLog } or { error }
+ */
+export async function getReviewedPlan(shop, planLogId, connectionId, syncType) {
+  const previewLog = await prisma.syncLog.findUnique({
+    where: { id: planLogId },
+  });
+
+  if (!previewLog || previewLog.shop !== shop || !previewLog.dryRun) {
+    return { error: "Preview not found" };
+  }
+  if (
+    previewLog.connectionId !== connectionId ||
+    previewLog.syncType !== syncType
+  ) {
+    return {
+      error: "The preview was made for a different connection or sync type",
+    };
+  }
+
+  const plan = parseStoredPlan(previewLog);
+  if (!plan || previewLog.status === "in_progress") {
+    return { error: "The preview has not finished yet" };
+  }
+  if (plan.appliedLogId) {
+    return { error: "This preview has already been applied" };
+  }
+
+  return { plan, previewLog };
+}
+
+/**
+ * Record which run applied a preview, so it cannot be applied twice
+ * @param {Object} previewLog - SyncLog of the preview
+ * @param {Object} plan - Parsed stored plan
+ * @param {string} appliedLogId - SyncLog ID of the run applying it
+ * @returns {Promise<Object>} Updated SyncLog
+ */
+export async function markPlanApplied(previewLog, plan, appliedLogId) {
+  return prisma.syncLog.update({
+    where: { id: previewLog.id },
+    data: { plan: JSON.stringify({ ...plan, appliedLogId }) },
+  });
+}
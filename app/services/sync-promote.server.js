@@ -0,0 +1,722 @@
+/**
+ * Promotion
+ * Pushes chosen staging resources to production, the reverse of a sync.
+ * ResourceMapping is read in reverse (staging GID → production GID): a
+ * mapped resource updates its production counterpart, an unmapped one is
+ * created in production. Promotion never writes to a production resource
+ * it has no mapping for, and fails an item whose references have no
+ * production counterpart. Writes reuse the sync services' staging helpers
+ * with a production client.
+ */
+
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import {
+  extractIdFromGid,
+  getAllMappings,
+  getMappingByStagingGid,
+  saveMapping,
+} from "./resource-mapping.server.js";
+import { extractGids } from "../utils/gid-translator.server.js";
+import { getSyncType } from "../utils/sync-types.js";
+import {
+  createPageInStaging,
+  updatePageInStaging,
+} from "./sync.pages.server.js";
+import {
+  createMenuInStaging,
+  updateMenuInStaging,
+} from "./sync.navigation.server.js";
+import {
+  addProductsToCollection,
+  createCollectionInStaging,
+  updateCollectionInStaging,
+} from "./sync.collections.server.js";
+import {
+  createMetaobjectDefinition,
+  updateMetaobjectDefinition,
+  updateMetaobjectFieldsInStaging,
+  upsertMetaobjectInStaging,
+} from "./sync.metaobjects.server.js";
+
+const GID_PATTERN = /gid:\/\/shopify\/[A-Za-z]+\/\d+/g;
+
+// Menu item types the menu helpers resolve by handle in the target store
+const HANDLE_RESOLVED_MENU_ITEMS = [
+  "PAGE",
+  "COLLECTION",
+  "CUSTOMER_ACCOUNT_PAGE",
+];
+
+const MENU_ITEM_FIELDS = `
+  title
+  type
+  url
+  resourceId
+  tags
+`;
+
+async function queryAdmin(admin, query, variables = {}) {
+  const response = await admin.graphql(query, { variables });
+  const result = await response.json();
+  if (result.errors) {
+    throw new Error(result.errors.map((e) => e.message).join(", "));
+  }
+  return result.data;
+}
+
+async function fetchAllNodes(admin, query, field, variables = {}) {
+  const nodes = [];
+  let after = null;
+
+  do {
+    const data = await queryAdmin(admin, query, { ...variables, after });
+    const connection = data?.[field];
+    nodes.push(...(connection?.nodes || []));
+    after = connection?.pageInfo?.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return nodes;
+}
+
+/**
+ * Replace staging GIDs in a value with their production GIDs
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} value - Value that may contain staging GIDs
+ * @returns {Promise<Object>} { value, unmapped: staging GIDs without a mapping }
+ */
+export async function translateToProduction(storeConnectionId, value) {
+  const gids = [...new Set(extractGids(value))];
+  const productionGids = new Map();
+  const unmapped = [];
+
+  for (const gid of gids) {
+    const mapping = await getMappingByStagingGid(storeConnectionId, gid);
+    if (mapping) {
+      productionGids.set(gid, mapping.productionGid);
+    } else {
+      unmapped.push(gid);
+    }
+  }
+
+  return {
+    value:
+      gids.length > 0
+        ? value.replace(GID_PATTERN, (gid) => productionGids.get(gid) || gid)
+        : value,
+    unmapped,
+  };
+}
+
+// Translate a value, failing the item when a reference has no production
+// counterpart
+async function requireProductionGids(storeConnectionId, value, what) {
+  const result = await translateToProduction(storeConnectionId, value);
+  if (result.unmapped.length > 0) {
+    throw new Error(
+      `${what} references ${result.unmapped.join(", ")}, which has no production counterpart`,
+    );
+  }
+  return result.value;
+}
+
+async function translateMenuItems(storeConnectionId, items = []) {
+  const translated = [];
+
+  for (const item of items) {
+    const resourceId =
+      item.resourceId && !HANDLE_RESOLVED_MENU_ITEMS.includes(item.type)
+        ? await requireProductionGids(
+            storeConnectionId,
+            item.resourceId,
+            `Menu item "${item.title}"`,
+          )
+        : item.resourceId;
+
+    translated.push({
+      ...item,
+      resourceId,
+      items: await translateMenuItems(storeConnectionId, item.items),
+    });
+  }
+
+  return translated;
+}
+
+function getHelperError(result) {
+  return result.errors || result.error || "Unknown error";
+}
+
+// Search query matching a handle, quoted so it is searched as one term
+function getHandleQuery(handle) {
+  return `handle:"${handle.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Search matches aren't exact, so only a node with the same handle counts
+function findByHandle(nodes, handle) {
+  return (nodes || []).find((node) => node.handle === handle) || null;
+}
+
+// Per sync type: how to list, read and find resources, and how to write a
+// staging resource to production (returning the production resource)
+const PROMOTERS = {
+  pages: {
+    matchKey: "handle",
+    listQuery: `
+      query PromotablePages($after: String) {
+        pages(first: 250, after: $after) {
+          nodes { id title handle }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    field: "pages",
+    describe: (page) => ({ key: page.handle, label: page.title }),
+    readQuery: `
+      query PromotedPage($id: ID!) {
+        page(id: $id) {
+          id
+          title
+          handle
+          body
+          isPublished
+          templateSuffix
+        }
+      }
+    `,
+    readField: "page",
+    async findInProduction(page, production) {
+      const data = await queryAdmin(
+        production,
+        `query FindPage($query: String!) {
+          pages(first: 10, query: $query) { nodes { id handle } }
+        }`,
+        { query: getHandleQuery(page.handle) },
+      );
+      return findByHandle(data?.pages?.nodes, page.handle);
+    },
+    async promote(page, productionGid, production) {
+      const result = productionGid
+        ? await updatePageInStaging(productionGid, page, production)
+        : await createPageInStaging(page, production);
+      if (!result.success) throw new Error(getHelperError(result));
+      return result.page;
+    },
+  },
+
+  navigation: {
+    matchKey: "handle",
+    listQuery: `
+      query PromotableMenus($after: String) {
+        menus(first: 250, after: $after) {
+          nodes { id title handle }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    field: "menus",
+    describe: (menu) => ({ key: menu.handle, label: menu.title }),
+    readQuery: `
+      query PromotedMenu($id: ID!) {
+        menu(id: $id) {
+          id
+          title
+          handle
+          isDefault
+          items(limit: 100) {
+            ${MENU_ITEM_FIELDS}
+            items {
+              ${MENU_ITEM_FIELDS}
+              items {
+                ${MENU_ITEM_FIELDS}
+              }
+            }
+          }
+        }
+      }
+    `,
+    readField: "menu",
+    async findInProduction(menu, production) {
+      const data = await queryAdmin(
+        production,
+        `query FindMenu($query: String!) {
+          menus(first: 10, query: $query) { nodes { id handle } }
+        }`,
+        { query: getHandleQuery(menu.handle) },
+      );
+      return findByHandle(data?.menus?.nodes, menu.handle);
+    },
+    async promote(menu, productionGid, production, storeConnectionId) {
+      const promoted = {
+        ...menu,
+        items: await translateMenuItems(storeConnectionId, menu.items),
+      };
+      const result = productionGid
+        ? await updateMenuInStaging(productionGid, promoted, production)
+        : await createMenuInStaging(promoted, production);
+      if (!result.success) throw new Error(getHelperError(result));
+      return result.menu;
+    },
+  },
+
+  collections: {
+    matchKey: "handle",
+    listQuery: `
+      query PromotableCollections($after: String) {
+        collections(first: 250, after: $after) {
+          nodes { id title handle }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    field: "collections",
+    describe: (collection) => ({
+      key: collection.handle,
+      label: collection.title,
+    }),
+    readQuery: `
+      query PromotedCollection($id: ID!) {
+        collection(id: $id) {
+          id
+          title
+          handle
+          descriptionHtml
+          sortOrder
+          templateSuffix
+          seo { title description }
+          image { url altText }
+          ruleSet {
+            appliedDisjunctively
+            rules { column relation condition }
+          }
+          products(first: 250) { nodes { id } }
+        }
+      }
+    `,
+    readField: "collection",
+    async findInProduction(collection, production) {
+      const data = await queryAdmin(
+        production,
+        `query FindCollection($handle: String!) {
+          collectionByHandle(handle: $handle) { id }
+        }`,
+        { handle: collection.handle },
+      );
+      return data?.collectionByHandle || null;
+    },
+    async promote(collection, productionGid, production, storeConnectionId) {
+      // Manual collections bring their products; resolve them before writing
+      const isSmart = collection.ruleSet?.rules?.length > 0;
+      const productIds = isSmart
+        ? []
+        : JSON.parse(
+            await requireProductionGids(
+              storeConnectionId,
+              JSON.stringify(collection.products.nodes.map((p) => p.id)),
+              `Collection "${collection.title}"`,
+            ),
+          );
+
+      const result = productionGid
+        ? await updateCollectionInStaging(productionGid, collection, production)
+        : await createCollectionInStaging(collection, production);
+      if (!result.success) throw new Error(getHelperError(result));
+
+      // Products are only added; production products missing in staging stay
+      let existingIds = [];
+      if (productionGid && productIds.length > 0) {
+        const data = await queryAdmin(
+          production,
+          `query CollectionProducts($id: ID!) {
+            collection(id: $id) { products(first: 250) { nodes { id } } }
+          }`,
+          { id: productionGid },
+        );
+        existingIds = (data?.collection?.products?.nodes || []).map(
+          (p) => p.id,
+        );
+      }
+      const added = await addProductsToCollection(
+        result.collection.id,
+        productIds.filter((id) => !existingIds.includes(id)),
+        production,
+      );
+      if (!added.success) throw new Error(getHelperError(added));
+
+      return result.collection;
+    },
+  },
+
+  metaobject_definitions: {
+    matchKey: "type",
+    listQuery: `
+      query PromotableDefinitions($after: String) {
+        metaobjectDefinitions(first: 250, after: $after) {
+          nodes { id type name }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    field: "metaobjectDefinitions",
+    describe: (definition) => ({
+      key: definition.type,
+      label: definition.name || definition.type,
+    }),
+    readQuery: `
+      query PromotedDefinition($id: ID!) {
+        metaobjectDefinition(id: $id) {
+          id
+          type
+          name
+          displayNameKey
+          description
+          capabilities {
+            publishable { enabled }
+            translatable { enabled }
+            renderable { enabled }
+          }
+          fieldDefinitions {
+            key
+            name
+            description
+            required
+            type { name category }
+            validations { name value }
+          }
+        }
+      }
+    `,
+    readField: "metaobjectDefinition",
+    async findInProduction(definition, production) {
+      const data = await queryAdmin(
+        production,
+        `query FindDefinition($type: String!) {
+          metaobjectDefinitionByType(type: $type) { id }
+        }`,
+        { type: definition.type },
+      );
+      return data?.metaobjectDefinitionByType || null;
+    },
+    // Definitions only gain the fields missing in production; existing
+    // fields are left as they are
+    async promote(definition, productionGid, production, storeConnectionId) {
+      const fieldDefinitions = JSON.parse(
+        await requireProductionGids(
+          storeConnectionId,
+          JSON.stringify(definition.fieldDefinitions),
+          `Definition "${definition.type}"`,
+        ),
+      );
+      const toUpdateInput = (field) => ({ ...field, type: field.type.name });
+
+      if (productionGid) {
+        const data = await queryAdmin(
+          production,
+          `query DefinitionFields($id: ID!) {
+            metaobjectDefinition(id: $id) { id type fieldDefinitions { key } }
+          }`,
+          { id: productionGid },
+        );
+        const existing = data?.metaobjectDefinition;
+        if (!existing) {
+          throw new Error(`Production definition ${productionGid} not found`);
+        }
+
+        const keys = existing.fieldDefinitions.map((field) => field.key);
+        const fieldsToAdd = fieldDefinitions.filter(
+          (field) => !keys.includes(field.key),
+        );
+        if (fieldsToAdd.length > 0) {
+          const result = await updateMetaobjectDefinition(
+            existing.type,
+            fieldsToAdd.map(toUpdateInput),
+            production,
+          );
+          if (!result.success) throw new Error(getHelperError(result));
+        }
+        return existing;
+      }
+
+      const result = await createMetaobjectDefinition(
+        { ...definition, fieldDefinitions },
+        production,
+      );
+      if (!result.success) throw new Error(getHelperError(result));
+
+      // The create helper leaves out metaobject reference fields
+      const referenceFields = fieldDefinitions.filter(
+        (field) => field.type.name === "metaobject_reference",
+      );
+      if (referenceFields.length > 0) {
+        const updated = await updateMetaobjectDefinition(
+          definition.type,
+          referenceFields.map(toUpdateInput),
+          production,
+        );
+        if (!updated.success) throw new Error(getHelperError(updated));
+      }
+      return result.definition;
+    },
+  },
+
+  metaobjects: {
+    matchKey: "handle",
+    async list(admin) {
+      const definitions = await fetchAllNodes(
+        admin,
+        PROMOTERS.metaobject_definitions.listQuery,
+        "metaobjectDefinitions",
+      );
+      const entries = [];
+      for (const definition of definitions) {
+        entries.push(
+          ...(await fetchAllNodes(
+            admin,
+            `query PromotableMetaobjects($type: String!, $after: String) {
+              metaobjects(type: $type, first: 250, after: $after) {
+                nodes { id handle type displayName }
+                pageInfo { hasNextPage endCursor }
+              }
+            }`,
+            "metaobjects",
+            { type: definition.type },
+          )),
+        );
+      }
+      return entries;
+    },
+    describe: (entry) => ({
+      key: `${entry.type}/${entry.handle}`,
+      label: entry.displayName || entry.handle,
+    }),
+    readQuery: `
+      query PromotedMetaobject($id: ID!) {
+        metaobject(id: $id) {
+          id
+          handle
+          type
+          displayName
+          capabilities { publishable { status } }
+          fields { key type value }
+        }
+      }
+    `,
+    readField: "metaobject",
+    async findInProduction(entry, production) {
+      const data = await queryAdmin(
+        production,
+        `query FindMetaobject($handle: MetaobjectHandleInput!) {
+          metaobjectByHandle(handle: $handle) { id }
+        }`,
+        { handle: { type: entry.type, handle: entry.handle } },
+      );
+      return data?.metaobjectByHandle || null;
+    },
+    // Mapped entries are updated by ID, so a handle renamed in staging
+    // doesn't create a second entry; others are upserted by type and
+    // handle, like the forward sync
+    async promote(entry, productionGid, production, storeConnectionId) {
+      const fields = [];
+      for (const field of entry.fields) {
+        if (field.value === null || field.value === undefined) continue;
+        fields.push({
+          key: field.key,
+          value: await requireProductionGids(
+            storeConnectionId,
+            field.value,
+            `Field "${field.key}"`,
+          ),
+        });
+      }
+
+      const status = entry.capabilities?.publishable?.status;
+      const result = productionGid
+        ? await updateMetaobjectFieldsInStaging(
+            productionGid,
+            fields,
+            production,
+            {
+              handle: entry.handle,
+              ...(status && { capabilities: { publishable: { status } } }),
+            },
+          )
+        : await upsertMetaobjectInStaging(entry, fields, production);
+      if (!result.success) throw new Error(getHelperError(result));
+      return result.metaobject;
+    },
+  },
+};
+
+/**
+ * Mark listed staging resources with their production counterparts
+ * @param {Array<Object>} resources - [{ id (staging GID), key, label }]
+ * @param {Array<Object>} mappings - Resource mappings of the type
+ * @returns {Array<Object>} Resources with productionGid and action ("update" or "create")
+ */
+export function mapPromotionCandidates(resources, mappings) {
+  const byStagingGid = new Map(
+    mappings.map((mapping) => [mapping.stagingGid, mapping]),
+  );
+
+  return resources.map((resource) => {
+    const mapping = byStagingGid.get(resource.id);
+    return {
+      ...resource,
+      productionGid: mapping?.productionGid || null,
+      action: mapping ? "update" : "create",
+    };
+  });
+}
+
+/**
+ * List the staging resources of a type that can be promoted
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} syncType - Sync type with `promote` in the registry
+ * @returns {Promise<Array<Object>>} [{ id, key, label, productionGid, action }]
+ */
+export async function getPromotionCandidates(
+  stagingAdmin,
+  storeConnectionId,
+  syncType,
+) {
+  const promoter = PROMOTERS[syncType];
+  if (!promoter) {
+    throw new Error(`Promotion is not supported for ${syncType}`);
+  }
+
+  const admin = wrapStagingAdmin(stagingAdmin);
+  const resources = promoter.list
+    ? await promoter.list(admin)
+    : await fetchAllNodes(admin, promoter.listQuery, promoter.field);
+  const mappings = await getAllMappings(
+    storeConnectionId,
+    getSyncType(syncType).promote.resourceType,
+  );
+
+  return mapPromotionCandidates(
+    resources.map((resource) => ({
+      id: resource.id,
+      ...promoter.describe(resource),
+    })),
+    mappings,
+  );
+}
+
+/**
+ * Promote chosen staging resources to production
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} syncType - Sync type with `promote` in the registry
+ * @param {Array<string>} stagingIds - Staging GIDs chosen for promotion
+ * @returns {Promise<Object>} { summary, log }
+ */
+async function runPromotion(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId,
+  syncType,
+  stagingIds,
+) {
+  const promoter = PROMOTERS[syncType];
+  const resourceType = getSyncType(syncType)?.promote?.resourceType;
+  const log = [];
+  const summary = {
+    total: stagingIds.length,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  if (!promoter) {
+    summary.errors.push(`Promotion is not supported for ${syncType}`);
+    return { summary, log };
+  }
+
+  const admin = wrapStagingAdmin(stagingAdmin);
+  const production = createProductionClient(productionStore, accessToken);
+
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `Promoting ${stagingIds.length} ${syncType} from staging to ${productionStore}...`,
+  });
+
+  for (const stagingId of stagingIds) {
+    let label = stagingId;
+    try {
+      const data = await queryAdmin(admin, promoter.readQuery, {
+        id: stagingId,
+      });
+      const resource = data?.[promoter.readField];
+      if (!resource) {
+        throw new Error(`Staging resource ${stagingId} not found`);
+      }
+
+      const described = promoter.describe(resource);
+      label = described.label;
+
+      const mapping = await getMappingByStagingGid(
+        storeConnectionId,
+        stagingId,
+      );
+      if (mapping && mapping.resourceType !== resourceType) {
+        throw new Error(`${stagingId} is mapped as a ${mapping.resourceType}`);
+      }
+      if (!mapping && (await promoter.findInProduction(resource, production))) {
+        throw new Error(
+          `${described.key} already exists in production and is not mapped to this staging resource; sync it to staging first`,
+        );
+      }
+
+      const promoted = await promoter.promote(
+        resource,
+        mapping?.productionGid || null,
+        production,
+        storeConnectionId,
+      );
+
+      await saveMapping(storeConnectionId, resourceType, {
+        productionId: extractIdFromGid(promoted.id),
+        stagingId: extractIdFromGid(resource.id),
+        productionGid: promoted.id,
+        stagingGid: resource.id,
+        matchKey: promoter.matchKey,
+        matchValue: described.key,
+        syncId: null,
+        title: described.label,
+      });
+
+      summary[mapping ? "updated" : "created"]++;
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `✅ ${mapping ? "Updated" : "Created"} ${resourceType} in production: ${label}`,
+      });
+    } catch (error) {
+      summary.failed++;
+      summary.errors.push(`${label}: ${error.message}`);
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Failed to promote ${resourceType} ${label}: ${error.message}`,
+      });
+    }
+  }
+
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `Promotion completed. Total: ${summary.total}, Created: ${summary.created}, Updated: ${summary.updated}, Failed: ${summary.failed}`,
+  });
+
+  return { summary, log };
+}
+
+export const promoteToProduction = withGraphqlCost(runPromotion);
@@ -0,0 +1,69 @@
+/**
+ * Prune Settings Service
+ * Stores which sync types of a connection prune resources deleted in
+ * production, with their policy and safety cap
+ */
+
+import prisma from "../db.server";
+import { normalizePruneSetting } from "./sync-prune.server.js";
+import { getSyncType, getSyncTypesWith } from "../utils/sync-types.js";
+
+/**
+ * Get the prune settings of a connection for every prunable sync type
+ * @param {string} connectionId - Store connection ID
+ * @returns {Promise<Object>} Settings keyed by sync type
+ */
+export async function getPruneSettings(connectionId) {
+  const saved = await prisma.pruneSetting.findMany({
+    where: { connectionId },
+  });
+  return Object.fromEntries(
+    getSyncTypesWith("prune").map(({ id }) => [
+      id,
+      normalizePruneSetting(
+        id,
+        saved.find((setting) => setting.syncType === id),
+      ),
+    ]),
+  );
+}
+
+/**
+ * Save the prune setting of a connection for one sync type
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @param {Object} setting - { enabled, policy, maxPercent }
+ * @returns {Promise<Object>} Saved setting
+ */
+export async function savePruneSetting(connectionId, syncType, setting) {
+  const data = normalizePruneSetting(syncType, setting);
+  if (!data) {
+    throw new Error(`Pruning is not supported for ${syncType}`);
+  }
+
+  return prisma.pruneSetting.upsert({
+    where: { connectionId_syncType: { connectionId, syncType } },
+    create: { connectionId, syncType, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Resolve the prune options a sync run should use
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Object>} { prune: { policy, maxPercent } }, or {} when pruning is off
+ */
+export async function getPruneOptions(connectionId, syncType) {
+  if (!getSyncType(syncType)?.prune) return {};
+
+  const setting = await prisma.pruneSetting.findUnique({
+    where: { connectionId_syncType: { connectionId, syncType } },
+  });
+  const normalized = normalizePruneSetting(syncType, setting || {});
+  if (!normalized.enabled) return {};
+
+  return {
+    prune: { policy: normalized.policy, maxPercent: normalized.maxPercent },
+  };
+}
@@ -0,0 +1,591 @@
+/**
+ * Prune Service
+ * Finds staging resources whose production counterpart has been deleted,
+ * using the resource mappings, and archives or deletes them according to
+ * the connection's per-type prune setting (see sync-prune-settings.server.js)
+ */
+
+import { deleteMapping, getAllMappings } from "./resource-mapping.server.js";
+import {
+  createProductionClient,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan, summarizePlan } from "./sync-plan.server.js";
+import { getSyncType } from "../utils/sync-types.js";
+
+export const DEFAULT_PRUNE_MAX_PERCENT = 10;
+
+// Maximum IDs accepted by the `nodes` query
+const NODES_BATCH_SIZE = 250;
+
+const PRODUCTION_NODES_QUERY = `
+  query GetProductionPruneNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      id
+    }
+  }
+`;
+
+const STAGING_NODES_QUERY = `
+  query GetStagingPruneNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      id
+      ... on Product {
+        title
+        status
+      }
+      ... on Page {
+        title
+        isPublished
+      }
+      ... on Menu {
+        title
+      }
+      ... on UrlRedirect {
+        path
+        target
+      }
+    }
+  }
+`;
+
+// Staging mutations per mapping type and policy. Archiving a page
+// unpublishes it, since pages have no archived state.
+const PRUNE_MUTATIONS = {
+  product: {
+    archive: {
+      query: `
+        mutation ArchiveProduct($input: ProductInput!) {
+          productUpdate(input: $input) {
+            product { id }
+            userErrors { field message }
+          }
+        }
+      `,
+      field: "productUpdate",
+      variables: (id) => ({ input: { id, status: "ARCHIVED" } }),
+      before: (node) => ({ status: node.status }),
+      after: { status: "ARCHIVED" },
+    },
+    delete: {
+      query: `
+        mutation DeleteProduct($input: ProductDeleteInput!) {
+          productDelete(input: $input) {
+            deletedProductId
+            userErrors { field message }
+          }
+        }
+      `,
+      field: "productDelete",
+      variables: (id) => ({ input: { id } }),
+    },
+  },
+  page: {
+    archive: {
+      query: `
+        mutation UnpublishPage($id: ID!, $page: PageUpdateInput!) {
+          pageUpdate(id: $id, page: $page) {
+            page { id }
+            userErrors { field message }
+          }
+        }
+      `,
+      field: "pageUpdate",
+      variables: (id) => ({ id, page: { isPublished: false } }),
+      before: (node) => ({ isPublished: node.isPublished }),
+      after: { isPublished: false },
+    },
+    delete: {
+      query: `
+        mutation DeletePage($id: ID!) {
+          pageDelete(id: $id) {
+            deletedPageId
+            userErrors { field message }
+          }
+        }
+      `,
+      field: "pageDelete",
+      variables: (id) => ({ id }),
+    },
+  },
+  navigation: {
+    delete: {
+      query: `
+        mutation DeleteMenu($id: ID!) {
+          menuDelete(id: $id) {
+            deletedMenuId
+            userErrors { field message }
+          }
+        }
+      `,
+      field: "menuDelete",
+      variables: (id) => ({ id }),
+    },
+  },
+  redirect: {
+    delete: {
+      query: `
+        mutation DeleteUrlRedirect($id: ID!) {
+          urlRedirectDelete(id: $id) {
+            deletedUrlRedirectId
+            userErrors { field message }
+          }
+        }
+      `,
+      field: "urlRedirectDelete",
+      variables: (id) => ({ id }),
+    },
+  },
+};
+
+/**
+ * Validate a prune setting against what its sync type supports
+ * @param {string} syncType - Sync type
+ * @param {Object} setting - { enabled, policy, maxPercent }
+ * @returns {Object|null} Normalized setting, or null if the type can't prune
+ */
+export function normalizePruneSetting(syncType, setting = {}) {
+  const config = getSyncType(syncType)?.prune;
+  if (!config) return null;
+
+  const maxPercent = Number.parseInt(setting.maxPercent, 10);
+  return {
+    enabled: Boolean(setting.enabled),
+    policy: config.policies.includes(setting.policy)
+      ? setting.policy
+      : config.policies[0],
+    maxPercent:
+      Number.isFinite(maxPercent) && maxPercent >= 0 && maxPercent <= 100
+        ? maxPercent
+        : DEFAULT_PRUNE_MAX_PERCENT,
+  };
+}
+
+/**
+ * Pick the mappings whose production resource no longer exists. A staging
+ * resource that a live mapping also points at (e.g. a product recreated in
+ * production with the same handle) is left out, so it is never pruned.
+ * @param {Array<Object>} mappings - Resource mappings
+ * @param {Set<string>} existingGids - Production GIDs that still exist
+ * @returns {Object} { stale, relinked } mappings
+ */
+export function findStaleMappings(mappings, existingGids) {
+  const live = mappings.filter((mapping) =>
+    existingGids.has(mapping.productionGid),
+  );
+  const liveStagingGids = new Set(live.map((mapping) => mapping.stagingGid));
+  const stale = [];
+  const relinked = [];
+
+  for (const mapping of mappings) {
+    if (existingGids.has(mapping.productionGid)) continue;
+    if (liveStagingGids.has(mapping.stagingGid)) {
+      relinked.push(mapping);
+    } else {
+      stale.push(mapping);
+    }
+  }
+
+  return { stale, relinked };
+}
+
+/**
+ * Check whether a prune would remove more than the allowed share of resources
+ * @param {number} staleCount - Resources that would be pruned
+ * @param {number} total - Mapped resources of the type
+ * @param {number} maxPercent - Largest share allowed, in percent
+ * @returns {boolean} Whether the prune must be aborted
+ */
+export function exceedsPruneCap(staleCount, total, maxPercent) {
+  if (!total || !staleCount) return false;
+  return (staleCount / total) * 100 > maxPercent;
+}
+
+/**
+ * Look up which of the given GIDs exist, in batches of the `nodes` query.
+ * Throws on any error so a failed lookup is never mistaken for a deletion.
+ * @param {Function} graphql - (query, options) => Response
+ * @param {Array<string>} gids - GIDs to look up
+ * @param {string} query - `nodes` query to run
+ * @returns {Promise<Map>} Existing nodes by GID
+ */
+async function getExistingNodes(graphql, gids, query) {
+  const nodes = new Map();
+
+  for (let i = 0; i < gids.length; i += NODES_BATCH_SIZE) {
+    const response = await graphql(query, {
+      variables: { ids: gids.slice(i, i + NODES_BATCH_SIZE) },
+    });
+    const data = await response.json();
+
+    if (data.errors) {
+      throw new Error(
+        data.errors.map((error) => error.message).join(", ") ||
+          "Failed to look up resources",
+      );
+    }
+
+    for (const node of data.data?.nodes || []) {
+      if (node?.id) nodes.set(node.id, node);
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Remove mappings of dependent types (e.g. variants of a product) whose
+ * production resource no longer exists. Staging is left alone: those
+ * resources go with their parent.
+ * @param {string} syncType - Sync type
+ * @param {string} productionStore - Production store domain
+ * @param {string} accessToken - Production access token
+ * @param {string} storeConnectionId - Store connection ID
+ * @returns {Promise<number>} Mappings removed
+ */
+async function removeStaleDependentMappings(
+  syncType,
+  productionStore,
+  accessToken,
+  storeConnectionId,
+) {
+  const productionClient = createProductionClient(productionStore, accessToken);
+  let removed = 0;
+
+  for (const resourceType of getSyncType(syncType).prune.dependentTypes || []) {
+    try {
+      const mappings = await getAllMappings(storeConnectionId, resourceType);
+      const existing = await getExistingNodes(
+        (query, graphqlOptions) =>
+          productionClient.graphql(query, graphqlOptions),
+        mappings.map((mapping) => mapping.productionGid),
+        PRODUCTION_NODES_QUERY,
+      );
+      for (const mapping of mappings) {
+        if (existing.has(mapping.productionGid)) continue;
+        await deleteMapping(
+          storeConnectionId,
+          resourceType,
+          mapping.productionId,
+        );
+        removed++;
+      }
+    } catch (error) {
+      console.error(
+        `⚠️ Failed to clean up stale ${resourceType} mappings:`,
+        error.message,
+      );
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Run a prune mutation against staging
+ * @param {Object} mutation - Entry from PRUNE_MUTATIONS
+ * @param {string} stagingGid - Staging resource GID
+ * @param {Object} stagingAdmin - Staging admin client
+ * @returns {Promise<Object>} { success, errors }
+ */
+async function runPruneMutation(mutation, stagingGid, stagingAdmin) {
+  const response = await stagingAdmin.graphql(mutation.query, {
+    variables: mutation.variables(stagingGid),
+  });
+  const result = await response.json();
+
+  if (result.errors) {
+    return {
+      success: false,
+      errors: result.errors.map((e) => e.message).join(", "),
+    };
+  }
+
+  const userErrors = result.data?.[mutation.field]?.userErrors || [];
+  if (userErrors.length > 0) {
+    return {
+      success: false,
+      errors: userErrors.map((e) => e.message).join(", "),
+    };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Archive or delete staging resources whose production counterpart was
+ * deleted, then remove their mappings. Aborts without changes if production can't
+ * be checked or more than `maxPercent` of the mapped resources would go.
+ * @param {string} syncType - Sync type (one with `prune` in the registry)
+ * @param {Object} context - { productionStore, accessToken, stagingAdmin, storeConnectionId, options, log, plan }
+ * @returns {Promise<Object>} Prune summary
+ */
+export async function pruneDeletedResources(syncType, context) {
+  const {
+    productionStore,
+    accessToken,
+    stagingAdmin,
+    storeConnectionId,
+    options,
+    log,
+    plan,
+  } = context;
+  const { resourceType } = getSyncType(syncType).prune;
+  const { policy, maxPercent } = normalizePruneSetting(syncType, {
+    enabled: true,
+    ...options.prune,
+  });
+  const mutation = PRUNE_MUTATIONS[resourceType][policy];
+  const summary = {
+    policy,
+    checked: 0,
+    stale: 0,
+    archived: 0,
+    deleted: 0,
+    mappingsRemoved: 0,
+    failed: 0,
+    aborted: false,
+    errors: [],
+  };
+
+  if (!storeConnectionId) {
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: "⚠️ No storeConnectionId provided. Pruning skipped.",
+    });
+    return summary;
+  }
+
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `🧹 Checking mapped ${resourceType} resources for production deletions...`,
+  });
+
+  const mappings = await getAllMappings(storeConnectionId, resourceType);
+  summary.checked = mappings.length;
+  if (mappings.length === 0) return summary;
+
+  let stale;
+  let relinked;
+  let stagingNodes;
+  try {
+    const productionClient = createProductionClient(
+      productionStore,
+      accessToken,
+    );
+    const productionNodes = await getExistingNodes(
+      (query, graphqlOptions) =>
+        productionClient.graphql(query, graphqlOptions),
+      mappings.map((mapping) => mapping.productionGid),
+      PRODUCTION_NODES_QUERY,
+    );
+    ({ stale, relinked } = findStaleMappings(
+      mappings,
+      new Set(productionNodes.keys()),
+    ));
+    stagingNodes = await getExistingNodes(
+      (query, graphqlOptions) => stagingAdmin.graphql(query, graphqlOptions),
+      stale.map((mapping) => mapping.stagingGid),
+      STAGING_NODES_QUERY,
+    );
+  } catch (error) {
+    summary.aborted = true;
+    summary.errors.push(`Prune aborted: ${error.message}`);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Prune aborted, could not check which resources still exist: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+    return summary;
+  }
+
+  summary.stale = stale.length;
+
+  if (!plan.dryRun) {
+    for (const mapping of relinked) {
+      await deleteMapping(
+        storeConnectionId,
+        resourceType,
+        mapping.productionId,
+      );
+      summary.mappingsRemoved++;
+    }
+  }
+
+  if (stale.length === 0) {
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `✅ No ${resourceType} resources were deleted in production`,
+    });
+    return summary;
+  }
+
+  if (exceedsPruneCap(stale.length, mappings.length, maxPercent)) {
+    summary.aborted = true;
+    const message = `Prune aborted: ${stale.length} of ${mappings.length} mapped ${resourceType} resources would be pruned, more than the ${maxPercent}% safety cap`;
+    summary.errors.push(message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🛑 ${message}`,
+      success: false,
+    });
+    return summary;
+  }
+
+  for (const mapping of stale) {
+    const label = mapping.title || mapping.matchValue;
+    const node = stagingNodes.get(mapping.stagingGid);
+
+    // Already gone from staging: only the mapping is left to clean up
+    if (!node) {
+      if (plan.dryRun) {
+        plan.skip({
+          resourceType,
+          key: mapping.matchValue,
+          label,
+          reason: "Already deleted in staging, mapping will be removed",
+        });
+        continue;
+      }
+      await deleteMapping(
+        storeConnectionId,
+        resourceType,
+        mapping.productionId,
+      );
+      summary.mappingsRemoved++;
+      continue;
+    }
+
+    const planned = plan.shouldApply({
+      resourceType,
+      key: mapping.matchValue,
+      label,
+      action: policy,
+      before: mutation.before
+        ? mutation.before(node)
+        : { title: node.title || node.path || label },
+      after: mutation.after || {},
+      fields: mutation.after ? Object.keys(mutation.after) : ["title"],
+    });
+    if (!planned) continue;
+
+    const result = await runPruneMutation(
+      mutation,
+      mapping.stagingGid,
+      stagingAdmin,
+    );
+
+    if (result.success) {
+      if (policy === "archive") {
+        summary.archived++;
+      } else {
+        summary.deleted++;
+      }
+      await deleteMapping(
+        storeConnectionId,
+        resourceType,
+        mapping.productionId,
+      );
+      summary.mappingsRemoved++;
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `🧹 ${policy === "archive" ? "Archived" : "Deleted"} ${resourceType} "${label}" (deleted in production)`,
+        success: true,
+      });
+    } else {
+      summary.failed++;
+      summary.errors.push(`Prune ${label}: ${result.errors}`);
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Failed to ${policy} ${resourceType} "${label}": ${result.errors}`,
+        success: false,
+        error: result.errors,
+      });
+    }
+  }
+
+  if (!plan.dryRun) {
+    summary.mappingsRemoved += await removeStaleDependentMappings(
+      syncType,
+      productionStore,
+      accessToken,
+      storeConnectionId,
+    );
+  }
+
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `🧹 Prune completed: ${summary.archived} archived, ${summary.deleted} deleted, ${summary.mappingsRemoved} mapping(s) removed, ${summary.failed} failed`,
+  });
+
+  return summary;
+}
+
+/**
+ * Wrap a sync so it prunes after the sync itself when its options include
+ * `prune`. Deletions are checked against production directly, so this also
+ * works after incremental runs that fetched no resources.
+ * @param {string} syncType - Sync type (one with `prune` in the registry)
+ * @param {Function} runSync - Sync function with the standard sync signature
+ * @returns {Function} Sync function with the same signature
+ */
+export function withPrune(syncType, runSync) {
+  return async (
+    productionStore,
+    accessToken,
+    stagingAdmin,
+    storeConnectionId = null,
+    onProgress = () => {},
+    options = {},
+  ) => {
+    const result = await runSync(
+      productionStore,
+      accessToken,
+      stagingAdmin,
+      storeConnectionId,
+      onProgress,
+      options,
+    );
+    // Don't start pruning once the run was cancelled or paused
+    if (!options.prune || result.summary?.stopped) return result;
+
+    const log = result.log;
+    const plan = createSyncPlan(options, log);
+
+    onProgress({
+      stage: "pruning",
+      message: "Checking for resources deleted in production...",
+      percentage: 100,
+    });
+
+    try {
+      result.summary.pruned = await pruneDeletedResources(syncType, {
+        productionStore,
+        accessToken,
+        stagingAdmin: plan.guard(wrapStagingAdmin(stagingAdmin)),
+        storeConnectionId,
+        options,
+        log,
+        plan,
+      });
+      result.summary.errors.push(...result.summary.pruned.errors);
+    } catch (error) {
+      console.error(`Error pruning ${syncType}:`, error);
+      result.summary.errors.push(`Prune failed: ${error.message}`);
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Prune failed: ${error.message}`,
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (plan.dryRun) {
+      const items = [...(result.plan?.items || []), ...plan.items];
+      result.plan = { items, summary: summarizePlan(items) };
+    }
+
+    return result;
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Sync Query Helpers
+ * Builds the Admin API search queries used to narrow production fetches
+ * https://shopify.dev/docs/api/usage/search-syntax
+ */
+
+import { getSyncTargets } from "./sync-target.server.js";
+
+/**
+ * Build the search query that limits a production fetch to changed resources
+ * @param {Date|string|null} since - Only match resources updated after this time
+ * @returns {string|null} Search query, or null for a full fetch
+ */
+export function buildUpdatedSinceQuery(since) {
+  if (!since) return null;
+  return `updated_at:>'${new Date(since).toISOString()}'`;
+}
+
+/**
+ * Build the search query that limits a production fetch to given resources,
+ * by GID or else by handle
+ * @param {Array<Object>} targets - [{ id, key }]
+ * @returns {string} Search query
+ */
+export function buildTargetsQuery(targets) {
+  return targets
+    .map(({ id, key }) =>
+      id ? `id:${id.split("/").pop()}` : `handle:'${key}'`,
+    )
+    .join(" OR ");
+}
+
+/**
+ * Build the search query for a production fetch: the targeted resources of a
+ * single-resource sync or retry, otherwise the resources matching the
+ * connection's filter query and changed since the incremental watermark
+ * @param {Object} options - Sync options ({ since, filter, targets, retryItems })
+ * @returns {string|null} Search query, or null for a full fetch
+ */
+export function buildSyncFetchQuery(options = {}) {
+  const targets = getSyncTargets(options);
+  if (targets) return buildTargetsQuery(targets);
+
+  const filterQuery = options.filter?.query || null;
+  const sinceQuery = buildUpdatedSinceQuery(options.since);
+  if (filterQuery && sinceQuery) return `(${filterQuery}) AND ${sinceQuery}`;
+  return filterQuery || sinceQuery;
+}
@@ -0,0 +1,625 @@
+/**
+ * Sync Queue Service
+ * Persists background sync runs as SyncJob rows and runs them in a worker
+ * loop, so a server restart doesn't leave runs stuck "in progress". Jobs
+ * save a checkpoint as they go and are resumed from it after a crash; runs
+ * that can't be resumed are marked as failed on startup. Running jobs can
+ * be cancelled, and jobs that can resume paused and resumed later from
+ * where they stopped.
+ */
+
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getSyncStatus, runSyncType } from "./sync-runner.server.js";
+import { saveSyncWatermark } from "./sync-watermark.server.js";
+import { getPlanLogData } from "./sync-preview.server.js";
+import { createSyncControl } from "./sync-control.server.js";
+import { getFailedItemsLogData } from "./sync-retry.server.js";
+import { runSyncGroup } from "./sync-group.server.js";
+import { getSyncGroupTargets } from "./sync-group-settings.server.js";
+import {
+  getSnapshotSource,
+  runSnapshotJob,
+} from "./sync-snapshot-store.server.js";
+import { getSyncType, getSyncTypeLabel } from "../utils/sync-types.js";
+
+// Singleton guard, as for the scheduler: dev mode re-evaluates modules
+const QUEUE_KEY = "__sync_queue__";
+
+const POLL_INTERVAL_MS = 5000;
+// Jobs of different connections run side by side; one connection's jobs
+// always run one at a time, in the order they were queued
+const MAX_CONCURRENT_JOBS = 2;
+// A job interrupted this many times is failed instead of resumed
+const MAX_ATTEMPTS = 3;
+// Minimum time between checkpoint writes
+const CHECKPOINT_INTERVAL_MS = 5000;
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// Whether a job picks up from its checkpoint when it runs again. A dry run
+// resumed partway would record an incomplete plan, and group runs and
+// snapshot exports have no single position to resume from.
+function canResumeJob(job, options = parseJson(job.options, {})) {
+  return (
+    Boolean(getSyncType(job.syncType)?.resumable) &&
+    !options.dryRun &&
+    !options.syncGroupId &&
+    !options.snapshotId
+  );
+}
+
+function getProgressSummary(progress) {
+  return JSON.stringify({
+    progress: {
+      percentage: progress.percentage ?? 0,
+      stage: progress.stage ?? "running",
+      message: progress.message ?? "",
+    },
+  });
+}
+
+/**
+ * Queue a sync run. The SyncLog is created by the caller and stays
+ * `in_progress` until the worker finishes the job.
+ * @param {Object} job - { shop, connectionId, syncType, syncLogId, options, batchId, scheduleId }
+ * @returns {Promise<Object>} Created SyncJob
+ */
+export async function enqueueSyncJob({
+  shop,
+  connectionId,
+  syncType,
+  syncLogId,
+  options = {},
+  batchId = null,
+  scheduleId = null,
+}) {
+  const job = await prisma.syncJob.create({
+    data: {
+      shop,
+      connectionId,
+      syncType,
+      syncLogId,
+      options: JSON.stringify(options),
+      batchId,
+      scheduleId,
+    },
+  });
+
+  await prisma.syncLog.update({
+    where: { id: syncLogId },
+    data: {
+      summary: getProgressSummary({
+        stage: "queued",
+        message: "Waiting for the sync worker...",
+      }),
+    },
+  });
+
+  const worker = await initSyncQueue();
+  processQueue(worker);
+
+  return job;
+}
+
+/**
+ * Start the worker loop. Recovers jobs interrupted by a restart first.
+ * Uses a global singleton to prevent duplicates.
+ * @returns {Promise<Object>} Worker state
+ */
+export async function initSyncQueue() {
+  if (global[QUEUE_KEY]) {
+    return global[QUEUE_KEY];
+  }
+
+  const worker = {
+    id: `${process.pid}-${Date.now()}`,
+    startedAt: new Date(),
+    active: new Map(), // jobId -> { connectionId, control }
+    claiming: false,
+    timer: null,
+  };
+  global[QUEUE_KEY] = worker;
+
+  try {
+    await recoverSyncJobs(worker);
+  } catch (err) {
+    console.error("[SyncQueue] Failed to recover jobs:", err.message);
+  }
+
+  worker.timer = setInterval(() => processQueue(worker), POLL_INTERVAL_MS);
+  worker.timer.unref?.();
+  processQueue(worker);
+
+  console.log(`[SyncQueue] Worker ${worker.id} started`);
+  return worker;
+}
+
+/**
+ * Requeue jobs left running by a previous process so they resume from
+ * their checkpoint, failing those interrupted too often or that can't
+ * resume, then fail any other run still marked in progress from before
+ * this process started
+ * @param {Object} worker - Worker state
+ */
+async function recoverSyncJobs(worker) {
+  const orphaned = await prisma.syncJob.findMany({
+    where: { status: "running", NOT: { workerId: worker.id } },
+  });
+
+  for (const job of orphaned) {
+    if (!canResumeJob(job)) {
+      await failJob(
+        job,
+        "Interrupted by a server restart. This sync can't resume from where it stopped; run it again",
+      );
+    } else if (job.attempts < MAX_ATTEMPTS) {
+      await prisma.syncJob.update({
+        where: { id: job.id },
+        data: { status: "queued", workerId: null },
+      });
+      await prisma.syncLog.update({
+        where: { id: job.syncLogId },
+        data: {
+          summary: getProgressSummary({
+            stage: "queued",
+            message: "Interrupted by a server restart, waiting to resume...",
+          }),
+        },
+      });
+      console.log(
+        `[SyncQueue] Requeued interrupted ${job.syncType} job ${job.id}`,
+      );
+    } else {
+      await failJob(
+        job,
+        `Interrupted by a server restart ${job.attempts} times, giving up`,
+      );
+    }
+  }
+
+  // Runs outside the queue (e.g. synchronous syncs) have nothing to resume
+  const activeJobs = await prisma.syncJob.findMany({
+    where: { status: { in: ["queued", "running"] } },
+    select: { syncLogId: true },
+  });
+  const { count } = await prisma.syncLog.updateMany({
+    where: {
+      status: "in_progress",
+      startedAt: { lt: worker.startedAt },
+      id: { notIn: activeJobs.map((job) => job.syncLogId) },
+    },
+    data: {
+      status: "failed",
+      summary: JSON.stringify({ error: "Interrupted by a server restart" }),
+      completedAt: new Date(),
+    },
+  });
+  if (count > 0) {
+    console.log(`[SyncQueue] Marked ${count} orphaned run(s) as failed`);
+  }
+}
+
+/**
+ * Claim queued jobs up to the concurrency limit and run them
+ * @param {Object} worker - Worker state
+ */
+async function processQueue(worker) {
+  if (worker.claiming) return;
+  worker.claiming = true;
+
+  try {
+    while (worker.active.size < MAX_CONCURRENT_JOBS) {
+      const job = await claimNextJob(worker);
+      if (!job) break;
+
+      const control = createSyncControl();
+      worker.active.set(job.id, { connectionId: job.connectionId, control });
+      runSyncJob(job, control)
+        .catch((err) => console.error(`[SyncQueue] Job ${job.id} error:`, err))
+        .finally(() => {
+          worker.active.delete(job.id);
+          processQueue(worker);
+        });
+    }
+  } catch (err) {
+    console.error("[SyncQueue] Failed to claim jobs:", err.message);
+  } finally {
+    worker.claiming = false;
+  }
+}
+
+/**
+ * Claim the oldest queued job of a connection with no job running. Jobs of
+ * a batch with a paused job wait for it, since they may depend on it.
+ * @param {Object} worker - Worker state
+ * @returns {Promise<Object|null>} Claimed job
+ */
+async function claimNextJob(worker) {
+  const busyConnections = [
+    ...new Set([...worker.active.values()].map((entry) => entry.connectionId)),
+  ];
+  const running = await prisma.syncJob.findMany({
+    where: { status: "running" },
+    select: { connectionId: true },
+  });
+  const paused = await prisma.syncJob.findMany({
+    where: { status: "paused", batchId: { not: null } },
+    select: { batchId: true },
+  });
+
+  const next = await prisma.syncJob.findFirst({
+    where: {
+      status: "queued",
+      connectionId: {
+        notIn: [...busyConnections, ...running.map((job) => job.connectionId)],
+      },
+      OR: [
+        { batchId: null },
+        { batchId: { notIn: paused.map((job) => job.batchId) } },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (!next) return null;
+
+  const { count } = await prisma.syncJob.updateMany({
+    where: { id: next.id, status: "queued" },
+    data: {
+      status: "running",
+      workerId: worker.id,
+      attempts: { increment: 1 },
+      startedAt: next.startedAt ?? new Date(),
+    },
+  });
+  if (count === 0) return claimNextJob(worker);
+
+  return prisma.syncJob.findUnique({ where: { id: next.id } });
+}
+
+/**
+ * Run a claimed job and record its result on the SyncLog
+ * @param {Object} job - Claimed SyncJob
+ * @param {Object} control - Sync control from createSyncControl()
+ */
+async function runSyncJob(job, control) {
+  const options = parseJson(job.options, {});
+  const checkpoint = parseJson(job.checkpoint, null);
+  if (checkpoint && canResumeJob(job, options)) {
+    options.checkpoint = checkpoint;
+  }
+
+  try {
+    const syncLog = await prisma.syncLog.findUnique({
+      where: { id: job.syncLogId },
+    });
+    const connection = await prisma.storeConnection.findUnique({
+      where: { id: job.connectionId },
+    });
+    if (!syncLog || !connection) {
+      throw new Error("Connection or sync log no longer exists");
+    }
+
+    const { decrypt } = await import("../utils/encryption.server.js");
+    const accessToken = decrypt(connection.encryptedToken);
+    if (!accessToken) {
+      throw new Error("Failed to decrypt access token");
+    }
+
+    // Jobs outlive the request that queued them, so use the offline token
+    const { admin } = await unauthenticated.admin(job.shop);
+
+    let lastCheckpointAt = 0;
+    const onProgress = async (progress) => {
+      try {
+        await prisma.syncLog.update({
+          where: { id: job.syncLogId },
+          data: { summary: getProgressSummary(progress) },
+        });
+        if (
+          progress.checkpoint &&
+          Date.now() - lastCheckpointAt >= CHECKPOINT_INTERVAL_MS
+        ) {
+          lastCheckpointAt = Date.now();
+          await prisma.syncJob.update({
+            where: { id: job.id },
+            data: { checkpoint: JSON.stringify(progress.checkpoint) },
+          });
+        }
+      } catch (e) {
+        console.error("[SyncQueue] Failed to update sync progress:", e);
+      }
+    };
+
+    const result = await runQueuedSync(job, {
+      productionStore: connection.storeDomain,
+      accessToken,
+      stagingAdmin: admin,
+      connectionId: connection.id,
+      onProgress,
+      options: { ...options, control },
+    });
+
+    if (result.summary?.stopped) {
+      await recordStoppedJob(job, syncLog, result);
+      return;
+    }
+
+    const status = getSyncStatus(result.summary);
+    const failedItems = getFailedItemsLogData(result, syncLog.failedItems);
+
+    await prisma.syncLog.update({
+      where: { id: job.syncLogId },
+      data: {
+        status,
+        summary: JSON.stringify(result.summary || {}),
+        logs: JSON.stringify(result.logs || result.log || []),
+        ...getPlanLogData(options, result),
+        ...failedItems,
+        completedAt: new Date(),
+      },
+    });
+
+    // Group runs are always full and imports read a snapshot rather than
+    // the store as it is now, so neither advances the watermark
+    if (
+      status === "success" &&
+      !options.syncGroupId &&
+      !options.importSnapshotId
+    ) {
+      await saveSyncWatermark(job.connectionId, job.syncType, syncLog, options);
+    }
+
+    await prisma.syncJob.update({
+      where: { id: job.id },
+      data: { status: "completed", completedAt: new Date() },
+    });
+  } catch (err) {
+    console.error(`[SyncQueue] ${job.syncType} job ${job.id} failed:`, err);
+    await failJob(job, err.message);
+  }
+
+  if (job.batchId) {
+    await finishBatch(job);
+  }
+}
+
+/**
+ * Run the sync of a job. Sync groups apply it to each of their target
+ * stores, snapshot exports write production to an archive instead, and
+ * snapshot imports read the resources from an archive.
+ * @param {Object} job - Claimed SyncJob
+ * @param {Object} context - runSyncType() context
+ * @returns {Promise<Object>} Sync result ({ summary, log })
+ */
+async function runQueuedSync(job, context) {
+  const { options } = context;
+
+  if (options.snapshotId) {
+    return runSnapshotJob(options.snapshotId, {
+      ...context,
+      control: options.control,
+    });
+  }
+
+  if (options.syncGroupId) {
+    return runSyncGroup(job.syncType, {
+      ...context,
+      targets: await getSyncGroupTargets(options.syncGroupId, job.syncType),
+    });
+  }
+
+  if (options.importSnapshotId) {
+    // Other types would read production rather than the snapshot
+    if (!getSyncType(job.syncType)?.snapshot) {
+      throw new Error(
+        `${getSyncTypeLabel(job.syncType)} can't be imported from a snapshot`,
+      );
+    }
+    return runSyncType(job.syncType, {
+      ...context,
+      options: {
+        ...options,
+        source: await getSnapshotSource(options.importSnapshotId),
+      },
+    });
+  }
+
+  return runSyncType(job.syncType, context);
+}
+
+/**
+ * Record a run that stopped early on request. A paused job keeps where it
+ * stopped as its checkpoint, the sync's own cursor or else the index of the
+ * first item not processed, so resuming skips the items already done; a
+ * cancelled run keeps its partial summary.
+ * @param {Object} job - SyncJob
+ * @param {Object} syncLog - The run's SyncLog
+ * @param {Object} result - Sync result with `summary.stopped`
+ */
+async function recordStoppedJob(job, syncLog, result) {
+  const paused = result.summary.stopped === "paused";
+  const failedItems = getFailedItemsLogData(result, syncLog.failedItems);
+
+  await prisma.syncLog.update({
+    where: { id: job.syncLogId },
+    data: {
+      status: result.summary.stopped,
+      ...failedItems,
+      summary: JSON.stringify(result.summary),
+      logs: JSON.stringify(result.logs || result.log || []),
+      completedAt: paused ? null : new Date(),
+    },
+  });
+
+  await prisma.syncJob.update({
+    where: { id: job.id },
+    data: paused
+      ? {
+          status: "paused",
+          workerId: null,
+          checkpoint: JSON.stringify(
+            result.summary.checkpoint ?? { index: result.summary.stoppedAt },
+          ),
+        }
+      : { status: "cancelled", completedAt: new Date() },
+  });
+
+  if (job.batchId) {
+    await finishBatch(job);
+  }
+}
+
+/**
+ * Cancel or pause a queued run. Running jobs stop before their next item;
+ * queued and paused jobs stop straight away.
+ * @param {string} syncLogId - SyncLog ID of the run
+ * @param {string} action - "cancel" or "pause"
+ * @returns {Promise<Object>} { status } or { error }
+ */
+export async function requestSyncStop(syncLogId, action) {
+  const job = await prisma.syncJob.findUnique({ where: { syncLogId } });
+  if (!job) {
+    return { error: "Only background syncs can be cancelled or paused" };
+  }
+  if (action === "pause" && !canResumeJob(job)) {
+    return {
+      error:
+        "This sync can't resume from where it stopped, so it can be cancelled but not paused",
+    };
+  }
+
+  if (job.status === "running") {
+    const entry = global[QUEUE_KEY]?.active.get(job.id);
+    if (!entry) {
+      return { error: "The sync is running in another server process" };
+    }
+    entry.control.request(action);
+    return { status: action === "pause" ? "pausing" : "cancelling" };
+  }
+
+  if (job.status !== "queued" && job.status !== "paused") {
+    return { error: "The sync has already finished" };
+  }
+
+  if (action === "pause") {
+    if (job.status === "queued") {
+      await prisma.syncJob.update({
+        where: { id: job.id },
+        data: { status: "paused" },
+      });
+      await prisma.syncLog.update({
+        where: { id: syncLogId },
+        data: { status: "paused" },
+      });
+    }
+    return { status: "paused" };
+  }
+
+  await prisma.syncJob.update({
+    where: { id: job.id },
+    data: { status: "cancelled", completedAt: new Date() },
+  });
+  await prisma.syncLog.update({
+    where: { id: syncLogId },
+    data: { status: "cancelled", completedAt: new Date() },
+  });
+  if (job.batchId) {
+    await finishBatch(job);
+  }
+  return { status: "cancelled" };
+}
+
+/**
+ * Whether a background run can be paused and later resumed from where it
+ * stopped
+ * @param {string} syncLogId - SyncLog ID of the run
+ * @returns {Promise<boolean>}
+ */
+export async function canPauseSyncJob(syncLogId) {
+  const job = await prisma.syncJob.findUnique({ where: { syncLogId } });
+  return Boolean(job) && canResumeJob(job);
+}
+
+/**
+ * Queue a paused run again; it resumes from where it stopped
+ * @param {string} syncLogId - SyncLog ID of the run
+ * @returns {Promise<Object>} { status } or { error }
+ */
+export async function resumeSyncJob(syncLogId) {
+  const job = await prisma.syncJob.findUnique({ where: { syncLogId } });
+  if (job?.status !== "paused") {
+    return { error: "The sync is not paused" };
+  }
+
+  // Pauses don't count towards the restart limit
+  await prisma.syncJob.update({
+    where: { id: job.id },
+    data: { status: "queued", attempts: 0 },
+  });
+  await prisma.syncLog.update({
+    where: { id: syncLogId },
+    data: {
+      status: "in_progress",
+      summary: getProgressSummary({
+        stage: "queued",
+        message: "Waiting to resume...",
+      }),
+    },
+  });
+
+  const worker = await initSyncQueue();
+  processQueue(worker);
+
+  return { status: "in_progress" };
+}
+
+/**
+ * Mark a job and its SyncLog as failed
+ * @param {Object} job - SyncJob
+ * @param {string} error - Error message
+ */
+async function failJob(job, error) {
+  await prisma.syncJob.update({
+    where: { id: job.id },
+    data: { status: "failed", error, completedAt: new Date() },
+  });
+  await prisma.syncLog.updateMany({
+    where: { id: job.syncLogId, status: "in_progress" },
+    data: {
+      status: "failed",
+      summary: JSON.stringify({ error }),
+      completedAt: new Date(),
+    },
+  });
+}
+
+/**
+ * Once every job of a scheduled batch has finished, let the scheduler
+ * record the run on its schedule. A paused job hasn't finished: the batch
+ * waits for it to be resumed or cancelled.
+ * @param {Object} job - Finished job of the batch
+ */
+async function finishBatch(job) {
+  try {
+    const pending = await prisma.syncJob.count({
+      where: {
+        batchId: job.batchId,
+        status: { in: ["queued", "running", "paused"] },
+      },
+    });
+    if (pending > 0 || !job.scheduleId) return;
+
+    const { finishScheduledRun } = await import("./scheduler.server.js");
+    await finishScheduledRun(job.scheduleId, job.batchId);
+  } catch (err) {
+    console.error("[SyncQueue] Failed to finish batch:", err.message);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Sync Retries
+ * Sync services record the production resources they failed to sync on
+ * `summary.failedItems`; the run's SyncLog stores them in its `failedItems`
+ * column. Retrying the run passes them back as `options.retryItems`, which
+ * limits the sync to those resources (see sync-target.server.js). The sync
+ * types that record them are marked `retryable` in the registry.
+ */
+
+/**
+ * Record a resource the sync failed to create or update
+ * @param {Object} summary - Sync summary
+ * @param {Object} item - { resourceType, id (production GID), key (handle, path, code...), label, error }
+ */
+export function recordFailedItem(
+  summary,
+  { resourceType, id, key, label, error },
+) {
+  summary.failedItems = summary.failedItems || [];
+  summary.failedItems.push({
+    resourceType,
+    id: id ?? null,
+    key: key ?? null,
+    label: label ?? key ?? id,
+    error: error ?? null,
+  });
+}
+
+/**
+ * SyncLog fields to save when a run completes. Failed items move from the
+ * summary to their own column, after those already stored on the log by an
+ * earlier part of a paused and resumed run.
+ * @param {Object} result - Sync result
+ * @param {string|null} stored - `failedItems` already on the SyncLog
+ * @returns {Object} Extra SyncLog data
+ */
+export function getFailedItemsLogData(result, stored = null) {
+  let failedItems = [];
+  try {
+    failedItems = stored ? JSON.parse(stored) : [];
+  } catch {
+    // Replace unreadable items
+  }
+
+  if (result?.summary?.failedItems) {
+    failedItems.push(...result.summary.failedItems);
+    delete result.summary.failedItems;
+  }
+
+  return failedItems.length > 0
+    ? { failedItems: JSON.stringify(failedItems) }
+    : {};
+}
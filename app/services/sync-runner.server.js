@@ -0,0 +1,139 @@
+/**
+ * Sync Runner
+ * Dispatches a sync type to its service with the standard arguments, and
+ * derives the SyncLog status from the sync summary. The sync types
+ * themselves are declared in app/utils/sync-types.js.
+ */
+
+import { syncMetafieldDefinitions } from "./sync.metafields.server.js";
+import {
+  syncMetaobjectDefinitions,
+  syncMetaobjects,
+} from "./sync.metaobjects.server.js";
+import { syncProducts } from "./sync.products.server.js";
+import { syncCollections } from "./sync.collections.server.js";
+import { syncLocations } from "./sync.locations.server.js";
+import { syncDeliveryProfiles } from "./sync.delivery-profiles.server.js";
+import { syncNavigationMenus } from "./sync.navigation.server.js";
+import { syncPages } from "./sync.pages.server.js";
+import { syncBlogs } from "./sync.blogs.server.js";
+import { syncRedirects } from "./sync.redirects.server.js";
+import { syncImageFiles } from "./sync.files.server.js";
+import { syncMarkets } from "./sync.markets.server.js";
+import { syncTranslations } from "./sync.translations.server.js";
+import { syncSearchDiscoveryMetafields } from "./sync.search-discovery.server.js";
+import { syncTheme } from "./sync.themes.server.js";
+import { syncDiscounts } from "./sync.discounts.server.js";
+
+// Owner types synced by the metafield_definitions sync type. Product and
+// variant definitions are synced by the product sync.
+export const METAFIELD_DEFINITION_OWNER_TYPES = [
+  "COLLECTION",
+  "CUSTOMER",
+  "ORDER",
+  "DRAFTORDER",
+  "PAGE",
+  "SHOP",
+  "ARTICLE",
+  "BLOG",
+  "COMPANY",
+  "COMPANYLOCATION",
+  "LOCATION",
+  "MARKET",
+];
+
+// The metafield_definitions sync type runs the definition sync for the
+// owner types above
+function syncMetafieldDefinitionOwnerTypes(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId,
+  onProgress,
+  options,
+) {
+  return syncMetafieldDefinitions(
+    productionStore,
+    accessToken,
+    stagingAdmin,
+    METAFIELD_DEFINITION_OWNER_TYPES,
+    options,
+  );
+}
+
+// Runner of each registered sync type, taking (productionStore,
+// accessToken, stagingAdmin, storeConnectionId, onProgress, options)
+export const SYNC_SERVICES = {
+  metafield_definitions: syncMetafieldDefinitionOwnerTypes,
+  metaobject_definitions: syncMetaobjectDefinitions,
+  metaobjects: syncMetaobjects,
+  products: syncProducts,
+  collections: syncCollections,
+  locations: syncLocations,
+  delivery_profiles: syncDeliveryProfiles,
+  navigation: syncNavigationMenus,
+  pages: syncPages,
+  blogs: syncBlogs,
+  redirects: syncRedirects,
+  files: syncImageFiles,
+  markets: syncMarkets,
+  translations: syncTranslations,
+  search_discovery: syncSearchDiscoveryMetafields,
+  themes: syncTheme,
+  discounts: syncDiscounts,
+};
+
+/**
+ * Run one sync type
+ * @param {string} syncType - Sync type
+ * @param {Object} context - { productionStore, accessToken, stagingAdmin, connectionId, onProgress, options }
+ * @returns {Promise<Object>} Sync result ({ summary, log, plan })
+ */
+export async function runSyncType(syncType, context) {
+  const {
+    productionStore,
+    accessToken,
+    stagingAdmin,
+    connectionId,
+    onProgress = () => {},
+    options = {},
+  } = context;
+
+  const sync = SYNC_SERVICES[syncType];
+  if (!sync) {
+    throw new Error(`Unknown sync type: ${syncType}`);
+  }
+
+  return sync(
+    productionStore,
+    accessToken,
+    stagingAdmin,
+    connectionId,
+    onProgress,
+    options,
+  );
+}
+
+/**
+ * Derive the SyncLog status of a finished run from its summary
+ * @param {Object} summary - Sync summary
+ * @returns {string} success, partially_successful or failed
+ */
+export function getSyncStatus(summary = {}) {
+  const hasErrors = summary.errors?.length > 0;
+  // Snapshot exports write an archive rather than staging resources
+  const hasSuccess =
+    summary.created > 0 || summary.updated > 0 || summary.exported > 0;
+
+  if (hasSuccess && hasErrors) return "partially_successful";
+  if (
+    hasSuccess ||
+    (!hasErrors &&
+      (summary.total > 0 ||
+        summary.skipped > 0 ||
+        summary.mode === "incremental"))
+  ) {
+    return "success";
+  }
+  return "failed";
+}
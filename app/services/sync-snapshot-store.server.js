@@ -0,0 +1,313 @@
+/**
+ * Snapshot Store Service
+ * Keeps the record of each snapshot archive, runs queued exports, records
+ * uploaded archives for importing and applies the retention policy to the
+ * archives stored on disk
+ */
+
+import { mkdir, rename, rm, stat } from "node:fs/promises";
+import prisma from "../db.server";
+import { getSyncStatus } from "./sync-runner.server.js";
+import { getSyncType, getSyncTypesWith } from "../utils/sync-types.js";
+import {
+  createSnapshotSource,
+  exportSnapshot,
+  getSnapshotDir,
+  getSnapshotPath,
+  getSnapshotRetention,
+  openSnapshotArchive,
+  selectExpiredSnapshots,
+} from "./sync-snapshot.server.js";
+
+/**
+ * Record a snapshot export queued by a sync log
+ * @param {string} shop - Shop requesting the export
+ * @param {Object} connection - Production store connection
+ * @param {string} syncLogId - SyncLog of the queued run
+ * @returns {Promise<Object>} Created snapshot
+ */
+export async function createSnapshot(shop, connection, syncLogId) {
+  return prisma.snapshot.create({
+    data: {
+      shop,
+      connectionId: connection.id,
+      syncLogId,
+      productionStore: connection.storeDomain,
+    },
+  });
+}
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// Progress message the sync queue stores on the run's log while it runs
+function getProgressMessage(summary) {
+  return parseJson(summary, {}).progress?.message || null;
+}
+
+/**
+ * Get the snapshots of a shop, newest first. A snapshot whose run ended
+ * without recording a result (e.g. it failed after restarts) is reported
+ * with the status of its sync log.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} Snapshots with parsed manifests and the progress of running exports
+ */
+export async function getSnapshots(shop) {
+  const snapshots = await prisma.snapshot.findMany({
+    where: { shop },
+    include: { syncLog: { select: { status: true, summary: true } } },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return snapshots.map(({ syncLog, ...snapshot }) => ({
+    ...snapshot,
+    status:
+      snapshot.status === "in_progress" &&
+      syncLog &&
+      !["in_progress", "paused"].includes(syncLog.status)
+        ? syncLog.status
+        : snapshot.status,
+    manifest: parseJson(snapshot.manifest, null),
+    progress:
+      snapshot.status === "in_progress"
+        ? getProgressMessage(syncLog?.summary)
+        : null,
+  }));
+}
+
+/**
+ * Build the archive file name of a snapshot
+ * @param {Object} snapshot - { id, productionStore, createdAt }
+ * @returns {string} e.g. shop.myshopify.com-2026-10-19T22-00-00Z-<id>.ndjson.gz
+ */
+export function getSnapshotFileName(snapshot) {
+  const stamp = new Date(snapshot.createdAt)
+    .toISOString()
+    .replace(/\.\d+Z$/, "Z")
+    .replace(/:/g, "-");
+  return `${snapshot.productionStore}-${stamp}-${snapshot.id}.ndjson.gz`;
+}
+
+/**
+ * Run a queued snapshot export and record its archive
+ * @param {string} snapshotId - Snapshot ID
+ * @param {Object} context - { productionStore, accessToken, onProgress, control }
+ * @returns {Promise<Object>} Export result ({ summary, log })
+ */
+export async function runSnapshotJob(snapshotId, context) {
+  const { productionStore, accessToken, onProgress, control } = context;
+  const snapshot = await prisma.snapshot.findUnique({
+    where: { id: snapshotId },
+  });
+  if (!snapshot) {
+    throw new Error("Snapshot no longer exists");
+  }
+
+  const fileName = getSnapshotFileName(snapshot);
+  let result;
+  try {
+    await mkdir(getSnapshotDir(), { recursive: true });
+    result = await exportSnapshot(
+      productionStore,
+      accessToken,
+      getSnapshotPath(fileName),
+      { onProgress, options: { control } },
+    );
+  } catch (error) {
+    await prisma.snapshot.update({
+      where: { id: snapshotId },
+      data: { status: "failed", completedAt: new Date() },
+    });
+    throw error;
+  }
+
+  const status = result.summary.stopped
+    ? "cancelled"
+    : getSyncStatus(result.summary);
+  await prisma.snapshot.update({
+    where: { id: snapshotId },
+    data: {
+      status,
+      fileName: result.manifest ? fileName : null,
+      size: result.summary.size ?? null,
+      manifest: result.manifest ? JSON.stringify(result.manifest) : null,
+      completedAt: new Date(),
+    },
+  });
+
+  if (result.manifest) {
+    await applySnapshotRetention(snapshot.shop);
+  }
+
+  return result;
+}
+
+/**
+ * Pin a snapshot so the retention policy keeps it, or unpin it
+ * @param {string} shop - Shop domain
+ * @param {string} id - Snapshot ID
+ * @param {boolean} pinned - Whether to keep the snapshot
+ */
+export async function setSnapshotPinned(shop, id, pinned) {
+  await prisma.snapshot.updateMany({
+    where: { id, shop },
+    data: { pinned },
+  });
+}
+
+/**
+ * Delete a snapshot and its archive
+ * @param {string} shop - Shop domain
+ * @param {string} id - Snapshot ID
+ */
+export async function deleteSnapshot(shop, id) {
+  const snapshot = await prisma.snapshot.findFirst({ where: { id, shop } });
+  if (!snapshot) return;
+
+  if (snapshot.fileName) {
+    await rm(getSnapshotPath(snapshot.fileName), { force: true });
+  }
+  await prisma.snapshot.delete({ where: { id } });
+}
+
+/**
+ * Delete the snapshots of a shop the retention policy no longer keeps.
+ * Snapshots that queued, running or paused imports read from are kept
+ * until those finish.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function applySnapshotRetention(shop) {
+  const snapshots = await getSnapshots(shop);
+  const imports = await prisma.syncJob.findMany({
+    where: {
+      shop,
+      status: { in: ["queued", "running", "paused"] },
+      options: { contains: "importSnapshotId" },
+    },
+    select: { options: true },
+  });
+  const imported = new Set(
+    imports.map((job) => parseJson(job.options, {}).importSnapshotId),
+  );
+  const expired = selectExpiredSnapshots(
+    snapshots,
+    getSnapshotRetention(),
+  ).filter((snapshot) => !imported.has(snapshot.id));
+
+  for (const snapshot of expired) {
+    try {
+      await deleteSnapshot(shop, snapshot.id);
+    } catch (error) {
+      console.error(`⚠️ Failed to delete snapshot ${snapshot.id}:`, error);
+    }
+  }
+  return expired.length;
+}
+
+/**
+ * Get the archive of a finished snapshot for downloading
+ * @param {string} shop - Shop domain
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<Object|null>} { path, fileName }, or null when there is no archive
+ */
+export async function getSnapshotArchive(shop, id) {
+  const snapshot = await prisma.snapshot.findFirst({ where: { id, shop } });
+  if (!snapshot?.fileName) return null;
+
+  return {
+    path: getSnapshotPath(snapshot.fileName),
+    fileName: snapshot.fileName,
+  };
+}
+
+/**
+ * Record an uploaded archive as a finished snapshot of a connection's
+ * production store, so it can be imported like an exported one. The upload
+ * is renamed to the snapshot's archive name, or deleted when it isn't a
+ * snapshot of that store.
+ * @param {string} shop - Shop uploading the archive
+ * @param {Object} connection - Production store connection
+ * @param {string} filePath - Uploaded file in the snapshot directory
+ * @returns {Promise<Object>} Created snapshot
+ */
+export async function saveUploadedSnapshot(shop, connection, filePath) {
+  let manifest;
+  try {
+    const archive = await openSnapshotArchive(filePath);
+    archive.close();
+    manifest = archive.manifest;
+    if (manifest.productionStore !== connection.storeDomain) {
+      throw new Error(
+        `The snapshot is of ${manifest.productionStore}, not ${connection.storeDomain}`,
+      );
+    }
+  } catch (error) {
+    await rm(filePath, { force: true });
+    throw error;
+  }
+
+  const snapshot = await prisma.snapshot.create({
+    data: {
+      shop,
+      connectionId: connection.id,
+      productionStore: connection.storeDomain,
+      status: manifest.errors?.length ? "partially_successful" : "success",
+      manifest: JSON.stringify(manifest),
+      completedAt: new Date(),
+    },
+  });
+
+  const fileName = getSnapshotFileName(snapshot);
+  await rename(filePath, getSnapshotPath(fileName));
+  return prisma.snapshot.update({
+    where: { id: snapshot.id },
+    data: { fileName, size: (await stat(getSnapshotPath(fileName))).size },
+  });
+}
+
+/**
+ * Get the sync types an import of a snapshot runs, in the order they are
+ * queued: the resource types the archive holds that can be imported, in run
+ * order
+ * @param {Object} manifest - Snapshot manifest
+ * @returns {Array<string>} Sync types
+ */
+export function getSnapshotImportTypes(manifest) {
+  return getSyncTypesWith("snapshot")
+    .map((syncType) => syncType.id)
+    .filter((id) => manifest.resources?.[id] !== undefined);
+}
+
+/**
+ * Get the resource types a snapshot holds that can't be imported, because
+ * their sync doesn't read through a snapshot source
+ * @param {Object} manifest - Snapshot manifest
+ * @returns {Array<string>} Resource types
+ */
+export function getUnsupportedSnapshotTypes(manifest) {
+  return Object.keys(manifest.resources || {}).filter(
+    (resource) => !getSyncType(resource)?.snapshot,
+  );
+}
+
+/**
+ * Open the archive of a snapshot as the source of a queued import
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Snapshot source (see sync-source.server.js)
+ */
+export async function getSnapshotSource(snapshotId) {
+  const snapshot = await prisma.snapshot.findUnique({
+    where: { id: snapshotId },
+  });
+  if (!snapshot?.fileName) {
+    throw new Error("The snapshot archive no longer exists");
+  }
+  return createSnapshotSource(getSnapshotPath(snapshot.fileName));
+}
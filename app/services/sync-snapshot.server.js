@@ -0,0 +1,383 @@
+/**
+ * Store Snapshots
+ * Exports a production store to a portable archive with the same production
+ * fetchers the syncs use. An archive is gzipped NDJSON: the first line is
+ * the manifest ({ format, version, productionStore, createdAt, resources,
+ * errors }) and every other line one resource, as
+ * `{ "resource": "products", "data": { ... } }`. Snapshot records,
+ * downloads and retention are handled by sync-snapshot-store.server.js.
+ */
+
+import { createReadStream, createWriteStream } from "node:fs";
+import { rename, rm, stat } from "node:fs/promises";
+import path from "node:path";
+import { createInterface } from "node:readline";
+import { pipeline } from "node:stream/promises";
+import { createGunzip, createGzip } from "node:zlib";
+import { withGraphqlCost } from "./graphql-client.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { METAFIELD_DEFINITION_OWNER_TYPES } from "./sync-runner.server.js";
+import { getMetafieldDefinitions } from "./sync.metafields.server.js";
+import { getMetaobjectDefinitions } from "./sync.metaobjects.server.js";
+import { getProductionLocations } from "./sync.locations.server.js";
+import { getProductionMarkets } from "./sync.markets.server.js";
+import { getProductionImageFiles } from "./sync.files.server.js";
+import {
+  getProductionProducts,
+  getProductionProductsBulk,
+} from "./sync.products.server.js";
+import { getProductionCollections } from "./sync.collections.server.js";
+import { getProductionPages } from "./sync.pages.server.js";
+import { getProductionMenus } from "./sync.navigation.server.js";
+
+export const SNAPSHOT_FORMAT = "staging-sync-snapshot";
+// Bumped when the layout of the archive or its records changes
+export const SNAPSHOT_VERSION = 1;
+
+// A snapshot holds every owner type, including the product and variant
+// definitions that the product sync handles
+const SNAPSHOT_METAFIELD_OWNER_TYPES = [
+  "PRODUCT",
+  "PRODUCTVARIANT",
+  ...METAFIELD_DEFINITION_OWNER_TYPES,
+];
+
+async function fetchMetafieldDefinitions(productionStore, accessToken) {
+  const definitions = [];
+  for (const ownerType of SNAPSHOT_METAFIELD_OWNER_TYPES) {
+    definitions.push(
+      ...(await getMetafieldDefinitions(
+        ownerType,
+        productionStore,
+        accessToken,
+      )),
+    );
+  }
+  return definitions;
+}
+
+// Products are streamed from a bulk operation, like the product sync does,
+// and fetched page by page when one can't be run
+async function fetchProducts(productionStore, accessToken, onPoll) {
+  try {
+    const bulk = await getProductionProductsBulk(
+      productionStore,
+      accessToken,
+      onPoll,
+    );
+    return bulk.products;
+  } catch (error) {
+    console.warn(
+      `Bulk product export failed (${error.message}), falling back to paged fetch`,
+    );
+    return getProductionProducts(productionStore, accessToken);
+  }
+}
+
+// Resources a snapshot holds, keyed by sync type, in the order they are
+// written: definitions before the resources that use them
+export const SNAPSHOT_RESOURCES = {
+  metafield_definitions: {
+    label: "Metafield definitions",
+    fetch: fetchMetafieldDefinitions,
+  },
+  metaobject_definitions: {
+    label: "Metaobject definitions",
+    fetch: getMetaobjectDefinitions,
+  },
+  locations: { label: "Locations", fetch: getProductionLocations },
+  markets: { label: "Markets", fetch: getProductionMarkets },
+  files: { label: "Files", fetch: getProductionImageFiles },
+  products: { label: "Products", fetch: fetchProducts },
+  collections: {
+    label: "Collections",
+    fetch: (productionStore, accessToken) =>
+      getProductionCollections(productionStore, accessToken),
+  },
+  pages: {
+    label: "Pages",
+    fetch: (productionStore, accessToken) =>
+      getProductionPages(productionStore, accessToken),
+  },
+  navigation: { label: "Navigation menus", fetch: getProductionMenus },
+};
+
+/**
+ * Directory snapshot archives are stored in (SNAPSHOT_DIR, by default
+ * `snapshots` in the working directory)
+ * @returns {string} Absolute path
+ */
+export function getSnapshotDir() {
+  return path.resolve(process.env.SNAPSHOT_DIR || "snapshots");
+}
+
+/**
+ * Path of an archive in the snapshot directory
+ * @param {string} fileName - Archive file name
+ * @returns {string} Absolute path
+ */
+export function getSnapshotPath(fileName) {
+  return path.join(getSnapshotDir(), path.basename(fileName));
+}
+
+/**
+ * Read the retention policy: the newest SNAPSHOT_RETENTION_COUNT snapshots
+ * of a shop (default 10) younger than SNAPSHOT_RETENTION_DAYS days
+ * (default 30) are kept. 0 turns a limit off.
+ * @returns {Object} { keep, maxAgeDays }
+ */
+export function getSnapshotRetention() {
+  const parseLimit = (value, fallback) => {
+    const limit = parseInt(value ?? "", 10);
+    return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+  };
+  return {
+    keep: parseLimit(process.env.SNAPSHOT_RETENTION_COUNT, 10),
+    maxAgeDays: parseLimit(process.env.SNAPSHOT_RETENTION_DAYS, 30),
+  };
+}
+
+/**
+ * Pick the snapshots the retention policy removes. Pinned and running
+ * snapshots are always kept and don't count towards `keep`.
+ * @param {Array} snapshots - Snapshots of one shop ({ id, status, pinned, createdAt })
+ * @param {Object} retention - { keep, maxAgeDays }
+ * @param {Date} now - Current time
+ * @returns {Array} Snapshots to delete
+ */
+export function selectExpiredSnapshots(snapshots, retention, now = new Date()) {
+  const { keep, maxAgeDays } = retention;
+  const cutoff = maxAgeDays
+    ? now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000
+    : null;
+
+  return snapshots
+    .filter((snapshot) => !snapshot.pinned && snapshot.status !== "in_progress")
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .filter(
+      (snapshot, index) =>
+        (keep && index >= keep) ||
+        (cutoff !== null && new Date(snapshot.createdAt).getTime() < cutoff),
+    );
+}
+
+/**
+ * Export production resources to a snapshot archive. Records are written to
+ * a temporary file first, so the manifest with their counts can lead the
+ * archive. A resource that can't be fetched is reported in the manifest and
+ * the others are still exported.
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} filePath - Path of the archive to write
+ * @param {Object} context - { onProgress, options: { resources, control } }
+ * @returns {Promise<Object>} { summary, log, manifest }; no archive is written when the run is cancelled
+ */
+async function runSnapshotExport(
+  productionStore,
+  accessToken,
+  filePath,
+  { onProgress = () => {}, options = {} } = {},
+) {
+  const resources = Object.keys(SNAPSHOT_RESOURCES).filter(
+    (resource) => !options.resources || options.resources.includes(resource),
+  );
+  const recordsPath = `${filePath}.records.tmp`;
+  const log = [];
+  const counts = {};
+  const summary = {
+    total: 0,
+    exported: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  log.push({
+    timestamp: new Date().toISOString(),
+    message: `📦 Exporting ${resources.length} resource types from ${productionStore}...`,
+  });
+
+  async function* records() {
+    for (const [index, resource] of resources.entries()) {
+      if (shouldStopSync(options, summary, log, index, "resource types")) {
+        return;
+      }
+
+      const { label, fetch } = SNAPSHOT_RESOURCES[resource];
+      const progress = (message) =>
+        onProgress({
+          stage: "exporting",
+          message,
+          percentage: Math.round((index / resources.length) * 95),
+        });
+      progress(`Exporting ${label.toLowerCase()}...`);
+
+      counts[resource] = 0;
+      try {
+        const items = await fetch(productionStore, accessToken, (operation) =>
+          progress(
+            `Waiting for production bulk export (${operation.objectCount || 0} objects so far)...`,
+          ),
+        );
+        for await (const data of items) {
+          yield `${JSON.stringify({ resource, data })}\n`;
+          counts[resource]++;
+        }
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `✅ Exported ${counts[resource]} ${label.toLowerCase()}`,
+          success: true,
+        });
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push(`${label}: ${error.message}`);
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `❌ Failed to export ${label.toLowerCase()}: ${error.message}`,
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  try {
+    await pipeline(records, createGzip(), createWriteStream(recordsPath));
+
+    summary.total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    summary.exported = summary.total;
+    summary.resources = counts;
+    if (summary.stopped) {
+      return { summary, log, manifest: null };
+    }
+
+    const manifest = {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      productionStore,
+      createdAt: new Date().toISOString(),
+      resources: counts,
+      errors: summary.errors,
+    };
+    const partialPath = `${filePath}.tmp`;
+    await pipeline(
+      async function* () {
+        yield `${JSON.stringify(manifest)}\n`;
+        yield* createReadStream(recordsPath).pipe(createGunzip());
+      },
+      createGzip(),
+      createWriteStream(partialPath),
+    );
+    await rename(partialPath, filePath);
+    summary.size = (await stat(filePath)).size;
+
+    onProgress({
+      stage: "complete",
+      message: "Snapshot written",
+      percentage: 100,
+    });
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `Snapshot completed. Resources: ${summary.total}, Failed types: ${summary.failed}, Size: ${summary.size} bytes`,
+    });
+
+    return { summary, log, manifest };
+  } finally {
+    await rm(recordsPath, { force: true });
+    await rm(`${filePath}.tmp`, { force: true });
+  }
+}
+
+export const exportSnapshot = withGraphqlCost(runSnapshotExport);
+
+/**
+ * Open a snapshot archive for reading
+ * @param {string} filePath - Archive path
+ * @returns {Promise<Object>} { manifest, records: AsyncGenerator<{ resource, data }>, close }
+ */
+export async function openSnapshotArchive(filePath) {
+  const input = createGunzip();
+  // Read errors reach the line reader through the gunzip stream
+  pipeline(createReadStream(filePath), input).catch(() => {});
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  const iterator = lines[Symbol.asyncIterator]();
+
+  const close = () => {
+    lines.close();
+    input.destroy();
+  };
+
+  let manifest;
+  try {
+    const { value } = await iterator.next();
+    manifest = value ? JSON.parse(value) : null;
+  } catch (error) {
+    close();
+    throw new Error(`Could not read the snapshot archive: ${error.message}`);
+  }
+  if (manifest?.format !== SNAPSHOT_FORMAT) {
+    close();
+    throw new Error("The file is not a snapshot archive");
+  }
+  if (manifest.version > SNAPSHOT_VERSION) {
+    close();
+    throw new Error(
+      `Snapshot version ${manifest.version} is newer than this app supports (${SNAPSHOT_VERSION})`,
+    );
+  }
+
+  async function* records() {
+    try {
+      for (
+        let next = await iterator.next();
+        !next.done;
+        next = await iterator.next()
+      ) {
+        if (next.value) yield JSON.parse(next.value);
+      }
+    } finally {
+      close();
+    }
+  }
+
+  return { manifest, records: records(), close };
+}
+
+/**
+ * Create a sync source that reads production resources from a snapshot
+ * archive (see sync-source.server.js). Each read streams the archive again,
+ * so only the requested resource type is held in memory.
+ * @param {string} filePath - Archive path
+ * @returns {Promise<Object>} Source adapter ({ kind, manifest, read, stream, count })
+ */
+export async function createSnapshotSource(filePath) {
+  const { manifest, close } = await openSnapshotArchive(filePath);
+  close();
+
+  const count = (resource) => {
+    if (manifest.resources?.[resource] === undefined) {
+      const label = SNAPSHOT_RESOURCES[resource]?.label || resource;
+      throw new Error(`The snapshot has no ${label.toLowerCase()}`);
+    }
+    return manifest.resources[resource];
+  };
+
+  async function* stream(resource) {
+    count(resource);
+    const { records } = await openSnapshotArchive(filePath);
+    for await (const record of records) {
+      if (record.resource === resource) yield record.data;
+    }
+  }
+
+  return {
+    kind: "snapshot",
+    manifest,
+    count,
+    stream,
+    async read(resource) {
+      const items = [];
+      for await (const data of stream(resource)) items.push(data);
+      return items;
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Sync Sources
+ * Where a sync reads its production resources from. Services take a source
+ * adapter as `options.source`: without one they fetch from the production
+ * store with their own GraphQL fetchers, and a snapshot source
+ * (createSnapshotSource() in sync-snapshot.server.js) reads the same
+ * resources from a snapshot archive instead.
+ */
+
+// Reads resources live from production with the calling service's fetcher.
+// A snapshot source also has count(resource) and stream(resource), so
+// products can be streamed rather than loaded at once.
+export const PRODUCTION_SOURCE = {
+  kind: "production",
+  read: (resource, fetchLive) => fetchLive(),
+};
+
+/**
+ * Get the source a sync reads from
+ * @param {Object} options - Sync options with an optional `source`
+ * @returns {Object} Source adapter ({ kind, read })
+ */
+export function getSyncSource(options = {}) {
+  return options.source || PRODUCTION_SOURCE;
+}
+
+/**
+ * Read the production resources of one type from the sync's source
+ * @param {Object} options - Sync options with an optional `source`
+ * @param {string} resource - Resource type, as keyed in SNAPSHOT_RESOURCES
+ * @param {Function} fetchLive - Fetches the resources from production
+ * @returns {Promise<Array>} Resources
+ */
+export function readSourceResources(options, resource, fetchLive) {
+  return getSyncSource(options).read(resource, fetchLive);
+}
+
+/**
+ * Whether a sync reads from a snapshot rather than from production. Data a
+ * snapshot doesn't hold, such as inventory levels, is then left as it is.
+ * @param {Object} options - Sync options with an optional `source`
+ * @returns {boolean}
+ */
+export function isSnapshotSource(options = {}) {
+  return getSyncSource(options).kind === "snapshot";
+}
@@ -0,0 +1,43 @@
+/**
+ * Sync Targets
+ * Limits a sync run to chosen production resources. A single-resource sync
+ * passes the resource as `options.targets`, a retry passes the failed items
+ * of an earlier run as `options.retryItems`; sync loops call isSyncTarget()
+ * and skip everything else.
+ */
+
+/**
+ * Parse what the user entered to identify a resource: a production GID, or
+ * a handle (`type/handle` for metaobjects)
+ * @param {string} input - GID or handle
+ * @returns {Object|null} { id } or { key }, or null when empty
+ */
+export function parseSyncTarget(input) {
+  const value = input?.trim();
+  if (!value) return null;
+  return value.startsWith("gid://") ? { id: value } : { key: value };
+}
+
+/**
+ * Resources the run is limited to
+ * @param {Object} options - Sync options
+ * @returns {Array<Object>|null} [{ id, key }], or null when not limited
+ */
+export function getSyncTargets(options = {}) {
+  return options.targets || options.retryItems || null;
+}
+
+/**
+ * Whether a resource should be processed by this run. Every resource is,
+ * unless the run is limited to targets or retries.
+ * @param {Object} options - Sync options
+ * @param {Object} item - { id, key } of the production resource
+ * @returns {boolean}
+ */
+export function isSyncTarget(options, { id, key }) {
+  const targets = getSyncTargets(options);
+  if (!targets) return true;
+  return targets.some(
+    (target) => (id && target.id === id) || (key && target.key === key),
+  );
+}
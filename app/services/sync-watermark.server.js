@@ -0,0 +1,126 @@
+/**
+ * Sync Watermark Service
+ * Tracks when each incremental sync type last completed successfully for a
+ * connection, so the next run only fetches resources updated since then
+ */
+
+import prisma from "../db.server";
+import { getSyncType } from "../utils/sync-types.js";
+
+function isIncremental(syncType) {
+  return Boolean(getSyncType(syncType)?.incremental);
+}
+
+/**
+ * Get the time a sync type should fetch changes from. Uses the persisted
+ * watermark, falling back to the last successful sync log for connections
+ * that synced before watermarks existed. Sync group runs write to other
+ * stores, so their logs don't count. A reset watermark means a full sync.
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Date|null>} Watermark, or null when a full sync is needed
+ */
+export async function getSyncWatermark(connectionId, syncType) {
+  if (!isIncremental(syncType)) return null;
+
+  const watermark = await prisma.syncWatermark.findUnique({
+    where: { connectionId_syncType: { connectionId, syncType } },
+  });
+  if (watermark) return watermark.watermark ?? null;
+
+  const lastSuccess = await prisma.syncLog.findFirst({
+    where: {
+      connectionId,
+      syncType,
+      status: "success",
+      dryRun: false,
+      direction: "pull",
+      syncGroupId: null,
+      completedAt: { not: null },
+    },
+    orderBy: { completedAt: "desc" },
+  });
+  return lastSuccess?.completedAt ?? null;
+}
+
+/**
+ * Resolve the sync options for an incremental-capable sync type
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @param {boolean} fullResync - Ignore the watermark and fetch everything
+ * @returns {Promise<Object>} { since } to pass to the sync service
+ */
+export async function getIncrementalOptions(
+  connectionId,
+  syncType,
+  fullResync = false,
+) {
+  if (fullResync || !isIncremental(syncType)) {
+    return { since: null };
+  }
+  return { since: await getSyncWatermark(connectionId, syncType) };
+}
+
+/**
+ * Advance the watermark after a successful run. The run's start time is
+ * stored rather than its completion time so resources edited while the
+ * sync was running are picked up next time. Dry runs change nothing and
+ * retries only process earlier failures, so neither advances it. Applying a
+ * reviewed plan only writes the changes its preview found, so it advances
+ * the watermark to the preview's start time instead.
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @param {Object} syncLog - The run's SyncLog ({ id, startedAt, dryRun, retryOfLogId })
+ * @param {Object} options - Options the sync ran with ({ plan: { startedAt } })
+ * @returns {Promise<Object|null>} Saved watermark
+ */
+export async function saveSyncWatermark(
+  connectionId,
+  syncType,
+  syncLog,
+  options = {},
+) {
+  if (!isIncremental(syncType) || syncLog.dryRun || syncLog.retryOfLogId) {
+    return null;
+  }
+
+  const startedAt = options.plan ? options.plan.startedAt : syncLog.startedAt;
+  if (!startedAt) return null;
+  const watermark = new Date(startedAt);
+
+  try {
+    return await prisma.syncWatermark.upsert({
+      where: { connectionId_syncType: { connectionId, syncType } },
+      create: {
+        connectionId,
+        syncType,
+        watermark,
+        syncLogId: syncLog.id,
+      },
+      update: {
+        watermark,
+        syncLogId: syncLog.id,
+      },
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to save ${syncType} sync watermark:`, error);
+    return null;
+  }
+}
+
+/**
+ * Reset the watermark so the next run fetches everything, e.g. after the
+ * sync type's filter changed and resources it left out may now match
+ * @param {string} connectionId - Store connection ID
+ * @param {string} syncType - Sync type
+ * @returns {Promise<Object|null>} Reset watermark
+ */
+export async function resetSyncWatermark(connectionId, syncType) {
+  if (!isIncremental(syncType)) return null;
+
+  return prisma.syncWatermark.upsert({
+    where: { connectionId_syncType: { connectionId, syncType } },
+    create: { connectionId, syncType, watermark: null },
+    update: { watermark: null, syncLogId: null },
+  });
+}
@@ -0,0 +1,883 @@
+/**
+ * Blog Sync Service
+ * Syncs blogs and their articles from production to staging store
+ */
+
+import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import { translateMetafields } from "../utils/gid-translator.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+
+// Article fields compared by a dry run
+const ARTICLE_PLAN_FIELDS = [
+  "title",
+  "body",
+  "summary",
+  "tags",
+  "author",
+  "isPublished",
+  "templateSuffix",
+];
+
+/**
+ * Run a GraphQL query against the production store
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function productionGraphql(productionStore, accessToken, query, variables) {
+  const response = await createProductionClient(
+    productionStore,
+    accessToken,
+  ).graphql(query, { variables });
+
+  const data = await response.json();
+
+  if (data.errors) {
+    const scopeError = data.errors.find((error) =>
+      error.message.includes("Access denied"),
+    );
+    if (scopeError) {
+      throw new Error(
+        "Access denied for blogs. Please ensure the app has 'read_content' scope and reinstall the app if needed.",
+      );
+    }
+    throw new Error(
+      `Failed to fetch production blogs: ${data.errors
+        .map((e) => e.message)
+        .join(", ")}`,
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Fetch all blogs from production store
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @returns {Promise<Array>} Array of blogs
+ */
+async function getProductionBlogs(productionStore, accessToken) {
+  const query = `
+    query GetBlogs($first: Int!, $after: String) {
+      blogs(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            handle
+            commentPolicy
+            templateSuffix
+            metafields(first: 50) {
+              edges {
+                node {
+                  namespace
+                  key
+                  type
+                  value
+                }
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const allBlogs = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const data = await productionGraphql(productionStore, accessToken, query, {
+      first: 50,
+      after: cursor,
+    });
+
+    const edges = data.data?.blogs?.edges || [];
+    allBlogs.push(
+      ...edges.map((edge) => ({
+        ...edge.node,
+        metafields: edge.node.metafields?.edges?.map((e) => e.node) || [],
+      })),
+    );
+
+    hasNextPage = data.data?.blogs?.pageInfo?.hasNextPage || false;
+    cursor = data.data?.blogs?.pageInfo?.endCursor || null;
+  }
+
+  return allBlogs;
+}
+
+/**
+ * Fetch all articles of a production blog
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} blogId - The production blog GID
+ * @returns {Promise<Array>} Array of articles
+ */
+async function getProductionArticles(productionStore, accessToken, blogId) {
+  const query = `
+    query GetBlogArticles($id: ID!, $first: Int!, $after: String) {
+      blog(id: $id) {
+        articles(first: $first, after: $after) {
+          edges {
+            node {
+              id
+              title
+              handle
+              body
+              summary
+              tags
+              author {
+                name
+              }
+              image {
+                altText
+                url
+              }
+              isPublished
+              publishedAt
+              templateSuffix
+              metafields(first: 50) {
+                edges {
+                  node {
+                    namespace
+                    key
+                    type
+                    value
+                  }
+                }
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const allArticles = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const data = await productionGraphql(productionStore, accessToken, query, {
+      id: blogId,
+      first: 50,
+      after: cursor,
+    });
+
+    const connection = data.data?.blog?.articles;
+    const edges = connection?.edges || [];
+    allArticles.push(
+      ...edges.map((edge) => ({
+        ...edge.node,
+        metafields: edge.node.metafields?.edges?.map((e) => e.node) || [],
+      })),
+    );
+
+    hasNextPage = connection?.pageInfo?.hasNextPage || false;
+    cursor = connection?.pageInfo?.endCursor || null;
+  }
+
+  return allArticles;
+}
+
+/**
+ * Fetch all staging blogs keyed by handle
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Map>} Map of handle -> blog
+ */
+async function getStagingBlogsByHandle(stagingAdmin) {
+  const query = `
+    query GetBlogs($first: Int!, $after: String) {
+      blogs(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            handle
+            commentPolicy
+            templateSuffix
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const blogs = new Map();
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await stagingAdmin.graphql(query, {
+      variables: { first: 250, after: cursor },
+    });
+    const result = await response.json();
+
+    if (result.errors) {
+      console.error("Error fetching staging blogs:", result.errors);
+      break;
+    }
+
+    for (const edge of result.data?.blogs?.edges || []) {
+      blogs.set(edge.node.handle, edge.node);
+    }
+
+    hasNextPage = result.data?.blogs?.pageInfo?.hasNextPage || false;
+    cursor = result.data?.blogs?.pageInfo?.endCursor || null;
+  }
+
+  return blogs;
+}
+
+/**
+ * Fetch all articles of a staging blog keyed by handle
+ * @param {string} blogId - The staging blog GID
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Map>} Map of handle -> article
+ */
+async function getStagingArticlesByHandle(blogId, stagingAdmin) {
+  const query = `
+    query GetBlogArticles($id: ID!, $first: Int!, $after: String) {
+      blog(id: $id) {
+        articles(first: $first, after: $after) {
+          edges {
+            node {
+              id
+              title
+              handle
+              body
+              summary
+              tags
+              author {
+                name
+              }
+              isPublished
+              templateSuffix
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const articles = new Map();
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await stagingAdmin.graphql(query, {
+      variables: { id: blogId, first: 250, after: cursor },
+    });
+    const result = await response.json();
+
+    if (result.errors) {
+      console.error("Error fetching staging articles:", result.errors);
+      break;
+    }
+
+    const connection = result.data?.blog?.articles;
+    for (const edge of connection?.edges || []) {
+      articles.set(edge.node.handle, edge.node);
+    }
+
+    hasNextPage = connection?.pageInfo?.hasNextPage || false;
+    cursor = connection?.pageInfo?.endCursor || null;
+  }
+
+  return articles;
+}
+
+/**
+ * Drop metafields in reserved namespaces that apps cannot write
+ * @param {Array} metafields - Metafields from production
+ * @returns {Array} Metafields that can be written to staging
+ */
+export function filterSyncableMetafields(metafields) {
+  return (metafields || []).filter(
+    (mf) =>
+      mf.value !== null &&
+      mf.value !== undefined &&
+      !mf.namespace.startsWith("app--") &&
+      !mf.namespace.startsWith("shopify--") &&
+      mf.namespace !== "shopify",
+  );
+}
+
+/**
+ * Translate GID references in metafields and shape them as MetafieldInput
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {Array} metafields - Metafields from production
+ * @param {string} ownerContext - Owner context for unmapped reference logging
+ * @returns {Promise<Array>} Metafield inputs
+ */
+async function prepareMetafields(storeConnectionId, metafields, ownerContext) {
+  const syncable = filterSyncableMetafields(metafields);
+  if (syncable.length === 0) return [];
+
+  const translated = storeConnectionId
+    ? (
+        await translateMetafields(
+          storeConnectionId,
+          syncable,
+          ownerContext,
+          "blogs",
+        )
+      ).metafields
+    : syncable;
+
+  return translated.map((mf) => ({
+    namespace: mf.namespace,
+    key: mf.key,
+    type: mf.type,
+    value: mf.value,
+  }));
+}
+
+/**
+ * Build the blog input shared by blogCreate and blogUpdate
+ * @param {Object} blog - The blog object from production
+ * @param {Array} metafields - Prepared metafield inputs
+ * @returns {Object} BlogCreateInput / BlogUpdateInput
+ */
+export function buildBlogInput(blog, metafields = []) {
+  const input = {
+    title: blog.title,
+    handle: blog.handle,
+    commentPolicy: blog.commentPolicy,
+    templateSuffix: blog.templateSuffix,
+  };
+
+  if (metafields.length > 0) {
+    input.metafields = metafields;
+  }
+
+  return input;
+}
+
+/**
+ * Build the article input shared by articleCreate and articleUpdate
+ * @param {Object} article - The article object from production
+ * @param {string} blogId - The staging blog GID
+ * @param {Array} metafields - Prepared metafield inputs
+ * @returns {Object} ArticleCreateInput / ArticleUpdateInput
+ */
+export function buildArticleInput(article, blogId, metafields = []) {
+  const input = {
+    blogId,
+    title: article.title,
+    handle: article.handle,
+    body: article.body,
+    summary: article.summary,
+    tags: article.tags || [],
+    isPublished: article.isPublished,
+    templateSuffix: article.templateSuffix,
+  };
+
+  if (article.author?.name) {
+    input.author = { name: article.author.name };
+  }
+
+  if (article.image?.url) {
+    input.image = {
+      url: article.image.url,
+      altText: article.image.altText || "",
+    };
+  }
+
+  if (article.isPublished && article.publishedAt) {
+    input.publishDate = article.publishedAt;
+  }
+
+  if (metafields.length > 0) {
+    input.metafields = metafields;
+  }
+
+  return input;
+}
+
+/**
+ * Run a blog/article mutation and normalise its result
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string} mutation - GraphQL mutation
+ * @param {Object} variables - Mutation variables
+ * @param {string} root - Mutation payload field (e.g. "blogCreate")
+ * @param {string} resource - Resource field in the payload (e.g. "blog")
+ * @returns {Promise<Object>} { success, resource } or { success, errors }
+ */
+async function runStagingMutation(stagingAdmin, mutation, variables, root, resource) {
+  const response = await stagingAdmin.graphql(mutation, { variables });
+  const result = await response.json();
+
+  if (result.errors) {
+    return {
+      success: false,
+      errors: result.errors.map((e) => e.message).join(", "),
+    };
+  }
+
+  const userErrors = result.data?.[root]?.userErrors || [];
+  if (userErrors.length > 0) {
+    return {
+      success: false,
+      errors: userErrors.map((e) => e.message).join(", "),
+    };
+  }
+
+  const payload = result.data?.[root]?.[resource];
+  if (payload) {
+    return { success: true, [resource]: payload };
+  }
+
+  return {
+    success: false,
+    errors: `Unknown error in ${root}`,
+  };
+}
+
+/**
+ * Create a new blog in staging
+ * @param {Object} input - BlogCreateInput
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} Result of the blog creation
+ */
+async function createBlogInStaging(input, stagingAdmin) {
+  const mutation = `
+    mutation CreateBlog($blog: BlogCreateInput!) {
+      blogCreate(blog: $blog) {
+        blog {
+          id
+          handle
+          title
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  return runStagingMutation(
+    stagingAdmin,
+    mutation,
+    { blog: input },
+    "blogCreate",
+    "blog",
+  );
+}
+
+/**
+ * Update an existing blog in staging
+ * @param {string} blogId - The staging blog ID
+ * @param {Object} input - BlogUpdateInput
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} Result of the blog update
+ */
+async function updateBlogInStaging(blogId, input, stagingAdmin) {
+  const mutation = `
+    mutation UpdateBlog($id: ID!, $blog: BlogUpdateInput!) {
+      blogUpdate(id: $id, blog: $blog) {
+        blog {
+          id
+          handle
+          title
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  return runStagingMutation(
+    stagingAdmin,
+    mutation,
+    { id: blogId, blog: input },
+    "blogUpdate",
+    "blog",
+  );
+}
+
+/**
+ * Create a new article in staging
+ * @param {Object} input - ArticleCreateInput
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} Result of the article creation
+ */
+async function createArticleInStaging(input, stagingAdmin) {
+  const mutation = `
+    mutation CreateArticle($article: ArticleCreateInput!) {
+      articleCreate(article: $article) {
+        article {
+          id
+          handle
+          title
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  return runStagingMutation(
+    stagingAdmin,
+    mutation,
+    { article: input },
+    "articleCreate",
+    "article",
+  );
+}
+
+/**
+ * Update an existing article in staging
+ * @param {string} articleId - The staging article ID
+ * @param {Object} input - ArticleUpdateInput
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} Result of the article update
+ */
+async function updateArticleInStaging(articleId, input, stagingAdmin) {
+  const mutation = `
+    mutation UpdateArticle($id: ID!, $article: ArticleUpdateInput!) {
+      articleUpdate(id: $id, article: $article) {
+        article {
+          id
+          handle
+          title
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  return runStagingMutation(
+    stagingAdmin,
+    mutation,
+    { id: articleId, article: input },
+    "articleUpdate",
+    "article",
+  );
+}
+
+/**
+ * Sync blogs and their articles from production to staging
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string|null} storeConnectionId - Store connection ID for mappings
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
+ * @returns {Promise<Object>} Sync summary
+ */
+async function runBlogsSync(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
+) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    blogs: { total: 0, created: 0, updated: 0, failed: 0 },
+    articles: { total: 0, created: 0, updated: 0, failed: 0 },
+  };
+
+  const record = (kind, outcome) => {
+    summary[kind][outcome]++;
+    summary[outcome]++;
+  };
+
+  try {
+    // Step 1: Fetch all blogs from production
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: "Fetching blogs from production store...",
+    });
+
+    onProgress({
+      stage: "fetching",
+      message: "Fetching blogs from production...",
+      percentage: 0,
+    });
+
+    const productionBlogs = await getProductionBlogs(
+      productionStore,
+      accessToken,
+    );
+    const stagingBlogs = await getStagingBlogsByHandle(stagingAdmin);
+
+    summary.blogs.total = productionBlogs.length;
+    summary.total += productionBlogs.length;
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📋 Found ${productionBlogs.length} blog(s) in production, ${stagingBlogs.size} in staging`,
+    });
+
+    // A resumed job skips the blogs processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "blogs"));
+    }
+
+    // Step 2: Sync each blog, then its articles
+    for (let i = resumeIndex; i < productionBlogs.length; i++) {
+      if (shouldStopSync(options, summary, log, i, "blogs")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
+      const blog = productionBlogs[i];
+
+      onProgress({
+        stage: "processing",
+        message: `Processing blog: ${blog.title}`,
+        percentage: Math.round((i / productionBlogs.length) * 100),
+        checkpoint: { index: i },
+      });
+
+      const blogMetafields = await prepareMetafields(
+        storeConnectionId,
+        blog.metafields,
+        `blog:${blog.handle}`,
+      );
+      const blogInput = buildBlogInput(blog, blogMetafields);
+      const existingBlog = stagingBlogs.get(blog.handle);
+
+      const planned = plan.shouldApply({
+        resourceType: "blog",
+        key: blog.handle,
+        label: blog.title,
+        action: existingBlog ? "update" : "create",
+        before: existingBlog,
+        after: blogInput,
+        fields: ["title", "commentPolicy", "templateSuffix"],
+      });
+
+      // A blog left out of the plan still has its articles planned (dry run)
+      // or applied (when it already exists in staging)
+      let blogResult = { success: true, blog: existingBlog || null };
+      if (planned) {
+        blogResult = existingBlog
+          ? await updateBlogInStaging(existingBlog.id, blogInput, stagingAdmin)
+          : await createBlogInStaging(blogInput, stagingAdmin);
+      } else {
+        summary.skipped++;
+        if (!existingBlog && !plan.dryRun) continue;
+      }
+
+      if (!blogResult.success) {
+        record("blogs", "failed");
+        summary.errors.push(`Blog ${blog.handle}: ${blogResult.errors}`);
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `❌ Failed to ${existingBlog ? "update" : "create"} blog: ${blog.title} - ${blogResult.errors}`,
+          success: false,
+          error: blogResult.errors,
+        });
+        continue;
+      }
+
+      const stagingBlog = blogResult.blog;
+      if (planned) {
+        record("blogs", existingBlog ? "updated" : "created");
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `✅ Successfully ${existingBlog ? "updated" : "created"} blog: ${blog.title}`,
+          success: true,
+        });
+
+        if (storeConnectionId) {
+          try {
+            await saveMapping(storeConnectionId, "blog", {
+              productionId: extractIdFromGid(blog.id),
+              stagingId: extractIdFromGid(stagingBlog.id),
+              productionGid: blog.id,
+              stagingGid: stagingBlog.id,
+              matchKey: "handle",
+              matchValue: blog.handle,
+              syncId: null,
+              title: blog.title,
+            });
+            console.log(`✅ Saved mapping for blog: ${blog.handle}`);
+          } catch (mappingError) {
+            console.error(
+              `⚠️ Failed to save mapping for blog ${blog.handle}:`,
+              mappingError.message,
+            );
+          }
+        }
+      }
+
+      // Step 3: Sync the blog's articles
+      const productionArticles = await getProductionArticles(
+        productionStore,
+        accessToken,
+        blog.id,
+      );
+      const stagingArticles = existingBlog
+        ? await getStagingArticlesByHandle(existingBlog.id, stagingAdmin)
+        : new Map();
+
+      summary.articles.total += productionArticles.length;
+      summary.total += productionArticles.length;
+
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `📥 ${blog.title}: ${productionArticles.length} article(s) to sync`,
+      });
+
+      for (const article of productionArticles) {
+        const articleMetafields = await prepareMetafields(
+          storeConnectionId,
+          article.metafields,
+          `article:${blog.handle}/${article.handle}`,
+        );
+        const articleInput = buildArticleInput(
+          article,
+          stagingBlog?.id,
+          articleMetafields,
+        );
+        const existingArticle = stagingArticles.get(article.handle);
+
+        const articlePlanned = plan.shouldApply({
+          resourceType: "article",
+          key: `${blog.handle}/${article.handle}`,
+          label: article.title,
+          action: existingArticle ? "update" : "create",
+          before: existingArticle,
+          after: articleInput,
+          fields: ARTICLE_PLAN_FIELDS,
+        });
+        if (!articlePlanned) {
+          summary.skipped++;
+          continue;
+        }
+
+        const articleResult = existingArticle
+          ? await updateArticleInStaging(
+              existingArticle.id,
+              articleInput,
+              stagingAdmin,
+            )
+          : await createArticleInStaging(articleInput, stagingAdmin);
+
+        if (!articleResult.success) {
+          record("articles", "failed");
+          summary.errors.push(
+            `Article ${blog.handle}/${article.handle}: ${articleResult.errors}`,
+          );
+          log.push({
+            timestamp: new Date().toISOString(),
+            message: `❌ Failed to ${existingArticle ? "update" : "create"} article: ${article.title} - ${articleResult.errors}`,
+            success: false,
+            error: articleResult.errors,
+          });
+          continue;
+        }
+
+        const stagingArticle = articleResult.article;
+        record("articles", existingArticle ? "updated" : "created");
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `✅ Successfully ${existingArticle ? "updated" : "created"} article: ${article.title}`,
+          success: true,
+        });
+
+        if (storeConnectionId) {
+          try {
+            await saveMapping(storeConnectionId, "article", {
+              productionId: extractIdFromGid(article.id),
+              stagingId: extractIdFromGid(stagingArticle.id),
+              productionGid: article.id,
+              stagingGid: stagingArticle.id,
+              matchKey: "handle",
+              matchValue: `${blog.handle}/${article.handle}`,
+              syncId: null,
+              title: article.title,
+            });
+            console.log(
+              `✅ Saved mapping for article: ${blog.handle}/${article.handle}`,
+            );
+          } catch (mappingError) {
+            console.error(
+              `⚠️ Failed to save mapping for article ${blog.handle}/${article.handle}:`,
+              mappingError.message,
+            );
+          }
+        }
+      }
+    }
+
+    onProgress({
+      stage: "complete",
+      message: "Blog sync complete",
+      percentage: 100,
+    });
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🎉 Blog sync completed: ${summary.blogs.created} blogs created, ${summary.blogs.updated} updated, ${summary.blogs.failed} failed; ${summary.articles.created} articles created, ${summary.articles.updated} updated, ${summary.articles.failed} failed`,
+    });
+  } catch (error) {
+    console.error("Error in syncBlogs:", error);
+    summary.errors.push(error.message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fatal error: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return { summary, log, plan: plan.toJSON() };
+}
+
+export const syncBlogs = withGraphqlCost(runBlogsSync);
@@ -8,22 +8,45 @@ import {
   syncMetafieldDefinitions,
 } from "./sync.metafields.server.js";
 import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { buildSyncFetchQuery } from "./sync-query.server.js";
+import { readSourceResources } from "./sync-source.server.js";
+import { createSyncPlan, toMetafieldMap } from "./sync-plan.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { recordFailedItem } from "./sync-retry.server.js";
+import { isSyncTarget } from "./sync-target.server.js";
+import { shouldExcludeFromSync } from "./sync-filter.server.js";
+import {
+  recordSyncBaseline,
+  shouldSkipForConflict,
+} from "./sync-conflict.server.js";
+import {
+  applyFieldPolicies,
+  shouldSyncField,
+} from "./sync-field-policy.server.js";
 
 /**
  * Get all collections from production store
  * @param {string} productionStore - The production store domain
  * @param {string} accessToken - The production store access token
  * @param {number} first - Number of collections to fetch per page
+ * @param {string|null} searchQuery - Collections search query (e.g. an updated_at filter)
  * @returns {Promise<Array>} Array of collection objects
  */
-async function getProductionCollections(
+export async function getProductionCollections(
   productionStore,
   accessToken,
   first = 50,
+  searchQuery = null,
 ) {
   const query = `
-    query GetCollections($first: Int!, $after: String) {
-      collections(first: $first, after: $after) {
+    query GetCollections($first: Int!, $after: String, $query: String) {
+      collections(first: $first, after: $after, query: $query) {
         edges {
           node {
             id
@@ -88,20 +111,10 @@ async function getProductionCollections(
 
   try {
     while (hasNextPage) {
-      const response = await fetch(
-        `https://${productionStore}/admin/api/2025-07/graphql.json`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": accessToken,
-          },
-          body: JSON.stringify({
-            query,
-            variables: { first, after },
-          }),
-        },
-      );
+      const response = await createProductionClient(
+        productionStore,
+        accessToken,
+      ).graphql(query, { variables: { first, after, query: searchQuery } });
 
       const data = await response.json();
 
@@ -116,9 +129,6 @@ async function getProductionCollections(
 
       hasNextPage = data.data.collections.pageInfo.hasNextPage;
       after = data.data.collections.pageInfo.endCursor;
-
-      // Add a small delay to avoid rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 100));
     }
 
     return allCollections;
@@ -141,8 +151,33 @@ async function getStagingCollectionByHandle(handle, stagingAdmin) {
         id
         handle
         title
+        updatedAt
         description
+        descriptionHtml
         sortOrder
+        templateSuffix
+        seo {
+          title
+          description
+        }
+        image {
+          altText
+        }
+        ruleSet {
+          appliedDisjunctively
+          rules {
+            column
+            relation
+            condition
+          }
+        }
+        metafields(first: 50) {
+          nodes {
+            namespace
+            key
+            value
+          }
+        }
         products(first: 250, after: $productsAfter) {
           edges {
             node {
@@ -204,6 +239,68 @@ async function getStagingCollectionByHandle(handle, stagingAdmin) {
   }
 }
 
+/**
+ * Fields of a collection compared by a dry run. The image is compared by
+ * alt text only, since staging image URLs never match production.
+ * @param {Object} collection - Collection from production or staging
+ * @returns {Object} Comparable collection fields
+ */
+export function getCollectionPlanFields(collection) {
+  const rules = collection.ruleSet?.rules || [];
+  return {
+    title: collection.title,
+    descriptionHtml: collection.descriptionHtml || collection.description,
+    sortOrder: collection.sortOrder,
+    templateSuffix: collection.templateSuffix,
+    seo: collection.seo && {
+      title: collection.seo.title,
+      description: collection.seo.description,
+    },
+    imageAltText: collection.image ? collection.image.altText || "" : null,
+    ruleSet:
+      rules.length > 0
+        ? {
+            appliedDisjunctively: collection.ruleSet.appliedDisjunctively,
+            rules: rules.map(({ column, relation, condition }) => ({
+              column,
+              relation,
+              condition,
+            })),
+          }
+        : null,
+    // Smart collections fill themselves; manual ones list their products
+    products:
+      rules.length > 0
+        ? null
+        : (collection.products?.edges || [])
+            .map((edge) => edge.node.handle)
+            .sort(),
+    metafields: toMetafieldMap(collection.metafields),
+  };
+}
+
+/**
+ * Staging state of a collection, stored as its conflict baseline after a sync
+ * @param {string} handle - Collection handle
+ * @param {Object} stagingAdmin - Staging admin client
+ * @param {Object} fieldPolicies - Field policies of the connection
+ * @returns {Promise<Object|null>} { updatedAt, fields }, or null when not found
+ */
+async function getStagingCollectionState(handle, stagingAdmin, fieldPolicies) {
+  const collection = await getStagingCollectionByHandle(handle, stagingAdmin);
+  return (
+    collection && {
+      updatedAt: collection.updatedAt,
+      fields: applyFieldPolicies(
+        getCollectionPlanFields(collection),
+        fieldPolicies,
+        "collection",
+        "update",
+      ),
+    }
+  );
+}
+
 /**
  * Find products in staging by handles
  * @param {Array} productHandles - Array of product handles
@@ -276,9 +373,14 @@ async function findStagingProductsByHandles(productHandles, stagingAdmin) {
  * Create a new collection in staging
  * @param {Object} collection - The collection object from production
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Object} fieldPolicies - Field policies of the connection
  * @returns {Promise<Object>} Result object with success status and collection data
  */
-async function createCollectionInStaging(collection, stagingAdmin) {
+export async function createCollectionInStaging(
+  collection,
+  stagingAdmin,
+  fieldPolicies = {},
+) {
   const mutation = `
     mutation collectionCreate($input: CollectionInput!) {
       collectionCreate(input: $input) {
@@ -339,7 +441,9 @@ async function createCollectionInStaging(collection, stagingAdmin) {
       };
     }
 
-    const variables = { input };
+    const variables = {
+      input: applyFieldPolicies(input, fieldPolicies, "collection", "create"),
+    };
     const response = await stagingAdmin.graphql(mutation, { variables });
     const result = await response.json();
 
@@ -386,12 +490,14 @@ async function createCollectionInStaging(collection, stagingAdmin) {
  * @param {string} collectionId - The collection ID in staging
  * @param {Object} collection - The collection object from production
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Object} fieldPolicies - Field policies of the connection
  * @returns {Promise<Object>} Result object with success status and collection data
  */
-async function updateCollectionInStaging(
+export async function updateCollectionInStaging(
   collectionId,
   collection,
   stagingAdmin,
+  fieldPolicies = {},
 ) {
   const mutation = `
     mutation collectionUpdate($input: CollectionInput!) {
@@ -453,7 +559,9 @@ async function updateCollectionInStaging(
       };
     }
 
-    const variables = { input };
+    const variables = {
+      input: applyFieldPolicies(input, fieldPolicies, "collection", "update"),
+    };
     const response = await stagingAdmin.graphql(mutation, { variables });
     const result = await response.json();
 
@@ -496,7 +604,11 @@ async function updateCollectionInStaging(
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @returns {Promise<Object>} Result object with success status
  */
-async function addProductsToCollection(collectionId, productIds, stagingAdmin) {
+export async function addProductsToCollection(
+  collectionId,
+  productIds,
+  stagingAdmin,
+) {
   if (!productIds || productIds.length === 0) {
     return { success: true, message: "No products to add" };
   }
@@ -557,16 +669,23 @@ async function addProductsToCollection(collectionId, productIds, stagingAdmin) {
  * @param {string} accessToken - The production store access token
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { since: only collections updated after this time, fieldPolicies, conflicts: { strategy }, dryRun, plan }
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncCollections(
+async function runCollectionsSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const { since = null, fieldPolicies = {} } = options;
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
   const summary = {
     total: 0,
     created: 0,
@@ -575,6 +694,8 @@ export async function syncCollections(
     failed: 0,
     productsAdded: 0,
     errors: [],
+    mode: since ? "incremental" : "full",
+    since: since ? new Date(since).toISOString() : null,
   };
 
   try {
@@ -610,7 +731,9 @@ export async function syncCollections(
         accessToken,
         stagingAdmin,
         "COLLECTION", // Only sync COLLECTION metafield definitions
+        options,
       );
+      plan.merge(metafieldDefinitionsResult);
 
       if (metafieldDefinitionsResult.success) {
         log.push({
@@ -642,7 +765,9 @@ export async function syncCollections(
     // Step 2: Fetch all collections from production
     log.push({
       timestamp: new Date().toISOString(),
-      message: "📥 Fetching collections from production store...",
+      message: since
+        ? `📥 Fetching collections updated since ${summary.since} from production store...`
+        : "📥 Fetching collections from production store...",
       type: "data_fetch",
     });
 
@@ -652,9 +777,16 @@ export async function syncCollections(
       percentage: 10,
     });
 
-    const productionCollections = await getProductionCollections(
-      productionStore,
-      accessToken,
+    const productionCollections = await readSourceResources(
+      options,
+      "collections",
+      () =>
+        getProductionCollections(
+          productionStore,
+          accessToken,
+          50,
+          buildSyncFetchQuery(options),
+        ),
     );
 
     summary.total = productionCollections.length;
@@ -678,7 +810,7 @@ export async function syncCollections(
     });
 
     if (productionCollections.length === 0) {
-      return { summary, log };
+      return { summary, log, plan: plan.toJSON() };
     }
 
     // Step 3: Process each collection
@@ -688,14 +820,41 @@ export async function syncCollections(
       percentage: 20,
     });
 
-    for (let i = 0; i < productionCollections.length; i++) {
+    // A resumed job skips the collections processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "collections"));
+    }
+
+    for (let i = resumeIndex; i < productionCollections.length; i++) {
+      if (shouldStopSync(options, summary, log, i, "collections")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
       const collection = productionCollections[i];
+      if (
+        !isSyncTarget(options, { id: collection.id, key: collection.handle })
+      ) {
+        continue;
+      }
+      if (
+        shouldExcludeFromSync(options, summary, log, plan, {
+          resourceType: "collection",
+          handle: collection.handle,
+          label: collection.title,
+        })
+      ) {
+        continue;
+      }
+
       const progress = 20 + Math.round((i / productionCollections.length) * 70);
 
       onProgress({
         stage: "processing",
         message: `Processing collection: ${collection.title}`,
         percentage: progress,
+        checkpoint: { index: i },
       });
 
       log.push({
@@ -720,6 +879,57 @@ export async function syncCollections(
         stagingAdmin,
       );
 
+      const action = existingCollection ? "update" : "create";
+      const before =
+        existingCollection && getCollectionPlanFields(existingCollection);
+      const after = getCollectionPlanFields(collection);
+      if (
+        existingCollection &&
+        (await shouldSkipForConflict(options, summary, log, plan, {
+          storeConnectionId,
+          resourceType: "collection",
+          id: collection.id,
+          handle: collection.handle,
+          label: collection.title,
+          production: applyFieldPolicies(
+            after,
+            fieldPolicies,
+            "collection",
+            "update",
+          ),
+          staging: {
+            id: existingCollection.id,
+            updatedAt: existingCollection.updatedAt,
+            fields: applyFieldPolicies(
+              before,
+              fieldPolicies,
+              "collection",
+              "update",
+            ),
+          },
+        }))
+      ) {
+        continue;
+      }
+      // Products are only ever added to a manual collection, never removed
+      if (before?.products && after.products) {
+        after.products = [
+          ...new Set([...before.products, ...after.products]),
+        ].sort();
+      }
+      const planned = plan.shouldApply({
+        resourceType: "collection",
+        key: collection.handle,
+        label: collection.title,
+        action,
+        before: applyFieldPolicies(before, fieldPolicies, "collection", action),
+        after: applyFieldPolicies(after, fieldPolicies, "collection", action),
+      });
+      if (!planned) {
+        summary.skipped++;
+        continue;
+      }
+
       if (existingCollection) {
         // Update existing collection
         log.push({
@@ -731,6 +941,7 @@ export async function syncCollections(
           existingCollection.id,
           collection,
           stagingAdmin,
+          fieldPolicies,
         );
 
         if (result.success) {
@@ -768,6 +979,7 @@ export async function syncCollections(
           // Add products to manual collections (smart collections handle this automatically)
           if (
             collection.products?.edges?.length > 0 &&
+            shouldSyncField(fieldPolicies, "collection", "products", action) &&
             (!collection.ruleSet ||
               !collection.ruleSet.rules ||
               collection.ruleSet.rules.length === 0)
@@ -861,10 +1073,29 @@ export async function syncCollections(
               });
             }
           }
+
+          await recordSyncBaseline(options, {
+            storeConnectionId,
+            resourceType: "collection",
+            id: collection.id,
+            getStaging: () =>
+              getStagingCollectionState(
+                collection.handle,
+                stagingAdmin,
+                fieldPolicies,
+              ),
+          });
         } else {
           summary.failed++;
           const errorMessage = `Failed to update collection "${collection.title}" (handle: ${collection.handle}): ${result.error}`;
           summary.errors.push(errorMessage);
+          recordFailedItem(summary, {
+            resourceType: "collection",
+            id: collection.id,
+            key: collection.handle,
+            label: collection.title,
+            error: result.error,
+          });
           log.push({
             timestamp: new Date().toISOString(),
             message: `❌ ${errorMessage}`,
@@ -882,6 +1113,7 @@ export async function syncCollections(
         const result = await createCollectionInStaging(
           collection,
           stagingAdmin,
+          fieldPolicies,
         );
 
         if (result.success) {
@@ -920,6 +1152,7 @@ export async function syncCollections(
           if (
             collection.products?.edges?.length > 0 &&
             result.collection?.id &&
+            shouldSyncField(fieldPolicies, "collection", "products", action) &&
             (!collection.ruleSet ||
               !collection.ruleSet.rules ||
               collection.ruleSet.rules.length === 0)
@@ -1005,10 +1238,29 @@ export async function syncCollections(
               });
             }
           }
+
+          await recordSyncBaseline(options, {
+            storeConnectionId,
+            resourceType: "collection",
+            id: collection.id,
+            getStaging: () =>
+              getStagingCollectionState(
+                collection.handle,
+                stagingAdmin,
+                fieldPolicies,
+              ),
+          });
         } else {
           summary.failed++;
           const errorMessage = `Failed to create collection "${collection.title}" (handle: ${collection.handle}): ${result.error}`;
           summary.errors.push(errorMessage);
+          recordFailedItem(summary, {
+            resourceType: "collection",
+            id: collection.id,
+            key: collection.handle,
+            label: collection.title,
+            error: result.error,
+          });
           log.push({
             timestamp: new Date().toISOString(),
             message: `❌ ${errorMessage}`,
@@ -1045,7 +1297,7 @@ export async function syncCollections(
       },
     });
 
-    return { summary, log };
+    return { summary, log, plan: plan.toJSON() };
   } catch (error) {
     console.error("Error syncing collections:", error);
 
@@ -1061,3 +1313,5 @@ export async function syncCollections(
     return { summary, log };
   }
 }
+
+export const syncCollections = withGraphqlCost(runCollectionsSync);
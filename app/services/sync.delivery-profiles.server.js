@@ -0,0 +1,859 @@
+/**
+ * Delivery Profile Sync Service
+ * Syncs shipping profiles (location groups, zones and rates) and their
+ * product/variant assignments from production to staging store
+ */
+
+import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import { getLocationMappings } from "./sync.locations.server.js";
+import { translateGid } from "../utils/gid-translator.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+
+const DELIVERY_PROFILES_QUERY = `
+  query GetDeliveryProfiles($first: Int!, $after: String) {
+    deliveryProfiles(first: $first, after: $after) {
+      nodes {
+        id
+        name
+        default
+        productVariantsCount {
+          count
+        }
+        profileLocationGroups {
+          locationGroup {
+            id
+            locations(first: 100) {
+              nodes {
+                id
+                name
+              }
+            }
+          }
+          locationGroupZones(first: 20) {
+            nodes {
+              zone {
+                id
+                name
+                countries {
+                  code {
+                    countryCode
+                    restOfWorld
+                  }
+                  provinces {
+                    code
+                  }
+                }
+              }
+              methodDefinitions(first: 20) {
+                nodes {
+                  id
+                  name
+                  active
+                  description
+                  rateProvider {
+                    __typename
+                    ... on DeliveryRateDefinition {
+                      price {
+                        amount
+                        currencyCode
+                      }
+                    }
+                  }
+                  methodConditions {
+                    field
+                    operator
+                    conditionCriteria {
+                      __typename
+                      ... on MoneyV2 {
+                        amount
+                        currencyCode
+                      }
+                      ... on Weight {
+                        unit
+                        value
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const PROFILE_ITEMS_QUERY = `
+  query GetDeliveryProfileItems($id: ID!, $first: Int!, $after: String) {
+    deliveryProfile(id: $id) {
+      profileItems(first: $first, after: $after) {
+        nodes {
+          product {
+            id
+            handle
+          }
+          variants(first: 50) {
+            nodes {
+              id
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Run a query against the production Admin API
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Response data
+ */
+async function productionGraphql(
+  productionStore,
+  accessToken,
+  query,
+  variables,
+) {
+  const response = await createProductionClient(
+    productionStore,
+    accessToken,
+  ).graphql(query, { variables });
+
+  const data = await response.json();
+
+  if (data.errors) {
+    console.error("Error fetching production delivery profiles:", data.errors);
+    const scopeError = data.errors.find((error) =>
+      error.message.includes("Access denied"),
+    );
+    if (scopeError) {
+      throw new Error(
+        "Access denied for delivery profiles. Please ensure the app has 'read_shipping' scope and reinstall the app if needed.",
+      );
+    }
+    throw new Error(
+      `Failed to fetch production delivery profiles: ${data.errors
+        .map((e) => e.message)
+        .join(", ")}`,
+    );
+  }
+
+  return data.data;
+}
+
+/**
+ * Fetch all delivery profiles from production store
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @returns {Promise<Array>} Array of delivery profiles
+ */
+async function getProductionDeliveryProfiles(productionStore, accessToken) {
+  const profiles = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const data = await productionGraphql(
+      productionStore,
+      accessToken,
+      DELIVERY_PROFILES_QUERY,
+      // Nested zones and rates make profiles expensive; fetch one per request
+      { first: 1, after: cursor },
+    );
+
+    profiles.push(...(data?.deliveryProfiles?.nodes || []));
+    hasNextPage = data?.deliveryProfiles?.pageInfo?.hasNextPage || false;
+    cursor = data?.deliveryProfiles?.pageInfo?.endCursor || null;
+  }
+
+  return profiles;
+}
+
+/**
+ * Fetch all products and variants assigned to a production delivery profile
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} profileId - Production delivery profile GID
+ * @returns {Promise<Array>} Array of { product, variants }
+ */
+async function getProductionProfileItems(
+  productionStore,
+  accessToken,
+  profileId,
+) {
+  const items = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const data = await productionGraphql(
+      productionStore,
+      accessToken,
+      PROFILE_ITEMS_QUERY,
+      { id: profileId, first: 10, after: cursor },
+    );
+
+    const profileItems = data?.deliveryProfile?.profileItems;
+    items.push(...(profileItems?.nodes || []));
+    hasNextPage = profileItems?.pageInfo?.hasNextPage || false;
+    cursor = profileItems?.pageInfo?.endCursor || null;
+  }
+
+  return items;
+}
+
+/**
+ * Fetch all staging delivery profiles
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Array>} Array of delivery profiles
+ */
+async function getStagingDeliveryProfiles(stagingAdmin) {
+  const profiles = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await stagingAdmin.graphql(DELIVERY_PROFILES_QUERY, {
+      variables: { first: 1, after: cursor },
+    });
+    const result = await response.json();
+
+    if (result.errors) {
+      throw new Error(
+        `Failed to fetch staging delivery profiles: ${result.errors
+          .map((e) => e.message)
+          .join(", ")}`,
+      );
+    }
+
+    profiles.push(...(result.data?.deliveryProfiles?.nodes || []));
+    hasNextPage = result.data?.deliveryProfiles?.pageInfo?.hasNextPage || false;
+    cursor = result.data?.deliveryProfiles?.pageInfo?.endCursor || null;
+  }
+
+  return profiles;
+}
+
+/**
+ * Find the staging profile matching a production profile.
+ * The default (general) profile always matches the staging default profile,
+ * custom profiles are matched by name.
+ * @param {Object} profile - Production delivery profile
+ * @param {Array} stagingProfiles - Staging delivery profiles
+ * @returns {Object|undefined} Matching staging profile
+ */
+export function findStagingProfile(profile, stagingProfiles) {
+  if (profile.default) {
+    return stagingProfiles.find((p) => p.default);
+  }
+  return stagingProfiles.find((p) => !p.default && p.name === profile.name);
+}
+
+/**
+ * Build DeliveryCountryInput list from a production zone
+ * @param {Object} zone - DeliveryZone
+ * @returns {Array} DeliveryCountryInput list
+ */
+export function buildCountriesInput(zone) {
+  return (zone.countries || []).map((country) => {
+    if (country.code?.restOfWorld) {
+      return { restOfWorld: true };
+    }
+    const input = { code: country.code.countryCode };
+    if (country.provinces?.length > 0) {
+      input.provinces = country.provinces.map((p) => ({ code: p.code }));
+    } else {
+      input.includeAllProvinces = true;
+    }
+    return input;
+  });
+}
+
+/**
+ * Build DeliveryMethodDefinitionInput from a production method definition.
+ * Carrier-calculated (participant) rates are not supported and return null.
+ * @param {Object} method - DeliveryMethodDefinition
+ * @returns {Object|null} DeliveryMethodDefinitionInput
+ */
+export function buildMethodDefinitionInput(method) {
+  if (method.rateProvider?.__typename !== "DeliveryRateDefinition") {
+    return null;
+  }
+
+  const input = {
+    name: method.name,
+    active: method.active,
+    description: method.description || null,
+    rateDefinition: {
+      price: {
+        amount: method.rateProvider.price.amount,
+        currencyCode: method.rateProvider.price.currencyCode,
+      },
+    },
+  };
+
+  const weightConditions = [];
+  const priceConditions = [];
+
+  for (const condition of method.methodConditions || []) {
+    const criteria = condition.conditionCriteria;
+    if (criteria?.__typename === "Weight") {
+      weightConditions.push({
+        operator: condition.operator,
+        criteria: { unit: criteria.unit, value: criteria.value },
+      });
+    } else if (criteria?.__typename === "MoneyV2") {
+      priceConditions.push({
+        operator: condition.operator,
+        criteria: {
+          amount: criteria.amount,
+          currencyCode: criteria.currencyCode,
+        },
+      });
+    }
+  }
+
+  if (weightConditions.length > 0) {
+    input.weightConditionsToCreate = weightConditions;
+  }
+  if (priceConditions.length > 0) {
+    input.priceConditionsToCreate = priceConditions;
+  }
+
+  return input;
+}
+
+/**
+ * Build DeliveryLocationGroupZoneInput list for a location group
+ * @param {Object} group - Production DeliveryProfileLocationGroup
+ * @param {Array} warnings - Collected warnings (mutated)
+ * @returns {Array} DeliveryLocationGroupZoneInput list
+ */
+export function buildZonesInput(group, warnings = []) {
+  return (group.locationGroupZones?.nodes || []).map(
+    ({ zone, methodDefinitions }) => {
+      const methods = [];
+      for (const method of methodDefinitions?.nodes || []) {
+        const methodInput = buildMethodDefinitionInput(method);
+        if (methodInput) {
+          methods.push(methodInput);
+        } else {
+          warnings.push(
+            `Rate "${method.name}" in zone "${zone.name}" uses a carrier or app rate provider and was not copied`,
+          );
+        }
+      }
+
+      return {
+        name: zone.name,
+        countries: buildCountriesInput(zone),
+        methodDefinitionsToCreate: methods,
+      };
+    },
+  );
+}
+
+/**
+ * Build the DeliveryProfileInput for creating or updating a profile.
+ * Location groups are matched to staging groups by their mapped locations;
+ * matched groups have their zones replaced, unmatched groups are created.
+ * @param {Object} profile - Production delivery profile
+ * @param {Array} locationGroups - [{ group, stagingLocationIds }] with mapped locations
+ * @param {Array} variantIds - Mapped staging variant GIDs to associate
+ * @param {Object|null} stagingProfile - Matching staging profile (on update)
+ * @param {Array} warnings - Collected warnings (mutated)
+ * @returns {Object} DeliveryProfileInput
+ */
+export function buildDeliveryProfileInput(
+  profile,
+  locationGroups,
+  variantIds,
+  stagingProfile = null,
+  warnings = [],
+) {
+  const input = { name: profile.name };
+  const groupsToCreate = [];
+  const groupsToUpdate = [];
+  const stagingGroups = stagingProfile?.profileLocationGroups || [];
+
+  const matchedGroupIds = new Set();
+
+  for (const { group, stagingLocationIds } of locationGroups) {
+    const zones = buildZonesInput(group, warnings);
+    const existing = stagingGroups.find(
+      (stagingGroup) =>
+        !matchedGroupIds.has(stagingGroup.locationGroup.id) &&
+        stagingGroup.locationGroup.locations.nodes.some((location) =>
+          stagingLocationIds.includes(location.id),
+        ),
+    );
+
+    if (existing) {
+      matchedGroupIds.add(existing.locationGroup.id);
+      const existingLocationIds = existing.locationGroup.locations.nodes.map(
+        (location) => location.id,
+      );
+      const update = {
+        id: existing.locationGroup.id,
+        zonesToCreate: zones,
+      };
+      const zoneIdsToDelete = (existing.locationGroupZones?.nodes || []).map(
+        (node) => node.zone.id,
+      );
+      const locationsToAdd = stagingLocationIds.filter(
+        (id) => !existingLocationIds.includes(id),
+      );
+      if (locationsToAdd.length > 0) update.locationsToAdd = locationsToAdd;
+      groupsToUpdate.push({ update, zoneIdsToDelete });
+    } else {
+      groupsToCreate.push({
+        locations: stagingLocationIds,
+        zonesToCreate: zones,
+      });
+    }
+  }
+
+  if (groupsToCreate.length > 0) input.locationGroupsToCreate = groupsToCreate;
+  if (groupsToUpdate.length > 0) {
+    input.locationGroupsToUpdate = groupsToUpdate.map(({ update }) => update);
+    const zonesToDelete = groupsToUpdate.flatMap(
+      ({ zoneIdsToDelete }) => zoneIdsToDelete,
+    );
+    if (zonesToDelete.length > 0) input.zonesToDelete = zonesToDelete;
+  }
+
+  // Every variant belongs to the default profile unless assigned elsewhere
+  if (!profile.default && variantIds.length > 0) {
+    input.variantsToAssociate = variantIds;
+  }
+
+  return input;
+}
+
+/**
+ * Values a dry run compares between a production and staging profile.
+ * Zones are compared by name, countries and flat rates across all location
+ * groups; the locations themselves are mapped by the location sync.
+ * @param {Object} profile - Delivery profile
+ * @returns {Object} Comparable profile fields
+ */
+export function getDeliveryProfilePlanFields(profile) {
+  const zones = (profile.profileLocationGroups || [])
+    .flatMap((group) => group.locationGroupZones?.nodes || [])
+    .map(({ zone, methodDefinitions }) => ({
+      name: zone.name,
+      countries: buildCountriesInput(zone)
+        .map((country) =>
+          country.restOfWorld
+            ? "Rest of world"
+            : [
+                country.code,
+                ...(country.provinces || []).map((p) => p.code),
+              ].join(":"),
+        )
+        .sort(),
+      rates: (methodDefinitions?.nodes || [])
+        .map(buildMethodDefinitionInput)
+        .filter(Boolean)
+        .map(
+          (method) =>
+            `${method.name}: ${method.rateDefinition.price.amount} ${method.rateDefinition.price.currencyCode}${method.active ? "" : " (inactive)"}`,
+        )
+        .sort(),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    name: profile.name,
+    zones,
+    variants: profile.productVariantsCount?.count ?? null,
+  };
+}
+
+/**
+ * Create or update a delivery profile in staging
+ * @param {Object} input - DeliveryProfileInput
+ * @param {Object|null} stagingProfile - Matching staging profile
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} { success, id } or { success, errors }
+ */
+async function saveDeliveryProfileInStaging(
+  input,
+  stagingProfile,
+  stagingAdmin,
+) {
+  const root = stagingProfile
+    ? "deliveryProfileUpdate"
+    : "deliveryProfileCreate";
+  const mutation = stagingProfile
+    ? `
+      mutation UpdateDeliveryProfile($id: ID!, $profile: DeliveryProfileInput!) {
+        deliveryProfileUpdate(id: $id, profile: $profile) {
+          profile {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    : `
+      mutation CreateDeliveryProfile($profile: DeliveryProfileInput!) {
+        deliveryProfileCreate(profile: $profile) {
+          profile {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+  const variables = stagingProfile
+    ? { id: stagingProfile.id, profile: input }
+    : { profile: input };
+  const response = await stagingAdmin.graphql(mutation, { variables });
+  const result = await response.json();
+
+  if (result.errors) {
+    return {
+      success: false,
+      errors: result.errors.map((e) => e.message).join(", "),
+    };
+  }
+
+  const userErrors = result.data?.[root]?.userErrors || [];
+  if (userErrors.length > 0) {
+    return {
+      success: false,
+      errors: userErrors
+        .map((e) =>
+          e.field ? `${e.field.join(".")}: ${e.message}` : e.message,
+        )
+        .join(", "),
+    };
+  }
+
+  const id = result.data?.[root]?.profile?.id;
+  if (id) {
+    return { success: true, id };
+  }
+
+  return {
+    success: false,
+    errors: `Unknown error in ${root}`,
+  };
+}
+
+/**
+ * Sync delivery profiles from production to staging
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string|null} storeConnectionId - Store connection ID for mappings
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
+ * @returns {Promise<Object>} Sync summary
+ */
+async function runDeliveryProfilesSync(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
+) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    variantsAssigned: 0,
+    unmappedVariants: 0,
+    errors: [],
+  };
+
+  try {
+    // Step 1: Fetch profiles from both stores
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: "Fetching delivery profiles from production store...",
+    });
+
+    onProgress({
+      stage: "fetching",
+      message: "Fetching delivery profiles from production...",
+      percentage: 0,
+    });
+
+    const productionProfiles = await getProductionDeliveryProfiles(
+      productionStore,
+      accessToken,
+    );
+    const stagingProfiles = await getStagingDeliveryProfiles(stagingAdmin);
+
+    summary.total = productionProfiles.length;
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📋 Found ${productionProfiles.length} delivery profile(s) in production, ${stagingProfiles.length} in staging`,
+    });
+
+    // Without a connection there are no resource mappings; fall back to matching locations by name
+    const fallbackLocations = storeConnectionId
+      ? null
+      : await getLocationMappings(productionStore, accessToken, stagingAdmin);
+
+    const resolveGid = async (gid, context) => {
+      if (!storeConnectionId) {
+        return fallbackLocations?.get(gid) || null;
+      }
+      const result = await translateGid(
+        storeConnectionId,
+        gid,
+        context,
+        "delivery_profiles",
+      );
+      return result.success ? result.stagingGid : null;
+    };
+
+    // A resumed job skips the profiles processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "delivery profiles"));
+    }
+
+    // Step 2: Create or update each profile
+    for (let i = resumeIndex; i < productionProfiles.length; i++) {
+      if (shouldStopSync(options, summary, log, i, "delivery profiles")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
+      const profile = productionProfiles[i];
+      const warnings = [];
+
+      onProgress({
+        stage: "processing",
+        message: `Processing delivery profile: ${profile.name}`,
+        percentage: Math.round(((i + 1) / productionProfiles.length) * 100),
+        checkpoint: { index: i },
+      });
+
+      // Rebuild location groups from mapped locations
+      const locationGroups = [];
+      for (const group of profile.profileLocationGroups || []) {
+        const stagingLocationIds = [];
+        for (const location of group.locationGroup.locations.nodes) {
+          const stagingId = await resolveGid(
+            location.id,
+            `delivery_profile:${profile.name}`,
+          );
+          if (stagingId) {
+            stagingLocationIds.push(stagingId);
+          } else {
+            warnings.push(
+              `Location "${location.name}" is not mapped to staging (run the location sync first)`,
+            );
+          }
+        }
+
+        if (stagingLocationIds.length > 0) {
+          locationGroups.push({ group, stagingLocationIds });
+        } else {
+          warnings.push(
+            "A location group has no mapped locations; its zones and rates were not copied",
+          );
+        }
+      }
+
+      // Map assigned variants; the default profile holds every unassigned variant
+      const variantIds = [];
+      if (!profile.default) {
+        if (!storeConnectionId) {
+          warnings.push(
+            "Products and variants can only be assigned when syncing with a store connection",
+          );
+        } else {
+          const items = await getProductionProfileItems(
+            productionStore,
+            accessToken,
+            profile.id,
+          );
+          for (const item of items) {
+            for (const variant of item.variants?.nodes || []) {
+              const stagingId = await resolveGid(
+                variant.id,
+                `delivery_profile:${profile.name} product:${item.product?.handle}`,
+              );
+              if (stagingId) {
+                variantIds.push(stagingId);
+              } else {
+                summary.unmappedVariants++;
+              }
+            }
+          }
+        }
+      }
+
+      if (!profile.default && locationGroups.length === 0) {
+        plan.skip({
+          resourceType: "delivery_profile",
+          key: profile.name,
+          reason: "None of its locations are mapped to staging",
+        });
+        summary.skipped++;
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Skipping ${profile.name}: none of its locations are mapped to staging`,
+          skipped: true,
+        });
+        continue;
+      }
+
+      const stagingProfile = findStagingProfile(profile, stagingProfiles);
+      const input = buildDeliveryProfileInput(
+        profile,
+        locationGroups,
+        variantIds,
+        stagingProfile,
+        warnings,
+      );
+
+      for (const warning of warnings) {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ ${profile.name}: ${warning}`,
+        });
+      }
+
+      // The default profile holds every variant, so only custom profiles
+      // compare their assignments
+      const planFields = ["name", "zones"];
+      if (!profile.default) planFields.push("variants");
+      if (
+        !plan.shouldApply({
+          resourceType: "delivery_profile",
+          key: profile.default ? "default" : profile.name,
+          label: profile.name,
+          action: stagingProfile ? "update" : "create",
+          before: stagingProfile
+            ? getDeliveryProfilePlanFields(stagingProfile)
+            : null,
+          after: {
+            ...getDeliveryProfilePlanFields(profile),
+            variants: variantIds.length,
+          },
+          fields: planFields,
+        })
+      ) {
+        summary.skipped++;
+        continue;
+      }
+
+      const result = await saveDeliveryProfileInStaging(
+        input,
+        stagingProfile,
+        stagingAdmin,
+      );
+
+      if (!result.success) {
+        summary.failed++;
+        summary.errors.push(`${profile.name}: ${result.errors}`);
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `❌ Failed to ${stagingProfile ? "update" : "create"} delivery profile ${profile.name}: ${result.errors}`,
+          success: false,
+          error: result.errors,
+        });
+        continue;
+      }
+
+      if (stagingProfile) {
+        summary.updated++;
+      } else {
+        summary.created++;
+      }
+      summary.variantsAssigned += variantIds.length;
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `✅ Successfully ${stagingProfile ? "updated" : "created"} delivery profile: ${profile.name}${variantIds.length > 0 ? ` (${variantIds.length} variant(s) assigned)` : ""}`,
+        success: true,
+      });
+
+      if (storeConnectionId) {
+        try {
+          await saveMapping(storeConnectionId, "delivery_profile", {
+            productionId: extractIdFromGid(profile.id),
+            stagingId: extractIdFromGid(result.id),
+            productionGid: profile.id,
+            stagingGid: result.id,
+            matchKey: profile.default ? "default" : "name",
+            matchValue: profile.default ? "default" : profile.name,
+            syncId: null,
+            title: profile.name,
+          });
+          console.log(`✅ Saved mapping for delivery profile: ${profile.name}`);
+        } catch (mappingError) {
+          console.error(
+            `⚠️ Failed to save mapping for delivery profile ${profile.name}:`,
+            mappingError.message,
+          );
+        }
+      }
+    }
+
+    onProgress({
+      stage: "complete",
+      message: "Delivery profile sync complete",
+      percentage: 100,
+    });
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🎉 Delivery profile sync completed: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed; ${summary.variantsAssigned} variant(s) assigned, ${summary.unmappedVariants} unmapped`,
+    });
+  } catch (error) {
+    console.error("Error in syncDeliveryProfiles:", error);
+    summary.errors.push(error.message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fatal error: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return { summary, log, plan: plan.toJSON() };
+}
+
+export const syncDeliveryProfiles = withGraphqlCost(runDeliveryProfilesSync);
@@ -0,0 +1,966 @@
+/**
+ * Discount Sync Service
+ * Syncs basic, buy X get Y and free shipping discounts (code and automatic)
+ * from production to staging store
+ */
+
+import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import { translateGid } from "../utils/gid-translator.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+import { recordFailedItem } from "./sync-retry.server.js";
+import { isSyncTarget } from "./sync-target.server.js";
+
+// Discount types this service can recreate; app (function) discounts are skipped
+const SUPPORTED_TYPES = {
+  DiscountCodeBasic: { kind: "basic", method: "code" },
+  DiscountCodeBxgy: { kind: "bxgy", method: "code" },
+  DiscountCodeFreeShipping: { kind: "free_shipping", method: "code" },
+  DiscountAutomaticBasic: { kind: "basic", method: "automatic" },
+  DiscountAutomaticBxgy: { kind: "bxgy", method: "automatic" },
+  DiscountAutomaticFreeShipping: { kind: "free_shipping", method: "automatic" },
+};
+
+// Mutation name and input argument for each (kind, method) pair
+const MUTATIONS = {
+  "basic:code": {
+    name: "discountCodeBasic",
+    arg: "basicCodeDiscount",
+    input: "DiscountCodeBasicInput",
+  },
+  "bxgy:code": {
+    name: "discountCodeBxgy",
+    arg: "bxgyCodeDiscount",
+    input: "DiscountCodeBxgyInput",
+  },
+  "free_shipping:code": {
+    name: "discountCodeFreeShipping",
+    arg: "freeShippingCodeDiscount",
+    input: "DiscountCodeFreeShippingInput",
+  },
+  "basic:automatic": {
+    name: "discountAutomaticBasic",
+    arg: "automaticBasicDiscount",
+    input: "DiscountAutomaticBasicInput",
+  },
+  "bxgy:automatic": {
+    name: "discountAutomaticBxgy",
+    arg: "automaticBxgyDiscount",
+    input: "DiscountAutomaticBxgyInput",
+  },
+  "free_shipping:automatic": {
+    name: "discountAutomaticFreeShipping",
+    arg: "freeShippingAutomaticDiscount",
+    input: "DiscountAutomaticFreeShippingInput",
+  },
+};
+
+const ITEMS_FRAGMENT = `
+  ... on AllDiscountItems {
+    allItems
+  }
+  ... on DiscountProducts {
+    products(first: 250) {
+      nodes {
+        id
+      }
+    }
+    productVariants(first: 250) {
+      nodes {
+        id
+      }
+    }
+  }
+  ... on DiscountCollections {
+    collections(first: 250) {
+      nodes {
+        id
+      }
+    }
+  }
+`;
+
+const VALUE_FRAGMENT = `
+  ... on DiscountPercentage {
+    percentage
+  }
+  ... on DiscountAmount {
+    amount {
+      amount
+    }
+    appliesOnEachItem
+  }
+  ... on DiscountOnQuantity {
+    quantity {
+      quantity
+    }
+    effect {
+      ... on DiscountPercentage {
+        percentage
+      }
+      ... on DiscountAmount {
+        amount {
+          amount
+        }
+      }
+    }
+  }
+`;
+
+const MINIMUM_FRAGMENT = `
+  minimumRequirement {
+    ... on DiscountMinimumQuantity {
+      greaterThanOrEqualToQuantity
+    }
+    ... on DiscountMinimumSubtotal {
+      greaterThanOrEqualToSubtotal {
+        amount
+      }
+    }
+  }
+`;
+
+const COMMON_FIELDS = `
+  title
+  startsAt
+  endsAt
+  combinesWith {
+    orderDiscounts
+    productDiscounts
+    shippingDiscounts
+  }
+`;
+
+const CODE_FIELDS = `
+  codes(first: 1) {
+    nodes {
+      code
+    }
+  }
+  usageLimit
+  appliesOncePerCustomer
+  context {
+    __typename
+  }
+`;
+
+const CUSTOMER_GETS_FIELDS = `
+  customerGets {
+    value {
+      ${VALUE_FRAGMENT}
+    }
+    items {
+      ${ITEMS_FRAGMENT}
+    }
+    appliesOnOneTimePurchase
+    appliesOnSubscription
+  }
+`;
+
+const CUSTOMER_BUYS_FIELDS = `
+  customerBuys {
+    value {
+      ... on DiscountQuantity {
+        quantity
+      }
+      ... on DiscountPurchaseAmount {
+        amount
+      }
+    }
+    items {
+      ${ITEMS_FRAGMENT}
+    }
+  }
+  usesPerOrderLimit
+`;
+
+const SHIPPING_FIELDS = `
+  destinationSelection {
+    ... on DiscountCountryAll {
+      allCountries
+    }
+    ... on DiscountCountries {
+      countries
+      includeRestOfWorld
+    }
+  }
+  maximumShippingPrice {
+    amount
+  }
+  appliesOnOneTimePurchase
+  appliesOnSubscription
+`;
+
+const DISCOUNT_NODES_QUERY = `
+  query GetDiscounts($first: Int!, $after: String) {
+    discountNodes(first: $first, after: $after) {
+      nodes {
+        id
+        discount {
+          __typename
+          ... on DiscountCodeBasic {
+            ${COMMON_FIELDS}
+            ${CODE_FIELDS}
+            ${CUSTOMER_GETS_FIELDS}
+            ${MINIMUM_FRAGMENT}
+          }
+          ... on DiscountCodeBxgy {
+            ${COMMON_FIELDS}
+            ${CODE_FIELDS}
+            ${CUSTOMER_GETS_FIELDS}
+            ${CUSTOMER_BUYS_FIELDS}
+          }
+          ... on DiscountCodeFreeShipping {
+            ${COMMON_FIELDS}
+            ${CODE_FIELDS}
+            ${SHIPPING_FIELDS}
+            ${MINIMUM_FRAGMENT}
+          }
+          ... on DiscountAutomaticBasic {
+            ${COMMON_FIELDS}
+            ${CUSTOMER_GETS_FIELDS}
+            ${MINIMUM_FRAGMENT}
+          }
+          ... on DiscountAutomaticBxgy {
+            ${COMMON_FIELDS}
+            ${CUSTOMER_GETS_FIELDS}
+            ${CUSTOMER_BUYS_FIELDS}
+          }
+          ... on DiscountAutomaticFreeShipping {
+            ${COMMON_FIELDS}
+            ${SHIPPING_FIELDS}
+            ${MINIMUM_FRAGMENT}
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Flatten a discountNodes node into a plain discount object
+ * @param {Object} node - discountNodes node
+ * @returns {Object} { id, type, kind, method, code, ...fields }
+ */
+function normalizeDiscountNode(node) {
+  const { __typename, codes, ...fields } = node.discount || {};
+  return {
+    ...fields,
+    id: node.id,
+    type: __typename,
+    ...SUPPORTED_TYPES[__typename],
+    code: codes?.nodes?.[0]?.code || null,
+  };
+}
+
+/**
+ * Fetch all discounts from production store
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @returns {Promise<Array>} Array of normalized discounts
+ */
+async function getProductionDiscounts(productionStore, accessToken) {
+  const allDiscounts = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await createProductionClient(
+      productionStore,
+      accessToken,
+    ).graphql(DISCOUNT_NODES_QUERY, {
+      variables: { first: 50, after: cursor },
+    });
+
+    const data = await response.json();
+
+    if (data.errors) {
+      console.error("Error fetching production discounts:", data.errors);
+      const scopeError = data.errors.find((error) =>
+        error.message.includes("Access denied"),
+      );
+      if (scopeError) {
+        throw new Error(
+          "Access denied for discounts. Please ensure the app has 'read_discounts' scope and reinstall the app if needed.",
+        );
+      }
+      throw new Error(
+        `Failed to fetch production discounts: ${data.errors
+          .map((e) => e.message)
+          .join(", ")}`,
+      );
+    }
+
+    const nodes = data.data?.discountNodes?.nodes || [];
+    allDiscounts.push(...nodes.map(normalizeDiscountNode));
+
+    hasNextPage = data.data?.discountNodes?.pageInfo?.hasNextPage || false;
+    cursor = data.data?.discountNodes?.pageInfo?.endCursor || null;
+  }
+
+  return allDiscounts;
+}
+
+/**
+ * Fetch all staging discounts keyed by code (code discounts) or title (automatic)
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Map>} Map of match key -> normalized discount
+ */
+async function getStagingDiscountsByKey(stagingAdmin) {
+  const discounts = new Map();
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await stagingAdmin.graphql(DISCOUNT_NODES_QUERY, {
+      variables: { first: 50, after: cursor },
+    });
+    const result = await response.json();
+
+    if (result.errors) {
+      throw new Error(
+        `Failed to fetch staging discounts: ${result.errors
+          .map((e) => e.message)
+          .join(", ")}`,
+      );
+    }
+
+    for (const node of result.data?.discountNodes?.nodes || []) {
+      const discount = normalizeDiscountNode(node);
+      if (discount.kind) {
+        discounts.set(getDiscountMatchKey(discount).key, discount);
+      }
+    }
+
+    hasNextPage = result.data?.discountNodes?.pageInfo?.hasNextPage || false;
+    cursor = result.data?.discountNodes?.pageInfo?.endCursor || null;
+  }
+
+  return discounts;
+}
+
+/**
+ * Key used to match a discount between stores: its code, or title for automatic discounts
+ * @param {Object} discount - Normalized discount
+ * @returns {Object} { key, matchKey, matchValue }
+ */
+export function getDiscountMatchKey(discount) {
+  if (discount.method === "code" && discount.code) {
+    return {
+      key: `code:${discount.code.toLowerCase()}`,
+      matchKey: "code",
+      matchValue: discount.code,
+    };
+  }
+  return {
+    key: `title:${discount.title}`,
+    matchKey: "title",
+    matchValue: discount.title,
+  };
+}
+
+/**
+ * Collect production GIDs referenced by a discount items selection
+ * @param {Object} items - DiscountItems from the API
+ * @returns {Object} { all, products, variants, collections }
+ */
+export function extractItemGids(items) {
+  return {
+    all: Boolean(items?.allItems),
+    products: items?.products?.nodes?.map((n) => n.id) || [],
+    variants: items?.productVariants?.nodes?.map((n) => n.id) || [],
+    collections: items?.collections?.nodes?.map((n) => n.id) || [],
+  };
+}
+
+/**
+ * Remap product, variant and collection eligibility to staging GIDs.
+ * Unmapped GIDs are logged as unmapped references by the translator.
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {Object} items - DiscountItems from the API
+ * @param {string} context - Context for unmapped reference logging
+ * @returns {Promise<Object>} { items: { all, products, variants, collections }, unmapped }
+ */
+async function remapItems(storeConnectionId, items, context) {
+  const gids = extractItemGids(items);
+  if (gids.all) return { items: gids, unmapped: [] };
+
+  const remapped = { all: false, products: [], variants: [], collections: [] };
+  const unmapped = [];
+
+  for (const key of ["products", "variants", "collections"]) {
+    for (const gid of gids[key]) {
+      if (!storeConnectionId) {
+        unmapped.push(gid);
+        continue;
+      }
+      const result = await translateGid(
+        storeConnectionId,
+        gid,
+        context,
+        "discounts",
+      );
+      if (result.success) {
+        remapped[key].push(result.stagingGid);
+      } else {
+        unmapped.push(gid);
+      }
+    }
+  }
+
+  return { items: remapped, unmapped };
+}
+
+/**
+ * Build DiscountItemsInput, removing staging items that are no longer eligible
+ * @param {Object} items - Remapped items { all, products, variants, collections }
+ * @param {Object|null} existingItems - Current staging DiscountItems (on update)
+ * @returns {Object} DiscountItemsInput
+ */
+export function buildItemsInput(items, existingItems = null) {
+  if (items.all) return { all: true };
+
+  const existing = extractItemGids(existingItems);
+  const removed = (current, next) => current.filter((id) => !next.includes(id));
+
+  if (items.collections.length > 0) {
+    const input = { collections: { add: items.collections } };
+    const remove = removed(existing.collections, items.collections);
+    if (remove.length > 0) input.collections.remove = remove;
+    return input;
+  }
+
+  const input = {
+    products: {
+      productsToAdd: items.products,
+      productVariantsToAdd: items.variants,
+    },
+  };
+  const productsToRemove = removed(existing.products, items.products);
+  const variantsToRemove = removed(existing.variants, items.variants);
+  if (productsToRemove.length > 0)
+    input.products.productsToRemove = productsToRemove;
+  if (variantsToRemove.length > 0) {
+    input.products.productVariantsToRemove = variantsToRemove;
+  }
+  return input;
+}
+
+/**
+ * Build DiscountCustomerGetsValueInput from an API value
+ * @param {Object} value - DiscountCustomerGetsValue
+ * @returns {Object} DiscountCustomerGetsValueInput
+ */
+export function buildValueInput(value) {
+  if (value?.percentage !== undefined) {
+    return { percentage: value.percentage };
+  }
+  if (value?.amount?.amount !== undefined) {
+    return {
+      discountAmount: {
+        amount: value.amount.amount,
+        appliesOnEachItem: Boolean(value.appliesOnEachItem),
+      },
+    };
+  }
+  if (value?.quantity?.quantity !== undefined) {
+    const effect =
+      value.effect?.percentage !== undefined
+        ? { percentage: value.effect.percentage }
+        : { amount: value.effect?.amount?.amount };
+    return {
+      discountOnQuantity: { quantity: value.quantity.quantity, effect },
+    };
+  }
+  return null;
+}
+
+/**
+ * Build DiscountMinimumRequirementInput from an API minimum requirement
+ * @param {Object|null} minimum - DiscountMinimumRequirement
+ * @returns {Object|null} DiscountMinimumRequirementInput
+ */
+export function buildMinimumRequirementInput(minimum) {
+  if (minimum?.greaterThanOrEqualToQuantity) {
+    return {
+      quantity: {
+        greaterThanOrEqualToQuantity: minimum.greaterThanOrEqualToQuantity,
+      },
+    };
+  }
+  if (minimum?.greaterThanOrEqualToSubtotal?.amount) {
+    return {
+      subtotal: {
+        greaterThanOrEqualToSubtotal:
+          minimum.greaterThanOrEqualToSubtotal.amount,
+      },
+    };
+  }
+  return null;
+}
+
+/**
+ * Build the create/update input for a discount
+ * @param {Object} discount - Normalized production discount
+ * @param {Object} remapped - { getsItems, buysItems } remapped item selections
+ * @param {Object|null} existing - Matching staging discount (on update)
+ * @returns {Object} Discount input for the matching mutation
+ */
+export function buildDiscountInput(discount, remapped, existing = null) {
+  const input = {
+    title: discount.title,
+    startsAt: discount.startsAt,
+    endsAt: discount.endsAt,
+    combinesWith: discount.combinesWith,
+  };
+
+  if (discount.method === "code") {
+    input.code = discount.code;
+    input.usageLimit = discount.usageLimit;
+    input.appliesOncePerCustomer = discount.appliesOncePerCustomer;
+    input.context = { all: "ALL" };
+  }
+
+  if (discount.kind === "free_shipping") {
+    const destination = discount.destinationSelection;
+    input.destination = destination?.allCountries
+      ? { all: true }
+      : {
+          countries: {
+            add: destination?.countries || [],
+            includeRestOfWorld: Boolean(destination?.includeRestOfWorld),
+          },
+        };
+    input.maximumShippingPrice = discount.maximumShippingPrice?.amount ?? null;
+    input.appliesOnOneTimePurchase = discount.appliesOnOneTimePurchase;
+    input.appliesOnSubscription = discount.appliesOnSubscription;
+    input.minimumRequirement = buildMinimumRequirementInput(
+      discount.minimumRequirement,
+    );
+    return input;
+  }
+
+  input.customerGets = {
+    value: buildValueInput(discount.customerGets?.value),
+    items: buildItemsInput(remapped.getsItems, existing?.customerGets?.items),
+  };
+  if (discount.customerGets?.appliesOnOneTimePurchase !== undefined) {
+    input.customerGets.appliesOnOneTimePurchase =
+      discount.customerGets.appliesOnOneTimePurchase;
+    input.customerGets.appliesOnSubscription =
+      discount.customerGets.appliesOnSubscription;
+  }
+
+  if (discount.kind === "basic") {
+    input.minimumRequirement = buildMinimumRequirementInput(
+      discount.minimumRequirement,
+    );
+  }
+
+  if (discount.kind === "bxgy") {
+    const buysValue = discount.customerBuys?.value;
+    input.customerBuys = {
+      value:
+        buysValue?.quantity !== undefined
+          ? { quantity: String(buysValue.quantity) }
+          : { amount: buysValue?.amount },
+      items: buildItemsInput(remapped.buysItems, existing?.customerBuys?.items),
+    };
+    input.usesPerOrderLimit = discount.usesPerOrderLimit;
+  }
+
+  return input;
+}
+
+/**
+ * Values a dry run compares between a production and staging discount: the
+ * input the sync would send, with eligible items sorted and never removed
+ * @param {Object} discount - Normalized discount
+ * @param {Object} items - { getsItems, buysItems } in staging GIDs
+ * @returns {Object} Comparable discount fields
+ */
+export function getDiscountPlanFields(discount, items) {
+  const sortItems = (selection) =>
+    selection && !selection.all
+      ? {
+          all: false,
+          products: [...selection.products].sort(),
+          variants: [...selection.variants].sort(),
+          collections: [...selection.collections].sort(),
+        }
+      : selection;
+
+  return buildDiscountInput(discount, {
+    getsItems: sortItems(items.getsItems),
+    buysItems: sortItems(items.buysItems),
+  });
+}
+
+/**
+ * Create or update a discount in staging
+ * @param {Object} discount - Normalized production discount
+ * @param {Object} input - Discount input
+ * @param {Object|null} existing - Matching staging discount
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} { success, id } or { success, errors }
+ */
+async function saveDiscountInStaging(discount, input, existing, stagingAdmin) {
+  const {
+    name,
+    arg,
+    input: inputType,
+  } = MUTATIONS[`${discount.kind}:${discount.method}`];
+  const nodeField =
+    discount.method === "code" ? "codeDiscountNode" : "automaticDiscountNode";
+  const root = existing ? `${name}Update` : `${name}Create`;
+
+  const mutation = existing
+    ? `
+      mutation UpdateDiscount($id: ID!, $input: ${inputType}!) {
+        ${root}(id: $id, ${arg}: $input) {
+          ${nodeField} {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    : `
+      mutation CreateDiscount($input: ${inputType}!) {
+        ${root}(${arg}: $input) {
+          ${nodeField} {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+  const variables = existing ? { id: existing.id, input } : { input };
+  const response = await stagingAdmin.graphql(mutation, { variables });
+  const result = await response.json();
+
+  if (result.errors) {
+    return {
+      success: false,
+      errors: result.errors.map((e) => e.message).join(", "),
+    };
+  }
+
+  const userErrors = result.data?.[root]?.userErrors || [];
+  if (userErrors.length > 0) {
+    return {
+      success: false,
+      errors: userErrors
+        .map((e) =>
+          e.field ? `${e.field.join(".")}: ${e.message}` : e.message,
+        )
+        .join(", "),
+    };
+  }
+
+  const id = result.data?.[root]?.[nodeField]?.id;
+  if (id) {
+    return { success: true, id };
+  }
+
+  return {
+    success: false,
+    errors: `Unknown error in ${root}`,
+  };
+}
+
+/**
+ * Sync discounts from production to staging
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string|null} storeConnectionId - Store connection ID for mappings
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
+ * @returns {Promise<Object>} Sync summary
+ */
+async function runDiscountsSync(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
+) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    unmappedSkipped: 0,
+    errors: [],
+  };
+
+  try {
+    // Step 1: Fetch discounts from both stores
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: "Fetching discounts from production store...",
+    });
+
+    onProgress({
+      stage: "fetching",
+      message: "Fetching discounts from production...",
+      percentage: 0,
+    });
+
+    const productionDiscounts = await getProductionDiscounts(
+      productionStore,
+      accessToken,
+    );
+    const stagingDiscounts = await getStagingDiscountsByKey(stagingAdmin);
+
+    summary.total = productionDiscounts.length;
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📋 Found ${productionDiscounts.length} discount(s) in production, ${stagingDiscounts.size} in staging`,
+    });
+
+    // A resumed job skips the discounts processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "discounts"));
+    }
+
+    // Step 2: Create or update each supported discount
+    for (let i = resumeIndex; i < productionDiscounts.length; i++) {
+      if (shouldStopSync(options, summary, log, i, "discounts")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
+      const discount = productionDiscounts[i];
+      const label = discount.code || discount.title;
+      if (!isSyncTarget(options, { id: discount.id, key: label })) {
+        continue;
+      }
+
+      onProgress({
+        stage: "processing",
+        message: `Processing discount: ${label}`,
+        percentage: Math.round(((i + 1) / productionDiscounts.length) * 100),
+        checkpoint: { index: i },
+      });
+
+      if (!discount.kind) {
+        summary.skipped++;
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Skipping ${label}: ${discount.type} discounts are not supported`,
+          skipped: true,
+        });
+        continue;
+      }
+
+      if (discount.method === "code" && !discount.code) {
+        summary.skipped++;
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Skipping ${discount.title}: no discount code found`,
+          skipped: true,
+        });
+        continue;
+      }
+
+      // Remap eligibility; skip the discount if any reference is unmapped
+      const context = `discount:${label}`;
+      const gets = discount.customerGets
+        ? await remapItems(
+            storeConnectionId,
+            discount.customerGets.items,
+            `${context} customerGets`,
+          )
+        : { items: null, unmapped: [] };
+      const buys = discount.customerBuys
+        ? await remapItems(
+            storeConnectionId,
+            discount.customerBuys.items,
+            `${context} customerBuys`,
+          )
+        : { items: null, unmapped: [] };
+      const unmapped = [...gets.unmapped, ...buys.unmapped];
+
+      if (unmapped.length > 0) {
+        plan.skip({
+          resourceType: "discount",
+          key: getDiscountMatchKey(discount).key,
+          label,
+          reason: `${unmapped.length} eligible reference(s) are not mapped to staging`,
+        });
+        summary.skipped++;
+        summary.unmappedSkipped++;
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Skipping ${label}: ${unmapped.length} eligible product/variant/collection reference(s) are not mapped to staging (sync products and collections first)`,
+          skipped: true,
+          details: unmapped,
+        });
+        continue;
+      }
+
+      if (
+        discount.context &&
+        discount.context.__typename !== "DiscountBuyerSelectionAll"
+      ) {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ ${label} targets specific customers or segments in production; it will apply to all customers in staging`,
+        });
+      }
+
+      const { key, matchKey, matchValue } = getDiscountMatchKey(discount);
+      const existing = stagingDiscounts.get(key);
+
+      if (existing && existing.type !== discount.type) {
+        summary.failed++;
+        const message = `Staging discount ${label} exists with a different type (${existing.type})`;
+        summary.errors.push(message);
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `❌ ${message}`,
+          success: false,
+          error: message,
+        });
+        continue;
+      }
+
+      const input = buildDiscountInput(
+        discount,
+        { getsItems: gets.items, buysItems: buys.items },
+        existing,
+      );
+
+      if (
+        !plan.shouldApply({
+          resourceType: "discount",
+          key,
+          label,
+          action: existing ? "update" : "create",
+          before: existing
+            ? getDiscountPlanFields(existing, {
+                getsItems: extractItemGids(existing.customerGets?.items),
+                buysItems: extractItemGids(existing.customerBuys?.items),
+              })
+            : null,
+          after: getDiscountPlanFields(discount, {
+            getsItems: gets.items,
+            buysItems: buys.items,
+          }),
+        })
+      ) {
+        summary.skipped++;
+        continue;
+      }
+
+      const result = await saveDiscountInStaging(
+        discount,
+        input,
+        existing,
+        stagingAdmin,
+      );
+
+      if (!result.success) {
+        summary.failed++;
+        summary.errors.push(`${label}: ${result.errors}`);
+        recordFailedItem(summary, {
+          resourceType: "discount",
+          id: discount.id,
+          key: label,
+          error: String(result.errors),
+        });
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `❌ Failed to ${existing ? "update" : "create"} discount ${label}: ${result.errors}`,
+          success: false,
+          error: result.errors,
+        });
+        continue;
+      }
+
+      if (existing) {
+        summary.updated++;
+      } else {
+        summary.created++;
+      }
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `✅ Successfully ${existing ? "updated" : "created"} ${discount.method} discount: ${label}`,
+        success: true,
+      });
+
+      if (storeConnectionId) {
+        try {
+          await saveMapping(storeConnectionId, "discount", {
+            productionId: extractIdFromGid(discount.id),
+            stagingId: extractIdFromGid(result.id),
+            productionGid: discount.id,
+            stagingGid: result.id,
+            matchKey,
+            matchValue,
+            syncId: null,
+            title: discount.title,
+          });
+          console.log(`✅ Saved mapping for discount: ${label}`);
+        } catch (mappingError) {
+          console.error(
+            `⚠️ Failed to save mapping for discount ${label}:`,
+            mappingError.message,
+          );
+        }
+      }
+    }
+
+    onProgress({
+      stage: "complete",
+      message: "Discount sync complete",
+      percentage: 100,
+    });
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🎉 Discount sync completed: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped (${summary.unmappedSkipped} with unmapped references), ${summary.failed} failed`,
+    });
+  } catch (error) {
+    console.error("Error in syncDiscounts:", error);
+    summary.errors.push(error.message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fatal error: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return { summary, log, plan: plan.toJSON() };
+}
+
+export const syncDiscounts = withGraphqlCost(runDiscountsSync);
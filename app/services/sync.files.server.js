@@ -1,4 +1,15 @@
 import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { recordFailedItem } from "./sync-retry.server.js";
+import { isSyncTarget } from "./sync-target.server.js";
+import { readSourceResources } from "./sync-source.server.js";
 
 /**
  * Fetch all image files from production store
@@ -6,7 +17,7 @@ import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
  * @param {string} accessToken - The production store access token
  * @returns {Promise<Array>} Array of image files
  */
-async function getProductionImageFiles(productionStore, accessToken) {
+export async function getProductionImageFiles(productionStore, accessToken) {
   const files = [];
   let hasNextPage = true;
   let cursor = null;
@@ -42,20 +53,10 @@ async function getProductionImageFiles(productionStore, accessToken) {
       }
     `;
 
-    const response = await fetch(
-      `https://${productionStore}/admin/api/2025-07/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": accessToken,
-        },
-        body: JSON.stringify({
-          query,
-          variables: { cursor },
-        }),
-      },
-    );
+    const response = await createProductionClient(
+      productionStore,
+      accessToken,
+    ).graphql(query, { variables: { cursor } });
 
     const data = await response.json();
 
@@ -273,16 +274,22 @@ async function waitForFileProcessing(fileId, stagingAdmin, maxAttempts = 10) {
  * @param {string} accessToken - The production store access token
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncImageFiles(
+async function runImageFilesSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
   const summary = {
     total: 0,
     created: 0,
@@ -304,9 +311,8 @@ export async function syncImageFiles(
       percentage: 0,
     });
 
-    const productionFiles = await getProductionImageFiles(
-      productionStore,
-      accessToken,
+    const productionFiles = await readSourceResources(options, "files", () =>
+      getProductionImageFiles(productionStore, accessToken),
     );
 
     summary.total = productionFiles.length;
@@ -317,13 +323,27 @@ export async function syncImageFiles(
     });
 
     if (productionFiles.length === 0) {
-      return { summary, log };
+      return { summary, log, plan: plan.toJSON() };
+    }
+
+    // A resumed job skips the files processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "files"));
     }
 
     // Step 2: Process each file
-    for (let i = 0; i < productionFiles.length; i++) {
+    for (let i = resumeIndex; i < productionFiles.length; i++) {
+      if (shouldStopSync(options, summary, log, i, "files")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
       const file = productionFiles[i];
       const filename = extractFilenameFromUrl(file.image.url);
+      if (!isSyncTarget(options, { id: file.id, key: filename })) {
+        continue;
+      }
       const progress = Math.round(((i + 1) / productionFiles.length) * 100);
 
       onProgress({
@@ -332,6 +352,7 @@ export async function syncImageFiles(
         percentage: progress,
         current: i + 1,
         total: productionFiles.length,
+        checkpoint: { index: i },
       });
 
       log.push({
@@ -374,6 +395,18 @@ export async function syncImageFiles(
         continue;
       }
 
+      if (
+        !plan.shouldApply({
+          resourceType: "file",
+          key: filename,
+          action: "create",
+          after: { filename, alt: file.alt || "" },
+        })
+      ) {
+        summary.skipped++;
+        continue;
+      }
+
       // Create file in staging
       const result = await createFileInStaging(file, stagingAdmin);
 
@@ -415,6 +448,12 @@ export async function syncImageFiles(
           }
         } else {
           summary.failed++;
+          recordFailedItem(summary, {
+            resourceType: "file",
+            id: file.id,
+            key: filename,
+            error: `File status ${status}`,
+          });
           log.push({
             timestamp: new Date().toISOString(),
             message: `❌ Failed to process ${filename}: File status ${status}`,
@@ -431,6 +470,12 @@ export async function syncImageFiles(
       } else {
         summary.failed++;
         summary.errors.push(`${filename}: ${result.errors}`);
+        recordFailedItem(summary, {
+          resourceType: "file",
+          id: file.id,
+          key: filename,
+          error: String(result.errors),
+        });
         log.push({
           timestamp: new Date().toISOString(),
           message: `❌ Failed to create ${filename}: ${result.errors}`,
@@ -455,5 +500,7 @@ export async function syncImageFiles(
     summary.errors.push(error.message);
   }
 
-  return { summary, log };
+  return { summary, log, plan: plan.toJSON() };
 }
+
+export const syncImageFiles = withGraphqlCost(runImageFilesSync);
@@ -1,6 +1,13 @@
 // Location sync service - handles syncing locations between stores
 
 import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { readSourceResources } from "./sync-source.server.js";
 
 /**
  * Get all locations from production store
@@ -8,7 +15,7 @@ import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
  * @param {string} accessToken - The production store access token
  * @returns {Promise<Array>} Array of location objects
  */
-async function getProductionLocations(productionStore, accessToken) {
+export async function getProductionLocations(productionStore, accessToken) {
   console.log("Fetching locations from production store...");
 
   const query = `
@@ -50,20 +57,10 @@ async function getProductionLocations(productionStore, accessToken) {
 
   while (hasNextPage) {
     try {
-      const response = await fetch(
-        `https://${productionStore}/admin/api/2025-07/graphql.json`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": accessToken,
-          },
-          body: JSON.stringify({
-            query,
-            variables: { first: 50, after: cursor },
-          }),
-        },
-      );
+      const response = await createProductionClient(
+        productionStore,
+        accessToken,
+      ).graphql(query, { variables: { first: 50, after: cursor } });
 
       const data = await response.json();
 
@@ -241,15 +238,19 @@ function locationsMatch(prodLocation, stagingLocation) {
  * @param {string} accessToken - The production store access token
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncLocations(
+async function runLocationsSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
   const summary = {
     total: 0,
     created: 0,
@@ -259,6 +260,8 @@ export async function syncLocations(
   };
 
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
 
   try {
     // Step 1: Fetch locations from both stores
@@ -268,9 +271,10 @@ export async function syncLocations(
       totalSteps: 4,
     });
 
-    const productionLocations = await getProductionLocations(
-      productionStore,
-      accessToken,
+    const productionLocations = await readSourceResources(
+      options,
+      "locations",
+      () => getProductionLocations(productionStore, accessToken),
     );
     summary.total = productionLocations.length;
 
@@ -351,6 +355,19 @@ export async function syncLocations(
             );
           }
         }
+      } else if (
+        !plan.shouldApply({
+          resourceType: "location",
+          key: prodLocation.name,
+          action: "create",
+          after: {
+            name: prodLocation.name,
+            address: prodLocation.address,
+            fulfillsOnlineOrders: prodLocation.fulfillsOnlineOrders,
+          },
+        })
+      ) {
+        continue;
       } else {
         // Create the location
         try {
@@ -420,6 +437,7 @@ export async function syncLocations(
       success: true,
       summary,
       log,
+      plan: plan.toJSON(),
     };
   } catch (error) {
     console.error("Location sync failed:", error);
@@ -427,6 +445,8 @@ export async function syncLocations(
   }
 }
 
+export const syncLocations = withGraphqlCost(runLocationsSync);
+
 /**
  * Get location mappings between production and staging
  * @param {string} productionStore - The production store domain
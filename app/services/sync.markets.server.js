@@ -7,17 +7,32 @@ import {
   syncMetafieldValues,
   syncMetafieldDefinitions,
 } from "./sync.metafields.server.js";
-import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import {
+  saveMapping,
+  extractIdFromGid,
+  getMappingByProductionGid,
+} from "./resource-mapping.server.js";
+import { translateGid } from "../utils/gid-translator.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import {
+  createSyncPlan,
+  diffFields,
+  stableStringify,
+  toMetafieldMap,
+} from "./sync-plan.server.js";
+import { isSnapshotSource, readSourceResources } from "./sync-source.server.js";
 
 /**
- * Fetch the primary catalog and curated product handles for a production market.
- * Returns { title, status, currency, productHandles } or null if none.
+ * Fetch the primary catalog and curated product handles for a market.
+ * Returns { id, title, status, currency, priceList, publicationId, productHandles }
+ * or null if none. Works against either store's client; `catalogId` picks
+ * a specific catalog of the market when it still exists.
  */
-async function getProductionMarketCatalog(
-  productionStore,
-  accessToken,
-  marketId,
-) {
+async function getMarketCatalog(client, marketId, catalogId = null) {
   const query = `
     query GetMarketCatalog($id: ID!, $after: String) {
       market(id: $id) {
@@ -26,7 +41,14 @@ async function getProductionMarketCatalog(
             id
             title
             status
-            priceList { currency }
+            priceList {
+              id
+              currency
+              parent {
+                adjustment { type value }
+                settings { compareAtMode }
+              }
+            }
             publication {
               id
               products(first: 250, after: $after) {
@@ -40,62 +62,78 @@ async function getProductionMarketCatalog(
     }
   `;
 
-  try {
-    // First request to get catalog metadata and first page of products
-    let after = null;
-    let productHandles = [];
-    let chosenCatalog = null;
-
-    // We may need more than one request to paginate products.
-    while (true) {
-      const response = await fetch(
-        `https://${productionStore}/admin/api/2025-07/graphql.json`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": accessToken,
-          },
-          body: JSON.stringify({ query, variables: { id: marketId, after } }),
-        },
-      );
+  // First request to get catalog metadata and first page of products
+  let after = null;
+  let productHandles = [];
+  let chosenCatalog = null;
 
-      const data = await response.json();
-      if (data.errors) {
-        const msg = data.errors.map((e) => e.message).join(", ");
-        throw new Error(`GraphQL errors: ${msg}`);
-      }
+  // We may need more than one request to paginate products.
+  while (true) {
+    const response = await client.graphql(query, {
+      variables: { id: marketId, after },
+    });
 
-      const catalogs = data.data?.market?.catalogs?.nodes || [];
-      if (!chosenCatalog) {
-        // prefer ACTIVE catalog, else first
-        chosenCatalog =
-          catalogs.find((c) => c.status === "ACTIVE") || catalogs[0] || null;
-        if (!chosenCatalog) return null;
-      }
+    const data = await response.json();
+    if (data.errors) {
+      const msg = data.errors.map((e) => e.message).join(", ");
+      throw new Error(`GraphQL errors: ${msg}`);
+    }
 
-      const currentProducts = chosenCatalog.publication?.products;
-      if (currentProducts?.nodes?.length) {
-        productHandles.push(
-          ...currentProducts.nodes.map((p) => p.handle).filter(Boolean),
-        );
-      }
+    const catalogs = data.data?.market?.catalogs?.nodes || [];
+    // prefer ACTIVE catalog, else first; later pages re-read the same one
+    const chosenId = chosenCatalog?.id;
+    const catalog = chosenId
+      ? catalogs.find(({ id }) => id === chosenId)
+      : catalogs.find(({ id }) => id === catalogId) ||
+        catalogs.find((c) => c.status === "ACTIVE") ||
+        catalogs[0];
+    if (!catalog) {
+      if (!chosenCatalog) return null;
+      break;
+    }
+    chosenCatalog ??= catalog;
 
-      const pageInfo = currentProducts?.pageInfo;
-      if (pageInfo?.hasNextPage) {
-        after = pageInfo.endCursor;
-        // loop continues with updated cursor
-      } else {
-        break;
-      }
+    const currentProducts = catalog.publication?.products;
+    if (currentProducts?.nodes?.length) {
+      productHandles.push(
+        ...currentProducts.nodes.map((p) => p.handle).filter(Boolean),
+      );
     }
 
-    return {
-      title: chosenCatalog.title,
-      status: chosenCatalog.status,
-      currency: chosenCatalog.priceList?.currency || null,
-      productHandles,
-    };
+    const pageInfo = currentProducts?.pageInfo;
+    if (pageInfo?.hasNextPage) {
+      after = pageInfo.endCursor;
+      // loop continues with updated cursor
+    } else {
+      break;
+    }
+  }
+
+  return {
+    id: chosenCatalog.id,
+    title: chosenCatalog.title,
+    status: chosenCatalog.status,
+    currency: chosenCatalog.priceList?.currency || null,
+    priceList: chosenCatalog.priceList || null,
+    publicationId: chosenCatalog.publication?.id || null,
+    productHandles,
+  };
+}
+
+/**
+ * Fetch the primary catalog of a production market, or null if it has none
+ * or it can't be read
+ */
+async function getProductionMarketCatalog(
+  productionStore,
+  accessToken,
+  marketId,
+) {
+  try {
+    return await getMarketCatalog(
+      createProductionClient(productionStore, accessToken),
+      marketId,
+    );
   } catch (error) {
     console.warn(
       `[MARKETS DEBUG] Failed to read production catalog for market ${marketId}:`,
@@ -175,88 +213,330 @@ async function resolveStagingProductIdsByHandles(stagingAdmin, handles) {
 }
 
 /**
- * Create a catalog on staging for a market, attach a publication and price list,
- * and populate the curated product set.
+ * Fetch the fixed (per-variant) prices of a price list from either store.
+ * Returns [{ variantId, price, compareAtPrice }].
  */
-async function ensureStagingCatalogWithCuratedPublication(
-  stagingAdmin,
-  marketId,
-  marketName,
-  baseCurrencyCode,
-  productHandles,
-) {
-  // Create catalog (assign directly to market context)
-  const catalogCreate = `
-    mutation($title:String!, $marketId:ID!) {
-      catalogCreate(input:{ title:$title, status: ACTIVE, context:{ marketIds: [$marketId] }}) {
-        catalog { id title status }
-        userErrors { field message code }
+async function getPriceListFixedPrices(client, priceListId) {
+  const query = `
+    query GetFixedPrices($id: ID!, $after: String) {
+      priceList(id: $id) {
+        prices(first: 250, after: $after, originType: FIXED) {
+          nodes {
+            variant { id }
+            price { amount currencyCode }
+            compareAtPrice { amount currencyCode }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
       }
     }
   `;
 
-  const title = `Synced ${marketName}`.slice(0, 60);
-  const catalogResp = await stagingAdmin.graphql(catalogCreate, {
-    variables: { title, marketId },
-  });
-  const catalogJson = await catalogResp.json();
-  if (catalogJson.data?.catalogCreate?.userErrors?.length) {
-    const msg = catalogJson.data.catalogCreate.userErrors
-      .map((e) => e.message)
-      .join(", ");
-    console.warn(
-      `[MARKETS DEBUG] catalogCreate errors for ${marketName}:`,
-      msg,
+  const prices = [];
+  let after = null;
+
+  while (true) {
+    const response = await client.graphql(query, {
+      variables: { id: priceListId, after },
+    });
+
+    const data = await response.json();
+    if (data.errors) {
+      const msg = data.errors.map((e) => e.message).join(", ");
+      throw new Error(`GraphQL errors: ${msg}`);
+    }
+
+    const page = data.data?.priceList?.prices;
+    prices.push(
+      ...(page?.nodes || []).map((node) => ({
+        variantId: node.variant?.id,
+        price: node.price,
+        compareAtPrice: node.compareAtPrice,
+      })),
     );
+
+    if (page?.pageInfo?.hasNextPage) {
+      after = page.pageInfo.endCursor;
+    } else {
+      break;
+    }
   }
-  const catalogId = catalogJson.data?.catalogCreate?.catalog?.id;
-  if (!catalogId) {
-    return { success: false, error: "Failed to create catalog" };
+
+  return prices.filter((p) => p.variantId);
+}
+
+/**
+ * Build the PriceListParentCreateInput mirroring a production price list's
+ * percentage adjustment and compare-at rule. Price lists always need a parent,
+ * so a 0% decrease is used when production has none.
+ */
+export function buildPriceListParentInput(parent) {
+  const input = {
+    adjustment: {
+      type: parent?.adjustment?.type || "PERCENTAGE_DECREASE",
+      value: parent?.adjustment?.value ?? 0,
+    },
+  };
+  if (parent?.settings?.compareAtMode) {
+    input.settings = { compareAtMode: parent.settings.compareAtMode };
+  }
+  return input;
+}
+
+/**
+ * Build PriceListPriceInput entries for fixed prices, replacing production
+ * variant IDs with staging ones. Returns { inputs, unmapped }.
+ */
+export function buildFixedPriceInputs(prices, variantIdMap) {
+  const inputs = [];
+  const unmapped = [];
+
+  for (const { variantId, price, compareAtPrice } of prices) {
+    const stagingVariantId = variantIdMap.get(variantId);
+    if (!stagingVariantId) {
+      unmapped.push(variantId);
+      continue;
+    }
+
+    const input = {
+      variantId: stagingVariantId,
+      price: { amount: price.amount, currencyCode: price.currencyCode },
+    };
+    if (compareAtPrice) {
+      input.compareAtPrice = {
+        amount: compareAtPrice.amount,
+        currencyCode: compareAtPrice.currencyCode,
+      };
+    }
+    inputs.push(input);
   }
 
-  console.log(`[MARKETS DEBUG] Created catalog ${catalogId} for ${marketName}`);
+  return { inputs, unmapped };
+}
+
+/**
+ * Read a production price list's fixed prices with their variants mapped to
+ * staging through the variant mappings saved by product sync.
+ * Returns { inputs, unmapped } (see buildFixedPriceInputs).
+ */
+async function getMappedFixedPrices(
+  productionStore,
+  accessToken,
+  storeConnectionId,
+  productionPriceListId,
+  marketName,
+) {
+  const prices = await getPriceListFixedPrices(
+    createProductionClient(productionStore, accessToken),
+    productionPriceListId,
+  );
 
-  // Create publication with NONE default state (curated)
-  const publicationCreate = `
-    mutation($catalogId:ID!) {
-      publicationCreate(input:{ catalogId: $catalogId, defaultState: NONE, autoPublish: true }) {
-        publication { id }
+  const variantIdMap = new Map();
+  for (const { variantId } of prices) {
+    const result = await translateGid(
+      storeConnectionId,
+      variantId,
+      `market:${marketName} price list`,
+      "markets",
+    );
+    if (result.success) variantIdMap.set(variantId, result.stagingGid);
+  }
+
+  return buildFixedPriceInputs(prices, variantIdMap);
+}
+
+/**
+ * Add fixed prices to a staging price list, 250 per request.
+ * Returns { added, errors }.
+ */
+async function addPriceListFixedPrices(stagingAdmin, priceListId, inputs) {
+  const fixedPricesAdd = `
+    mutation($priceListId:ID!, $prices:[PriceListPriceInput!]!) {
+      priceListFixedPricesAdd(priceListId:$priceListId, prices:$prices) {
+        prices { variant { id } }
         userErrors { field message }
       }
     }
   `;
-  const pubResp = await stagingAdmin.graphql(publicationCreate, {
-    variables: { catalogId },
-  });
-  const pubJson = await pubResp.json();
-  const publicationId = pubJson.data?.publicationCreate?.publication?.id;
-  if (!publicationId) {
-    return { success: false, error: "Failed to create publication" };
+
+  let added = 0;
+  const errors = [];
+  for (let i = 0; i < inputs.length; i += 250) {
+    const batch = inputs.slice(i, i + 250);
+    const resp = await stagingAdmin.graphql(fixedPricesAdd, {
+      variables: { priceListId, prices: batch },
+    });
+    const json = await resp.json();
+    if (json.errors) {
+      errors.push(...json.errors.map((e) => e.message));
+      continue;
+    }
+    const userErrors = json.data?.priceListFixedPricesAdd?.userErrors || [];
+    errors.push(...userErrors.map((e) => e.message));
+    added += json.data?.priceListFixedPricesAdd?.prices?.length || 0;
   }
 
-  // Create a price list (optional but explicit) – requires currency match
-  if (baseCurrencyCode) {
-    const priceListCreate = `
-      mutation($name:String!, $currency:CurrencyCode!, $catalogId:ID!) {
-        priceListCreate(input:{ name:$name, currency:$currency, catalogId:$catalogId }) {
-          priceList { id }
+  return { added, errors };
+}
+
+/**
+ * Remove the fixed prices of the given staging variants from a price list,
+ * 250 per request. Returns { deleted, errors }.
+ */
+async function deletePriceListFixedPrices(
+  stagingAdmin,
+  priceListId,
+  variantIds,
+) {
+  const fixedPricesDelete = `
+    mutation($priceListId:ID!, $variantIds:[ID!]!) {
+      priceListFixedPricesDelete(priceListId:$priceListId, variantIds:$variantIds) {
+        deletedFixedPriceVariantIds
+        userErrors { field message }
+      }
+    }
+  `;
+
+  let deleted = 0;
+  const errors = [];
+  for (let i = 0; i < variantIds.length; i += 250) {
+    const resp = await stagingAdmin.graphql(fixedPricesDelete, {
+      variables: { priceListId, variantIds: variantIds.slice(i, i + 250) },
+    });
+    const json = await resp.json();
+    errors.push(...getMutationErrors(json, "priceListFixedPricesDelete"));
+    deleted +=
+      json.data?.priceListFixedPricesDelete?.deletedFixedPriceVariantIds
+        ?.length || 0;
+  }
+
+  return { deleted, errors };
+}
+
+/**
+ * Fields of a market catalog compared by a dry run. Staging catalogs are
+ * titled after the market, so only the curated products are compared.
+ * @param {Object} catalog - Catalog from getMarketCatalog
+ * @returns {Object} Comparable catalog fields
+ */
+export function getCatalogPlanFields(catalog) {
+  return { products: [...(catalog.productHandles || [])].sort() };
+}
+
+/**
+ * Fields of a price list compared by a dry run. A price list without a
+ * parent compares as the 0% decrease staging price lists are created with.
+ * @param {Object} priceList - Price list with currency and parent
+ * @returns {Object} Comparable price list fields
+ */
+export function getPriceListPlanFields(priceList) {
+  const parent = buildPriceListParentInput(priceList.parent);
+  return {
+    currency: priceList.currency,
+    adjustment: parent.adjustment,
+    compareAtMode: parent.settings?.compareAtMode ?? null,
+  };
+}
+
+/**
+ * Fixed prices by staging variant ID, compared by a dry run
+ * @param {Array<Object>} prices - Fixed prices or price inputs with staging variant IDs
+ * @returns {Object} Comparable fixed prices
+ */
+export function getFixedPricePlanFields(prices) {
+  const format = (money) => money && `${money.amount} ${money.currencyCode}`;
+  return {
+    prices: Object.fromEntries(
+      prices.map((p) => [
+        p.variantId,
+        {
+          price: format(p.price),
+          compareAtPrice: format(p.compareAtPrice) || null,
+        },
+      ]),
+    ),
+  };
+}
+
+/**
+ * Collect the top-level and user errors of a staging mutation response
+ * @param {Object} json - Parsed GraphQL response
+ * @param {string} mutationName - Mutation field holding the userErrors
+ * @returns {Array<string>} Error messages
+ */
+function getMutationErrors(json, mutationName) {
+  return [
+    ...(json.errors || []),
+    ...(json.data?.[mutationName]?.userErrors || []),
+  ].map((e) => e.message);
+}
+
+/**
+ * Make sure a staging market has a curated catalog with a publication, and
+ * publish the catalog's products to it. An existing staging catalog is
+ * reused rather than duplicated.
+ */
+async function ensureStagingCatalogWithCuratedPublication(
+  stagingAdmin,
+  marketId,
+  marketName,
+  productHandles,
+  stagingCatalog = null,
+) {
+  let catalogId = stagingCatalog?.id || null;
+  if (!catalogId) {
+    // Create catalog (assign directly to market context)
+    const catalogCreate = `
+      mutation($title:String!, $marketId:ID!) {
+        catalogCreate(input:{ title:$title, status: ACTIVE, context:{ marketIds: [$marketId] }}) {
+          catalog { id title status }
+          userErrors { field message code }
+        }
+      }
+    `;
+
+    const title = `Synced ${marketName}`.slice(0, 60);
+    const catalogResp = await stagingAdmin.graphql(catalogCreate, {
+      variables: { title, marketId },
+    });
+    const catalogJson = await catalogResp.json();
+    catalogId = catalogJson.data?.catalogCreate?.catalog?.id;
+    if (!catalogId) {
+      const errors = getMutationErrors(catalogJson, "catalogCreate");
+      return {
+        success: false,
+        error: `Failed to create catalog: ${errors.join(", ") || "no catalog returned"}`,
+      };
+    }
+
+    console.log(
+      `[MARKETS DEBUG] Created catalog ${catalogId} for ${marketName}`,
+    );
+  }
+
+  let publicationId = stagingCatalog?.publicationId || null;
+  if (!publicationId) {
+    // Create publication with NONE default state (curated)
+    const publicationCreate = `
+      mutation($catalogId:ID!) {
+        publicationCreate(input:{ catalogId: $catalogId, defaultState: NONE, autoPublish: true }) {
+          publication { id }
           userErrors { field message }
         }
       }
     `;
-    const plResp = await stagingAdmin.graphql(priceListCreate, {
-      variables: {
-        name: `${marketName} prices`.slice(0, 60),
-        currency: baseCurrencyCode,
-        catalogId,
-      },
+    const pubResp = await stagingAdmin.graphql(publicationCreate, {
+      variables: { catalogId },
     });
-    const plJson = await plResp.json();
-    if (plJson.data?.priceListCreate?.userErrors?.length) {
-      console.warn(
-        `[MARKETS DEBUG] priceListCreate errors for ${marketName}:`,
-        plJson.data.priceListCreate.userErrors.map((e) => e.message).join(", "),
-      );
+    const pubJson = await pubResp.json();
+    publicationId = pubJson.data?.publicationCreate?.publication?.id;
+    if (!publicationId) {
+      const errors = getMutationErrors(pubJson, "publicationCreate");
+      return {
+        success: false,
+        catalogId,
+        error: `Failed to create publication: ${errors.join(", ") || "no publication returned"}`,
+      };
     }
   }
 
@@ -287,23 +567,420 @@ async function ensureStagingCatalogWithCuratedPublication(
     const uResp = await stagingAdmin.graphql(publicationUpdate, {
       variables: { id: publicationId, ids },
     });
-    const uJson = await uResp.json();
-    if (uJson.data?.publicationUpdate?.userErrors?.length) {
-      console.warn(
-        `[MARKETS DEBUG] publicationUpdate errors:`,
-        uJson.data.publicationUpdate.userErrors
-          .map((e) => e.message)
-          .join(", "),
+    const uJson = await uResp.json();
+    if (uJson.data?.publicationUpdate?.userErrors?.length) {
+      console.warn(
+        `[MARKETS DEBUG] publicationUpdate errors:`,
+        uJson.data.publicationUpdate.userErrors
+          .map((e) => e.message)
+          .join(", "),
+      );
+    }
+  }
+
+  return {
+    success: true,
+    catalogId,
+    publicationId,
+    published: stagingIds.length,
+  };
+}
+
+/**
+ * Create a staging price list for a catalog, or update the existing one,
+ * mirroring the production price list's currency, adjustment and compare-at
+ * rule. Returns { priceListId, errors }.
+ */
+async function saveStagingPriceList(
+  stagingAdmin,
+  catalogId,
+  marketName,
+  productionPriceList,
+  stagingPriceList = null,
+) {
+  if (stagingPriceList) {
+    const priceListUpdate = `
+      mutation($id:ID!, $input:PriceListUpdateInput!) {
+        priceListUpdate(id:$id, input:$input) {
+          priceList { id }
+          userErrors { field message }
+        }
+      }
+    `;
+    const resp = await stagingAdmin.graphql(priceListUpdate, {
+      variables: {
+        id: stagingPriceList.id,
+        input: {
+          currency: productionPriceList.currency,
+          parent: buildPriceListParentInput(productionPriceList.parent),
+        },
+      },
+    });
+    const json = await resp.json();
+    return {
+      priceListId: stagingPriceList.id,
+      errors: getMutationErrors(json, "priceListUpdate"),
+    };
+  }
+
+  const priceListCreate = `
+    mutation($name:String!, $currency:CurrencyCode!, $catalogId:ID!, $parent:PriceListParentCreateInput!) {
+      priceListCreate(input:{ name:$name, currency:$currency, catalogId:$catalogId, parent:$parent }) {
+        priceList { id }
+        userErrors { field message }
+      }
+    }
+  `;
+  const plResp = await stagingAdmin.graphql(priceListCreate, {
+    variables: {
+      name: `${marketName} prices`.slice(0, 60),
+      currency: productionPriceList.currency,
+      catalogId,
+      parent: buildPriceListParentInput(productionPriceList.parent),
+    },
+  });
+  const plJson = await plResp.json();
+  const priceListId = plJson.data?.priceListCreate?.priceList?.id || null;
+  const errors = getMutationErrors(plJson, "priceListCreate");
+  if (!priceListId && errors.length === 0) {
+    errors.push("no price list returned");
+  }
+  return { priceListId, errors };
+}
+
+/**
+ * Save the mapping of a market's catalog or price list, keyed by the market
+ * handle. A failed save is logged and doesn't stop the sync.
+ */
+async function saveMarketResourceMapping(
+  context,
+  resourceType,
+  market,
+  productionGid,
+  stagingGid,
+) {
+  if (!context.storeConnectionId || !productionGid || !stagingGid) return;
+  try {
+    await saveMapping(context.storeConnectionId, resourceType, {
+      productionId: extractIdFromGid(productionGid),
+      stagingId: extractIdFromGid(stagingGid),
+      productionGid,
+      stagingGid,
+      matchKey: "market",
+      matchValue: market.handle,
+      syncId: null,
+      title: market.name,
+    });
+  } catch (mappingError) {
+    console.error(
+      `⚠️ Failed to save ${resourceType} mapping for market ${market.handle}:`,
+      mappingError.message,
+    );
+  }
+}
+
+/**
+ * Record a failed catalog or price list step of a market in the summary
+ * and the sync log
+ */
+function recordMarketFailure(context, type, message) {
+  context.summary.failed++;
+  context.summary.errors.push(message);
+  context.log.push({
+    timestamp: new Date().toISOString(),
+    message: `❌ ${message}`,
+    type,
+    success: false,
+    error: message,
+  });
+}
+
+/**
+ * Sync a market's price list and its fixed prices into the staging catalog
+ * and record the outcome in the sync log. The staging catalog is null when
+ * a dry run previews a market it would create.
+ */
+async function syncMarketPriceList(
+  context,
+  market,
+  productionPriceList,
+  stagingCatalog,
+) {
+  const {
+    productionStore,
+    accessToken,
+    stagingAdmin,
+    storeConnectionId,
+    plan,
+    summary,
+    log,
+  } = context;
+  if (!productionPriceList?.id || !productionPriceList.currency) return;
+
+  const stagingPriceList = stagingCatalog?.priceList || null;
+  let priceListId = stagingPriceList?.id || null;
+  const before = stagingPriceList && getPriceListPlanFields(stagingPriceList);
+  const after = getPriceListPlanFields(productionPriceList);
+  const priceListPlanned = plan.shouldApply({
+    resourceType: "market_price_list",
+    key: market.handle,
+    label: market.name,
+    action: stagingPriceList ? "update" : "create",
+    before,
+    after,
+  });
+  // An existing price list is only updated when it differs from production
+  if (
+    priceListPlanned &&
+    stagingCatalog?.id &&
+    (!stagingPriceList || diffFields(before, after).length > 0)
+  ) {
+    const result = await saveStagingPriceList(
+      stagingAdmin,
+      stagingCatalog.id,
+      market.name,
+      productionPriceList,
+      stagingPriceList,
+    );
+    const verb = stagingPriceList ? "update" : "create";
+    if (result.errors.length > 0) {
+      recordMarketFailure(
+        context,
+        "price_list_sync",
+        `Failed to ${verb} price list for market "${market.name}": ${result.errors.join(", ")}`,
+      );
+    } else {
+      await saveMarketResourceMapping(
+        context,
+        "price_list",
+        market,
+        productionPriceList.id,
+        result.priceListId,
+      );
+      const adjustment = productionPriceList.parent?.adjustment;
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `💲 ${stagingPriceList ? "Updated" : "Created"} price list for market ${market.name} (${productionPriceList.currency}${adjustment ? `, ${adjustment.type} ${adjustment.value}%` : ""})`,
+        type: "price_list_sync",
+        success: true,
+      });
+    }
+    priceListId = result.priceListId;
+  }
+
+  if (!storeConnectionId) {
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `⚠️ Fixed prices skipped for market "${market.name}": variant mappings require a store connection`,
+      type: "price_list_sync",
+      skipped: true,
+    });
+    return;
+  }
+
+  try {
+    const { inputs, unmapped } = await getMappedFixedPrices(
+      productionStore,
+      accessToken,
+      storeConnectionId,
+      productionPriceList.id,
+      market.name,
+    );
+    const stagingPrices = getFixedPricePlanFields(
+      priceListId
+        ? await getPriceListFixedPrices(stagingAdmin, priceListId)
+        : [],
+    );
+    const productionPrices = getFixedPricePlanFields(inputs);
+    const planned = plan.shouldApply({
+      resourceType: "market_fixed_prices",
+      key: market.handle,
+      label: market.name,
+      action: "update",
+      before: stagingPrices,
+      after: productionPrices,
+    });
+    if (!planned || !priceListId) return;
+
+    // Only changed prices are written; staging fixed prices of variants
+    // without one in production are removed
+    const changed = inputs.filter(
+      ({ variantId }) =>
+        stableStringify(stagingPrices.prices[variantId]) !==
+        stableStringify(productionPrices.prices[variantId]),
+    );
+    const removed = Object.keys(stagingPrices.prices).filter(
+      (variantId) => !productionPrices.prices[variantId],
+    );
+    const result = await addPriceListFixedPrices(
+      stagingAdmin,
+      priceListId,
+      changed,
+    );
+    const deleteResult = await deletePriceListFixedPrices(
+      stagingAdmin,
+      priceListId,
+      removed,
+    );
+    result.errors.push(...deleteResult.errors);
+    const details = {
+      added: result.added,
+      deleted: deleteResult.deleted,
+      unmapped: unmapped.length,
+    };
+
+    if (result.errors.length === 0) {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `✅ Synced ${result.added} fixed price(s) for market: ${market.name}${deleteResult.deleted > 0 ? `, removed ${deleteResult.deleted}` : ""}${unmapped.length > 0 ? ` (${unmapped.length} unmapped variant(s) skipped)` : ""}`,
+        type: "price_list_sync",
+        success: true,
+        details,
+      });
+    } else {
+      summary.errors.push(
+        `Fixed prices failed for "${market.name}": ${result.errors.join(", ")}`,
+      );
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Fixed prices failed for market "${market.name}"`,
+        type: "price_list_sync",
+        success: false,
+        error: result.errors.join(", "),
+        details,
+      });
+    }
+  } catch (error) {
+    summary.errors.push(
+      `Fixed prices failed for "${market.name}": ${error.message}`,
+    );
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fixed prices failed for market "${market.name}": ${error.message}`,
+      type: "price_list_sync",
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Sync a market's curated catalog, price list and fixed prices (Unified
+ * Markets only). Each is a plan item of its own, so a reviewed plan that
+ * rejects one still lets the others through.
+ * @param {Object} context - Sync context (stores, clients, plan, summary, log)
+ * @param {Object} market - Market from production
+ * @param {string|null} stagingMarketId - Staging market ID, or null when a dry run previews a new market
+ */
+async function syncMarketCatalog(context, market, stagingMarketId) {
+  const {
+    productionStore,
+    accessToken,
+    stagingAdmin,
+    storeConnectionId,
+    plan,
+  } = context;
+
+  try {
+    const featuresQuery = `query { shop { features { unifiedMarkets } } }`;
+    const featResp = await stagingAdmin.graphql(featuresQuery);
+    const featJson = await featResp.json();
+    const isUnified = !!featJson.data?.shop?.features?.unifiedMarkets;
+    console.log(`[MARKETS DEBUG] unifiedMarkets: ${isUnified}`);
+    if (!isUnified) return;
+
+    const prodCat = await getProductionMarketCatalog(
+      productionStore,
+      accessToken,
+      market.id,
+    );
+    if (!prodCat) {
+      console.log(
+        `[MARKETS DEBUG] No production catalog found for ${market.name}; skipping curated publication sync`,
+      );
+      return;
+    }
+    console.log(`[MARKETS DEBUG] Production catalog for ${market.name}:`, {
+      title: prodCat.title,
+      currency: prodCat.currency,
+      products: prodCat.productHandles.length,
+    });
+
+    // Prefer the staging catalog mapped to the production one
+    const mapping =
+      stagingMarketId && storeConnectionId
+        ? await getMappingByProductionGid(storeConnectionId, prodCat.id)
+        : null;
+    let stagingCatalog = stagingMarketId
+      ? await getMarketCatalog(
+          stagingAdmin,
+          stagingMarketId,
+          mapping?.stagingGid,
+        )
+      : null;
+    const before = stagingCatalog && getCatalogPlanFields(stagingCatalog);
+    const after = getCatalogPlanFields(prodCat);
+    // Products are only ever added to the staging catalog, never removed
+    if (before) {
+      after.products = [
+        ...new Set([...before.products, ...after.products]),
+      ].sort();
+    }
+    const planned = plan.shouldApply({
+      resourceType: "market_catalog",
+      key: market.handle,
+      label: market.name,
+      action: stagingCatalog ? "update" : "create",
+      before,
+      after,
+    });
+    if (planned) {
+      const ensureRes = await ensureStagingCatalogWithCuratedPublication(
+        stagingAdmin,
+        stagingMarketId,
+        market.name,
+        prodCat.productHandles,
+        stagingCatalog,
       );
+      if (!ensureRes.success) {
+        recordMarketFailure(
+          context,
+          "catalog_sync",
+          `Failed to sync catalog for market "${market.name}": ${ensureRes.error}`,
+        );
+        return;
+      }
+      console.log(
+        `[MARKETS DEBUG] Curated catalog synced for ${market.name}:`,
+        ensureRes,
+      );
+      await saveMarketResourceMapping(
+        context,
+        "catalog",
+        market,
+        prodCat.id,
+        ensureRes.catalogId,
+      );
+      stagingCatalog = {
+        ...stagingCatalog,
+        id: ensureRes.catalogId,
+        publicationId: ensureRes.publicationId,
+      };
     }
-  }
 
-  return {
-    success: true,
-    catalogId,
-    publicationId,
-    published: stagingIds.length,
-  };
+    await syncMarketPriceList(
+      context,
+      market,
+      prodCat.priceList,
+      stagingCatalog,
+    );
+  } catch (e) {
+    recordMarketFailure(
+      context,
+      "catalog_sync",
+      `Catalog sync failed for market "${market.name}": ${e.message}`,
+    );
+  }
 }
 
 /**
@@ -312,7 +989,7 @@ async function ensureStagingCatalogWithCuratedPublication(
  * @param {string} accessToken - The production store access token
  * @returns {Promise<Array>} Array of market objects
  */
-async function getProductionMarkets(productionStore, accessToken) {
+export async function getProductionMarkets(productionStore, accessToken) {
   const query = `
     query GetMarkets($first: Int!) {
       markets(first: $first) {
@@ -389,20 +1066,10 @@ async function getProductionMarkets(productionStore, accessToken) {
   `;
 
   try {
-    const response = await fetch(
-      `https://${productionStore}/admin/api/2025-07/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": accessToken,
-        },
-        body: JSON.stringify({
-          query,
-          variables: { first: 250 },
-        }),
-      },
-    );
+    const response = await createProductionClient(
+      productionStore,
+      accessToken,
+    ).graphql(query, { variables: { first: 250 } });
 
     const data = await response.json();
 
@@ -435,6 +1102,44 @@ async function getStagingMarketByHandle(handle, stagingAdmin) {
             handle
             name
             status
+            conditions {
+              regionsCondition {
+                regions(first: 10) {
+                  nodes {
+                    ... on MarketRegionCountry {
+                      code
+                    }
+                  }
+                }
+              }
+            }
+            currencySettings {
+              baseCurrency {
+                currencyCode
+              }
+              localCurrencies
+            }
+            webPresences(first: 10) {
+              nodes {
+                subfolderSuffix
+                defaultLocale {
+                  locale
+                }
+                alternateLocales {
+                  locale
+                }
+                domain {
+                  host
+                }
+              }
+            }
+            metafields(first: 50) {
+              nodes {
+                namespace
+                key
+                value
+              }
+            }
           }
         }
       }
@@ -462,6 +1167,34 @@ async function getStagingMarketByHandle(handle, stagingAdmin) {
   }
 }
 
+/**
+ * Fields of a market compared by a dry run
+ * @param {Object} market - Market from production or staging
+ * @returns {Object} Comparable market fields
+ */
+export function getMarketPlanFields(market) {
+  return {
+    name: market.name,
+    status: market.status || "ACTIVE",
+    regions: (market.conditions?.regionsCondition?.regions?.nodes || [])
+      .map((region) => region.code)
+      .filter(Boolean)
+      .sort(),
+    baseCurrency: market.currencySettings?.baseCurrency?.currencyCode,
+    localCurrencies: market.currencySettings?.localCurrencies,
+    webPresences: (market.webPresences?.nodes || [])
+      .map((wp) =>
+        [
+          wp.domain?.host || `/${wp.subfolderSuffix}`,
+          wp.defaultLocale?.locale,
+          ...(wp.alternateLocales || []).map((l) => l.locale).sort(),
+        ].join(" "),
+      )
+      .sort(),
+    metafields: toMetafieldMap(market.metafields),
+  };
+}
+
 /**
  * Create a new market in staging
  * @param {Object} market - The market object from production
@@ -755,7 +1488,7 @@ async function syncMarketCurrencySettings(
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @returns {Promise<Object>} Result object with success status
  */
-async function enableAndPublishLocale(locale, stagingAdmin) {
+export async function enableAndPublishLocale(locale, stagingAdmin) {
   try {
     // First, enable the locale
     const enableMutation = `
@@ -1141,22 +1874,248 @@ async function updateMarketInStaging(marketId, market, stagingAdmin) {
   }
 }
 
+/**
+ * Sync a market's currency settings, web presences and metafields to its
+ * staging market. Each is a plan item of its own, so a reviewed plan that
+ * rejects one still lets the others through.
+ * @param {Object} context - Sync context (stores, clients, plan, summary, log)
+ * @param {Object} market - Market from production
+ * @param {Object|null} stagingMarket - Existing staging market, or null for a new one
+ * @param {string|null} stagingMarketId - Staging market ID, or null when a dry run previews a new market
+ */
+async function syncMarketSettings(
+  context,
+  market,
+  stagingMarket,
+  stagingMarketId,
+) {
+  const { stagingAdmin, plan, summary, log } = context;
+  const isNew = !stagingMarket;
+  const target = isNew ? "new market" : "market";
+  const before = stagingMarket && getMarketPlanFields(stagingMarket);
+  const after = getMarketPlanFields(market);
+  const planItem = (resourceType, fields) => ({
+    resourceType,
+    key: market.handle,
+    label: market.name,
+    action: "update",
+    before,
+    after,
+    fields,
+  });
+
+  // Sync currency settings
+  if (
+    market.currencySettings &&
+    plan.shouldApply(
+      planItem("market_currency", ["baseCurrency", "localCurrencies"]),
+    )
+  ) {
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `💱 Syncing currency settings for ${target}: ${market.name}`,
+      type: "currency_sync",
+      details: {
+        baseCurrency: market.currencySettings.baseCurrency?.currencyCode,
+        localCurrencies: market.currencySettings.localCurrencies,
+        marketSupportsSettings: marketSupportsCurrencySettings(
+          market.conditions,
+        ),
+      },
+    });
+
+    const currencyResult = await syncMarketCurrencySettings(
+      stagingMarketId,
+      market.currencySettings,
+      market.conditions,
+      stagingAdmin,
+    );
+
+    if (currencyResult.success) {
+      if (currencyResult.skipped) {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Currency settings skipped for ${target} "${market.name}": ${currencyResult.message}`,
+          type: "currency_sync",
+          skipped: true,
+          details: { reason: currencyResult.message },
+        });
+      } else {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `✅ Successfully synced currency settings for ${target}: ${market.name}`,
+          type: "currency_sync",
+          success: true,
+          details: {
+            baseCurrency: market.currencySettings.baseCurrency?.currencyCode,
+            localCurrencies: market.currencySettings.localCurrencies,
+          },
+        });
+      }
+    } else {
+      summary.errors.push(
+        `Currency sync failed for ${isNew ? "new " : ""}"${market.name}": ${currencyResult.error}`,
+      );
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Currency sync failed for ${target} "${market.name}": ${currencyResult.error}`,
+        type: "currency_sync",
+        success: false,
+        error: currencyResult.error,
+      });
+    }
+  }
+
+  // Sync web presences
+  if (
+    market.webPresences?.nodes?.length > 0 &&
+    plan.shouldApply(planItem("market_web_presences", ["webPresences"]))
+  ) {
+    const webPresenceDetails = market.webPresences.nodes.map((wp) => ({
+      subfolderSuffix: wp.subfolderSuffix,
+      defaultLocale: wp.defaultLocale?.locale,
+      alternateLocales: wp.alternateLocales?.map((l) => l.locale) || [],
+      domain: wp.domain?.host,
+    }));
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🌐 Syncing web presences and locales for ${target}: ${market.name}`,
+      type: "web_presence_sync",
+      details: {
+        count: market.webPresences.nodes.length,
+        webPresences: webPresenceDetails,
+      },
+    });
+
+    const webPresenceResult = await syncMarketWebPresences(
+      stagingMarketId,
+      market.webPresences.nodes,
+      stagingAdmin,
+    );
+
+    if (webPresenceResult.success) {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `✅ Successfully synced ${webPresenceResult.created + webPresenceResult.updated} web presences for ${target}: ${market.name}`,
+        type: "web_presence_sync",
+        success: true,
+        details: {
+          created: webPresenceResult.created,
+          updated: webPresenceResult.updated,
+          failed: webPresenceResult.failed,
+          total: webPresenceResult.created + webPresenceResult.updated,
+        },
+      });
+    } else {
+      summary.errors.push(
+        `Web presence sync failed for ${isNew ? "new " : ""}"${market.name}": ${webPresenceResult.error || webPresenceResult.errors?.join(", ")}`,
+      );
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Web presence sync failed for ${target} "${market.name}"`,
+        type: "web_presence_sync",
+        success: false,
+        error: webPresenceResult.error || webPresenceResult.errors?.join(", "),
+        details: {
+          errors: webPresenceResult.errors || [],
+        },
+      });
+    }
+  }
+
+  // Sync metafields. They're only ever set, never removed, so staging-only
+  // metafields aren't a change
+  const metafieldsAfter = {
+    metafields: { ...before?.metafields, ...after.metafields },
+  };
+  if (
+    market.metafields?.nodes?.length > 0 &&
+    plan.shouldApply({
+      ...planItem("market_metafields", ["metafields"]),
+      after: metafieldsAfter,
+    })
+  ) {
+    const metafieldDetails = market.metafields.nodes.map((mf) => ({
+      namespace: mf.namespace,
+      key: mf.key,
+      type: mf.type,
+      valuePreview:
+        mf.value?.length > 50 ? mf.value.substring(0, 50) + "..." : mf.value,
+    }));
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🏷️ Syncing metafields for ${target}: ${market.name}`,
+      type: "metafields_sync",
+      details: {
+        count: market.metafields.nodes.length,
+        metafields: metafieldDetails,
+      },
+    });
+
+    const metafieldsResult = await syncMetafieldValues(
+      stagingMarketId,
+      "MARKET",
+      market.metafields.nodes,
+      stagingAdmin,
+    );
+
+    if (metafieldsResult.success) {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `✅ Successfully synced ${metafieldsResult.created + metafieldsResult.updated} metafields for ${target}: ${market.name}`,
+        type: "metafields_sync",
+        success: true,
+        details: {
+          created: metafieldsResult.created,
+          updated: metafieldsResult.updated,
+          skipped: metafieldsResult.skipped,
+          failed: metafieldsResult.failed,
+          total: metafieldsResult.created + metafieldsResult.updated,
+          errors: metafieldsResult.errors || [],
+        },
+      });
+    } else {
+      summary.errors.push(
+        `Metafields sync failed for ${isNew ? "new " : ""}"${market.name}": ${metafieldsResult.error || metafieldsResult.errors?.join(", ")}`,
+      );
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Metafields sync failed for ${target} "${market.name}"`,
+        type: "metafields_sync",
+        success: false,
+        error: metafieldsResult.error || metafieldsResult.errors?.join(", "),
+        details: {
+          errors: metafieldsResult.errors || [],
+        },
+      });
+    }
+  }
+}
+
 /**
  * Sync markets from production to staging
  * @param {string} productionStore - The production store domain
  * @param {string} accessToken - The production store access token
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncMarkets(
+async function runMarketsSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
   const summary = {
     total: 0,
     created: 0,
@@ -1192,9 +2151,10 @@ export async function syncMarkets(
       percentage: 0,
     });
 
-    const productionMarkets = await getProductionMarkets(
-      productionStore,
-      accessToken,
+    const productionMarkets = await readSourceResources(
+      options,
+      "markets",
+      () => getProductionMarkets(productionStore, accessToken),
     );
 
     console.log("productionMarkets", productionMarkets);
@@ -1207,7 +2167,20 @@ export async function syncMarkets(
     });
 
     if (productionMarkets.length === 0) {
-      return { summary, log };
+      return { summary, log, plan: plan.toJSON() };
+    }
+
+    // Catalogs and price lists are read from production as each market is
+    // synced, and a snapshot doesn't hold them
+    const syncCatalogs = !isSnapshotSource(options);
+    if (!syncCatalogs) {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message:
+          "⚠️ Market catalogs and price lists aren't in snapshots; staging catalogs are left as they are",
+        type: "catalog_sync",
+        skipped: true,
+      });
     }
 
     // Step 2: Sync metafield definitions for MARKET owner type
@@ -1230,7 +2203,9 @@ export async function syncMarkets(
         accessToken,
         stagingAdmin,
         "MARKET", // Only sync MARKET metafield definitions
+        options,
       );
+      plan.merge(metafieldDefinitionsResult);
 
       if (metafieldDefinitionsResult.success) {
         log.push({
@@ -1271,6 +2246,16 @@ export async function syncMarkets(
       percentage: 15,
     });
 
+    const marketContext = {
+      productionStore,
+      accessToken,
+      stagingAdmin,
+      storeConnectionId,
+      plan,
+      summary,
+      log,
+    };
+
     for (let i = 0; i < productionMarkets.length; i++) {
       const market = productionMarkets[i];
       const progress = 15 + Math.round((i / productionMarkets.length) * 75);
@@ -1307,7 +2292,22 @@ export async function syncMarkets(
         stagingAdmin,
       );
 
-      if (existingMarket) {
+      // The market's own fields are one plan item; its settings and catalog
+      // are planned separately, so an unchanged market still has them synced
+      const planned = plan.shouldApply({
+        resourceType: "market",
+        key: market.handle,
+        label: market.name,
+        action: existingMarket ? "update" : "create",
+        before: existingMarket && getMarketPlanFields(existingMarket),
+        after: getMarketPlanFields(market),
+        fields: ["name", "status", "regions"],
+      });
+
+      let stagingMarketId = existingMarket?.id || null;
+      if (existingMarket && !planned) {
+        summary.skipped++;
+      } else if (existingMarket) {
         // Update existing market
         log.push({
           timestamp: new Date().toISOString(),
@@ -1320,267 +2320,7 @@ export async function syncMarkets(
           stagingAdmin,
         );
 
-        if (result.success) {
-          summary.updated++;
-          log.push({
-            timestamp: new Date().toISOString(),
-            message: `✅ Successfully updated market: ${market.name}`,
-            success: true,
-          });
-
-          // Save mapping for updated market
-          if (storeConnectionId) {
-            try {
-              await saveMapping(storeConnectionId, "market", {
-                productionId: extractIdFromGid(market.id),
-                stagingId: extractIdFromGid(existingMarket.id),
-                productionGid: market.id,
-                stagingGid: existingMarket.id,
-                matchKey: "handle",
-                matchValue: market.handle,
-                syncId: null,
-                title: market.name,
-              });
-              console.log(`✅ Saved mapping for market: ${market.handle}`);
-            } catch (mappingError) {
-              console.error(
-                `⚠️ Failed to save mapping for market ${market.handle}:`,
-                mappingError.message,
-              );
-            }
-          }
-
-          // Sync currency settings after successful market update
-          if (market.currencySettings) {
-            log.push({
-              timestamp: new Date().toISOString(),
-              message: `💱 Syncing currency settings for market: ${market.name}`,
-              details: {
-                baseCurrency:
-                  market.currencySettings.baseCurrency?.currencyCode,
-                localCurrencies: market.currencySettings.localCurrencies,
-                marketSupportsSettings: marketSupportsCurrencySettings(
-                  market.conditions,
-                ),
-              },
-            });
-
-            const currencyResult = await syncMarketCurrencySettings(
-              existingMarket.id,
-              market.currencySettings,
-              market.conditions,
-              stagingAdmin,
-            );
-
-            if (currencyResult.success) {
-              if (currencyResult.skipped) {
-                log.push({
-                  timestamp: new Date().toISOString(),
-                  message: `⚠️ Currency settings skipped for market "${market.name}": ${currencyResult.message}`,
-                  type: "currency_sync",
-                  skipped: true,
-                  details: { reason: currencyResult.message },
-                });
-              } else {
-                log.push({
-                  timestamp: new Date().toISOString(),
-                  message: `✅ Successfully synced currency settings for market: ${market.name}`,
-                  type: "currency_sync",
-                  success: true,
-                  details: {
-                    baseCurrency:
-                      market.currencySettings.baseCurrency?.currencyCode,
-                    localCurrencies: market.currencySettings.localCurrencies,
-                  },
-                });
-              }
-            } else {
-              summary.errors.push(
-                `Currency sync failed for "${market.name}": ${currencyResult.error}`,
-              );
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `❌ Currency sync failed for market "${market.name}": ${currencyResult.error}`,
-                type: "currency_sync",
-                success: false,
-                error: currencyResult.error,
-              });
-            }
-          }
-
-          // Sync web presences after successful market update
-          if (market.webPresences?.nodes?.length > 0) {
-            const webPresenceDetails = market.webPresences.nodes.map((wp) => ({
-              subfolderSuffix: wp.subfolderSuffix,
-              defaultLocale: wp.defaultLocale?.locale,
-              alternateLocales: wp.alternateLocales?.map((l) => l.locale) || [],
-              domain: wp.domain?.host,
-            }));
-
-            log.push({
-              timestamp: new Date().toISOString(),
-              message: `🌐 Syncing web presences and locales for market: ${market.name}`,
-              type: "web_presence_sync",
-              details: {
-                count: market.webPresences.nodes.length,
-                webPresences: webPresenceDetails,
-              },
-            });
-
-            const webPresenceResult = await syncMarketWebPresences(
-              existingMarket.id,
-              market.webPresences.nodes,
-              stagingAdmin,
-            );
-
-            if (webPresenceResult.success) {
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `✅ Successfully synced ${webPresenceResult.created + webPresenceResult.updated} web presences for market: ${market.name}`,
-                type: "web_presence_sync",
-                success: true,
-                details: {
-                  created: webPresenceResult.created,
-                  updated: webPresenceResult.updated,
-                  failed: webPresenceResult.failed,
-                  total: webPresenceResult.created + webPresenceResult.updated,
-                },
-              });
-            } else {
-              summary.errors.push(
-                `Web presence sync failed for "${market.name}": ${webPresenceResult.error || webPresenceResult.errors?.join(", ")}`,
-              );
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `❌ Web presence sync failed for market "${market.name}"`,
-                type: "web_presence_sync",
-                success: false,
-                error:
-                  webPresenceResult.error ||
-                  webPresenceResult.errors?.join(", "),
-                details: {
-                  errors: webPresenceResult.errors || [],
-                },
-              });
-            }
-          }
-
-          // Sync metafields after successful market update
-          if (market.metafields?.nodes?.length > 0) {
-            const metafieldDetails = market.metafields.nodes.map((mf) => ({
-              namespace: mf.namespace,
-              key: mf.key,
-              type: mf.type,
-              valuePreview:
-                mf.value?.length > 50
-                  ? mf.value.substring(0, 50) + "..."
-                  : mf.value,
-            }));
-
-            log.push({
-              timestamp: new Date().toISOString(),
-              message: `🏷️ Syncing metafields for market: ${market.name}`,
-              type: "metafields_sync",
-              details: {
-                count: market.metafields.nodes.length,
-                metafields: metafieldDetails,
-              },
-            });
-
-            const metafieldsResult = await syncMetafieldValues(
-              existingMarket.id,
-              "MARKET",
-              market.metafields.nodes,
-              stagingAdmin,
-            );
-
-            if (metafieldsResult.success) {
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `✅ Successfully synced ${metafieldsResult.created + metafieldsResult.updated} metafields for market: ${market.name}`,
-                type: "metafields_sync",
-                success: true,
-                details: {
-                  created: metafieldsResult.created,
-                  updated: metafieldsResult.updated,
-                  skipped: metafieldsResult.skipped,
-                  failed: metafieldsResult.failed,
-                  total: metafieldsResult.created + metafieldsResult.updated,
-                  errors: metafieldsResult.errors || [],
-                },
-              });
-            } else {
-              summary.errors.push(
-                `Metafields sync failed for "${market.name}": ${metafieldsResult.error || metafieldsResult.errors?.join(", ")}`,
-              );
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `❌ Metafields sync failed for market "${market.name}"`,
-                type: "metafields_sync",
-                success: false,
-                error:
-                  metafieldsResult.error || metafieldsResult.errors?.join(", "),
-                details: {
-                  errors: metafieldsResult.errors || [],
-                },
-              });
-            }
-          }
-
-          // Unified Markets: create curated catalog mirroring production publication (subfolders only)
-          try {
-            const featuresQuery = `query { shop { features { unifiedMarkets } } }`;
-            const featResp = await stagingAdmin.graphql(featuresQuery);
-            const featJson = await featResp.json();
-            const isUnified = !!featJson.data?.shop?.features?.unifiedMarkets;
-            console.log(`[MARKETS DEBUG] unifiedMarkets: ${isUnified}`);
-            if (isUnified) {
-              const prodCat = await getProductionMarketCatalog(
-                productionStore,
-                accessToken,
-                market.id,
-              );
-              if (prodCat) {
-                console.log(
-                  `[MARKETS DEBUG] Production catalog for ${market.name}:`,
-                  {
-                    title: prodCat.title,
-                    currency: prodCat.currency,
-                    products: prodCat.productHandles.length,
-                  },
-                );
-                const ensureRes =
-                  await ensureStagingCatalogWithCuratedPublication(
-                    stagingAdmin,
-                    existingMarket.id,
-                    market.name,
-                    prodCat.currency,
-                    prodCat.productHandles,
-                  );
-                if (!ensureRes.success) {
-                  console.warn(
-                    `[MARKETS DEBUG] Failed to ensure curated catalog for ${market.name}:`,
-                    ensureRes.error,
-                  );
-                } else {
-                  console.log(
-                    `[MARKETS DEBUG] Curated catalog created for ${market.name}:`,
-                    ensureRes,
-                  );
-                }
-              } else {
-                console.log(
-                  `[MARKETS DEBUG] No production catalog found for ${market.name}; skipping curated publication sync`,
-                );
-              }
-            }
-          } catch (e) {
-            console.warn(
-              `[MARKETS DEBUG] Catalog sync error for ${market.name}:`,
-              e.message,
-            );
-          }
-        } else {
+        if (!result.success) {
           summary.failed++;
           const errorMessage = `Failed to update market "${market.name}" (handle: ${market.handle}): ${result.error}`;
           summary.errors.push(errorMessage);
@@ -1590,8 +2330,16 @@ export async function syncMarkets(
             success: false,
             error: result.error,
           });
+          continue;
         }
-      } else {
+
+        summary.updated++;
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `✅ Successfully updated market: ${market.name}`,
+          success: true,
+        });
+      } else if (planned) {
         // Create new market
         log.push({
           timestamp: new Date().toISOString(),
@@ -1600,268 +2348,7 @@ export async function syncMarkets(
 
         const result = await createMarketInStaging(market, stagingAdmin);
 
-        if (result.success) {
-          summary.created++;
-          log.push({
-            timestamp: new Date().toISOString(),
-            message: `✅ Successfully created market: ${market.name}`,
-            success: true,
-          });
-
-          // Save mapping for created market
-          if (storeConnectionId) {
-            try {
-              await saveMapping(storeConnectionId, "market", {
-                productionId: extractIdFromGid(market.id),
-                stagingId: extractIdFromGid(result.market.id),
-                productionGid: market.id,
-                stagingGid: result.market.id,
-                matchKey: "handle",
-                matchValue: market.handle,
-                syncId: null,
-                title: market.name,
-              });
-              console.log(`✅ Saved mapping for market: ${market.handle}`);
-            } catch (mappingError) {
-              console.error(
-                `⚠️ Failed to save mapping for market ${market.handle}:`,
-                mappingError.message,
-              );
-            }
-          }
-
-          // Sync currency settings after successful market creation
-          if (market.currencySettings && result.market?.id) {
-            log.push({
-              timestamp: new Date().toISOString(),
-              message: `💱 Syncing currency settings for new market: ${market.name}`,
-              type: "currency_sync",
-              details: {
-                baseCurrency:
-                  market.currencySettings.baseCurrency?.currencyCode,
-                localCurrencies: market.currencySettings.localCurrencies,
-                marketSupportsSettings: marketSupportsCurrencySettings(
-                  market.conditions,
-                ),
-              },
-            });
-
-            const currencyResult = await syncMarketCurrencySettings(
-              result.market.id,
-              market.currencySettings,
-              market.conditions,
-              stagingAdmin,
-            );
-
-            if (currencyResult.success) {
-              if (currencyResult.skipped) {
-                log.push({
-                  timestamp: new Date().toISOString(),
-                  message: `⚠️ Currency settings skipped for new market "${market.name}": ${currencyResult.message}`,
-                  type: "currency_sync",
-                  skipped: true,
-                  details: { reason: currencyResult.message },
-                });
-              } else {
-                log.push({
-                  timestamp: new Date().toISOString(),
-                  message: `✅ Successfully synced currency settings for new market: ${market.name}`,
-                  type: "currency_sync",
-                  success: true,
-                  details: {
-                    baseCurrency:
-                      market.currencySettings.baseCurrency?.currencyCode,
-                    localCurrencies: market.currencySettings.localCurrencies,
-                  },
-                });
-              }
-            } else {
-              summary.errors.push(
-                `Currency sync failed for new "${market.name}": ${currencyResult.error}`,
-              );
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `❌ Currency sync failed for new market "${market.name}": ${currencyResult.error}`,
-                type: "currency_sync",
-                success: false,
-                error: currencyResult.error,
-              });
-            }
-          }
-
-          // Sync web presences after successful market creation
-          if (market.webPresences?.nodes?.length > 0 && result.market?.id) {
-            const webPresenceDetails = market.webPresences.nodes.map((wp) => ({
-              subfolderSuffix: wp.subfolderSuffix,
-              defaultLocale: wp.defaultLocale?.locale,
-              alternateLocales: wp.alternateLocales?.map((l) => l.locale) || [],
-              domain: wp.domain?.host,
-            }));
-
-            log.push({
-              timestamp: new Date().toISOString(),
-              message: `🌐 Syncing web presences and locales for new market: ${market.name}`,
-              type: "web_presence_sync",
-              details: {
-                count: market.webPresences.nodes.length,
-                webPresences: webPresenceDetails,
-              },
-            });
-
-            const webPresenceResult = await syncMarketWebPresences(
-              result.market.id,
-              market.webPresences.nodes,
-              stagingAdmin,
-            );
-
-            if (webPresenceResult.success) {
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `✅ Successfully synced ${webPresenceResult.created + webPresenceResult.updated} web presences for new market: ${market.name}`,
-                type: "web_presence_sync",
-                success: true,
-                details: {
-                  created: webPresenceResult.created,
-                  updated: webPresenceResult.updated,
-                  failed: webPresenceResult.failed,
-                  total: webPresenceResult.created + webPresenceResult.updated,
-                },
-              });
-            } else {
-              summary.errors.push(
-                `Web presence sync failed for new "${market.name}": ${webPresenceResult.error || webPresenceResult.errors?.join(", ")}`,
-              );
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `❌ Web presence sync failed for new market "${market.name}"`,
-                type: "web_presence_sync",
-                success: false,
-                error:
-                  webPresenceResult.error ||
-                  webPresenceResult.errors?.join(", "),
-                details: {
-                  errors: webPresenceResult.errors || [],
-                },
-              });
-            }
-          }
-
-          // Sync metafields after successful market creation
-          if (market.metafields?.nodes?.length > 0 && result.market?.id) {
-            const metafieldDetails = market.metafields.nodes.map((mf) => ({
-              namespace: mf.namespace,
-              key: mf.key,
-              type: mf.type,
-              valuePreview:
-                mf.value?.length > 50
-                  ? mf.value.substring(0, 50) + "..."
-                  : mf.value,
-            }));
-
-            log.push({
-              timestamp: new Date().toISOString(),
-              message: `🏷️ Syncing metafields for new market: ${market.name}`,
-              type: "metafields_sync",
-              details: {
-                count: market.metafields.nodes.length,
-                metafields: metafieldDetails,
-              },
-            });
-
-            const metafieldsResult = await syncMetafieldValues(
-              result.market.id,
-              "MARKET",
-              market.metafields.nodes,
-              stagingAdmin,
-            );
-
-            if (metafieldsResult.success) {
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `✅ Successfully synced ${metafieldsResult.created + metafieldsResult.updated} metafields for new market: ${market.name}`,
-                type: "metafields_sync",
-                success: true,
-                details: {
-                  created: metafieldsResult.created,
-                  updated: metafieldsResult.updated,
-                  skipped: metafieldsResult.skipped,
-                  failed: metafieldsResult.failed,
-                  total: metafieldsResult.created + metafieldsResult.updated,
-                  errors: metafieldsResult.errors || [],
-                },
-              });
-            } else {
-              summary.errors.push(
-                `Metafields sync failed for new "${market.name}": ${metafieldsResult.error || metafieldsResult.errors?.join(", ")}`,
-              );
-              log.push({
-                timestamp: new Date().toISOString(),
-                message: `❌ Metafields sync failed for new market "${market.name}"`,
-                type: "metafields_sync",
-                success: false,
-                error:
-                  metafieldsResult.error || metafieldsResult.errors?.join(", "),
-                details: {
-                  errors: metafieldsResult.errors || [],
-                },
-              });
-            }
-          }
-
-          // Unified Markets: curated catalog for newly created market
-          try {
-            const featuresQuery = `query { shop { features { unifiedMarkets } } }`;
-            const featResp = await stagingAdmin.graphql(featuresQuery);
-            const featJson = await featResp.json();
-            const isUnified = !!featJson.data?.shop?.features?.unifiedMarkets;
-            console.log(`[MARKETS DEBUG] unifiedMarkets: ${isUnified}`);
-            if (isUnified) {
-              const prodCat = await getProductionMarketCatalog(
-                productionStore,
-                accessToken,
-                market.id,
-              );
-              if (prodCat) {
-                console.log(
-                  `[MARKETS DEBUG] Production catalog for ${market.name}:`,
-                  {
-                    title: prodCat.title,
-                    currency: prodCat.currency,
-                    products: prodCat.productHandles.length,
-                  },
-                );
-                const ensureRes =
-                  await ensureStagingCatalogWithCuratedPublication(
-                    stagingAdmin,
-                    result.market.id,
-                    market.name,
-                    prodCat.currency,
-                    prodCat.productHandles,
-                  );
-                if (!ensureRes.success) {
-                  console.warn(
-                    `[MARKETS DEBUG] Failed to ensure curated catalog for ${market.name}:`,
-                    ensureRes.error,
-                  );
-                } else {
-                  console.log(
-                    `[MARKETS DEBUG] Curated catalog created for ${market.name}:`,
-                    ensureRes,
-                  );
-                }
-              } else {
-                console.log(
-                  `[MARKETS DEBUG] No production catalog found for ${market.name}; skipping curated publication sync`,
-                );
-              }
-            }
-          } catch (e) {
-            console.warn(
-              `[MARKETS DEBUG] Catalog sync error for ${market.name}:`,
-              e.message,
-            );
-          }
-        } else {
+        if (!result.success || !result.market?.id) {
           summary.failed++;
           const errorMessage = `Failed to create market "${market.name}" (handle: ${market.handle}): ${result.error}`;
           summary.errors.push(errorMessage);
@@ -1871,8 +2358,56 @@ export async function syncMarkets(
             success: false,
             error: result.error,
           });
+          continue;
+        }
+
+        summary.created++;
+        stagingMarketId = result.market.id;
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `✅ Successfully created market: ${market.name}`,
+          success: true,
+        });
+      } else {
+        summary.skipped++;
+        // A dry run still previews the settings and catalog of a market it
+        // would create; a rejected create leaves nothing to attach them to
+        if (!plan.dryRun) continue;
+      }
+
+      // Save mapping for the staging market
+      if (storeConnectionId && stagingMarketId) {
+        try {
+          await saveMapping(storeConnectionId, "market", {
+            productionId: extractIdFromGid(market.id),
+            stagingId: extractIdFromGid(stagingMarketId),
+            productionGid: market.id,
+            stagingGid: stagingMarketId,
+            matchKey: "handle",
+            matchValue: market.handle,
+            syncId: null,
+            title: market.name,
+          });
+          console.log(`✅ Saved mapping for market: ${market.handle}`);
+        } catch (mappingError) {
+          console.error(
+            `⚠️ Failed to save mapping for market ${market.handle}:`,
+            mappingError.message,
+          );
         }
       }
+
+      await syncMarketSettings(
+        marketContext,
+        market,
+        existingMarket,
+        stagingMarketId,
+      );
+
+      // Unified Markets: curated catalog mirroring the production publication
+      if (syncCatalogs) {
+        await syncMarketCatalog(marketContext, market, stagingMarketId);
+      }
     }
 
     // Step 4: Finalize
@@ -1889,6 +2424,7 @@ export async function syncMarkets(
     const currencyLogs = log.filter((l) => l.type === "currency_sync");
     const webPresenceLogs = log.filter((l) => l.type === "web_presence_sync");
     const metafieldLogs = log.filter((l) => l.type === "metafields_sync");
+    const priceListLogs = log.filter((l) => l.type === "price_list_sync");
 
     const currencyStats = {
       successful: currencyLogs.filter((l) => l.success === true).length,
@@ -1983,12 +2519,27 @@ export async function syncMarkets(
           metafieldsUpdated: metafieldStats.totalUpdated,
           metafieldsSkipped: metafieldStats.totalSkipped,
         },
+        priceListSync: {
+          fixedPricesAdded: priceListLogs.reduce(
+            (sum, l) => sum + (l.details?.added || 0),
+            0,
+          ),
+          fixedPricesDeleted: priceListLogs.reduce(
+            (sum, l) => sum + (l.details?.deleted || 0),
+            0,
+          ),
+          unmappedVariants: priceListLogs.reduce(
+            (sum, l) => sum + (l.details?.unmapped || 0),
+            0,
+          ),
+          failed: priceListLogs.filter((l) => l.success === false).length,
+        },
         totalErrors: summary.errors.length,
         duration: `${((Date.now() - (Date.parse(log[0]?.timestamp) || Date.now())) / 1000).toFixed(1)}s`,
       },
     });
 
-    return { summary, log };
+    return { summary, log, plan: plan.toJSON() };
   } catch (error) {
     console.error("Error syncing markets:", error);
 
@@ -2004,3 +2555,5 @@ export async function syncMarkets(
     return { summary, log };
   }
 }
+
+export const syncMarkets = withGraphqlCost(runMarketsSync);
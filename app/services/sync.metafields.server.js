@@ -1,4 +1,13 @@
 // Service for syncing metafield definitions between stores
+
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { readSourceResources } from "./sync-source.server.js";
+
 // Add near the top of the file
 export const NON_PRODUCT_OWNER_TYPES = [
   "API_PERMISSION",
@@ -41,7 +50,7 @@ export async function syncAllNonProductMetafieldDefinitions(
 }
 
 // Get metafield definitions from external store
-async function getMetafieldDefinitions(ownerType, store, token) {
+export async function getMetafieldDefinitions(ownerType, store, token) {
   const query = `
     query GetMetafieldDefinitions($ownerType: MetafieldOwnerType!, $cursor: String) {
       metafieldDefinitions(ownerType: $ownerType, first: 250, after: $cursor) {
@@ -76,16 +85,9 @@ async function getMetafieldDefinitions(ownerType, store, token) {
 
   while (hasNextPage) {
     try {
-      const response = await fetch(
-        `https://${store}/admin/api/2025-07/graphql.json`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": token,
-          },
-          body: JSON.stringify({ query, variables: { ownerType, cursor } }),
-        },
+      const response = await createProductionClient(store, token).graphql(
+        query,
+        { variables: { ownerType, cursor } },
       );
 
       if (!response.ok) {
@@ -397,15 +399,20 @@ async function updateMetafieldDefinition(definition, stagingAdmin) {
   }
 }
 
-// Main sync function
-export async function syncMetafieldDefinitions(
+// Main sync function. options: { dryRun, plan, source } (see
+// sync-plan.server.js and sync-source.server.js)
+async function runMetafieldDefinitionsSync(
   productionStore,
   accessToken,
   stagingAdmin,
   ownerType,
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
   // Handle array of owner types by calling this function for each type
   if (Array.isArray(ownerType)) {
+    const plan = createSyncPlan(options);
     const results = {
       success: true,
       logs: [],
@@ -427,10 +434,12 @@ export async function syncMetafieldDefinitions(
         accessToken,
         stagingAdmin,
         singleOwnerType,
+        options,
       );
 
       // Merge results
       results.logs.push(...singleResult.logs);
+      plan.merge(singleResult);
       results.results.push(...(singleResult.results || []));
 
       // Merge summary
@@ -451,11 +460,14 @@ export async function syncMetafieldDefinitions(
       }
     }
 
+    results.plan = plan.toJSON();
     return results;
   }
 
   const log = [];
   const ownerTypeLabel = ownerType.toLowerCase();
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
 
   try {
     // Step 1: Fetch metafield definitions from production
@@ -464,11 +476,12 @@ export async function syncMetafieldDefinitions(
       message: `Fetching ${ownerTypeLabel} metafield definitions from production store...`,
     });
 
-    const productionDefinitions = await getMetafieldDefinitions(
-      ownerType,
-      productionStore,
-      accessToken,
-    );
+    // A snapshot holds the definitions of every owner type together
+    const productionDefinitions = (
+      await readSourceResources(options, "metafield_definitions", () =>
+        getMetafieldDefinitions(ownerType, productionStore, accessToken),
+      )
+    ).filter((definition) => definition.ownerType === ownerType);
 
     log.push({
       timestamp: new Date().toISOString(),
@@ -545,6 +558,12 @@ export async function syncMetafieldDefinitions(
           skipped: true,
           errors: "Cannot create definitions in another app's namespace",
         });
+        plan.skip({
+          resourceType: "metafield_definition",
+          key: `${ownerType}.${definition.namespace}.${definition.key}`,
+          label: `${definition.namespace}.${definition.key}`,
+          reason: "App-owned namespace from another app",
+        });
         continue;
       }
 
@@ -586,6 +605,13 @@ export async function syncMetafieldDefinitions(
               errors:
                 "Metaobject reference fields require a metaobject validation that cannot be created yet",
             });
+            plan.skip({
+              resourceType: "metafield_definition",
+              key: `${ownerType}.${definition.namespace}.${definition.key}`,
+              label: `${definition.namespace}.${definition.key}`,
+              reason:
+                "Metaobject reference fields require a metaobject validation",
+            });
             continue;
           }
 
@@ -654,6 +680,40 @@ export async function syncMetafieldDefinitions(
           skipped: true,
           errors: "Cannot create definitions in Shopify reserved namespace",
         });
+        plan.skip({
+          resourceType: "metafield_definition",
+          key: `${ownerType}.${definition.namespace}.${definition.key}`,
+          label: `${definition.namespace}.${definition.key}`,
+          reason: "Shopify reserved namespace",
+        });
+        continue;
+      }
+
+      const planned = plan.shouldApply({
+        resourceType: "metafield_definition",
+        key: `${ownerType}.${definition.namespace}.${definition.key}`,
+        label: `${definition.namespace}.${definition.key}`,
+        action: "create",
+        after: {
+          name: definition.name,
+          type: definition.type?.name,
+          description: definition.description,
+          validations: definition.validations,
+        },
+      });
+      if (!planned) {
+        // Drop it from the second pass as well
+        if (hasMetaobjectValidation) {
+          definitionsWithMetaobjectValidations.pop();
+        }
+        createResults.push({
+          definition: `${definition.namespace}.${definition.key}`,
+          success: false,
+          skipped: true,
+          errors: plan.dryRun
+            ? "Planned (dry run)"
+            : "Not in the reviewed plan",
+        });
         continue;
       }
 
@@ -724,26 +784,25 @@ export async function syncMetafieldDefinitions(
       `;
 
       try {
-        const prodMetaobjectResponse = await fetch(
-          `https://${productionStore}/admin/api/2025-07/graphql.json`,
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "X-Shopify-Access-Token": accessToken,
-            },
-            body: JSON.stringify({ query: productionMetaobjectQuery }),
+        const productionMetaobjectDefs = await readSourceResources(
+          options,
+          "metaobject_definitions",
+          async () => {
+            const prodMetaobjectResponse = await createProductionClient(
+              productionStore,
+              accessToken,
+            ).graphql(productionMetaobjectQuery);
+
+            const prodMetaobjectData = await prodMetaobjectResponse.json();
+            return (
+              prodMetaobjectData.data?.metaobjectDefinitions?.edges || []
+            ).map((edge) => edge.node);
           },
         );
-
-        const prodMetaobjectData = await prodMetaobjectResponse.json();
         const productionMetaobjectMapping = {};
 
-        if (prodMetaobjectData.data?.metaobjectDefinitions?.edges) {
-          for (const edge of prodMetaobjectData.data.metaobjectDefinitions
-            .edges) {
-            productionMetaobjectMapping[edge.node.id] = edge.node.type;
-          }
+        for (const metaobjectDef of productionMetaobjectDefs) {
+          productionMetaobjectMapping[metaobjectDef.id] = metaobjectDef.type;
         }
 
         // Update each metafield with corrected validations
@@ -878,6 +937,7 @@ export async function syncMetafieldDefinitions(
       success: true,
       logs: log,
       results: createResults,
+      plan: plan.toJSON(),
       summary: {
         total: productionDefinitions.length,
         existing: stagingDefinitions.length,
@@ -903,6 +963,10 @@ export async function syncMetafieldDefinitions(
   }
 }
 
+export const syncMetafieldDefinitions = withGraphqlCost(
+  runMetafieldDefinitionsSync,
+);
+
 /**
  * Check if metafield definitions exist in staging
  * @param {string} ownerType - The resource type
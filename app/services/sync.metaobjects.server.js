@@ -1,9 +1,28 @@
-// Service for syncing metaobject definitions between stores
-
-import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+// Service for syncing metaobject definitions and entries between stores
+
+import {
+  saveMapping,
+  extractIdFromGid,
+  getMappingByProductionGid,
+  logUnmappedReference,
+} from "./resource-mapping.server.js";
+import {
+  extractGids,
+  translateMetafieldValue,
+} from "../utils/gid-translator.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { getResumeCursor } from "./sync-checkpoint.server.js";
+import { getSyncTargets, isSyncTarget } from "./sync-target.server.js";
+import { readSourceResources } from "./sync-source.server.js";
 
 // Fetch metaobject definitions from a store
-async function getMetaobjectDefinitions(store, token) {
+export async function getMetaobjectDefinitions(store, token) {
   const query = `
     query getMetaobjectDefinitions($cursor: String) {
       metaobjectDefinitions(first: 50, after: $cursor) {
@@ -55,16 +74,9 @@ async function getMetaobjectDefinitions(store, token) {
 
   while (hasNextPage) {
     try {
-      const response = await fetch(
-        `https://${store}/admin/api/2025-07/graphql.json`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": token,
-          },
-          body: JSON.stringify({ query, variables: { cursor } }),
-        },
+      const response = await createProductionClient(store, token).graphql(
+        query,
+        { variables: { cursor } },
       );
 
       const data = await response.json();
@@ -122,7 +134,7 @@ export async function getExistingStagingMetaobjectDefinitions(stagingAdmin) {
 }
 
 // Create a metaobject definition in staging
-async function createMetaobjectDefinition(definition, stagingAdmin) {
+export async function createMetaobjectDefinition(definition, stagingAdmin) {
   const mutation = `
     mutation CreateMetaobjectDefinition($definition: MetaobjectDefinitionCreateInput!) {
       metaobjectDefinitionCreate(definition: $definition) {
@@ -244,7 +256,11 @@ async function createMetaobjectDefinition(definition, stagingAdmin) {
 }
 
 // Update a metaobject definition to add reference fields
-async function updateMetaobjectDefinition(type, fieldsToAdd, stagingAdmin) {
+export async function updateMetaobjectDefinition(
+  type,
+  fieldsToAdd,
+  stagingAdmin,
+) {
   const mutation = `
     mutation UpdateMetaobjectDefinition($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
       metaobjectDefinitionUpdate(id: $id, definition: $definition) {
@@ -356,14 +372,21 @@ async function updateMetaobjectDefinition(type, fieldsToAdd, stagingAdmin) {
   }
 }
 
-// Main sync function
-export async function syncMetaobjectDefinitions(
+// Main sync function. options: { dryRun, plan, source } (see
+// sync-plan.server.js and sync-source.server.js)
+async function runMetaobjectDefinitionsSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
 
   try {
     // Step 1: Fetch metaobject definitions from production
@@ -372,9 +395,10 @@ export async function syncMetaobjectDefinitions(
       message: "Fetching metaobject definitions from production store...",
     });
 
-    const productionDefinitions = await getMetaobjectDefinitions(
-      productionStore,
-      accessToken,
+    const productionDefinitions = await readSourceResources(
+      options,
+      "metaobject_definitions",
+      () => getMetaobjectDefinitions(productionStore, accessToken),
     );
 
     log.push({
@@ -467,6 +491,33 @@ export async function syncMetaobjectDefinitions(
         });
       }
 
+      // Reference fields are planned with the definition; the second pass
+      // only runs for definitions created in this run
+      const planned = plan.shouldApply({
+        resourceType: "metaobject_definition",
+        key: definition.type,
+        label: definition.name || definition.type,
+        action: "create",
+        after: {
+          name: definition.name,
+          displayNameKey: definition.displayNameKey,
+          fields: definition.fieldDefinitions.map(
+            (field) => `${field.key} (${field.type.name})`,
+          ),
+        },
+      });
+      if (!planned) {
+        createResults.push({
+          definition: definition.type,
+          success: false,
+          skipped: true,
+          errors: plan.dryRun
+            ? "Planned (dry run)"
+            : "Not in the reviewed plan",
+        });
+        continue;
+      }
+
       log.push({
         timestamp: new Date().toISOString(),
         message: `Creating metaobject definition: ${definition.type}`,
@@ -493,7 +544,7 @@ export async function syncMetaobjectDefinitions(
         // Save mapping for created metaobject definition
         if (storeConnectionId) {
           try {
-            await saveMapping(storeConnectionId, "metaobject", {
+            await saveMapping(storeConnectionId, "metaobject_definition", {
               productionId: extractIdFromGid(definition.id),
               stagingId: extractIdFromGid(result.definition.id),
               productionGid: definition.id,
@@ -503,10 +554,12 @@ export async function syncMetaobjectDefinitions(
               syncId: null,
               title: definition.name || definition.type,
             });
-            console.log(`✅ Saved mapping for metaobject: ${definition.type}`);
+            console.log(
+              `✅ Saved mapping for metaobject definition: ${definition.type}`,
+            );
           } catch (mappingError) {
             console.error(
-              `⚠️ Failed to save mapping for metaobject ${definition.type}:`,
+              `⚠️ Failed to save mapping for metaobject definition ${definition.type}:`,
               mappingError.message,
             );
           }
@@ -680,6 +733,7 @@ export async function syncMetaobjectDefinitions(
         updated: updatedCount,
         updateFailed: updateFailedCount,
       },
+      plan: plan.toJSON(),
     };
   } catch (error) {
     console.error("Error in syncMetaobjectDefinitions:", error);
@@ -696,6 +750,942 @@ export async function syncMetaobjectDefinitions(
       summary: {
         error: error.message,
       },
+      plan: plan.toJSON(),
     };
   }
 }
+
+export const syncMetaobjectDefinitions = withGraphqlCost(
+  runMetaobjectDefinitionsSync,
+);
+
+// ---------------------------------------------------------------------------
+// Metaobject entries
+// ---------------------------------------------------------------------------
+
+const METAOBJECT_GID_PREFIX = "gid://shopify/Metaobject/";
+
+// Metaobject field types that the metafield translator knows under another name
+const FIELD_TYPE_ALIASES = {
+  mixed_reference: "resource_reference",
+  "list.mixed_reference": "list.metaobject_reference",
+};
+
+// Fetch all metaobject entries of a given type from production
+async function getProductionMetaobjects(store, token, type) {
+  const query = `
+    query getMetaobjects($type: String!, $cursor: String) {
+      metaobjects(type: $type, first: 50, after: $cursor) {
+        edges {
+          node {
+            id
+            handle
+            type
+            displayName
+            capabilities {
+              publishable {
+                status
+              }
+            }
+            fields {
+              key
+              type
+              value
+            }
+          }
+          cursor
+        }
+        pageInfo {
+          hasNextPage
+        }
+      }
+    }
+  `;
+
+  const entries = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    try {
+      const response = await createProductionClient(store, token).graphql(
+        query,
+        { variables: { type, cursor } },
+      );
+
+      const data = await response.json();
+
+      if (data.errors) {
+        console.error("GraphQL errors:", data.errors);
+        break;
+      }
+
+      const edges = data.data?.metaobjects?.edges || [];
+      entries.push(...edges.map((edge) => edge.node));
+
+      hasNextPage = data.data?.metaobjects?.pageInfo?.hasNextPage || false;
+      cursor = edges[edges.length - 1]?.cursor || null;
+    } catch (error) {
+      console.error(`Error fetching metaobjects of type ${type}:`, error);
+      break;
+    }
+  }
+
+  return entries;
+}
+
+// Fetch existing staging entries for a type (handle -> { id, fields }).
+// Field values are only fetched when a dry run needs them for diffs.
+async function getStagingMetaobjectHandles(
+  type,
+  stagingAdmin,
+  withFields = false,
+) {
+  const query = `
+    query getMetaobjectHandles($type: String!, $cursor: String, $withFields: Boolean!) {
+      metaobjects(type: $type, first: 250, after: $cursor) {
+        edges {
+          node {
+            id
+            handle
+            fields @include(if: $withFields) {
+              key
+              value
+            }
+          }
+          cursor
+        }
+        pageInfo {
+          hasNextPage
+        }
+      }
+    }
+  `;
+
+  const handles = new Map();
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    try {
+      const response = await stagingAdmin.graphql(query, {
+        variables: { type, cursor, withFields },
+      });
+      const data = await response.json();
+
+      const edges = data.data?.metaobjects?.edges || [];
+      for (const edge of edges) {
+        handles.set(edge.node.handle, edge.node);
+      }
+
+      hasNextPage = data.data?.metaobjects?.pageInfo?.hasNextPage || false;
+      cursor = edges[edges.length - 1]?.cursor || null;
+    } catch (error) {
+      console.error(`Error fetching staging metaobjects of type ${type}:`, error);
+      break;
+    }
+  }
+
+  return handles;
+}
+
+// Check whether a metaobject definition exists in staging
+async function stagingDefinitionExists(type, stagingAdmin) {
+  const query = `
+    query GetMetaobjectDefinition($type: String!) {
+      metaobjectDefinitionByType(type: $type) {
+        id
+      }
+    }
+  `;
+
+  try {
+    const response = await stagingAdmin.graphql(query, {
+      variables: { type },
+    });
+    const data = await response.json();
+    return Boolean(data.data?.metaobjectDefinitionByType?.id);
+  } catch (error) {
+    console.error(`Error checking staging definition ${type}:`, error);
+    return false;
+  }
+}
+
+// Create or update a metaobject entry in staging, keyed by type + handle
+export async function upsertMetaobjectInStaging(entry, fields, stagingAdmin) {
+  const mutation = `
+    mutation UpsertMetaobject($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+      metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+        metaobject {
+          id
+          handle
+          type
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const metaobjectInput = { fields };
+
+  if (entry.capabilities?.publishable?.status) {
+    metaobjectInput.capabilities = {
+      publishable: { status: entry.capabilities.publishable.status },
+    };
+  }
+
+  try {
+    const response = await stagingAdmin.graphql(mutation, {
+      variables: {
+        handle: { type: entry.type, handle: entry.handle },
+        metaobject: metaobjectInput,
+      },
+    });
+
+    const data = await response.json();
+
+    if (data.errors) {
+      return {
+        success: false,
+        errors: data.errors.map((e) => e.message).join(", "),
+      };
+    }
+
+    const userErrors = data.data?.metaobjectUpsert?.userErrors || [];
+    if (userErrors.length > 0) {
+      return {
+        success: false,
+        errors: userErrors
+          .map((e) => `${e.field}: ${e.message} (${e.code})`)
+          .join(", "),
+      };
+    }
+
+    return {
+      success: true,
+      metaobject: data.data.metaobjectUpsert.metaobject,
+    };
+  } catch (error) {
+    console.error("Error in upsertMetaobjectInStaging:", error);
+    return {
+      success: false,
+      errors: error.message || "Failed to upsert metaobject",
+    };
+  }
+}
+
+// Update selected fields of an existing staging metaobject entry, with any
+// other MetaobjectUpdateInput (e.g. handle, capabilities) in `input`
+export async function updateMetaobjectFieldsInStaging(
+  id,
+  fields,
+  stagingAdmin,
+  input = {},
+) {
+  const mutation = `
+    mutation UpdateMetaobject($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+      metaobjectUpdate(id: $id, metaobject: $metaobject) {
+        metaobject {
+          id
+          handle
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await stagingAdmin.graphql(mutation, {
+      variables: { id, metaobject: { ...input, fields } },
+    });
+
+    const data = await response.json();
+
+    if (data.errors) {
+      return {
+        success: false,
+        errors: data.errors.map((e) => e.message).join(", "),
+      };
+    }
+
+    const userErrors = data.data?.metaobjectUpdate?.userErrors || [];
+    if (userErrors.length > 0) {
+      return {
+        success: false,
+        errors: userErrors
+          .map((e) => `${e.field}: ${e.message} (${e.code})`)
+          .join(", "),
+      };
+    }
+
+    return {
+      success: true,
+      metaobject: data.data.metaobjectUpdate.metaobject,
+    };
+  } catch (error) {
+    console.error("Error in updateMetaobjectFieldsInStaging:", error);
+    return {
+      success: false,
+      errors: error.message || "Failed to update metaobject",
+    };
+  }
+}
+
+/**
+ * Split entry fields into those that can be written now and those that
+ * reference metaobject entries which have no staging mapping yet. Required
+ * fields can't be left out of a new entry, so unresolved ones are returned
+ * as `blocked` rather than deferred.
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {Array<Object>} fields - Production fields ({ key, type, value })
+ * @param {Set<string>} requiredKeys - Keys of the definition's required fields
+ * @returns {Promise<Object>} { ready, deferred, blocked }
+ */
+export async function splitDeferredFields(
+  storeConnectionId,
+  fields,
+  requiredKeys = new Set(),
+) {
+  const ready = [];
+  const deferred = [];
+  const blocked = [];
+
+  for (const field of fields) {
+    if (field.value === null || field.value === undefined) continue;
+
+    const metaobjectGids = storeConnectionId
+      ? extractGids(field.value).filter((gid) =>
+          gid.startsWith(METAOBJECT_GID_PREFIX),
+        )
+      : [];
+
+    let resolvable = true;
+    for (const gid of metaobjectGids) {
+      const mapping = await getMappingByProductionGid(storeConnectionId, gid);
+      if (!mapping) {
+        resolvable = false;
+        break;
+      }
+    }
+
+    if (resolvable) {
+      ready.push(field);
+    } else if (requiredKeys.has(field.key)) {
+      blocked.push(field);
+    } else {
+      deferred.push(field);
+    }
+  }
+
+  return { ready, deferred, blocked };
+}
+
+/**
+ * Drop references to production resources that have no staging mapping
+ * from entry fields, logging each as an unmapped reference. A list keeps its
+ * mapped items; any other field with an unmapped reference is left out.
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {Object} entry - Production metaobject entry
+ * @param {Array<Object>} fields - Production fields ({ key, type, value })
+ * @returns {Promise<Object>} { fields, dropped }
+ */
+export async function dropUnmappedReferences(storeConnectionId, entry, fields) {
+  if (!storeConnectionId) return { fields, dropped: 0 };
+
+  const kept = [];
+  let dropped = 0;
+
+  for (const field of fields) {
+    const unmapped = [];
+    for (const gid of extractGids(field.value)) {
+      if (!(await getMappingByProductionGid(storeConnectionId, gid))) {
+        unmapped.push(gid);
+        await logUnmappedReference(
+          storeConnectionId,
+          gid,
+          `metaobject:${entry.type}/${entry.handle} field ${field.key}`,
+          "metaobjects",
+        );
+      }
+    }
+    dropped += unmapped.length;
+
+    if (unmapped.length === 0) {
+      kept.push(field);
+    } else if (field.type.startsWith("list.")) {
+      const items = JSON.parse(field.value).filter(
+        (item) => !unmapped.includes(item),
+      );
+      if (items.length > 0) {
+        kept.push({ ...field, value: JSON.stringify(items) });
+      }
+    }
+  }
+
+  return { fields: kept, dropped };
+}
+
+// Fields holding references to metaobject entries: the fields the first
+// pass may have deferred to the second
+function getMetaobjectReferenceFields(fields) {
+  return fields.filter(
+    (field) =>
+      field.value !== null &&
+      field.value !== undefined &&
+      extractGids(field.value).some((gid) =>
+        gid.startsWith(METAOBJECT_GID_PREFIX),
+      ),
+  );
+}
+
+/**
+ * Translate production GIDs in entry fields to their staging equivalents.
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {Object} entry - Production metaobject entry
+ * @param {Array<Object>} fields - Fields to translate ({ key, type, value })
+ * @returns {Promise<Object>} { fields: [{ key, value }], translated, unmapped }
+ */
+export async function translateMetaobjectFields(
+  storeConnectionId,
+  entry,
+  fields,
+) {
+  const translatedFields = [];
+  let translated = 0;
+  let unmapped = 0;
+
+  for (const field of fields) {
+    if (!storeConnectionId) {
+      translatedFields.push({ key: field.key, value: field.value });
+      continue;
+    }
+
+    const result = await translateMetafieldValue(
+      storeConnectionId,
+      {
+        namespace: entry.type,
+        key: field.key,
+        type: FIELD_TYPE_ALIASES[field.type] || field.type,
+        value: field.value,
+      },
+      `metaobject:${entry.type}/${entry.handle}`,
+      "metaobjects",
+    );
+
+    translatedFields.push({ key: field.key, value: result.value });
+    translated += result.translationStats.translated;
+    unmapped += result.translationStats.unmapped;
+  }
+
+  return { fields: translatedFields, translated, unmapped };
+}
+
+// Main entry sync function
+async function runMetaobjectsSync(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
+) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    types: 0,
+    secondPass: { total: 0, updated: 0, failed: 0 },
+  };
+
+  try {
+    // Step 1: Determine which definition types to sync
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: "Fetching metaobject definitions from production store...",
+    });
+
+    onProgress({
+      stage: "fetching",
+      message: "Fetching metaobject definitions from production...",
+      percentage: 0,
+    });
+
+    // Targets given as `type/handle` only need their own types fetched
+    const targets = getSyncTargets(options);
+    const targetTypes = targets?.every((target) => target.key)
+      ? targets.map((target) => target.key.split("/")[0])
+      : null;
+    const definitions = (
+      await getMetaobjectDefinitions(productionStore, accessToken)
+    ).filter(
+      (def) =>
+        !def.type.startsWith("shopify--") &&
+        (!targetTypes || targetTypes.includes(def.type)),
+    );
+
+    summary.types = definitions.length;
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📋 Found ${definitions.length} metaobject definition(s) to sync entries for`,
+    });
+
+    if (!storeConnectionId) {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message:
+          "⚠️ No storeConnectionId provided. Reference fields will be copied without GID translation.",
+      });
+    }
+
+    // Entries whose metaobject references could not be resolved in the first pass
+    const pendingEntries = [];
+    // Entries processed so far, for the stop log message
+    let processed = 0;
+
+    // A resumed job checkpointed the entry it had reached by type and
+    // handle, in the first pass ("entries") or the second ("references").
+    // The entries before it are replayed without writing them, only to
+    // queue their reference fields for the second pass again.
+    const resume = storeConnectionId ? getResumeCursor(options) : null;
+    const resumeType = resume
+      ? definitions.findIndex((def) => def.type === resume.type)
+      : -1;
+    if (resumeType >= 0) {
+      summary.resumedFrom = resume;
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `⏩ Resuming after an interruption from ${resume.type}/${resume.handle}${resume.step === "references" ? " in the second pass" : ""}`,
+      });
+    }
+
+    // New entries with a required reference to an entry not in staging yet,
+    // retried after the first pass once the referenced entries exist
+    const postponedEntries = [];
+    // Checkpoint of the last entry the first pass reached
+    let lastCheckpoint;
+
+    // Upsert one entry and queue its deferred reference fields
+    const syncEntry = async ({ entry, stagingHandles, requiredKeys }) => {
+      const label = `${entry.type}/${entry.handle}`;
+      const existing = stagingHandles.get(entry.handle);
+      const { ready, deferred, blocked } = await splitDeferredFields(
+        storeConnectionId,
+        entry.fields || [],
+        requiredKeys,
+      );
+      if (blocked.length > 0) {
+        // A required field can be left as it is on an existing entry, but a
+        // new entry can't be created without it. Previews don't write, so
+        // they plan the entry as if its references resolved.
+        if (existing || plan.dryRun) {
+          deferred.push(...blocked);
+        } else {
+          postponedEntries.push({
+            entry,
+            stagingHandles,
+            requiredKeys,
+            blocked,
+          });
+          return;
+        }
+      }
+      const { fields } = await translateMetaobjectFields(
+        storeConnectionId,
+        entry,
+        ready,
+      );
+
+      // Deferred reference fields are applied with their entry in the
+      // second pass, so only the fields written now are compared
+      if (
+        !plan.shouldApply({
+          resourceType: "metaobject",
+          key: label,
+          label,
+          action: existing ? "update" : "create",
+          before: existing && {
+            fields: Object.fromEntries(
+              (existing.fields || [])
+                .filter((field) => fields.some((f) => f.key === field.key))
+                .map((field) => [field.key, field.value]),
+            ),
+          },
+          after: {
+            fields: Object.fromEntries(
+              fields.map((field) => [field.key, field.value]),
+            ),
+          },
+        })
+      ) {
+        summary.skipped++;
+        return;
+      }
+
+      const result = await upsertMetaobjectInStaging(
+        entry,
+        fields,
+        stagingAdmin,
+      );
+
+      if (!result.success) {
+        summary.failed++;
+        summary.errors.push(`${label}: ${result.errors}`);
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `❌ Failed to sync metaobject ${label}: ${result.errors}`,
+          success: false,
+          error: result.errors,
+        });
+        return;
+      }
+
+      const existed = stagingHandles.has(entry.handle);
+      if (existed) {
+        summary.updated++;
+      } else {
+        summary.created++;
+      }
+
+      log.push({
+        timestamp: new Date().toISOString(),
+        message:
+          deferred.length > 0
+            ? `✅ ${existed ? "Updated" : "Created"} metaobject ${label} (${deferred.length} reference field(s) deferred)`
+            : `✅ ${existed ? "Updated" : "Created"} metaobject ${label}`,
+        success: true,
+      });
+
+      if (deferred.length > 0) {
+        pendingEntries.push({
+          entry,
+          stagingId: result.metaobject.id,
+          fields: deferred,
+        });
+      }
+
+      if (storeConnectionId) {
+        try {
+          await saveMapping(storeConnectionId, "metaobject", {
+            productionId: extractIdFromGid(entry.id),
+            stagingId: extractIdFromGid(result.metaobject.id),
+            productionGid: entry.id,
+            stagingGid: result.metaobject.id,
+            matchKey: "handle",
+            matchValue: label,
+            syncId: null,
+            title: entry.displayName || entry.handle,
+          });
+          console.log(`✅ Saved mapping for metaobject: ${label}`);
+        } catch (mappingError) {
+          console.error(
+            `⚠️ Failed to save mapping for metaobject ${label}:`,
+            mappingError.message,
+          );
+        }
+      }
+    };
+
+    // Step 2: First pass - upsert every entry by handle
+    for (let t = 0; t < definitions.length; t++) {
+      const { type } = definitions[t];
+      const requiredKeys = new Set(
+        (definitions[t].fieldDefinitions || [])
+          .filter((field) => field.required)
+          .map((field) => field.key),
+      );
+
+      onProgress({
+        stage: "processing",
+        message: `Syncing ${type} entries...`,
+        percentage: Math.round((t / definitions.length) * 80),
+      });
+
+      const entries = (
+        await getProductionMetaobjects(productionStore, accessToken, type)
+      ).filter((entry) =>
+        isSyncTarget(options, { id: entry.id, key: `${type}/${entry.handle}` }),
+      );
+      summary.total += entries.length;
+
+      if (entries.length === 0) continue;
+
+      if (!(await stagingDefinitionExists(type, stagingAdmin))) {
+        plan.skip({
+          resourceType: "metaobject",
+          key: type,
+          label: `${entries.length} ${type} entries`,
+          reason: "Definition does not exist in staging",
+        });
+        summary.skipped += entries.length;
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Skipping ${entries.length} ${type} entries: definition does not exist in staging. Run the metaobject definitions sync first.`,
+          skipped: true,
+        });
+        continue;
+      }
+
+      const stagingHandles = await getStagingMetaobjectHandles(
+        type,
+        stagingAdmin,
+        plan.active,
+      );
+
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `📥 ${type}: ${entries.length} production entries, ${stagingHandles.size} already in staging`,
+      });
+
+      let replayed = 0;
+      if (resumeType >= 0) {
+        if (resume.step === "references" || t < resumeType) {
+          replayed = entries.length;
+        } else if (t === resumeType) {
+          replayed = Math.max(
+            entries.findIndex((entry) => entry.handle === resume.handle),
+            0,
+          );
+        }
+      }
+
+      for (let n = 0; n < entries.length; n++) {
+        const entry = entries[n];
+
+        if (n < replayed) {
+          const stagingEntry = stagingHandles.get(entry.handle);
+          const referenceFields = getMetaobjectReferenceFields(
+            entry.fields || [],
+          );
+          if (
+            !stagingEntry &&
+            referenceFields.some((field) => requiredKeys.has(field.key))
+          ) {
+            // May have been postponed when the job stopped
+            postponedEntries.push({ entry, stagingHandles, requiredKeys });
+          } else if (stagingEntry && referenceFields.length > 0) {
+            pendingEntries.push({
+              entry,
+              stagingId: stagingEntry.id,
+              fields: referenceFields,
+            });
+          }
+          continue;
+        }
+
+        const checkpoint = {
+          cursor: { step: "entries", type, handle: entry.handle },
+        };
+        if (
+          shouldStopSync(
+            options,
+            summary,
+            log,
+            processed,
+            "entries",
+            checkpoint,
+          )
+        ) {
+          return { summary, log, plan: plan.toJSON() };
+        }
+
+        onProgress({
+          stage: "processing",
+          message: `Syncing ${type} entries...`,
+          percentage: Math.round((t / definitions.length) * 80),
+          checkpoint,
+        });
+
+        processed++;
+        lastCheckpoint = checkpoint;
+        await syncEntry({ entry, stagingHandles, requiredKeys });
+      }
+    }
+
+    // Retry postponed entries while each round creates some of them; a
+    // resumed run reaches them again from the first pass's last checkpoint
+    while (postponedEntries.length > 0) {
+      const round = postponedEntries.splice(0);
+      for (const postponed of round) {
+        if (
+          shouldStopSync(
+            options,
+            summary,
+            log,
+            processed,
+            "entries",
+            lastCheckpoint,
+          )
+        ) {
+          return { summary, log, plan: plan.toJSON() };
+        }
+        await syncEntry(postponed);
+      }
+      if (postponedEntries.length === round.length) break;
+    }
+
+    for (const { entry, blocked } of postponedEntries) {
+      const label = `${entry.type}/${entry.handle}`;
+      const error = `required reference field(s) ${blocked.map((field) => field.key).join(", ")} point to entries that aren't in staging`;
+      summary.failed++;
+      summary.errors.push(`${label}: ${error}`);
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `❌ Failed to sync metaobject ${label}: ${error}`,
+        success: false,
+        error,
+      });
+      // Records the missing references on the unmapped references report
+      await dropUnmappedReferences(storeConnectionId, entry, blocked);
+    }
+
+    // Step 3: Second pass - fill in references now that all handles exist
+    if (pendingEntries.length > 0) {
+      summary.secondPass.total = pendingEntries.length;
+
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `🔧 Starting second pass to resolve references on ${pendingEntries.length} metaobject(s)`,
+      });
+
+      const resumeIndex =
+        resumeType >= 0 && resume.step === "references"
+          ? Math.max(
+              pendingEntries.findIndex(
+                ({ entry }) =>
+                  entry.type === resume.type && entry.handle === resume.handle,
+              ),
+              0,
+            )
+          : 0;
+
+      for (let i = resumeIndex; i < pendingEntries.length; i++) {
+        const { entry, stagingId, fields: deferredFields } = pendingEntries[i];
+        const label = `${entry.type}/${entry.handle}`;
+        const checkpoint = {
+          cursor: {
+            step: "references",
+            type: entry.type,
+            handle: entry.handle,
+          },
+        };
+
+        if (
+          shouldStopSync(
+            options,
+            summary,
+            log,
+            i,
+            "reference updates",
+            checkpoint,
+          )
+        ) {
+          return { summary, log, plan: plan.toJSON() };
+        }
+
+        onProgress({
+          stage: "references",
+          message: `Resolving references for ${label}`,
+          percentage:
+            80 + Math.round(((i + 1) / pendingEntries.length) * 20),
+          checkpoint,
+        });
+
+        // References still unmapped after the first pass point to entries
+        // that never made it to staging; writing their production GIDs
+        // would fail or link the wrong store, so they're left unset
+        const { fields: mappedFields, dropped } = await dropUnmappedReferences(
+          storeConnectionId,
+          entry,
+          deferredFields,
+        );
+        if (mappedFields.length === 0) {
+          log.push({
+            timestamp: new Date().toISOString(),
+            message: `⚠️ Left references on ${label} unset (${dropped} unmapped reference(s) dropped)`,
+            skipped: true,
+          });
+          continue;
+        }
+
+        const { fields } = await translateMetaobjectFields(
+          storeConnectionId,
+          entry,
+          mappedFields,
+        );
+
+        const result = await updateMetaobjectFieldsInStaging(
+          stagingId,
+          fields,
+          stagingAdmin,
+        );
+
+        if (result.success) {
+          summary.secondPass.updated++;
+          log.push({
+            timestamp: new Date().toISOString(),
+            message:
+              dropped > 0
+                ? `⚠️ Updated references on ${label} (${dropped} unmapped reference(s) dropped)`
+                : `✅ Updated references on ${label}`,
+            success: true,
+          });
+        } else {
+          summary.secondPass.failed++;
+          summary.errors.push(`${label}: ${result.errors}`);
+          log.push({
+            timestamp: new Date().toISOString(),
+            message: `❌ Failed to update references on ${label}: ${result.errors}`,
+            success: false,
+            error: result.errors,
+          });
+        }
+      }
+    }
+
+    onProgress({
+      stage: "complete",
+      message: "Metaobject sync complete",
+      percentage: 100,
+    });
+
+    let completionMessage = `🎉 Metaobject sync completed: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed`;
+    if (summary.secondPass.total > 0) {
+      completionMessage += `. Second pass: ${summary.secondPass.updated} updated, ${summary.secondPass.failed} failed`;
+    }
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: completionMessage,
+    });
+  } catch (error) {
+    console.error("Error in syncMetaobjects:", error);
+    summary.errors.push(error.message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fatal error: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return { summary, log, plan: plan.toJSON() };
+}
+
+export const syncMetaobjects = withGraphqlCost(runMetaobjectsSync);
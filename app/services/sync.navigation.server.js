@@ -6,7 +6,16 @@
  */
 
 import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
-async function getProductionMenus(productionStore, accessToken) {
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { withPrune } from "./sync-prune.server.js";
+import { readSourceResources } from "./sync-source.server.js";
+import { isSyncTarget } from "./sync-target.server.js";
+export async function getProductionMenus(productionStore, accessToken) {
   const query = `
     query GetMenus($first: Int!, $after: String) {
       menus(first: $first, after: $after) {
@@ -55,20 +64,10 @@ async function getProductionMenus(productionStore, accessToken) {
   let cursor = null;
 
   while (hasNextPage) {
-    const response = await fetch(
-      `https://${productionStore}/admin/api/2025-07/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": accessToken,
-        },
-        body: JSON.stringify({
-          query,
-          variables: { first: 50, after: cursor },
-        }),
-      },
-    );
+    const response = await createProductionClient(
+      productionStore,
+      accessToken,
+    ).graphql(query, { variables: { first: 50, after: cursor } });
 
     const data = await response.json();
 
@@ -118,6 +117,24 @@ async function getStagingMenuByHandle(handle, stagingAdmin) {
             handle
             title
             isDefault
+            items(limit: 100) {
+              title
+              type
+              url
+              resourceId
+              items {
+                title
+                type
+                url
+                resourceId
+                items {
+                  title
+                  type
+                  url
+                  resourceId
+                }
+              }
+            }
           }
         }
       }
@@ -427,13 +444,31 @@ async function processMenuItems(items, stagingAdmin) {
   return processedItems;
 }
 
+/**
+ * Fields of a menu compared by a dry run. Items are reduced to their title,
+ * type and target (staging resource ID or URL).
+ * @param {Object} menu - Staging menu, or production menu with processed items
+ * @returns {Object} Comparable menu fields
+ */
+export function getMenuPlanFields(menu) {
+  const simplifyItems = (items) =>
+    (items || []).map((item) => ({
+      title: item.title,
+      type: item.type,
+      target: item.resourceId || item.url || null,
+      ...(item.items?.length > 0 && { items: simplifyItems(item.items) }),
+    }));
+
+  return { title: menu.title, items: simplifyItems(menu.items) };
+}
+
 /**
  * Create a navigation menu in staging
  * @param {Object} menu - The menu object from production
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @returns {Promise<Object>} Result of the menu creation
  */
-async function createMenuInStaging(menu, stagingAdmin) {
+export async function createMenuInStaging(menu, stagingAdmin) {
   const mutation = `
     mutation CreateMenu($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
       menuCreate(title: $title, handle: $handle, items: $items) {
@@ -518,7 +553,7 @@ async function createMenuInStaging(menu, stagingAdmin) {
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @returns {Promise<Object>} Result of the menu update
  */
-async function updateMenuInStaging(menuId, menu, stagingAdmin) {
+export async function updateMenuInStaging(menuId, menu, stagingAdmin) {
   const mutation = `
     mutation UpdateMenu($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
       menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
@@ -638,16 +673,22 @@ async function updateMenuInStaging(menuId, menu, stagingAdmin) {
  * @param {string} accessToken - The production store access token
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js), prune (see sync-prune.server.js)
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncNavigationMenus(
+async function runNavigationMenusSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
   const summary = {
     total: 0,
     created: 0,
@@ -670,9 +711,12 @@ export async function syncNavigationMenus(
       percentage: 0,
     });
 
-    const productionMenus = await getProductionMenus(
-      productionStore,
-      accessToken,
+    const productionMenus = (
+      await readSourceResources(options, "navigation", () =>
+        getProductionMenus(productionStore, accessToken),
+      )
+    ).filter((menu) =>
+      isSyncTarget(options, { id: menu.id, key: menu.handle }),
     );
 
     console.log("productionMenus", productionMenus);
@@ -685,7 +729,7 @@ export async function syncNavigationMenus(
     });
 
     if (productionMenus.length === 0) {
-      return { summary, log };
+      return { summary, log, plan: plan.toJSON() };
     }
 
     // Step 2: Process each menu
@@ -727,6 +771,26 @@ export async function syncNavigationMenus(
         stagingAdmin,
       );
 
+      // Items are compared after their references are resolved for staging
+      const planFields = plan.active
+        ? getMenuPlanFields({
+            title: menu.title,
+            items: await processMenuItems(menu.items, stagingAdmin),
+          })
+        : null;
+      const planned = plan.shouldApply({
+        resourceType: "menu",
+        key: menu.handle,
+        label: menu.title,
+        action: existingMenu ? "update" : "create",
+        before: existingMenu && getMenuPlanFields(existingMenu),
+        after: planFields,
+      });
+      if (!planned) {
+        summary.skipped++;
+        continue;
+      }
+
       if (existingMenu) {
         // Try to update existing menu
         log.push({
@@ -852,5 +916,9 @@ export async function syncNavigationMenus(
     summary.errors.push(error.message);
   }
 
-  return { summary, log };
+  return { summary, log, plan: plan.toJSON() };
 }
+
+export const syncNavigationMenus = withGraphqlCost(
+  withPrune("navigation", runNavigationMenusSync),
+);
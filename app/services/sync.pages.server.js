@@ -4,17 +4,42 @@
  */
 
 import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { buildSyncFetchQuery } from "./sync-query.server.js";
+import { readSourceResources } from "./sync-source.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { withPrune } from "./sync-prune.server.js";
+import { recordFailedItem } from "./sync-retry.server.js";
+import { isSyncTarget } from "./sync-target.server.js";
+import { shouldExcludeFromSync } from "./sync-filter.server.js";
+import {
+  recordSyncBaseline,
+  shouldSkipForConflict,
+} from "./sync-conflict.server.js";
+import {
+  applyFieldPolicies,
+  shouldSyncField,
+} from "./sync-field-policy.server.js";
 
 /**
  * Fetch all pages from production store
  * @param {string} productionStore - The production store domain
  * @param {string} accessToken - The production store access token
+ * @param {string|null} searchQuery - Pages search query (e.g. an updated_at filter)
  * @returns {Promise<Array>} Array of pages
  */
-async function getProductionPages(productionStore, accessToken) {
+export async function getProductionPages(
+  productionStore,
+  accessToken,
+  searchQuery = null,
+) {
   const query = `
-    query GetPages($first: Int!, $after: String) {
-      pages(first: $first, after: $after) {
+    query GetPages($first: Int!, $after: String, $query: String) {
+      pages(first: $first, after: $after, query: $query) {
         edges {
           node {
             id
@@ -41,20 +66,12 @@ async function getProductionPages(productionStore, accessToken) {
   let cursor = null;
 
   while (hasNextPage) {
-    const response = await fetch(
-      `https://${productionStore}/admin/api/2025-07/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": accessToken,
-        },
-        body: JSON.stringify({
-          query,
-          variables: { first: 250, after: cursor },
-        }),
-      },
-    );
+    const response = await createProductionClient(
+      productionStore,
+      accessToken,
+    ).graphql(query, {
+      variables: { first: 250, after: cursor, query: searchQuery },
+    });
 
     const data = await response.json();
 
@@ -106,6 +123,7 @@ async function getStagingPageByHandle(handle, stagingAdmin) {
             isPublished
             publishedAt
             templateSuffix
+            updatedAt
           }
         }
         pageInfo {
@@ -143,13 +161,38 @@ async function getStagingPageByHandle(handle, stagingAdmin) {
   return null;
 }
 
+/**
+ * Fields of a page compared for conflicts
+ * @param {Object} page - Page from production or staging
+ * @param {Object} fieldPolicies - Field policies of the connection
+ * @returns {Object} Page fields the sync writes on update
+ */
+function getPageConflictFields(page, fieldPolicies) {
+  return applyFieldPolicies(
+    {
+      title: page.title,
+      body: page.body,
+      isPublished: page.isPublished,
+      templateSuffix: page.templateSuffix,
+    },
+    fieldPolicies,
+    "page",
+    "update",
+  );
+}
+
 /**
  * Create a new page in staging
  * @param {Object} page - The page object from production
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Object} fieldPolicies - Field policies of the connection
  * @returns {Promise<Object>} Result of the page creation
  */
-async function createPageInStaging(page, stagingAdmin) {
+export async function createPageInStaging(
+  page,
+  stagingAdmin,
+  fieldPolicies = {},
+) {
   const mutation = `
     mutation CreatePage($title: String!, $handle: String!, $body: String!, $isPublished: Boolean, $templateSuffix: String) {
       pageCreate(page: {
@@ -163,7 +206,10 @@ async function createPageInStaging(page, stagingAdmin) {
           id
           handle
           title
+          body
           isPublished
+          templateSuffix
+          updatedAt
         }
         userErrors {
           field
@@ -174,12 +220,21 @@ async function createPageInStaging(page, stagingAdmin) {
     }
   `;
 
+  // The body is required, so a page whose content never syncs starts empty
   const variables = {
-    title: page.title,
-    handle: page.handle,
-    body: page.body,
-    isPublished: page.isPublished,
-    templateSuffix: page.templateSuffix,
+    body: "",
+    ...applyFieldPolicies(
+      {
+        title: page.title,
+        handle: page.handle,
+        body: page.body,
+        isPublished: page.isPublished,
+        templateSuffix: page.templateSuffix,
+      },
+      fieldPolicies,
+      "page",
+      "create",
+    ),
   };
 
   const response = await stagingAdmin.graphql(mutation, { variables });
@@ -219,9 +274,15 @@ async function createPageInStaging(page, stagingAdmin) {
  * @param {string} pageId - The staging page ID
  * @param {Object} page - The page object from production
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Object} fieldPolicies - Field policies of the connection
  * @returns {Promise<Object>} Result of the page update
  */
-async function updatePageInStaging(pageId, page, stagingAdmin) {
+export async function updatePageInStaging(
+  pageId,
+  page,
+  stagingAdmin,
+  fieldPolicies = {},
+) {
   const mutation = `
     mutation UpdatePage($id: ID!, $page: PageUpdateInput!) {
       pageUpdate(id: $id, page: $page) {
@@ -229,7 +290,10 @@ async function updatePageInStaging(pageId, page, stagingAdmin) {
           id
           handle
           title
+          body
           isPublished
+          templateSuffix
+          updatedAt
         }
         userErrors {
           field
@@ -242,13 +306,18 @@ async function updatePageInStaging(pageId, page, stagingAdmin) {
 
   const variables = {
     id: pageId,
-    page: {
-      title: page.title,
-      handle: page.handle,
-      body: page.body,
-      isPublished: page.isPublished,
-      templateSuffix: page.templateSuffix,
-    },
+    page: applyFieldPolicies(
+      {
+        title: page.title,
+        handle: page.handle,
+        body: page.body,
+        isPublished: page.isPublished,
+        templateSuffix: page.templateSuffix,
+      },
+      fieldPolicies,
+      "page",
+      "update",
+    ),
   };
 
   const response = await stagingAdmin.graphql(mutation, { variables });
@@ -289,16 +358,23 @@ async function updatePageInStaging(pageId, page, stagingAdmin) {
  * @param {string} accessToken - The production store access token
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { since: only pages updated after this time, fieldPolicies, conflicts: { strategy }, dryRun, plan, prune }
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncPages(
+async function runPagesSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const { since = null, fieldPolicies = {} } = options;
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
   const summary = {
     total: 0,
     created: 0,
@@ -306,13 +382,17 @@ export async function syncPages(
     skipped: 0,
     failed: 0,
     errors: [],
+    mode: since ? "incremental" : "full",
+    since: since ? new Date(since).toISOString() : null,
   };
 
   try {
     // Step 1: Fetch all pages from production
     log.push({
       timestamp: new Date().toISOString(),
-      message: "Fetching pages from production store...",
+      message: since
+        ? `Fetching pages updated since ${summary.since} from production store...`
+        : "Fetching pages from production store...",
     });
 
     onProgress({
@@ -321,9 +401,12 @@ export async function syncPages(
       percentage: 0,
     });
 
-    const productionPages = await getProductionPages(
-      productionStore,
-      accessToken,
+    const productionPages = await readSourceResources(options, "pages", () =>
+      getProductionPages(
+        productionStore,
+        accessToken,
+        buildSyncFetchQuery(options),
+      ),
     );
 
     console.log("productionPages", productionPages);
@@ -333,6 +416,18 @@ export async function syncPages(
     // Step 2: Process each page (create or update)
     for (let i = 0; i < productionPages.length; i++) {
       const page = productionPages[i];
+      if (!isSyncTarget(options, { id: page.id, key: page.handle })) {
+        continue;
+      }
+      if (
+        shouldExcludeFromSync(options, summary, log, plan, {
+          resourceType: "page",
+          handle: page.handle,
+          label: page.title,
+        })
+      ) {
+        continue;
+      }
       const progress = Math.round(((i + 1) / productionPages.length) * 100);
 
       console.log("page", page);
@@ -351,6 +446,47 @@ export async function syncPages(
 
       console.log("existingPage", existingPage);
 
+      if (
+        existingPage &&
+        (await shouldSkipForConflict(options, summary, log, plan, {
+          storeConnectionId,
+          resourceType: "page",
+          id: page.id,
+          handle: page.handle,
+          label: page.title,
+          production: getPageConflictFields(page, fieldPolicies),
+          staging: {
+            id: existingPage.id,
+            updatedAt: existingPage.updatedAt,
+            fields: getPageConflictFields(existingPage, fieldPolicies),
+          },
+        }))
+      ) {
+        continue;
+      }
+
+      const planned = plan.shouldApply({
+        resourceType: "page",
+        key: page.handle,
+        label: page.title,
+        action: existingPage ? "update" : "create",
+        before: existingPage,
+        after: page,
+        fields: ["title", "body", "isPublished", "templateSuffix"].filter(
+          (field) =>
+            shouldSyncField(
+              fieldPolicies,
+              "page",
+              field,
+              existingPage ? "update" : "create",
+            ),
+        ),
+      });
+      if (!planned) {
+        summary.skipped++;
+        continue;
+      }
+
       if (existingPage) {
         // Update existing page
         log.push({
@@ -362,6 +498,7 @@ export async function syncPages(
           existingPage.id,
           page,
           stagingAdmin,
+          fieldPolicies,
         );
 
         console.log("result", result);
@@ -394,6 +531,17 @@ export async function syncPages(
               );
             }
           }
+
+          // The mutation returns the saved page, so no extra read is needed
+          await recordSyncBaseline(options, {
+            storeConnectionId,
+            resourceType: "page",
+            id: page.id,
+            getStaging: async () => ({
+              updatedAt: result.page.updatedAt,
+              fields: getPageConflictFields(result.page, fieldPolicies),
+            }),
+          });
         } else {
           summary.failed++;
           log.push({
@@ -401,6 +549,13 @@ export async function syncPages(
             message: `❌ Failed to update page: ${page.title} - ${result.errors}`,
           });
           summary.errors.push(result.errors);
+          recordFailedItem(summary, {
+            resourceType: "page",
+            id: page.id,
+            key: page.handle,
+            label: page.title,
+            error: String(result.errors),
+          });
         }
       } else {
         console.log("creating new page");
@@ -411,7 +566,11 @@ export async function syncPages(
           message: `Creating new page: ${page.title} (${page.handle})`,
         });
 
-        const result = await createPageInStaging(page, stagingAdmin);
+        const result = await createPageInStaging(
+          page,
+          stagingAdmin,
+          fieldPolicies,
+        );
 
         console.log("result new created", result);
 
@@ -443,6 +602,16 @@ export async function syncPages(
               );
             }
           }
+
+          await recordSyncBaseline(options, {
+            storeConnectionId,
+            resourceType: "page",
+            id: page.id,
+            getStaging: async () => ({
+              updatedAt: result.page.updatedAt,
+              fields: getPageConflictFields(result.page, fieldPolicies),
+            }),
+          });
         } else {
           summary.failed++;
           log.push({
@@ -450,6 +619,13 @@ export async function syncPages(
             message: `❌ Failed to create page: ${page.title} - ${result.errors}`,
           });
           summary.errors.push(result.errors);
+          recordFailedItem(summary, {
+            resourceType: "page",
+            id: page.id,
+            key: page.handle,
+            label: page.title,
+            error: String(result.errors),
+          });
         }
       }
     }
@@ -474,5 +650,7 @@ export async function syncPages(
     summary.errors.push(error.message);
   }
 
-  return { summary, log };
+  return { summary, log, plan: plan.toJSON() };
 }
+
+export const syncPages = withGraphqlCost(withPrune("pages", runPagesSync));
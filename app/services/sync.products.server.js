@@ -10,37 +10,29 @@ import {
 } from "./sync.metafields.server.js";
 import { getInventoryLevels } from "./sync.locations.helper.server.js";
 import { saveMapping, extractIdFromGid } from "./resource-mapping.server.js";
-
-/**
- * Retry utility for handling transient failures
- * @param {Function} operation - The operation to retry
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} delay - Delay between retries in milliseconds
- * @returns {Promise<any>} Result of the operation
- */
-async function retryOperation(operation, maxRetries = 3, delay = 1000) {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await operation();
-    } catch (error) {
-      lastError = error;
-      console.warn(
-        `Operation failed (attempt ${attempt}/${maxRetries}):`,
-        error.message,
-      );
-
-      if (attempt < maxRetries) {
-        const backoffDelay = delay * Math.pow(2, attempt - 1); // Exponential backoff
-        console.log(`Retrying in ${backoffDelay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, backoffDelay));
-      }
-    }
-  }
-
-  throw lastError;
-}
+import { runBulkQuery } from "./bulk-operations.server.js";
+import { buildSyncFetchQuery } from "./sync-query.server.js";
+import { createSyncPlan, toMetafieldMap } from "./sync-plan.server.js";
+import { withPrune } from "./sync-prune.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { recordFailedItem } from "./sync-retry.server.js";
+import { isSyncTarget } from "./sync-target.server.js";
+import { getSyncSource, isSnapshotSource } from "./sync-source.server.js";
+import { shouldExcludeFromSync } from "./sync-filter.server.js";
+import {
+  recordSyncBaseline,
+  shouldSkipForConflict,
+} from "./sync-conflict.server.js";
+import {
+  applyFieldPolicies,
+  shouldSyncField,
+} from "./sync-field-policy.server.js";
 
 /**
  * Fetch all available publications (sales channels) in the staging store.
@@ -142,13 +134,19 @@ async function publishProductToAllChannels(productId, stagingAdmin) {
  * @param {string} productionStore - The production store domain
  * @param {string} accessToken - The production store access token
  * @param {number} first - Number of products to fetch per page (reduced to avoid query cost limits)
+ * @param {string|null} searchQuery - Products search query (e.g. an updated_at filter)
  * @returns {Promise<Array>} Array of product objects
  *
  * NOTE: Query cost limits require small batch sizes due to complex nested data.
- * For large catalogs, consider implementing Shopify Bulk Operations API:
- * https://shopify.dev/docs/api/usage/bulk-operations/queries
+ * syncProducts uses getProductionProductsBulk by default and only falls back
+ * to this paged fetch when a bulk operation can't be run.
  */
-async function getProductionProducts(productionStore, accessToken, first = 5) {
+export async function getProductionProducts(
+  productionStore,
+  accessToken,
+  first = 5,
+  searchQuery = null,
+) {
   console.log("Fetching products from production:", {
     store: productionStore,
     hasToken: !!accessToken,
@@ -158,8 +156,8 @@ async function getProductionProducts(productionStore, accessToken, first = 5) {
   });
 
   const query = `
-    query GetProducts($first: Int!, $after: String) {
-      products(first: $first, after: $after) {
+    query GetProducts($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query) {
         edges {
           node {
             id
@@ -302,26 +300,10 @@ async function getProductionProducts(productionStore, accessToken, first = 5) {
   try {
     while (hasNextPage) {
       console.log(`📦 Fetching product batch ${batchNumber}...`);
-      const response = await retryOperation(
-        async () => {
-          return fetch(
-            `https://${productionStore}/admin/api/2025-07/graphql.json`,
-            {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-                "X-Shopify-Access-Token": accessToken,
-              },
-              body: JSON.stringify({
-                query,
-                variables: { first, after },
-              }),
-            },
-          );
-        },
-        3,
-        2000,
-      );
+      const response = await createProductionClient(
+        productionStore,
+        accessToken,
+      ).graphql(query, { variables: { first, after, query: searchQuery } });
 
       const data = await response.json();
 
@@ -386,9 +368,6 @@ async function getProductionProducts(productionStore, accessToken, first = 5) {
       after = data.data.products.pageInfo.endCursor;
       batchNumber++;
 
-      // Add a small delay to avoid rate limiting and allow garbage collection
-      await new Promise((resolve) => setTimeout(resolve, 100));
-
       // Force garbage collection periodically to prevent memory buildup
       if (batchNumber % 10 === 0 && global.gc) {
         global.gc();
@@ -406,6 +385,333 @@ async function getProductionProducts(productionStore, accessToken, first = 5) {
   }
 }
 
+// Bulk queries allow at most five connections, so country-specific HS codes
+// are looked up for the exported inventory items and variant media is omitted
+const PRODUCTS_BULK_QUERY = `
+  {
+    products {
+      edges {
+        node {
+          id
+          handle
+          title
+          description
+          descriptionHtml
+          productType
+          category {
+            id
+            name
+            fullName
+          }
+          status
+          tags
+          vendor
+          seo {
+            title
+            description
+          }
+          options {
+            id
+            name
+            values
+          }
+          variants {
+            edges {
+              node {
+                id
+                title
+                sku
+                barcode
+                price
+                compareAtPrice
+                taxable
+                inventoryPolicy
+                inventoryItem {
+                  id
+                  sku
+                  tracked
+                  requiresShipping
+                  unitCost {
+                    amount
+                    currencyCode
+                  }
+                  countryCodeOfOrigin
+                  provinceCodeOfOrigin
+                  harmonizedSystemCode
+                  measurement {
+                    id
+                    weight {
+                      value
+                      unit
+                    }
+                  }
+                }
+                selectedOptions {
+                  name
+                  value
+                }
+                metafields {
+                  edges {
+                    node {
+                      id
+                      namespace
+                      key
+                      value
+                      type
+                      definition {
+                        description
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+          media {
+            edges {
+              node {
+                ... on MediaImage {
+                  id
+                  image { url }
+                }
+              }
+            }
+          }
+          metafields {
+            edges {
+              node {
+                id
+                namespace
+                key
+                value
+                type
+                definition {
+                  description
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Lookup batch size: each item asks for up to five codes, which keeps a
+// batch well under the query cost limit
+const HS_CODES_BATCH_SIZE = 100;
+
+const HS_CODES_QUERY = `
+  query GetInventoryItemHsCodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        id
+        countryHarmonizedSystemCodes(first: 5) {
+          edges {
+            node {
+              harmonizedSystemCode
+              countryCode
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Reassemble products from bulk operation JSONL lines.
+ * Child lines (variants, media, metafields) follow their parent product, so a
+ * product is complete as soon as the next product line arrives and only one
+ * product is held in memory at a time. Products are yielded in the same shape
+ * as getProductionProducts returns, less the country-specific HS codes that
+ * addProductionHsCodes fills in.
+ * @param {AsyncIterable<Object>} lines - Parsed JSONL lines
+ * @returns {AsyncGenerator<Object>} Products
+ */
+export async function* assembleBulkProducts(lines) {
+  let product = null;
+  let variantsById = new Map();
+
+  for await (const line of lines) {
+    const { __parentId: parentId, ...node } = line;
+
+    if (!parentId) {
+      if (product) yield product;
+      product = {
+        ...node,
+        variants: { edges: [], pageInfo: { hasNextPage: false } },
+        media: { edges: [] },
+        metafields: { nodes: [] },
+      };
+      variantsById = new Map();
+      continue;
+    }
+
+    // Non-image media produce lines without fields
+    if (!product || !node.id) continue;
+
+    if (node.id.startsWith("gid://shopify/ProductVariant/")) {
+      const variant = {
+        ...node,
+        media: { edges: [] },
+        metafields: { nodes: [] },
+      };
+      variantsById.set(variant.id, variant);
+      product.variants.edges.push({ node: variant });
+    } else if (node.id.startsWith("gid://shopify/Metafield/")) {
+      const owner = variantsById.get(parentId) || product;
+      owner.metafields.nodes.push(node);
+    } else if (parentId === product.id) {
+      product.media.edges.push({ node });
+    }
+  }
+
+  if (product) yield product;
+}
+
+/**
+ * Fetch country-specific HS codes for production inventory items
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Array<string>} itemIds - Inventory item GIDs
+ * @returns {Promise<Map>} Inventory item GID -> countryHarmonizedSystemCodes edges
+ */
+async function getProductionHsCodes(productionStore, accessToken, itemIds) {
+  const client = createProductionClient(productionStore, accessToken);
+  const hsCodesByItem = new Map();
+
+  for (let i = 0; i < itemIds.length; i += HS_CODES_BATCH_SIZE) {
+    const response = await client.graphql(HS_CODES_QUERY, {
+      variables: { ids: itemIds.slice(i, i + HS_CODES_BATCH_SIZE) },
+    });
+    const data = await response.json();
+    if (data.errors) {
+      throw new Error(
+        `Failed to fetch HS codes: ${data.errors.map((e) => e.message).join(", ")}`,
+      );
+    }
+    for (const item of data.data?.nodes || []) {
+      if (item?.countryHarmonizedSystemCodes?.edges.length > 0) {
+        hsCodesByItem.set(item.id, item.countryHarmonizedSystemCodes.edges);
+      }
+    }
+  }
+
+  return hsCodesByItem;
+}
+
+/**
+ * Fill in the country-specific HS codes of streamed products. Bulk queries
+ * can't nest them under variants, so they're looked up for the products'
+ * own inventory items, holding products back only until their items fill a
+ * lookup batch.
+ * @param {AsyncIterable<Object>} products - Products from assembleBulkProducts
+ * @param {Function} getHsCodes - Inventory item GIDs -> Promise<Map> of countryHarmonizedSystemCodes edges
+ * @returns {AsyncGenerator<Object>} Products
+ */
+export async function* addProductionHsCodes(products, getHsCodes) {
+  let batch = [];
+  let items = [];
+
+  const fill = async () => {
+    const hsCodesByItem =
+      items.length > 0
+        ? await getHsCodes(items.map((item) => item.id))
+        : new Map();
+    for (const item of items) {
+      item.countryHarmonizedSystemCodes = {
+        edges: hsCodesByItem.get(item.id) || [],
+      };
+    }
+    const filled = batch;
+    batch = [];
+    items = [];
+    return filled;
+  };
+
+  for await (const product of products) {
+    batch.push(product);
+    for (const { node } of product.variants.edges) {
+      if (node.inventoryItem) items.push(node.inventoryItem);
+    }
+    if (items.length >= HS_CODES_BATCH_SIZE) yield* await fill();
+  }
+
+  if (batch.length > 0) yield* await fill();
+}
+
+/**
+ * Build the products bulk query, optionally limited by a search query
+ * @param {string|null} searchQuery - Products search query
+ * @returns {string} Bulk query
+ */
+export function buildProductsBulkQuery(searchQuery = null) {
+  if (!searchQuery) return PRODUCTS_BULK_QUERY;
+  return PRODUCTS_BULK_QUERY.replace(
+    "products {",
+    `products(query: ${JSON.stringify(searchQuery)}) {`,
+  );
+}
+
+/**
+ * Count production products (used for progress while streaming)
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string|null} searchQuery - Products search query
+ * @returns {Promise<number>} Product count
+ */
+async function getProductionProductCount(
+  productionStore,
+  accessToken,
+  searchQuery = null,
+) {
+  const response = await createProductionClient(
+    productionStore,
+    accessToken,
+  ).graphql(
+    `query GetProductsCount($query: String) { productsCount(query: $query, limit: null) { count } }`,
+    { variables: { query: searchQuery } },
+  );
+  const data = await response.json();
+  return data.data?.productsCount?.count || 0;
+}
+
+/**
+ * Fetch all production products through the Bulk Operations API.
+ * Waits for the bulk operation to finish, then returns a stream that
+ * downloads and reassembles products one at a time.
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Function} onPoll - Called with the running operation on each poll
+ * @param {string|null} searchQuery - Products search query
+ * @returns {Promise<Object>} { count, products: AsyncGenerator<Object> }
+ */
+export async function getProductionProductsBulk(
+  productionStore,
+  accessToken,
+  onPoll = () => {},
+  searchQuery = null,
+) {
+  const lines = await runBulkQuery(
+    productionStore,
+    accessToken,
+    buildProductsBulkQuery(searchQuery),
+    onPoll,
+  );
+  const count = await getProductionProductCount(
+    productionStore,
+    accessToken,
+    searchQuery,
+  );
+
+  const products = addProductionHsCodes(assembleBulkProducts(lines), (ids) =>
+    getProductionHsCodes(productionStore, accessToken, ids),
+  );
+
+  return { count, products };
+}
+
 /**
  * Check if a product exists in staging by handle
  * @param {string} handle - The product handle
@@ -419,13 +725,37 @@ async function getStagingProductByHandle(handle, stagingAdmin) {
         id
         handle
         title
+        updatedAt
         status
+        descriptionHtml
+        productType
+        tags
+        vendor
+        seo {
+          title
+          description
+        }
+        category {
+          id
+        }
+        metafields(first: 20) {
+          nodes {
+            namespace
+            key
+            value
+          }
+        }
         variants(first: 100, after: $variantsAfter) {
           edges {
             node {
               id
               sku
               title
+              barcode
+              price
+              compareAtPrice
+              taxable
+              inventoryPolicy
               inventoryItem {
                 id
                 tracked
@@ -489,6 +819,79 @@ async function getStagingProductByHandle(handle, stagingAdmin) {
   }
 }
 
+/**
+ * Fields of a product compared by a dry run. Variants are keyed by their
+ * option values; images, inventory and variant metafields are not compared,
+ * nor are fields the field policies keep out of the sync.
+ * @param {Object} product - Product from production or staging
+ * @param {Object} fieldPolicies - Field policies of the connection
+ * @param {string} action - "create" or "update"
+ * @returns {Object} Comparable product fields
+ */
+export function getProductPlanFields(
+  product,
+  fieldPolicies = {},
+  action = "update",
+) {
+  const variants = (product.variants?.edges || []).map((edge) => edge.node);
+  const fields = {
+    title: product.title,
+    descriptionHtml: product.descriptionHtml || product.description,
+    productType: product.productType,
+    status: product.status,
+    tags: [...(product.tags || [])].sort(),
+    vendor: product.vendor,
+    seo: product.seo && {
+      title: product.seo.title,
+      description: product.seo.description,
+    },
+    category: product.category?.id,
+    variants: Object.fromEntries(
+      variants.map((variant) => [
+        (variant.selectedOptions || [])
+          .map((option) => `${option.name}: ${option.value}`)
+          .join(" / ") || variant.title,
+        {
+          sku: variant.sku || null,
+          barcode: variant.barcode || null,
+          price: variant.price,
+          compareAtPrice: variant.compareAtPrice || null,
+          taxable: variant.taxable,
+          inventoryPolicy: variant.inventoryPolicy,
+        },
+      ]),
+    ),
+    metafields: toMetafieldMap(product.metafields),
+  };
+
+  return {
+    ...applyFieldPolicies(fields, fieldPolicies, "product", action),
+    variants: Object.fromEntries(
+      Object.entries(fields.variants).map(([key, variant]) => [
+        key,
+        applyFieldPolicies(variant, fieldPolicies, "variant", action),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Staging state of a product, stored as its conflict baseline after a sync
+ * @param {string} handle - Product handle
+ * @param {Object} stagingAdmin - Staging admin client
+ * @param {Object} fieldPolicies - Field policies of the connection
+ * @returns {Promise<Object|null>} { updatedAt, fields }, or null when not found
+ */
+async function getStagingProductState(handle, stagingAdmin, fieldPolicies) {
+  const product = await getStagingProductByHandle(handle, stagingAdmin);
+  return (
+    product && {
+      updatedAt: product.updatedAt,
+      fields: getProductPlanFields(product, fieldPolicies),
+    }
+  );
+}
+
 /**
  * Update variants for a product in staging using bulk operations
  * Enhanced to include inventory items and all variant fields
@@ -496,6 +899,8 @@ async function getStagingProductByHandle(handle, stagingAdmin) {
  * @param {Array} productionVariants - Array of variant objects from production
  * @param {Array} stagingVariants - Array of existing variant objects from staging
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Object} fieldPolicies - Field policies of the connection
+ * @param {string} action - "update", or "create" for the variants of a new product
  * @returns {Promise<Object>} Result object with success status and variant data
  */
 async function updateProductVariantsInStaging(
@@ -503,6 +908,8 @@ async function updateProductVariantsInStaging(
   productionVariants,
   stagingVariants,
   stagingAdmin,
+  fieldPolicies = {},
+  action = "update",
 ) {
   const mutation = `
     mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!, $allowPartialUpdates: Boolean) {
@@ -655,7 +1062,9 @@ async function updateProductVariantsInStaging(
           }
         }
 
-        variantUpdates.push(variantUpdate);
+        variantUpdates.push(
+          applyFieldPolicies(variantUpdate, fieldPolicies, "variant", action),
+        );
       } else {
         variantsToCreate.push(prodVariant);
         console.warn(
@@ -672,6 +1081,7 @@ async function updateProductVariantsInStaging(
         productId,
         variantsToCreate,
         stagingAdmin,
+        fieldPolicies,
       );
       if (!createRes.success)
         throw new Error(
@@ -686,16 +1096,23 @@ async function updateProductVariantsInStaging(
       for (const prodVariant of variantsToCreate) {
         const match = stagingMap.get(toKey(prodVariant));
         if (!match) continue;
-        variantUpdates.push({
-          id: match.id,
-          sku: prodVariant.sku,
-          barcode: prodVariant.barcode,
-          price: prodVariant.price,
-          compareAtPrice: prodVariant.compareAtPrice,
-          inventoryPolicy: prodVariant.inventoryPolicy || "CONTINUE",
-          taxable: prodVariant.taxable,
-          // inventoryItem: {...} // include guarded inventory fields as you already do
-        });
+        variantUpdates.push(
+          applyFieldPolicies(
+            {
+              id: match.id,
+              sku: prodVariant.sku,
+              barcode: prodVariant.barcode,
+              price: prodVariant.price,
+              compareAtPrice: prodVariant.compareAtPrice,
+              inventoryPolicy: prodVariant.inventoryPolicy || "CONTINUE",
+              taxable: prodVariant.taxable,
+              // inventoryItem: {...} // include guarded inventory fields as you already do
+            },
+            fieldPolicies,
+            "variant",
+            "create",
+          ),
+        );
       }
 
       // Update stagingVariants reference if you use it later in this function
@@ -908,15 +1325,13 @@ async function syncVariantInventory(
         console.log(
           `  Ensuring inventory is activated at location...`,
         );
-        const activateResult = await retryOperation(async () => {
-          const resp = await stagingAdmin.graphql(activateMutation, {
-            variables: {
-              inventoryItemId: stagingVariant.inventoryItem.id,
-              locationId: stagingLocationId,
-            },
-          });
-          return await resp.json();
+        const activateResponse = await stagingAdmin.graphql(activateMutation, {
+          variables: {
+            inventoryItemId: stagingVariant.inventoryItem.id,
+            locationId: stagingLocationId,
+          },
         });
+        const activateResult = await activateResponse.json();
 
         const activateErrors = activateResult.data?.inventoryActivate?.userErrors || [];
         // Ignore "already active" style errors — that's fine, we just need it active
@@ -947,25 +1362,23 @@ async function syncVariantInventory(
         console.log(
           `  Setting inventory quantity to ${availableQty}...`,
         );
-        const setResult = await retryOperation(async () => {
-          const resp = await stagingAdmin.graphql(setQuantitiesMutation, {
-            variables: {
-              input: {
-                name: "available",
-                reason: "correction",
-                ignoreCompareQuantity: true,
-                quantities: [
-                  {
-                    inventoryItemId: stagingVariant.inventoryItem.id,
-                    locationId: stagingLocationId,
-                    quantity: availableQty,
-                  },
-                ],
-              },
+        const setResponse = await stagingAdmin.graphql(setQuantitiesMutation, {
+          variables: {
+            input: {
+              name: "available",
+              reason: "correction",
+              ignoreCompareQuantity: true,
+              quantities: [
+                {
+                  inventoryItemId: stagingVariant.inventoryItem.id,
+                  locationId: stagingLocationId,
+                  quantity: availableQty,
+                },
+              ],
             },
-          });
-          return await resp.json();
+          },
         });
+        const setResult = await setResponse.json();
 
         if (
           setResult.errors ||
@@ -1027,6 +1440,7 @@ async function createProductVariantsInStaging(
   productId,
   variants,
   stagingAdmin,
+  fieldPolicies = {},
 ) {
   const mutation = `
     mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!, $strategy: ProductVariantsBulkCreateStrategy) {
@@ -1131,7 +1545,7 @@ async function createProductVariantsInStaging(
         }
       }
 
-      return input;
+      return applyFieldPolicies(input, fieldPolicies, "variant", "create");
     });
 
     const variables = {
@@ -1304,9 +1718,14 @@ async function uploadProductImagesInStaging(productId, images, stagingAdmin) {
  * Create a new product in staging
  * @param {Object} product - The product object from production
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Object} fieldPolicies - Field policies of the connection
  * @returns {Promise<Object>} Result object with success status and product data
  */
-async function createProductInStaging(product, stagingAdmin) {
+async function createProductInStaging(
+  product,
+  stagingAdmin,
+  fieldPolicies = {},
+) {
   const mutation = `
     mutation productCreate($input: ProductInput!) {
       productCreate(input: $input) {
@@ -1395,7 +1814,9 @@ async function createProductInStaging(product, stagingAdmin) {
     // Note: variants and images are not part of ProductCreateInput
     // They need to be created separately after product creation
 
-    const variables = { input };
+    const variables = {
+      input: applyFieldPolicies(input, fieldPolicies, "product", "create"),
+    };
     const response = await stagingAdmin.graphql(mutation, { variables });
     const result = await response.json();
 
@@ -1488,6 +1909,7 @@ async function createProductInStaging(product, stagingAdmin) {
               createdProduct.id,
               variantsToCreate,
               stagingAdmin,
+              fieldPolicies,
             );
 
             if (createResult.success) {
@@ -1525,6 +1947,8 @@ async function createProductInStaging(product, stagingAdmin) {
             variants,
             allStagingVariants,
             stagingAdmin,
+            fieldPolicies,
+            "create",
           );
 
           if (variantsResult.success) {
@@ -1544,7 +1968,10 @@ async function createProductInStaging(product, stagingAdmin) {
     }
 
     // Upload images if they exist
-    if (product.media?.edges?.length > 0) {
+    if (
+      product.media?.edges?.length > 0 &&
+      shouldSyncField(fieldPolicies, "product", "images", "create")
+    ) {
       const images = product.media.edges
         .map((edge) => edge.node)
         .filter((n) => n && n.image && n.image.url)
@@ -1589,9 +2016,15 @@ async function createProductInStaging(product, stagingAdmin) {
  * @param {string} productId - The product ID in staging
  * @param {Object} product - The product object from production
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Object} fieldPolicies - Field policies of the connection
  * @returns {Promise<Object>} Result object with success status and product data
  */
-async function updateProductInStaging(productId, product, stagingAdmin) {
+async function updateProductInStaging(
+  productId,
+  product,
+  stagingAdmin,
+  fieldPolicies = {},
+) {
   const mutation = `
     mutation productUpdate($input: ProductInput!) {
       productUpdate(input: $input) {
@@ -1637,7 +2070,9 @@ async function updateProductInStaging(productId, product, stagingAdmin) {
       );
     }
 
-    const variables = { input };
+    const variables = {
+      input: applyFieldPolicies(input, fieldPolicies, "product", "update"),
+    };
     const response = await stagingAdmin.graphql(mutation, { variables });
     const result = await response.json();
 
@@ -1663,7 +2098,10 @@ async function updateProductInStaging(productId, product, stagingAdmin) {
     const updatedProduct = result.data.productUpdate.product;
 
     // Upload images if they exist and not already present
-    if (product.media?.edges?.length > 0) {
+    if (
+      product.media?.edges?.length > 0 &&
+      shouldSyncField(fieldPolicies, "product", "images", "update")
+    ) {
       // Check if product already has images in staging
       const existingImageCount = await checkExistingImages(
         updatedProduct.id,
@@ -1720,17 +2158,26 @@ async function updateProductInStaging(productId, product, stagingAdmin) {
  * @param {string} productionStore - The production store domain
  * @param {string} accessToken - The production store access token
  * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string|null} storeConnectionId - Store connection ID for mappings
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { fetchMode: "bulk" (default) or "paged", since: only products updated after this time, filter: { query, exclude }, fieldPolicies, conflicts: { strategy }, targets or retryItems: only these products, dryRun, plan, prune }
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncProducts(
+async function runProductsSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId = null,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const { fetchMode = "bulk", since = null, fieldPolicies = {} } = options;
+  const searchQuery = buildSyncFetchQuery(options);
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
   const summary = {
     total: 0,
     created: 0,
@@ -1742,6 +2189,8 @@ export async function syncProducts(
       synced: 0,
       failed: 0,
     },
+    mode: since ? "incremental" : "full",
+    since: since ? new Date(since).toISOString() : null,
   };
   let locationMap = new Map();
 
@@ -1749,25 +2198,7 @@ export async function syncProducts(
   resetPublicationsCache();
 
   // Create production admin client for API calls
-  const productionAdmin = {
-    graphql: async (query, options) => {
-      const response = await fetch(
-        `https://${productionStore}/admin/api/2025-07/graphql.json`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Shopify-Access-Token": accessToken,
-          },
-          body: JSON.stringify({
-            query,
-            variables: options?.variables,
-          }),
-        },
-      );
-      return response;
-    },
-  };
+  const productionAdmin = createProductionClient(productionStore, accessToken);
 
   try {
     // Add initial summary log
@@ -1797,7 +2228,16 @@ export async function syncProducts(
     });
 
     try {
-      if (storeConnectionId) {
+      if (isSnapshotSource(options)) {
+        // Inventory levels are read from production per variant, and a
+        // snapshot doesn't hold them
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Inventory levels aren't in snapshots. Skipping inventory sync.`,
+          type: "location_mapping",
+          skipped: true,
+        });
+      } else if (storeConnectionId) {
         // Import getMappings function
         const { getMappings } = await import("./resource-mapping.server.js");
 
@@ -1859,7 +2299,9 @@ export async function syncProducts(
         accessToken,
         stagingAdmin,
         ["PRODUCT", "PRODUCTVARIANT"], // Sync both product and variant metafield definitions
+        options,
       );
+      plan.merge(metafieldDefinitionsResult);
 
       if (metafieldDefinitionsResult.success) {
         log.push({
@@ -1891,7 +2333,9 @@ export async function syncProducts(
     // Step 2: Fetch all products from production
     log.push({
       timestamp: new Date().toISOString(),
-      message: "📥 Fetching products from production store...",
+      message: since
+        ? `📥 Fetching products updated since ${summary.since} from production store...`
+        : "📥 Fetching products from production store...",
       type: "data_fetch",
     });
 
@@ -1901,31 +2345,88 @@ export async function syncProducts(
       percentage: 10,
     });
 
-    const productionProducts = await getProductionProducts(
-      productionStore,
-      accessToken,
-    );
+    // Bulk fetch streams products one at a time; paged fetch loads them all
+    let productionProducts = null;
+    let totalProducts = 0;
 
-    summary.total = productionProducts.length;
+    if (isSnapshotSource(options)) {
+      const source = getSyncSource(options);
+      productionProducts = source.stream("products");
+      totalProducts = source.count("products");
 
-    log.push({
-      timestamp: new Date().toISOString(),
-      message: `Found ${productionProducts.length} products`,
-      details: {
-        totalProducts: productionProducts.length,
-        totalVariants: productionProducts.reduce(
-          (sum, product) => sum + (product.variants?.edges?.length || 0),
-          0,
-        ),
-        totalImages: productionProducts.reduce(
-          (sum, product) => sum + (product.images?.edges?.length || 0),
-          0,
-        ),
-      },
-    });
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `✅ Streaming ${totalProducts} products from the snapshot`,
+        type: "data_fetch",
+        success: true,
+        details: { fetchMode: "snapshot" },
+      });
+    } else if (fetchMode === "bulk") {
+      try {
+        const bulk = await getProductionProductsBulk(
+          productionStore,
+          accessToken,
+          (operation) =>
+            onProgress({
+              stage: "fetching",
+              message: `Waiting for production bulk export (${operation.objectCount || 0} objects so far)...`,
+              percentage: 10,
+            }),
+          searchQuery,
+        );
+        productionProducts = bulk.products;
+        totalProducts = bulk.count;
 
-    if (productionProducts.length === 0) {
-      return { summary, log };
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `✅ Production bulk export ready, streaming ${totalProducts} products`,
+          type: "data_fetch",
+          success: true,
+          details: { fetchMode: "bulk" },
+        });
+      } catch (error) {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Bulk export failed (${error.message}). Falling back to paged fetch.`,
+          type: "data_fetch",
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    if (!productionProducts) {
+      const products = await getProductionProducts(
+        productionStore,
+        accessToken,
+        5,
+        searchQuery,
+      );
+      productionProducts = products;
+      totalProducts = products.length;
+
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `Found ${products.length} products`,
+        details: {
+          fetchMode: "paged",
+          totalProducts: products.length,
+          totalVariants: products.reduce(
+            (sum, product) => sum + (product.variants?.edges?.length || 0),
+            0,
+          ),
+          totalImages: products.reduce(
+            (sum, product) => sum + (product.images?.edges?.length || 0),
+            0,
+          ),
+        },
+      });
+    }
+
+    summary.total = totalProducts;
+
+    if (totalProducts === 0) {
+      return { summary, log, plan: plan.toJSON() };
     }
 
     // Step 3: Process each product
@@ -1935,14 +2436,40 @@ export async function syncProducts(
       percentage: 20,
     });
 
-    for (let i = 0; i < productionProducts.length; i++) {
-      const product = productionProducts[i];
-      const progress = 20 + Math.round((i / productionProducts.length) * 70);
+    // A resumed job skips the products processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "products"));
+    }
+
+    let i = -1;
+    for await (const product of productionProducts) {
+      i++;
+      if (i < resumeIndex) continue;
+      if (!isSyncTarget(options, { id: product.id, key: product.handle })) {
+        continue;
+      }
+      if (
+        shouldExcludeFromSync(options, summary, log, plan, {
+          resourceType: "product",
+          handle: product.handle,
+          label: product.title,
+        })
+      ) {
+        continue;
+      }
+      if (shouldStopSync(options, summary, log, i, "products")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
+      const progress = 20 + Math.min(70, Math.round((i / totalProducts) * 70));
 
       onProgress({
         stage: "processing",
-        message: `Processing product ${i + 1}/${productionProducts.length}: ${product.title}`,
+        message: `Processing product ${i + 1}/${totalProducts}: ${product.title}`,
         percentage: progress,
+        checkpoint: { index: i },
       });
 
       // Force garbage collection every 50 products to prevent memory buildup
@@ -1980,6 +2507,41 @@ export async function syncProducts(
         stagingAdmin,
       );
 
+      if (
+        existingProduct &&
+        (await shouldSkipForConflict(options, summary, log, plan, {
+          storeConnectionId,
+          resourceType: "product",
+          id: product.id,
+          handle: product.handle,
+          label: product.title,
+          production: getProductPlanFields(product, fieldPolicies),
+          staging: {
+            id: existingProduct.id,
+            updatedAt: existingProduct.updatedAt,
+            fields: getProductPlanFields(existingProduct, fieldPolicies),
+          },
+        }))
+      ) {
+        continue;
+      }
+
+      const action = existingProduct ? "update" : "create";
+      const planned = plan.shouldApply({
+        resourceType: "product",
+        key: product.handle,
+        label: product.title,
+        action,
+        before:
+          existingProduct &&
+          getProductPlanFields(existingProduct, fieldPolicies, action),
+        after: getProductPlanFields(product, fieldPolicies, action),
+      });
+      if (!planned) {
+        summary.skipped++;
+        continue;
+      }
+
       if (existingProduct) {
         // Update existing product
         log.push({
@@ -1991,6 +2553,7 @@ export async function syncProducts(
           existingProduct.id,
           product,
           stagingAdmin,
+          fieldPolicies,
         );
 
         if (result.success) {
@@ -2086,6 +2649,7 @@ export async function syncProducts(
               productionVariants,
               stagingVariants,
               stagingAdmin,
+              fieldPolicies,
             );
 
             if (variantsUpdateResult.success) {
@@ -2198,7 +2762,8 @@ export async function syncProducts(
                 if (
                   locationMap.size > 0 &&
                   variant.inventoryItem?.id &&
-                  stagingVariant.node.inventoryItem?.id
+                  stagingVariant.node.inventoryItem?.id &&
+                  shouldSyncField(fieldPolicies, "variant", "inventory", action)
                 ) {
                   console.log(
                     `Syncing inventory for variant: ${variant.title} (SKU: ${variant.sku})`,
@@ -2262,10 +2827,29 @@ export async function syncProducts(
               }
             }
           }
+
+          await recordSyncBaseline(options, {
+            storeConnectionId,
+            resourceType: "product",
+            id: product.id,
+            getStaging: () =>
+              getStagingProductState(
+                product.handle,
+                stagingAdmin,
+                fieldPolicies,
+              ),
+          });
         } else {
           summary.failed++;
           const errorMessage = `Failed to update product "${product.title}" (handle: ${product.handle}): ${result.error}`;
           summary.errors.push(errorMessage);
+          recordFailedItem(summary, {
+            resourceType: "product",
+            id: product.id,
+            key: product.handle,
+            label: product.title,
+            error: result.error,
+          });
           log.push({
             timestamp: new Date().toISOString(),
             message: `❌ ${errorMessage}`,
@@ -2280,7 +2864,11 @@ export async function syncProducts(
           message: `Creating new product: ${product.title}`,
         });
 
-        const result = await createProductInStaging(product, stagingAdmin);
+        const result = await createProductInStaging(
+          product,
+          stagingAdmin,
+          fieldPolicies,
+        );
 
         if (result.success) {
           summary.created++;
@@ -2440,7 +3028,8 @@ export async function syncProducts(
               if (
                 locationMap.size > 0 &&
                 variant.inventoryItem?.id &&
-                createdVariant
+                createdVariant &&
+                shouldSyncField(fieldPolicies, "variant", "inventory", action)
               ) {
                 console.log(
                   `Syncing inventory for new variant: ${variant.title} (SKU: ${variant.sku})`,
@@ -2476,10 +3065,29 @@ export async function syncProducts(
               }
             }
           }
+
+          await recordSyncBaseline(options, {
+            storeConnectionId,
+            resourceType: "product",
+            id: product.id,
+            getStaging: () =>
+              getStagingProductState(
+                product.handle,
+                stagingAdmin,
+                fieldPolicies,
+              ),
+          });
         } else {
           summary.failed++;
           const errorMessage = `Failed to create product "${product.title}" (handle: ${product.handle}): ${result.error}`;
           summary.errors.push(errorMessage);
+          recordFailedItem(summary, {
+            resourceType: "product",
+            id: product.id,
+            key: product.handle,
+            label: product.title,
+            error: result.error,
+          });
           log.push({
             timestamp: new Date().toISOString(),
             message: `❌ ${errorMessage}`,
@@ -2515,7 +3123,7 @@ export async function syncProducts(
       },
     });
 
-    return { summary, log };
+    return { summary, log, plan: plan.toJSON() };
   } catch (error) {
     console.error("Error syncing products:", error);
 
@@ -2531,3 +3139,7 @@ export async function syncProducts(
     return { summary, log };
   }
 }
+
+export const syncProducts = withGraphqlCost(
+  withPrune("products", runProductsSync),
+);
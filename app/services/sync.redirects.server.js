@@ -0,0 +1,594 @@
+/**
+ * Redirect Sync Service
+ * Syncs URL redirects from production to staging store
+ */
+
+import {
+  extractIdFromGid,
+  getMappingByMatchValue,
+  saveMapping,
+} from "./resource-mapping.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { withPrune } from "./sync-prune.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+import { recordFailedItem } from "./sync-retry.server.js";
+import { isSyncTarget } from "./sync-target.server.js";
+
+// Matches /products/<handle> and /collections/<handle> segments in a target
+const HANDLE_PATH_PATTERN = /\/(products|collections)\/([^/?#]+)/g;
+
+/**
+ * Fetch all URL redirects from production store
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @returns {Promise<Array>} Array of redirects
+ */
+async function getProductionRedirects(productionStore, accessToken) {
+  const query = `
+    query GetUrlRedirects($first: Int!, $after: String) {
+      urlRedirects(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            path
+            target
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const allRedirects = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await createProductionClient(
+      productionStore,
+      accessToken,
+    ).graphql(query, { variables: { first: 250, after: cursor } });
+
+    const data = await response.json();
+
+    if (data.errors) {
+      console.error("Error fetching production redirects:", data.errors);
+      const scopeError = data.errors.find((error) =>
+        error.message.includes("Access denied"),
+      );
+      if (scopeError) {
+        throw new Error(
+          "Access denied for URL redirects. Please ensure the app has 'read_online_store_navigation' scope and reinstall the app if needed.",
+        );
+      }
+      throw new Error(
+        `Failed to fetch production redirects: ${data.errors
+          .map((e) => e.message)
+          .join(", ")}`,
+      );
+    }
+
+    const edges = data.data?.urlRedirects?.edges || [];
+    allRedirects.push(...edges.map((edge) => edge.node));
+
+    hasNextPage = data.data?.urlRedirects?.pageInfo?.hasNextPage || false;
+    cursor = data.data?.urlRedirects?.pageInfo?.endCursor || null;
+  }
+
+  return allRedirects;
+}
+
+/**
+ * Fetch all staging URL redirects keyed by path
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Map>} Map of path -> redirect
+ */
+async function getStagingRedirectsByPath(stagingAdmin) {
+  const query = `
+    query GetUrlRedirects($first: Int!, $after: String) {
+      urlRedirects(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            path
+            target
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const redirects = new Map();
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await stagingAdmin.graphql(query, {
+      variables: { first: 250, after: cursor },
+    });
+    const result = await response.json();
+
+    if (result.errors) {
+      throw new Error(
+        `Failed to fetch staging redirects: ${result.errors
+          .map((e) => e.message)
+          .join(", ")}`,
+      );
+    }
+
+    for (const edge of result.data?.urlRedirects?.edges || []) {
+      redirects.set(edge.node.path, edge.node);
+    }
+
+    hasNextPage = result.data?.urlRedirects?.pageInfo?.hasNextPage || false;
+    cursor = result.data?.urlRedirects?.pageInfo?.endCursor || null;
+  }
+
+  return redirects;
+}
+
+/**
+ * Look up the current handle of a staging product or collection
+ * @param {string} stagingGid - Staging resource GID
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<string|null>} The staging handle or null
+ */
+async function getStagingHandle(stagingGid, stagingAdmin) {
+  const query = `
+    query GetHandle($id: ID!) {
+      node(id: $id) {
+        ... on Product {
+          handle
+        }
+        ... on Collection {
+          handle
+        }
+      }
+    }
+  `;
+
+  const response = await stagingAdmin.graphql(query, {
+    variables: { id: stagingGid },
+  });
+  const result = await response.json();
+
+  return result.data?.node?.handle || null;
+}
+
+/**
+ * Rewrite /products/<handle> and /collections/<handle> segments of a
+ * redirect target using a handle resolver
+ * @param {string} target - Redirect target (path or absolute URL)
+ * @param {Function} resolveHandle - async (resourceType, handle) => staging handle or null
+ * @returns {Promise<Object>} { target, rewritten }
+ */
+export async function rewriteTargetHandles(target, resolveHandle) {
+  if (typeof target !== "string") return { target, rewritten: 0 };
+
+  const matches = [...target.matchAll(HANDLE_PATH_PATTERN)];
+  if (matches.length === 0) return { target, rewritten: 0 };
+
+  let rewrittenTarget = target;
+  let rewritten = 0;
+
+  // Replace from the end so earlier match indexes stay valid
+  for (const match of matches.reverse()) {
+    const [segment, prefix, handle] = match;
+    const resourceType = prefix === "products" ? "product" : "collection";
+    // Handles with a malformed escape (e.g. "100%-cotton") are looked up as
+    // they are written
+    let decodedHandle = handle;
+    try {
+      decodedHandle = decodeURIComponent(handle);
+    } catch {
+      // Keep the raw handle
+    }
+    const stagingHandle = await resolveHandle(resourceType, decodedHandle);
+
+    if (stagingHandle && stagingHandle !== decodedHandle) {
+      rewrittenTarget =
+        rewrittenTarget.slice(0, match.index) +
+        `/${prefix}/${encodeURIComponent(stagingHandle)}` +
+        rewrittenTarget.slice(match.index + segment.length);
+      rewritten++;
+    }
+  }
+
+  return { target: rewrittenTarget, rewritten };
+}
+
+/**
+ * Create a URL redirect in staging
+ * @param {Object} redirect - The redirect ({ path, target })
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} Result of the redirect creation
+ */
+async function createRedirectInStaging(redirect, stagingAdmin) {
+  const mutation = `
+    mutation CreateUrlRedirect($urlRedirect: UrlRedirectInput!) {
+      urlRedirectCreate(urlRedirect: $urlRedirect) {
+        urlRedirect {
+          id
+          path
+          target
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await stagingAdmin.graphql(mutation, {
+    variables: {
+      urlRedirect: { path: redirect.path, target: redirect.target },
+    },
+  });
+  const result = await response.json();
+
+  if (result.errors) {
+    return {
+      success: false,
+      errors: result.errors.map((e) => e.message).join(", "),
+    };
+  }
+
+  const userErrors = result.data?.urlRedirectCreate?.userErrors || [];
+  if (userErrors.length > 0) {
+    return {
+      success: false,
+      errors: userErrors.map((e) => e.message).join(", "),
+    };
+  }
+
+  return {
+    success: true,
+    redirect: result.data?.urlRedirectCreate?.urlRedirect,
+  };
+}
+
+/**
+ * Update the target of a URL redirect in staging
+ * @param {string} redirectId - The staging redirect ID
+ * @param {string} target - The new target
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} Result of the redirect update
+ */
+async function updateRedirectInStaging(redirectId, target, stagingAdmin) {
+  const mutation = `
+    mutation UpdateUrlRedirect($id: ID!, $urlRedirect: UrlRedirectInput!) {
+      urlRedirectUpdate(id: $id, urlRedirect: $urlRedirect) {
+        urlRedirect {
+          id
+          path
+          target
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await stagingAdmin.graphql(mutation, {
+    variables: { id: redirectId, urlRedirect: { target } },
+  });
+  const result = await response.json();
+
+  if (result.errors) {
+    return {
+      success: false,
+      errors: result.errors.map((e) => e.message).join(", "),
+    };
+  }
+
+  const userErrors = result.data?.urlRedirectUpdate?.userErrors || [];
+  if (userErrors.length > 0) {
+    return {
+      success: false,
+      errors: userErrors.map((e) => e.message).join(", "),
+    };
+  }
+
+  return {
+    success: true,
+    redirect: result.data?.urlRedirectUpdate?.urlRedirect,
+  };
+}
+
+/**
+ * Map a production redirect to its staging counterpart by path, so prune
+ * mode can find staging redirects whose production redirect was deleted
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {Object} redirect - Production redirect ({ id, path })
+ * @param {string} stagingGid - Staging redirect GID
+ */
+async function saveRedirectMapping(storeConnectionId, redirect, stagingGid) {
+  if (!storeConnectionId || !stagingGid) return;
+
+  try {
+    await saveMapping(storeConnectionId, "redirect", {
+      productionId: extractIdFromGid(redirect.id),
+      stagingId: extractIdFromGid(stagingGid),
+      productionGid: redirect.id,
+      stagingGid,
+      matchKey: "path",
+      matchValue: redirect.path,
+      title: redirect.path,
+    });
+  } catch (mappingError) {
+    console.error(
+      `⚠️ Failed to save mapping for redirect ${redirect.path}:`,
+      mappingError.message,
+    );
+  }
+}
+
+/**
+ * Sync URL redirects from production to staging
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string|null} storeConnectionId - Store connection ID for handle rewriting
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { rewriteTargets: rewrite product/collection handles via ResourceMapping, dryRun, plan, prune }
+ * @returns {Promise<Object>} Sync summary
+ */
+async function runRedirectsSync(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
+) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const { rewriteTargets = true } = options;
+  const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    rewritten: 0,
+    errors: [],
+  };
+
+  // Count a redirect as failed so it can be retried
+  const failRedirect = (redirect, message, error) => {
+    summary.failed++;
+    summary.errors.push(`${redirect.path}: ${error}`);
+    recordFailedItem(summary, {
+      resourceType: "redirect",
+      id: redirect.id,
+      key: redirect.path,
+      error: String(error),
+    });
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ ${message}: ${error}`,
+      success: false,
+      error,
+    });
+  };
+
+  // Cache production handle -> staging handle lookups for the whole run
+  const handleCache = new Map();
+  const resolveHandle = async (resourceType, handle) => {
+    const cacheKey = `${resourceType}:${handle}`;
+    if (handleCache.has(cacheKey)) return handleCache.get(cacheKey);
+
+    let stagingHandle = null;
+    try {
+      const mapping = await getMappingByMatchValue(
+        storeConnectionId,
+        resourceType,
+        handle,
+      );
+      if (mapping) {
+        stagingHandle = await getStagingHandle(mapping.stagingGid, stagingAdmin);
+      }
+    } catch (error) {
+      console.error(
+        `⚠️ Failed to resolve staging handle for ${resourceType} ${handle}:`,
+        error.message,
+      );
+    }
+
+    handleCache.set(cacheKey, stagingHandle);
+    return stagingHandle;
+  };
+
+  try {
+    // Step 1: Fetch redirects from both stores
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: "Fetching URL redirects from production store...",
+    });
+
+    onProgress({
+      stage: "fetching",
+      message: "Fetching URL redirects from production...",
+      percentage: 0,
+    });
+
+    const productionRedirects = await getProductionRedirects(
+      productionStore,
+      accessToken,
+    );
+    const stagingRedirects = await getStagingRedirectsByPath(stagingAdmin);
+
+    summary.total = productionRedirects.length;
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📋 Found ${productionRedirects.length} redirect(s) in production, ${stagingRedirects.size} in staging`,
+    });
+
+    const shouldRewrite = rewriteTargets && Boolean(storeConnectionId);
+    if (rewriteTargets && !storeConnectionId) {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message:
+          "⚠️ No storeConnectionId provided. Redirect targets will be copied without handle rewriting.",
+      });
+    }
+
+    // A resumed job skips the redirects processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "redirects"));
+    }
+
+    // Step 2: Create missing redirects and update changed targets
+    for (let i = resumeIndex; i < productionRedirects.length; i++) {
+      if (shouldStopSync(options, summary, log, i, "redirects")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
+      const redirect = productionRedirects[i];
+      if (!isSyncTarget(options, { id: redirect.id, key: redirect.path })) {
+        continue;
+      }
+
+      // Redirects are matched by path, so redoing the few after a batch's
+      // checkpoint on resume changes nothing
+      if (i % 50 === 0 || i === resumeIndex) {
+        onProgress({
+          stage: "processing",
+          message: `Processing redirects ${i + 1}-${Math.min(i + 50, productionRedirects.length)} of ${productionRedirects.length}`,
+          percentage: Math.round((i / productionRedirects.length) * 100),
+          checkpoint: { index: i },
+        });
+      }
+
+      let target = redirect.target;
+      if (shouldRewrite) {
+        let result;
+        try {
+          result = await rewriteTargetHandles(target, resolveHandle);
+        } catch (error) {
+          // One bad target fails its redirect, not the whole sync
+          failRedirect(
+            redirect,
+            `Failed to rewrite target of redirect ${redirect.path}`,
+            error.message,
+          );
+          continue;
+        }
+        if (result.rewritten > 0) {
+          summary.rewritten++;
+          log.push({
+            timestamp: new Date().toISOString(),
+            message: `🔧 Rewrote target for ${redirect.path}: ${target} → ${result.target}`,
+          });
+          target = result.target;
+        }
+      }
+
+      const existing = stagingRedirects.get(redirect.path);
+
+      if (existing && existing.target === target) {
+        if (!plan.dryRun) {
+          await saveRedirectMapping(storeConnectionId, redirect, existing.id);
+        }
+        summary.skipped++;
+        continue;
+      }
+
+      const planned = plan.shouldApply({
+        resourceType: "redirect",
+        key: redirect.path,
+        action: existing ? "update" : "create",
+        before: existing,
+        after: { target },
+      });
+      if (!planned) {
+        summary.skipped++;
+        continue;
+      }
+
+      const result = existing
+        ? await updateRedirectInStaging(existing.id, target, stagingAdmin)
+        : await createRedirectInStaging(
+            { path: redirect.path, target },
+            stagingAdmin,
+          );
+
+      if (result.success) {
+        await saveRedirectMapping(
+          storeConnectionId,
+          redirect,
+          existing ? existing.id : result.redirect?.id,
+        );
+        if (existing) {
+          summary.updated++;
+          log.push({
+            timestamp: new Date().toISOString(),
+            message: `✅ Updated redirect ${redirect.path} → ${target}`,
+            success: true,
+          });
+        } else {
+          summary.created++;
+          log.push({
+            timestamp: new Date().toISOString(),
+            message: `✅ Created redirect ${redirect.path} → ${target}`,
+            success: true,
+          });
+        }
+      } else {
+        failRedirect(
+          redirect,
+          `Failed to ${existing ? "update" : "create"} redirect ${redirect.path}`,
+          result.errors,
+        );
+      }
+    }
+
+    onProgress({
+      stage: "complete",
+      message: "Redirect sync complete",
+      percentage: 100,
+    });
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🎉 Redirect sync completed: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} unchanged, ${summary.failed} failed, ${summary.rewritten} target(s) rewritten`,
+    });
+  } catch (error) {
+    console.error("Error in syncRedirects:", error);
+    summary.errors.push(error.message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fatal error: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return { summary, log, plan: plan.toJSON() };
+}
+
+export const syncRedirects = withGraphqlCost(
+  withPrune("redirects", runRedirectsSync),
+);
@@ -9,6 +9,14 @@
 
 import { translateGidsInString } from "../utils/gid-translator.server.js";
 import { getMappingByProductionGid } from "./resource-mapping.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
 
 /**
  * Get all products from production with Search & Discovery metafields
@@ -54,20 +62,10 @@ async function getProductionProductsWithSearchDiscoveryMetafields(
   `;
 
   while (hasNextPage) {
-    const response = await fetch(
-      `https://${productionStore}/admin/api/2025-07/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": accessToken,
-        },
-        body: JSON.stringify({
-          query,
-          variables: cursor ? { cursor } : {},
-        }),
-      },
-    );
+    const response = await createProductionClient(
+      productionStore,
+      accessToken,
+    ).graphql(query, { variables: cursor ? { cursor } : {} });
 
     const data = await response.json();
 
@@ -167,6 +165,37 @@ async function translateProductReferences(storeConnectionId, value, context) {
   }
 }
 
+/**
+ * Get the current value of a staging product metafield, for dry-run diffs
+ * @param {string} productId - Staging product GID
+ * @param {string} namespace - Metafield namespace
+ * @param {string} key - Metafield key
+ * @param {Object} stagingAdmin - Shopify admin API client
+ * @returns {Promise<string|null>} Metafield value, or null when not set
+ */
+async function getStagingProductMetafieldValue(
+  productId,
+  namespace,
+  key,
+  stagingAdmin,
+) {
+  const query = `
+    query getProductMetafield($id: ID!, $namespace: String!, $key: String!) {
+      product(id: $id) {
+        metafield(namespace: $namespace, key: $key) {
+          value
+        }
+      }
+    }
+  `;
+
+  const response = await stagingAdmin.graphql(query, {
+    variables: { id: productId, namespace, key },
+  });
+  const data = await response.json();
+  return data.data?.product?.metafield?.value ?? null;
+}
+
 /**
  * Update a product's metafield in staging
  * @param {string} productId - Staging product GID
@@ -254,16 +283,22 @@ async function updateProductMetafield(
  * @param {Object} stagingAdmin - Shopify admin API client for staging
  * @param {string} storeConnectionId - Store connection ID
  * @param {Function} onProgress - Progress callback
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
  * @returns {Promise<Object>} Sync summary
  */
-export async function syncSearchDiscoveryMetafields(
+async function runSearchDiscoveryMetafieldsSync(
   productionStore,
   accessToken,
   stagingAdmin,
   storeConnectionId,
   onProgress = () => {},
+  options = {},
 ) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
   const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
   const summary = {
     total: 0,
     updated: 0,
@@ -311,7 +346,7 @@ export async function syncSearchDiscoveryMetafields(
         message:
           "ℹ️ No products found with Search & Discovery metafields in production. Nothing to sync.",
       });
-      return { summary, log };
+      return { summary, log, plan: plan.toJSON() };
     }
 
     onProgress({
@@ -320,8 +355,19 @@ export async function syncSearchDiscoveryMetafields(
       percentage: 10,
     });
 
+    // A resumed job skips the products processed before the interruption
+    const resumeIndex = getResumeIndex(options);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "products"));
+    }
+
     // Step 2: Process each production product
-    for (let i = 0; i < productionProducts.length; i++) {
+    for (let i = resumeIndex; i < productionProducts.length; i++) {
+      if (shouldStopSync(options, summary, log, i, "products")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
       const productionProduct = productionProducts[i];
       const progress =
         10 + Math.round(((i + 1) / productionProducts.length) * 85);
@@ -330,6 +376,7 @@ export async function syncSearchDiscoveryMetafields(
         stage: "processing",
         message: `Processing product: ${productionProduct.title}`,
         percentage: progress,
+        checkpoint: { index: i },
       });
 
       log.push({
@@ -390,6 +437,28 @@ export async function syncSearchDiscoveryMetafields(
         );
 
         if (translationResult.success) {
+          const currentValue = plan.active
+            ? await getStagingProductMetafieldValue(
+                stagingProductId,
+                metafield.namespace,
+                metafield.key,
+                stagingAdmin,
+              )
+            : null;
+          if (
+            !plan.shouldApply({
+              resourceType: "product_metafield",
+              key: `${productionProduct.handle}.${metafield.namespace}.${metafield.key}`,
+              label: `${productionProduct.title} ${metafield.namespace}.${metafield.key}`,
+              action: currentValue === null ? "create" : "update",
+              before: { value: currentValue },
+              after: { value: translationResult.translatedValue },
+            })
+          ) {
+            summary.metafieldsSkipped++;
+            continue;
+          }
+
           // Create/update the metafield on the staging product with translated value
           log.push({
             timestamp: new Date().toISOString(),
@@ -499,7 +568,7 @@ export async function syncSearchDiscoveryMetafields(
       },
     });
 
-    return { summary, log };
+    return { summary, log, plan: plan.toJSON() };
   } catch (error) {
     console.error("Error in Search & Discovery metafields sync:", error);
 
@@ -513,6 +582,10 @@ export async function syncSearchDiscoveryMetafields(
       stack: error.stack,
     });
 
-    return { summary, log };
+    return { summary, log, plan: plan.toJSON() };
   }
 }
+
+export const syncSearchDiscoveryMetafields = withGraphqlCost(
+  runSearchDiscoveryMetafieldsSync,
+);
@@ -0,0 +1,816 @@
+/**
+ * Theme Sync Service
+ * Copies theme files from a production theme into a staging theme,
+ * translating shopify:// and gid:// references in JSON templates and config
+ */
+
+import { createHash } from "node:crypto";
+import {
+  getMappingByMatchValue,
+  logUnmappedReference,
+} from "./resource-mapping.server.js";
+import { translateGidsInObject } from "../utils/gid-translator.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { getResumeIndex, getResumeLogEntry } from "./sync-checkpoint.server.js";
+
+// Files that hold resource references: templates, section groups and theme settings
+const JSON_CONFIG_PATTERNS = [
+  "templates/*.json",
+  "templates/customers/*.json",
+  "sections/*.json",
+  "config/settings_data.json",
+];
+
+// shopify://<kind>/<handle>[/<handle>] links used by theme link/url settings
+const SHOPIFY_URL_PATTERN =
+  /shopify:\/\/(products|collections|pages|blogs)\/([^\s"'<>?#/]+)(?:\/([^\s"'<>?#/]+))?/g;
+
+// Leading /* ... */ comment Shopify adds to generated JSON templates
+const JSON_HEADER_PATTERN = /^\s*\/\*[\s\S]*?\*\/\s*/;
+
+const UPSERT_BATCH_SIZE = 10;
+
+/**
+ * Run a GraphQL query against the production store
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function productionGraphql(productionStore, accessToken, query, variables) {
+  const response = await createProductionClient(
+    productionStore,
+    accessToken,
+  ).graphql(query, { variables });
+
+  const data = await response.json();
+
+  if (data.errors) {
+    const scopeError = data.errors.find((error) =>
+      error.message.includes("Access denied"),
+    );
+    if (scopeError) {
+      throw new Error(
+        "Access denied for themes. Please ensure the app has 'read_themes' scope and reinstall the app if needed.",
+      );
+    }
+    throw new Error(
+      `Production theme query failed: ${data.errors
+        .map((e) => e.message)
+        .join(", ")}`,
+    );
+  }
+
+  return data;
+}
+
+const THEMES_QUERY = `
+  query GetThemes {
+    themes(first: 50) {
+      nodes {
+        id
+        name
+        role
+      }
+    }
+  }
+`;
+
+/**
+ * List production themes
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @returns {Promise<Array>} Array of { id, name, role }
+ */
+export async function getProductionThemes(productionStore, accessToken) {
+  const data = await productionGraphql(
+    productionStore,
+    accessToken,
+    THEMES_QUERY,
+    {},
+  );
+  return data.data?.themes?.nodes || [];
+}
+
+/**
+ * List staging themes
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Array>} Array of { id, name, role }
+ */
+export async function getStagingThemes(stagingAdmin) {
+  const response = await stagingAdmin.graphql(THEMES_QUERY);
+  const result = await response.json();
+
+  if (result.errors) {
+    throw new Error(
+      `Failed to fetch staging themes: ${result.errors
+        .map((e) => e.message)
+        .join(", ")}`,
+    );
+  }
+
+  return result.data?.themes?.nodes || [];
+}
+
+/**
+ * Fetch files (with bodies) from a production theme
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} themeId - Production theme GID
+ * @param {Array<string>|null} filenames - Filename patterns, or null for all files
+ * @returns {Promise<Array>} Array of { filename, body }
+ */
+async function getProductionThemeFiles(
+  productionStore,
+  accessToken,
+  themeId,
+  filenames,
+) {
+  const query = `
+    query GetThemeFiles($id: ID!, $filenames: [String!], $first: Int!, $after: String) {
+      theme(id: $id) {
+        files(filenames: $filenames, first: $first, after: $after) {
+          nodes {
+            filename
+            checksumMd5
+            body {
+              ... on OnlineStoreThemeFileBodyText {
+                content
+              }
+              ... on OnlineStoreThemeFileBodyBase64 {
+                contentBase64
+              }
+              ... on OnlineStoreThemeFileBodyUrl {
+                url
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const allFiles = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const data = await productionGraphql(productionStore, accessToken, query, {
+      id: themeId,
+      filenames,
+      first: 50,
+      after: cursor,
+    });
+
+    const connection = data.data?.theme?.files;
+    if (!connection) {
+      throw new Error(`Production theme ${themeId} not found`);
+    }
+
+    allFiles.push(...connection.nodes);
+
+    hasNextPage = connection.pageInfo?.hasNextPage || false;
+    cursor = connection.pageInfo?.endCursor || null;
+  }
+
+  return allFiles;
+}
+
+/**
+ * Fetch file checksums from a staging theme, for dry-run diffs
+ * @param {string} themeId - Staging theme GID
+ * @param {Array<string>|null} filenames - Filename patterns, or null for all files
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Map>} Map of filename to MD5 checksum
+ */
+async function getStagingThemeChecksums(themeId, filenames, stagingAdmin) {
+  const query = `
+    query GetThemeFileChecksums($id: ID!, $filenames: [String!], $first: Int!, $after: String) {
+      theme(id: $id) {
+        files(filenames: $filenames, first: $first, after: $after) {
+          nodes {
+            filename
+            checksumMd5
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const checksums = new Map();
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const response = await stagingAdmin.graphql(query, {
+      variables: { id: themeId, filenames, first: 250, after: cursor },
+    });
+    const result = await response.json();
+    const connection = result.data?.theme?.files;
+    if (!connection) break;
+
+    for (const file of connection.nodes) {
+      checksums.set(file.filename, file.checksumMd5);
+    }
+
+    hasNextPage = connection.pageInfo?.hasNextPage || false;
+    cursor = connection.pageInfo?.endCursor || null;
+  }
+
+  return checksums;
+}
+
+/**
+ * MD5 checksum of the file body the sync would write. URL bodies are not
+ * downloaded, so they keep the production checksum.
+ * @param {Object} input - OnlineStoreThemeFilesUpsertFileInput
+ * @param {string|null} productionChecksum - Production file checksum
+ * @returns {string|null} Checksum
+ */
+export function getThemeFileChecksum(input, productionChecksum = null) {
+  if (input.body.type === "TEXT") {
+    return createHash("md5").update(input.body.value).digest("hex");
+  }
+  if (input.body.type === "BASE64") {
+    return createHash("md5")
+      .update(Buffer.from(input.body.value, "base64"))
+      .digest("hex");
+  }
+  return productionChecksum;
+}
+
+/**
+ * Write a batch of files to a staging theme
+ * @param {string} themeId - Staging theme GID
+ * @param {Array} files - Array of OnlineStoreThemeFilesUpsertFileInput
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} { success, upserted, errors }
+ */
+async function upsertThemeFilesInStaging(themeId, files, stagingAdmin) {
+  const mutation = `
+    mutation UpsertThemeFiles($themeId: ID!, $files: [OnlineStoreThemeFilesUpsertFileInput!]!) {
+      themeFilesUpsert(themeId: $themeId, files: $files) {
+        upsertedThemeFiles {
+          filename
+        }
+        userErrors {
+          filename
+          code
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await stagingAdmin.graphql(mutation, {
+    variables: { themeId, files },
+  });
+  const result = await response.json();
+
+  if (result.errors) {
+    return {
+      success: false,
+      upserted: [],
+      errors: result.errors.map((e) => e.message),
+    };
+  }
+
+  const payload = result.data?.themeFilesUpsert;
+  const userErrors = payload?.userErrors || [];
+
+  return {
+    success: userErrors.length === 0,
+    upserted: (payload?.upsertedThemeFiles || []).map((f) => f.filename),
+    errors: userErrors.map((e) =>
+      e.filename ? `${e.filename}: ${e.message}` : e.message,
+    ),
+  };
+}
+
+/**
+ * Whether a theme file holds JSON that can contain resource references
+ * @param {string} filename - Theme file path
+ * @returns {boolean}
+ */
+export function isJsonConfigFile(filename) {
+  return (
+    filename === "config/settings_data.json" ||
+    /^templates\/(customers\/)?[^/]+\.json$/.test(filename) ||
+    /^sections\/[^/]+\.json$/.test(filename)
+  );
+}
+
+/**
+ * Replace shopify:// resource links in a string using a handle resolver
+ * @param {string} value - String that may contain shopify:// links
+ * @param {Function} resolve - async (kind, handle, parentHandle) => staging handle or null
+ * @returns {Promise<Object>} { value, translated, unmapped }
+ */
+export async function translateShopifyUrls(value, resolve) {
+  if (typeof value !== "string" || !value.includes("shopify://")) {
+    return { value, translated: 0, unmapped: 0 };
+  }
+
+  const matches = [...value.matchAll(SHOPIFY_URL_PATTERN)];
+  let translatedValue = value;
+  let translated = 0;
+  let unmapped = 0;
+
+  // Replace from the end so earlier match indexes stay valid
+  for (const match of matches.reverse()) {
+    const [url, kind, first, second] = match;
+    let replacement;
+
+    if (kind === "blogs" && second) {
+      const blogHandle = await resolve("blog", first);
+      const articleHandle = await resolve("article", second, first);
+      if (blogHandle && articleHandle) {
+        replacement = `shopify://blogs/${blogHandle}/${articleHandle}`;
+      }
+    } else {
+      const stagingHandle = await resolve(kind.slice(0, -1), first);
+      if (stagingHandle) {
+        replacement = `shopify://${kind}/${stagingHandle}`;
+      }
+    }
+
+    if (replacement) {
+      translated++;
+      translatedValue =
+        translatedValue.slice(0, match.index) +
+        replacement +
+        translatedValue.slice(match.index + url.length);
+    } else {
+      unmapped++;
+    }
+  }
+
+  return { value: translatedValue, translated, unmapped };
+}
+
+/**
+ * Walk a parsed JSON value and translate shopify:// links in every string
+ * @param {*} node - Parsed JSON value
+ * @param {Function} resolve - async (kind, handle, parentHandle, path) => staging handle or null
+ * @param {string} path - Key path used as context
+ * @returns {Promise<Object>} { value, translated, unmapped }
+ */
+async function translateShopifyUrlsInObject(node, resolve, path) {
+  if (typeof node === "string") {
+    return translateShopifyUrls(node, (kind, handle, parent) =>
+      resolve(kind, handle, parent, path),
+    );
+  }
+
+  if (typeof node !== "object" || node === null) {
+    return { value: node, translated: 0, unmapped: 0 };
+  }
+
+  const entries = Array.isArray(node)
+    ? node.map((v, i) => [i, v])
+    : Object.entries(node);
+  const output = Array.isArray(node) ? [] : {};
+  let translated = 0;
+  let unmapped = 0;
+
+  for (const [key, value] of entries) {
+    const result = await translateShopifyUrlsInObject(
+      value,
+      resolve,
+      `${path}.${key}`,
+    );
+    output[key] = result.value;
+    translated += result.translated;
+    unmapped += result.unmapped;
+  }
+
+  return { value: output, translated, unmapped };
+}
+
+/**
+ * Translate all shopify:// and gid:// references in a theme JSON file
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {Object} json - Parsed theme JSON
+ * @param {string} filename - Theme file path, used as context
+ * @param {Function} resolve - async (kind, handle, parentHandle, context) => staging handle or null
+ * @returns {Promise<Object>} { value, translated, unmapped }
+ */
+export async function translateThemeReferences(
+  storeConnectionId,
+  json,
+  filename,
+  resolve,
+) {
+  const urls = await translateShopifyUrlsInObject(json, resolve, filename);
+
+  if (!storeConnectionId) {
+    return urls;
+  }
+
+  const gids = await translateGidsInObject(
+    storeConnectionId,
+    urls.value,
+    filename,
+    "themes",
+  );
+
+  return {
+    value: gids.value,
+    translated: urls.translated + gids.translated,
+    unmapped: urls.unmapped + gids.unmapped,
+  };
+}
+
+/**
+ * Build a resolver that maps production handles in shopify:// links to
+ * staging handles through ResourceMapping, logging misses as unmapped
+ * references against the production GID.
+ * @param {string|null} storeConnectionId - Store connection ID
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Function} async (kind, handle, parentHandle, context) => staging handle or null
+ */
+function createHandleResolver(
+  storeConnectionId,
+  productionStore,
+  accessToken,
+  stagingAdmin,
+) {
+  const cache = new Map();
+
+  const lookupStagingHandle = async (stagingGid) => {
+    const query = `
+      query GetHandle($id: ID!) {
+        node(id: $id) {
+          ... on Product { handle }
+          ... on Collection { handle }
+          ... on Page { handle }
+          ... on Blog { handle }
+          ... on Article { handle }
+        }
+      }
+    `;
+    const response = await stagingAdmin.graphql(query, {
+      variables: { id: stagingGid },
+    });
+    const result = await response.json();
+    return result.data?.node?.handle || null;
+  };
+
+  const lookupProductionGid = async (kind, handle, parentHandle) => {
+    const root = `${kind}s`;
+    const query = `
+      query FindByHandle($query: String!) {
+        ${root}(first: 5, query: $query) {
+          nodes {
+            id
+            handle
+            ${kind === "article" ? "blog { handle }" : ""}
+          }
+        }
+      }
+    `;
+    const data = await productionGraphql(productionStore, accessToken, query, {
+      query: `handle:${handle}`,
+    });
+    const match = (data.data?.[root]?.nodes || []).find(
+      (node) =>
+        node.handle === handle &&
+        (kind !== "article" || node.blog?.handle === parentHandle),
+    );
+    return match?.id || null;
+  };
+
+  return async (kind, handle, parentHandle = null, context = "") => {
+    if (!storeConnectionId) return null;
+
+    const matchValue = kind === "article" ? `${parentHandle}/${handle}` : handle;
+    const cacheKey = `${kind}:${matchValue}`;
+
+    if (!cache.has(cacheKey)) {
+      let stagingHandle = null;
+      let productionGid = null;
+      try {
+        const mapping = await getMappingByMatchValue(
+          storeConnectionId,
+          kind,
+          matchValue,
+        );
+        if (mapping) {
+          stagingHandle = await lookupStagingHandle(mapping.stagingGid);
+        } else {
+          productionGid = await lookupProductionGid(kind, handle, parentHandle);
+        }
+      } catch (error) {
+        console.error(
+          `⚠️ Failed to resolve ${kind} ${matchValue} for theme sync:`,
+          error.message,
+        );
+      }
+      cache.set(cacheKey, { stagingHandle, productionGid });
+    }
+
+    const { stagingHandle, productionGid } = cache.get(cacheKey);
+
+    if (!stagingHandle) {
+      if (productionGid) {
+        await logUnmappedReference(
+          storeConnectionId,
+          productionGid,
+          context,
+          "themes",
+        );
+      } else {
+        console.warn(
+          `⚠️ shopify:// reference to ${kind} ${matchValue} in ${context} does not exist in production`,
+        );
+      }
+    }
+
+    return stagingHandle;
+  };
+}
+
+/**
+ * Split a theme JSON file into its generated header comment and JSON body
+ * @param {string} content - Raw file content
+ * @returns {Object} { header, json } (json is null when unparseable)
+ */
+export function parseThemeJson(content) {
+  const headerMatch = content.match(JSON_HEADER_PATTERN);
+  const header = headerMatch ? headerMatch[0] : "";
+
+  try {
+    return { header, json: JSON.parse(content.slice(header.length)) };
+  } catch {
+    return { header, json: null };
+  }
+}
+
+/**
+ * Pick the theme to use when no explicit ID is given
+ * @param {Array} themes - Array of { id, name, role }
+ * @param {string|null} themeId - Requested theme GID
+ * @returns {Object|null} Matching theme or the live (MAIN) theme
+ */
+function selectTheme(themes, themeId) {
+  if (themeId) {
+    return themes.find((theme) => theme.id === themeId) || null;
+  }
+  return themes.find((theme) => theme.role === "MAIN") || null;
+}
+
+/**
+ * Sync a production theme into a staging theme
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string|null} storeConnectionId - Store connection ID for reference translation
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { productionThemeId, stagingThemeId, mode: "json" | "full", dryRun, plan }
+ * @returns {Promise<Object>} Sync summary
+ */
+async function runThemeSync(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
+) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const { productionThemeId = null, stagingThemeId = null, mode = "json" } =
+    options;
+  const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    translated: 0,
+    unmapped: 0,
+    errors: [],
+  };
+
+  try {
+    // Step 1: Resolve source and target themes
+    onProgress({
+      stage: "fetching",
+      message: "Resolving themes...",
+      percentage: 0,
+    });
+
+    const productionTheme = selectTheme(
+      await getProductionThemes(productionStore, accessToken),
+      productionThemeId,
+    );
+    const stagingTheme = selectTheme(
+      await getStagingThemes(stagingAdmin),
+      stagingThemeId,
+    );
+
+    if (!productionTheme) {
+      throw new Error("Production theme not found");
+    }
+    if (!stagingTheme) {
+      throw new Error("Staging theme not found");
+    }
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📋 Copying ${mode === "full" ? "all files" : "JSON templates and config"} from "${productionTheme.name}" (${productionTheme.role}) to staging theme "${stagingTheme.name}" (${stagingTheme.role})`,
+    });
+
+    if (stagingTheme.role === "MAIN") {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: "⚠️ Target is the live staging theme; changes are visible immediately",
+      });
+    }
+
+    // Step 2: Fetch production files
+    const files = await getProductionThemeFiles(
+      productionStore,
+      accessToken,
+      productionTheme.id,
+      mode === "full" ? null : JSON_CONFIG_PATTERNS,
+    );
+    summary.total = files.length;
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📥 Fetched ${files.length} file(s) from production theme`,
+    });
+
+    // Step 3: Translate references and build upsert inputs
+    const resolve = createHandleResolver(
+      storeConnectionId,
+      productionStore,
+      accessToken,
+      stagingAdmin,
+    );
+    let inputs = [];
+
+    for (const file of files) {
+      const { filename, body } = file;
+
+      if (body?.content !== undefined) {
+        let content = body.content;
+
+        if (isJsonConfigFile(filename)) {
+          const { header, json } = parseThemeJson(content);
+          if (json === null) {
+            log.push({
+              timestamp: new Date().toISOString(),
+              message: `⚠️ ${filename} is not valid JSON; copied without translation`,
+            });
+          } else {
+            const result = await translateThemeReferences(
+              storeConnectionId,
+              json,
+              filename,
+              resolve,
+            );
+            summary.translated += result.translated;
+            summary.unmapped += result.unmapped;
+            content = header + JSON.stringify(result.value, null, 2);
+
+            if (result.translated > 0 || result.unmapped > 0) {
+              log.push({
+                timestamp: new Date().toISOString(),
+                message: `🔧 ${filename}: ${result.translated} reference(s) translated, ${result.unmapped} unmapped`,
+              });
+            }
+          }
+        }
+
+        inputs.push({ filename, body: { type: "TEXT", value: content } });
+      } else if (body?.contentBase64 !== undefined) {
+        inputs.push({
+          filename,
+          body: { type: "BASE64", value: body.contentBase64 },
+        });
+      } else if (body?.url) {
+        inputs.push({ filename, body: { type: "URL", value: body.url } });
+      } else {
+        summary.skipped++;
+      }
+    }
+
+    // Files are compared by checksum, so a preview lists only files whose
+    // content would change
+    if (plan.active) {
+      const stagingChecksums = await getStagingThemeChecksums(
+        stagingTheme.id,
+        mode === "full" ? null : JSON_CONFIG_PATTERNS,
+        stagingAdmin,
+      );
+      const productionChecksums = new Map(
+        files.map((file) => [file.filename, file.checksumMd5]),
+      );
+      const planned = inputs.filter((input) =>
+        plan.shouldApply({
+          resourceType: "theme_file",
+          key: input.filename,
+          action: stagingChecksums.has(input.filename) ? "update" : "create",
+          before: { checksumMd5: stagingChecksums.get(input.filename) },
+          after: {
+            checksumMd5: getThemeFileChecksum(
+              input,
+              productionChecksums.get(input.filename),
+            ),
+          },
+        }),
+      );
+      summary.skipped += inputs.length - planned.length;
+      inputs = planned;
+    }
+
+    // A resumed job skips the files uploaded before the interruption. The
+    // inputs are rebuilt in the same order, and rewriting a file is harmless.
+    const resumeIndex = Math.min(getResumeIndex(options), inputs.length);
+    if (resumeIndex > 0) {
+      summary.resumedFrom = resumeIndex;
+      log.push(getResumeLogEntry(resumeIndex, "files"));
+    }
+
+    // Step 4: Upsert into the staging theme in batches
+    for (let i = resumeIndex; i < inputs.length; i += UPSERT_BATCH_SIZE) {
+      if (shouldStopSync(options, summary, log, i, "files")) {
+        return { summary, log, plan: plan.toJSON() };
+      }
+
+      const batch = inputs.slice(i, i + UPSERT_BATCH_SIZE);
+
+      onProgress({
+        stage: "uploading",
+        message: `Uploading files ${i + 1}-${i + batch.length} of ${inputs.length}`,
+        percentage: Math.round((i / inputs.length) * 100),
+        checkpoint: { index: i },
+      });
+
+      const result = await upsertThemeFilesInStaging(
+        stagingTheme.id,
+        batch,
+        stagingAdmin,
+      );
+
+      summary.updated += result.upserted.length;
+      summary.failed += batch.length - result.upserted.length;
+
+      for (const error of result.errors) {
+        summary.errors.push(error);
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `❌ ${error}`,
+          success: false,
+          error,
+        });
+      }
+    }
+
+    onProgress({
+      stage: "complete",
+      message: "Theme sync complete",
+      percentage: 100,
+    });
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🎉 Theme sync completed: ${summary.updated} file(s) written, ${summary.failed} failed, ${summary.translated} reference(s) translated, ${summary.unmapped} unmapped`,
+    });
+  } catch (error) {
+    console.error("Error in syncTheme:", error);
+    summary.errors.push(error.message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fatal error: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return { summary, log, plan: plan.toJSON() };
+}
+
+export const syncTheme = withGraphqlCost(runThemeSync);
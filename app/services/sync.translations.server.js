@@ -0,0 +1,849 @@
+/**
+ * Translation Sync Service
+ * Copies translations (including market-specific translations) of products,
+ * collections, pages, articles, menus, metaobjects and metafields from
+ * production to the matching staging resources
+ */
+
+import { enableAndPublishLocale } from "./sync.markets.server.js";
+import { translateGid } from "../utils/gid-translator.server.js";
+import {
+  createProductionClient,
+  withGraphqlCost,
+  wrapStagingAdmin,
+} from "./graphql-client.server.js";
+import { createSyncPlan } from "./sync-plan.server.js";
+import { shouldStopSync } from "./sync-control.server.js";
+import { getResumeCursor } from "./sync-checkpoint.server.js";
+
+// Translatable resource types, in the order they are synced
+export const TRANSLATABLE_RESOURCE_TYPES = [
+  { type: "PRODUCT", label: "products" },
+  { type: "COLLECTION", label: "collections" },
+  { type: "ONLINE_STORE_PAGE", label: "pages" },
+  { type: "ONLINE_STORE_ARTICLE", label: "articles" },
+  { type: "MENU", label: "menus" },
+  { type: "METAOBJECT", label: "metaobjects" },
+  { type: "METAFIELD", label: "metafields" },
+];
+
+// translationsRegister accepts a limited number of translations per call
+const REGISTER_BATCH_SIZE = 50;
+
+/**
+ * Run a query against the production Admin API
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Response data
+ */
+async function productionGraphql(
+  productionStore,
+  accessToken,
+  query,
+  variables = {},
+) {
+  const response = await createProductionClient(
+    productionStore,
+    accessToken,
+  ).graphql(query, { variables });
+
+  const data = await response.json();
+
+  if (data.errors) {
+    console.error("Error fetching production translations:", data.errors);
+    const scopeError = data.errors.find((error) =>
+      error.message.includes("Access denied"),
+    );
+    if (scopeError) {
+      throw new Error(
+        "Access denied for translations. Please ensure the app has 'read_translations' and 'read_locales' scopes and reinstall the app if needed.",
+      );
+    }
+    throw new Error(
+      `Failed to fetch production translations: ${data.errors
+        .map((e) => e.message)
+        .join(", ")}`,
+    );
+  }
+
+  return data.data;
+}
+
+/**
+ * Run a query or mutation against the staging Admin API
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Response data
+ */
+async function stagingGraphql(stagingAdmin, query, variables = {}) {
+  const response = await stagingAdmin.graphql(query, { variables });
+  const result = await response.json();
+
+  if (result.errors) {
+    throw new Error(result.errors.map((e) => e.message).join(", "));
+  }
+
+  return result.data;
+}
+
+const SHOP_LOCALES_QUERY = `
+  query GetShopLocales {
+    shopLocales {
+      locale
+      primary
+      published
+    }
+  }
+`;
+
+/**
+ * Build the alias list of translation selections for each locale and market.
+ * Aliases are used so one request returns every locale/market combination.
+ * @param {Array<string>} locales - Locale codes
+ * @param {Array<Object>} markets - [{ productionId }] markets to include
+ * @returns {Array<Object>} [{ alias, locale, marketId }]
+ */
+export function buildTranslationSelections(locales, markets = []) {
+  const selections = [];
+  locales.forEach((locale, localeIndex) => {
+    selections.push({ alias: `t${localeIndex}`, locale, marketId: null });
+    markets.forEach((market, marketIndex) => {
+      selections.push({
+        alias: `t${localeIndex}_m${marketIndex}`,
+        locale,
+        marketId: market.productionId,
+      });
+    });
+  });
+  return selections;
+}
+
+/**
+ * Build the production translatableResources query for the given selections
+ * @param {Array<Object>} selections - Output of buildTranslationSelections
+ * @returns {string} GraphQL query
+ */
+export function buildTranslatableResourcesQuery(selections) {
+  const translationFields = selections
+    .map(({ alias, locale, marketId }) => {
+      const args = marketId
+        ? `locale: ${JSON.stringify(locale)}, marketId: ${JSON.stringify(marketId)}`
+        : `locale: ${JSON.stringify(locale)}`;
+      return `
+          ${alias}: translations(${args}) {
+            key
+            value
+          }`;
+    })
+    .join("");
+
+  return `
+    query GetTranslatableResources(
+      $resourceType: TranslatableResourceType!
+      $first: Int!
+      $after: String
+    ) {
+      translatableResources(
+        resourceType: $resourceType
+        first: $first
+        after: $after
+      ) {
+        nodes {
+          resourceId
+          translatableContent {
+            key
+            value
+          }${translationFields}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Build the staging translatableResource query. Existing translations are
+ * only selected when a dry run needs them for diffs, and only for markets
+ * mapped to staging.
+ * @param {Array<Object>} selections - Output of buildTranslationSelections
+ * @param {Map} marketIdMap - Production market GID -> staging market GID
+ * @returns {string} GraphQL query
+ */
+export function buildStagingTranslatableResourceQuery(
+  selections = [],
+  marketIdMap = new Map(),
+) {
+  const translationFields = selections
+    .filter(({ marketId }) => !marketId || marketIdMap.has(marketId))
+    .map(({ alias, locale, marketId }) => {
+      const args = marketId
+        ? `locale: ${JSON.stringify(locale)}, marketId: ${JSON.stringify(marketIdMap.get(marketId))}`
+        : `locale: ${JSON.stringify(locale)}`;
+      return `
+            ${alias}: translations(${args}) {
+              key
+              value
+            }`;
+    })
+    .join("");
+
+  return `
+    query GetStagingTranslatableResource($resourceId: ID!) {
+      translatableResource(resourceId: $resourceId) {
+        translatableContent {
+          key
+          value
+          digest
+        }${translationFields}
+      }
+    }
+  `;
+}
+
+/**
+ * Key translations by locale, market and field for dry-run diffs
+ * @param {Array<Object>} translations - [{ locale, marketId, key, value }] with staging market GIDs
+ * @returns {Object} Translation values by "locale[@market] key"
+ */
+export function getTranslationPlanValues(translations) {
+  return Object.fromEntries(
+    translations.map(({ locale, marketId, key, value }) => [
+      `${locale}${marketId ? `@${marketId}` : ""} ${key}`,
+      value,
+    ]),
+  );
+}
+
+/**
+ * Group a production resource's translations by locale and market
+ * @param {Object} resource - translatableResources node with aliased translations
+ * @param {Array<Object>} selections - Output of buildTranslationSelections
+ * @returns {Array<Object>} [{ locale, marketId, translations: [{ key, value }] }]
+ */
+export function collectTranslations(resource, selections) {
+  return selections
+    .map(({ alias, locale, marketId }) => ({
+      locale,
+      marketId,
+      translations: (resource[alias] || []).filter(
+        (translation) => translation.value !== null && translation.value !== "",
+      ),
+    }))
+    .filter((group) => group.translations.length > 0);
+}
+
+/**
+ * Build TranslationInput list for a staging resource.
+ * Translations are only registered for keys whose source text matches
+ * production, since the translation was written for that text.
+ * @param {Array<Object>} groups - Output of collectTranslations
+ * @param {Array<Object>} productionContent - Production translatableContent
+ * @param {Array<Object>} stagingContent - Staging translatableContent (with digest)
+ * @param {Map} marketIdMap - Production market GID -> staging market GID
+ * @returns {Object} { inputs, mismatched, unmappedMarkets }
+ */
+export function buildTranslationInputs(
+  groups,
+  productionContent,
+  stagingContent,
+  marketIdMap = new Map(),
+) {
+  const productionValues = new Map(
+    productionContent.map((content) => [content.key, content.value]),
+  );
+  const stagingByKey = new Map(
+    stagingContent.map((content) => [content.key, content]),
+  );
+
+  const inputs = [];
+  let mismatched = 0;
+  let unmappedMarkets = 0;
+
+  for (const { locale, marketId, translations } of groups) {
+    let stagingMarketId = null;
+    if (marketId) {
+      stagingMarketId = marketIdMap.get(marketId);
+      if (!stagingMarketId) {
+        unmappedMarkets += translations.length;
+        continue;
+      }
+    }
+
+    for (const { key, value } of translations) {
+      const staging = stagingByKey.get(key);
+      if (!staging || staging.value !== productionValues.get(key)) {
+        mismatched++;
+        continue;
+      }
+
+      const input = {
+        locale,
+        key,
+        value,
+        translatableContentDigest: staging.digest,
+      };
+      if (stagingMarketId) input.marketId = stagingMarketId;
+      inputs.push(input);
+    }
+  }
+
+  return { inputs, mismatched, unmappedMarkets };
+}
+
+/**
+ * Fetch the locales to sync from production and make sure they exist in staging
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {Array} log - Sync log (mutated)
+ * @param {Object} plan - Sync plan (see sync-plan.server.js)
+ * @returns {Promise<Array<string>>} Locale codes available in both stores
+ */
+async function prepareLocales(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  log,
+  plan,
+) {
+  const productionData = await productionGraphql(
+    productionStore,
+    accessToken,
+    SHOP_LOCALES_QUERY,
+  );
+  const stagingData = await stagingGraphql(stagingAdmin, SHOP_LOCALES_QUERY);
+
+  const stagingLocales = new Set(
+    (stagingData?.shopLocales || []).map((l) => l.locale),
+  );
+  const locales = [];
+
+  for (const { locale, primary } of productionData?.shopLocales || []) {
+    if (primary) continue;
+
+    if (!stagingLocales.has(locale)) {
+      if (
+        !plan.shouldApply({
+          resourceType: "locale",
+          key: locale,
+          action: "create",
+          after: { locale, published: true },
+        })
+      ) {
+        // A preview still lists the translations the locale would receive
+        if (plan.dryRun) locales.push(locale);
+        continue;
+      }
+
+      const result = await enableAndPublishLocale(locale, stagingAdmin);
+      if (!result.success) {
+        log.push({
+          timestamp: new Date().toISOString(),
+          message: `⚠️ Skipping locale ${locale}: ${result.error}`,
+          skipped: true,
+        });
+        continue;
+      }
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `🔧 Enabled locale ${locale} in staging`,
+      });
+    }
+
+    locales.push(locale);
+  }
+
+  return locales;
+}
+
+/**
+ * Resolve mapped staging markets for market-specific translations
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {string} storeConnectionId - Store connection ID
+ * @returns {Promise<Object>} { markets: [{ productionId, name }], marketIdMap }
+ */
+async function prepareMarkets(productionStore, accessToken, storeConnectionId) {
+  const data = await productionGraphql(
+    productionStore,
+    accessToken,
+    `
+      query GetMarkets {
+        markets(first: 50) {
+          nodes {
+            id
+            name
+          }
+        }
+      }
+    `,
+  );
+
+  const markets = [];
+  const marketIdMap = new Map();
+
+  for (const market of data?.markets?.nodes || []) {
+    const result = await translateGid(
+      storeConnectionId,
+      market.id,
+      `translations:market ${market.name}`,
+      "translations",
+    );
+    markets.push({ productionId: market.id, name: market.name });
+    if (result.success) {
+      marketIdMap.set(market.id, result.stagingGid);
+    }
+  }
+
+  return { markets, marketIdMap };
+}
+
+/**
+ * Resolve the staging GID for a metafield through its owner's mapping
+ * @param {string} storeConnectionId - Store connection ID
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string} metafieldGid - Production metafield GID
+ * @returns {Promise<string|null>} Staging metafield GID
+ */
+async function resolveStagingMetafield(
+  storeConnectionId,
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  metafieldGid,
+) {
+  const data = await productionGraphql(
+    productionStore,
+    accessToken,
+    `
+      query GetMetafieldOwner($id: ID!) {
+        node(id: $id) {
+          ... on Metafield {
+            namespace
+            key
+            owner {
+              ... on Node {
+                id
+              }
+            }
+          }
+        }
+      }
+    `,
+    { id: metafieldGid },
+  );
+
+  const metafield = data?.node;
+  if (!metafield?.owner?.id) return null;
+
+  const owner = await translateGid(
+    storeConnectionId,
+    metafield.owner.id,
+    `translations:metafield ${metafield.namespace}.${metafield.key}`,
+    "translations",
+  );
+  if (!owner.success) return null;
+
+  const stagingData = await stagingGraphql(
+    stagingAdmin,
+    `
+      query GetStagingMetafield($id: ID!, $namespace: String!, $key: String!) {
+        node(id: $id) {
+          ... on HasMetafields {
+            metafield(namespace: $namespace, key: $key) {
+              id
+            }
+          }
+        }
+      }
+    `,
+    {
+      id: owner.stagingGid,
+      namespace: metafield.namespace,
+      key: metafield.key,
+    },
+  );
+
+  return stagingData?.node?.metafield?.id || null;
+}
+
+/**
+ * Register translations on a staging resource in batches
+ * @param {string} resourceId - Staging resource GID
+ * @param {Array<Object>} inputs - TranslationInput list
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @returns {Promise<Object>} { success, registered, errors }
+ */
+async function registerTranslations(resourceId, inputs, stagingAdmin) {
+  let registered = 0;
+  const errors = [];
+
+  for (let i = 0; i < inputs.length; i += REGISTER_BATCH_SIZE) {
+    const batch = inputs.slice(i, i + REGISTER_BATCH_SIZE);
+    const data = await stagingGraphql(
+      stagingAdmin,
+      `
+        mutation RegisterTranslations(
+          $resourceId: ID!
+          $translations: [TranslationInput!]!
+        ) {
+          translationsRegister(
+            resourceId: $resourceId
+            translations: $translations
+          ) {
+            translations {
+              key
+              locale
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `,
+      { resourceId, translations: batch },
+    );
+
+    const userErrors = data?.translationsRegister?.userErrors || [];
+    if (userErrors.length > 0) {
+      errors.push(...userErrors.map((e) => e.message));
+    }
+    registered += data?.translationsRegister?.translations?.length || 0;
+  }
+
+  return { success: errors.length === 0, registered, errors };
+}
+
+/**
+ * Sync translations from production to staging
+ * @param {string} productionStore - The production store domain
+ * @param {string} accessToken - The production store access token
+ * @param {Object} stagingAdmin - Shopify admin API client for staging
+ * @param {string|null} storeConnectionId - Store connection ID for mappings
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - { dryRun, plan } (see sync-plan.server.js)
+ * @returns {Promise<Object>} Sync summary
+ */
+async function runTranslationsSync(
+  productionStore,
+  accessToken,
+  stagingAdmin,
+  storeConnectionId = null,
+  onProgress = () => {},
+  options = {},
+) {
+  stagingAdmin = wrapStagingAdmin(stagingAdmin);
+
+  const log = [];
+  const plan = createSyncPlan(options, log);
+  stagingAdmin = plan.guard(stagingAdmin);
+  const summary = {
+    total: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    translationsRegistered: 0,
+    sourceMismatches: 0,
+    locales: [],
+    types: {},
+    errors: [],
+  };
+
+  try {
+    if (!storeConnectionId) {
+      throw new Error(
+        "Translation sync requires a store connection to find the matching staging resources",
+      );
+    }
+
+    // Step 1: Locales and markets
+    onProgress({
+      stage: "fetching",
+      message: "Preparing locales and markets...",
+      percentage: 0,
+    });
+
+    const locales = await prepareLocales(
+      productionStore,
+      accessToken,
+      stagingAdmin,
+      log,
+      plan,
+    );
+    summary.locales = locales;
+
+    if (locales.length === 0) {
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: "⚠️ Production has no alternate locales to translate",
+      });
+      return { summary, log, plan: plan.toJSON() };
+    }
+
+    const { markets, marketIdMap } = await prepareMarkets(
+      productionStore,
+      accessToken,
+      storeConnectionId,
+    );
+    const selections = buildTranslationSelections(locales, markets);
+    const query = buildTranslatableResourcesQuery(selections);
+    const stagingQuery = buildStagingTranslatableResourceQuery(
+      plan.active ? selections : [],
+      marketIdMap,
+    );
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `📋 Syncing ${locales.length} locale(s) (${locales.join(", ")}) across ${markets.length} market(s), ${marketIdMap.size} mapped in staging`,
+    });
+
+    // A resumed job starts from the page and resource it had reached,
+    // checkpointed as the resource type, the cursor the page was fetched
+    // after and the resource's position on it
+    const resume = getResumeCursor(options);
+    const resumeType = TRANSLATABLE_RESOURCE_TYPES.findIndex(
+      ({ type }) => type === resume?.type,
+    );
+    if (resumeType >= 0) {
+      summary.resumedFrom = resume;
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `⏩ Resuming after an interruption from the ${TRANSLATABLE_RESOURCE_TYPES[resumeType].label} translations already reached`,
+      });
+    }
+
+    // Step 2: Each resource type
+    for (
+      let t = Math.max(resumeType, 0);
+      t < TRANSLATABLE_RESOURCE_TYPES.length;
+      t++
+    ) {
+      const { type, label } = TRANSLATABLE_RESOURCE_TYPES[t];
+      const typeSummary = { total: 0, updated: 0, skipped: 0, failed: 0 };
+      summary.types[label] = typeSummary;
+
+      onProgress({
+        stage: "processing",
+        message: `Syncing ${label} translations...`,
+        percentage: Math.round((t / TRANSLATABLE_RESOURCE_TYPES.length) * 100),
+      });
+
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `📥 Fetching ${label} translations from production...`,
+      });
+
+      const resuming = t === resumeType;
+      let hasNextPage = true;
+      let cursor = resuming ? resume.after || null : null;
+      let offset =
+        resuming && Number.isInteger(resume.offset) ? resume.offset : 0;
+
+      while (hasNextPage) {
+        const after = cursor;
+        const data = await productionGraphql(
+          productionStore,
+          accessToken,
+          query,
+          { resourceType: type, first: 50, after },
+        );
+        const page = data?.translatableResources;
+        hasNextPage = page?.pageInfo?.hasNextPage || false;
+        cursor = page?.pageInfo?.endCursor || null;
+        const nodes = page?.nodes || [];
+
+        for (let n = offset; n < nodes.length; n++) {
+          const resource = nodes[n];
+          const checkpoint = { cursor: { type, after, offset: n } };
+          if (
+            shouldStopSync(
+              options,
+              summary,
+              log,
+              summary.total,
+              "resources",
+              checkpoint,
+            )
+          ) {
+            return { summary, log, plan: plan.toJSON() };
+          }
+
+          const groups = collectTranslations(resource, selections);
+          if (groups.length === 0) continue;
+
+          summary.total++;
+          typeSummary.total++;
+
+          onProgress({
+            stage: "processing",
+            message: `Syncing ${label} translations...`,
+            percentage: Math.round(
+              (t / TRANSLATABLE_RESOURCE_TYPES.length) * 100,
+            ),
+            checkpoint,
+          });
+
+          const stagingId =
+            type === "METAFIELD"
+              ? await resolveStagingMetafield(
+                  storeConnectionId,
+                  productionStore,
+                  accessToken,
+                  stagingAdmin,
+                  resource.resourceId,
+                )
+              : (
+                  await translateGid(
+                    storeConnectionId,
+                    resource.resourceId,
+                    `translations:${label}`,
+                    "translations",
+                  )
+                ).stagingGid;
+
+          if (!stagingId) {
+            summary.skipped++;
+            typeSummary.skipped++;
+            log.push({
+              timestamp: new Date().toISOString(),
+              message: `⚠️ Skipping ${resource.resourceId}: no matching staging resource (sync the ${label} first)`,
+              skipped: true,
+            });
+            continue;
+          }
+
+          try {
+            const stagingData = await stagingGraphql(
+              stagingAdmin,
+              stagingQuery,
+              { resourceId: stagingId },
+            );
+
+            const { inputs, mismatched, unmappedMarkets } =
+              buildTranslationInputs(
+                groups,
+                resource.translatableContent || [],
+                stagingData?.translatableResource?.translatableContent || [],
+                marketIdMap,
+              );
+            summary.sourceMismatches += mismatched;
+
+            if (unmappedMarkets > 0) {
+              log.push({
+                timestamp: new Date().toISOString(),
+                message: `⚠️ ${resource.resourceId}: ${unmappedMarkets} market-specific translation(s) skipped because their market is not mapped (run the market sync first)`,
+              });
+            }
+
+            if (inputs.length === 0) {
+              summary.skipped++;
+              typeSummary.skipped++;
+              log.push({
+                timestamp: new Date().toISOString(),
+                message: `⚠️ Skipping ${resource.resourceId}: staging source text differs from production for every translated field`,
+                skipped: true,
+              });
+              continue;
+            }
+
+            const stagingResource = stagingData?.translatableResource;
+            if (
+              !plan.shouldApply({
+                resourceType: "translation",
+                key: resource.resourceId,
+                label: `${label} ${resource.resourceId}`,
+                action: "update",
+                before:
+                  stagingResource &&
+                  getTranslationPlanValues(
+                    selections
+                      .filter(({ alias }) => stagingResource[alias])
+                      .flatMap(({ alias, locale, marketId }) =>
+                        stagingResource[alias].map((translation) => ({
+                          ...translation,
+                          locale,
+                          marketId: marketId && marketIdMap.get(marketId),
+                        })),
+                      ),
+                  ),
+                after: getTranslationPlanValues(inputs),
+              })
+            ) {
+              summary.skipped++;
+              typeSummary.skipped++;
+              continue;
+            }
+
+            const result = await registerTranslations(
+              stagingId,
+              inputs,
+              stagingAdmin,
+            );
+            summary.translationsRegistered += result.registered;
+
+            if (!result.success) {
+              throw new Error(result.errors.join(", "));
+            }
+
+            summary.updated++;
+            typeSummary.updated++;
+            log.push({
+              timestamp: new Date().toISOString(),
+              message: `✅ Registered ${result.registered} translation(s) on ${stagingId}${mismatched > 0 ? ` (${mismatched} skipped, source text differs)` : ""}`,
+              success: true,
+            });
+          } catch (error) {
+            summary.failed++;
+            typeSummary.failed++;
+            summary.errors.push(`${resource.resourceId}: ${error.message}`);
+            log.push({
+              timestamp: new Date().toISOString(),
+              message: `❌ Failed to register translations for ${resource.resourceId}: ${error.message}`,
+              success: false,
+              error: error.message,
+            });
+          }
+        }
+        offset = 0;
+      }
+
+      log.push({
+        timestamp: new Date().toISOString(),
+        message: `📋 ${label}: ${typeSummary.updated} updated, ${typeSummary.skipped} skipped, ${typeSummary.failed} failed`,
+      });
+    }
+
+    onProgress({
+      stage: "complete",
+      message: "Translation sync complete",
+      percentage: 100,
+    });
+
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `🎉 Translation sync completed: ${summary.translationsRegistered} translation(s) registered on ${summary.updated} resource(s), ${summary.skipped} skipped, ${summary.failed} failed`,
+    });
+  } catch (error) {
+    console.error("Error in syncTranslations:", error);
+    summary.errors.push(error.message);
+    log.push({
+      timestamp: new Date().toISOString(),
+      message: `❌ Fatal error: ${error.message}`,
+      success: false,
+      error: error.message,
+    });
+  }
+
+  return { summary, log, plan: plan.toJSON() };
+}
+
+export const syncTranslations = withGraphqlCost(runTranslationsSync);
@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import {
+  SYNC_TYPES,
+  getMissingScopes,
+  getSyncTypeLabel,
+  getSyncTypesWith,
+  getTargetedSyncType,
+  sortSyncTypes,
+} from "../sync-types.js";
+
+describe("SYNC_TYPES", () => {
+  it("lists every sync type after the types it depends on", () => {
+    const ids = SYNC_TYPES.map((syncType) => syncType.id);
+    for (const syncType of SYNC_TYPES) {
+      for (const dependency of syncType.dependencies) {
+        expect(ids).toContain(dependency);
+        expect(ids.indexOf(dependency)).toBeLessThan(ids.indexOf(syncType.id));
+      }
+    }
+  });
+
+  it("has unique ids", () => {
+    const ids = SYNC_TYPES.map((syncType) => syncType.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it("marks the types that fetch changes since their last run as incremental", () => {
+    expect(
+      SYNC_TYPES.filter((syncType) => syncType.incremental).map(
+        (syncType) => syncType.id,
+      ),
+    ).toEqual(["products", "collections", "pages"]);
+  });
+
+  it("marks the types that read production through a sync source as snapshot importable", () => {
+    expect(getSyncTypesWith("snapshot").map((syncType) => syncType.id)).toEqual(
+      [
+        "metafield_definitions",
+        "metaobject_definitions",
+        "locations",
+        "files",
+        "products",
+        "collections",
+        "markets",
+        "pages",
+        "navigation",
+      ],
+    );
+  });
+});
+
+describe("getSyncTypesWith", () => {
+  it("lists the types declaring a capability in run order", () => {
+    expect(getSyncTypesWith("prune").map((syncType) => syncType.id)).toEqual([
+      "products",
+      "pages",
+      "navigation",
+      "redirects",
+    ]);
+  });
+});
+
+describe("getTargetedSyncType", () => {
+  it("finds the sync type of a mapping type", () => {
+    expect(getTargetedSyncType("metaobject")).toBe("metaobjects");
+    expect(getTargetedSyncType("redirect")).toBeNull();
+  });
+});
+
+describe("sortSyncTypes", () => {
+  it("orders sync types by their dependencies and drops unknown ones", () => {
+    expect(
+      sortSyncTypes(["collections", "customers", "products", "locations"]),
+    ).toEqual(["locations", "products", "collections"]);
+  });
+});
+
+describe("getSyncTypeLabel", () => {
+  it("falls back to the id of unknown sync types", () => {
+    expect(getSyncTypeLabel("blogs")).toBe("Blogs & Articles");
+    expect(getSyncTypeLabel("customers")).toBe("customers");
+  });
+});
+
+describe("getMissingScopes", () => {
+  it("lists the scopes that have not been granted", () => {
+    expect(getMissingScopes("discounts", "read_products")).toEqual([
+      "read_discounts",
+      "write_discounts",
+    ]);
+  });
+
+  it("treats a write scope as granting the read scope", () => {
+    expect(getMissingScopes("pages", "write_online_store_pages")).toEqual([]);
+    expect(getMissingScopes("markets", "read_products, write_markets")).toEqual(
+      [],
+    );
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Sync Type Registry
+ * Every sync type the app offers, in the order they run: a type comes after
+ * the types whose resource mappings it uses. Routes and the scheduler read
+ * their lists from here. The registry is also used by page components, so
+ * the runner of each type is registered under its id in
+ * sync-runner.server.js rather than imported here.
+ *
+ * Each type declares:
+ * - id: sync type stored on sync logs, jobs and schedules
+ * - label, description, icon: how the Sync page shows it
+ * - dependencies: types to sync first so references can be mapped
+ * - scopes: access scopes the sync uses in staging
+ * - background: runs in the sync queue rather than within the request
+ * - resumable: saves a checkpoint, so an interrupted or paused run picks up
+ *   where it stopped
+ * - incremental: production queries support an `updated_at` filter, so a
+ *   run only fetches resources changed since the last successful one
+ * - retryable: records failed items, so a run's failures can be retried
+ * - target: { resourceType, label } when one resource can be synced by
+ *   handle or production GID; resourceType is its mapping type
+ * - prune: { resourceType, policies, dependentTypes } when staging resources
+ *   deleted in production can be pruned: the mapping type checked, the
+ *   policies staging supports and mappings that are only cleaned up
+ * - promote: { resourceType, label } when staging resources can be promoted
+ *   to production
+ * - snapshot: production reads go through the sync's source adapter
+ *   (sync-source.server.js), so the type can be imported from a snapshot
+ * - formOptions: reads the type's own sync options from the Sync page form
+ * - syncPage: false when the type isn't listed on the Sync page
+ */
+
+import {
+  ImportIcon,
+  ImageIcon,
+  ProfileIcon,
+  BlogIcon,
+  SettingsIcon,
+  LinkIcon,
+  ProductIcon,
+  CollectionIcon,
+  DeliveryIcon,
+  DiscountIcon,
+  LanguageTranslateIcon,
+  ThemeIcon,
+} from "@shopify/polaris-icons";
+
+export const SYNC_TYPES = [
+  {
+    id: "metafield_definitions",
+    label: "Metafield Definitions",
+    description:
+      "Sync metafield structures between stores (excludes product/variant metafields - use Product sync for those)",
+    icon: SettingsIcon,
+    dependencies: [],
+    // Metafield access follows namespace permissions rather than a scope
+    scopes: [],
+    background: false,
+    snapshot: true,
+    // Product, collection and market syncs sync their definitions first
+    syncPage: false,
+  },
+  {
+    id: "metaobject_definitions",
+    label: "Metaobject Definitions",
+    description: "Sync metaobject definitions between stores",
+    icon: ImportIcon,
+    dependencies: [],
+    scopes: ["read_metaobject_definitions", "write_metaobject_definitions"],
+    background: false,
+    snapshot: true,
+    promote: {
+      resourceType: "metaobject_definition",
+      label: "Metaobject definitions",
+    },
+  },
+  {
+    id: "metaobjects",
+    label: "Metaobjects",
+    description:
+      "Sync metaobject entries by handle, including references between entries",
+    icon: ImportIcon,
+    dependencies: ["metaobject_definitions"],
+    scopes: ["read_metaobjects", "write_metaobjects"],
+    background: true,
+    resumable: true,
+    target: { resourceType: "metaobject", label: "Metaobject (type/handle)" },
+    promote: { resourceType: "metaobject", label: "Metaobject entries" },
+  },
+  {
+    id: "locations",
+    label: "Locations",
+    description: "Sync store locations for inventory management",
+    icon: ImportIcon,
+    dependencies: [],
+    scopes: ["read_locations", "write_locations"],
+    background: false,
+    snapshot: true,
+  },
+  {
+    id: "files",
+    label: "Theme Images",
+    description:
+      "Sync images uploaded in theme editor (excludes product images) - Formats accepted: PNG, JPG, SVG, WEBP",
+    icon: ImageIcon,
+    dependencies: [],
+    scopes: ["write_files"],
+    background: true,
+    snapshot: true,
+    resumable: true,
+    retryable: true,
+  },
+  {
+    id: "products",
+    label: "Products",
+    description:
+      "Sync product catalog including variants, images, and metafields",
+    icon: ProductIcon,
+    // Inventory is copied to the mapped locations
+    dependencies: ["locations"],
+    scopes: ["write_products", "write_inventory", "write_publications"],
+    background: true,
+    snapshot: true,
+    resumable: true,
+    incremental: true,
+    retryable: true,
+    target: { resourceType: "product", label: "Product" },
+    prune: {
+      resourceType: "product",
+      policies: ["archive", "delete"],
+      // Mappings that are only cleaned up, never pruned in staging
+      dependentTypes: ["variant", "inventory_item"],
+    },
+  },
+  {
+    id: "collections",
+    label: "Collections",
+    description: "Sync collections and their product associations",
+    icon: CollectionIcon,
+    dependencies: ["products"],
+    scopes: ["write_products", "write_publications"],
+    background: true,
+    snapshot: true,
+    resumable: true,
+    incremental: true,
+    retryable: true,
+    target: { resourceType: "collection", label: "Collection" },
+    promote: { resourceType: "collection", label: "Collections" },
+  },
+  {
+    id: "markets",
+    label: "Markets",
+    description: "Sync Shopify Markets configuration and settings",
+    icon: SettingsIcon,
+    // Catalogs publish mapped products and price lists use mapped variants
+    dependencies: ["products"],
+    scopes: ["read_markets", "write_markets"],
+    background: false,
+    snapshot: true,
+  },
+  {
+    id: "pages",
+    label: "Pages",
+    description: "Sync online store pages and their content",
+    icon: ProfileIcon,
+    dependencies: [],
+    scopes: ["read_online_store_pages", "write_online_store_pages"],
+    background: false,
+    snapshot: true,
+    incremental: true,
+    retryable: true,
+    target: { resourceType: "page", label: "Page" },
+    prune: { resourceType: "page", policies: ["archive", "delete"] },
+    promote: { resourceType: "page", label: "Pages" },
+  },
+  {
+    id: "blogs",
+    label: "Blogs & Articles",
+    description:
+      "Sync blogs and their articles, including authors, tags, images and metafields",
+    icon: BlogIcon,
+    dependencies: [],
+    scopes: ["read_content", "write_content"],
+    background: true,
+    resumable: true,
+  },
+  {
+    id: "navigation",
+    label: "Navigation Menus",
+    description: "Sync navigation menus and their structure",
+    icon: SettingsIcon,
+    dependencies: ["pages"],
+    scopes: ["read_online_store_navigation", "write_online_store_navigation"],
+    background: false,
+    snapshot: true,
+    target: { resourceType: "navigation", label: "Navigation menu" },
+    prune: { resourceType: "navigation", policies: ["delete"] },
+    promote: { resourceType: "navigation", label: "Menus" },
+  },
+  {
+    id: "redirects",
+    label: "URL Redirects",
+    description:
+      "Sync URL redirects for legacy paths, rewriting targets whose product or collection handles changed",
+    icon: LinkIcon,
+    dependencies: ["products", "collections"],
+    scopes: ["read_online_store_navigation", "write_online_store_navigation"],
+    background: true,
+    resumable: true,
+    retryable: true,
+    prune: { resourceType: "redirect", policies: ["delete"] },
+    formOptions: (formData) => ({
+      rewriteTargets: formData.get("rewriteRedirectTargets") !== "false",
+    }),
+  },
+  {
+    id: "search_discovery",
+    label: "Search & Discovery Settings",
+    description:
+      "Translate product references in Search & Discovery app metafields (complementary/related products)",
+    icon: SettingsIcon,
+    dependencies: ["products"],
+    scopes: ["write_products"],
+    background: true,
+    resumable: true,
+  },
+  {
+    id: "delivery_profiles",
+    label: "Shipping & Delivery",
+    description:
+      "Sync delivery profiles with their zones and rates, and assign products to custom profiles",
+    icon: DeliveryIcon,
+    dependencies: ["locations", "products"],
+    scopes: ["read_shipping", "write_shipping"],
+    background: true,
+    resumable: true,
+  },
+  {
+    id: "discounts",
+    label: "Discounts",
+    description:
+      "Sync basic, buy X get Y and free shipping discounts (code and automatic), remapping eligible products and collections",
+    icon: DiscountIcon,
+    dependencies: ["products", "collections"],
+    scopes: ["read_discounts", "write_discounts"],
+    background: true,
+    resumable: true,
+    retryable: true,
+  },
+  {
+    id: "translations",
+    label: "Translations",
+    description:
+      "Copy translations and market-specific translations for products, collections, pages, articles, menus, metaobjects and metafields",
+    icon: LanguageTranslateIcon,
+    dependencies: [
+      "metaobjects",
+      "products",
+      "collections",
+      "markets",
+      "pages",
+      "blogs",
+      "navigation",
+    ],
+    scopes: [
+      "read_translations",
+      "write_translations",
+      "read_locales",
+      "write_locales",
+    ],
+    background: true,
+    resumable: true,
+  },
+  {
+    id: "themes",
+    label: "Theme",
+    description:
+      "Copy a production theme's JSON templates and settings (or all files) into a staging theme, translating product, collection and metaobject references",
+    icon: ThemeIcon,
+    dependencies: ["metaobjects", "products", "collections"],
+    scopes: ["read_themes", "write_themes"],
+    background: true,
+    resumable: true,
+    formOptions: (formData) => ({
+      mode: formData.get("themeMode") === "full" ? "full" : "json",
+      productionThemeId: formData.get("productionThemeId") || null,
+      stagingThemeId: formData.get("stagingThemeId") || null,
+    }),
+  },
+];
+
+/**
+ * Look up a registered sync type
+ * @param {string} id - Sync type
+ * @returns {Object|null} Sync type, or null when it isn't registered
+ */
+export function getSyncType(id) {
+  return SYNC_TYPES.find((syncType) => syncType.id === id) || null;
+}
+
+/**
+ * Get the registered sync types that declare a capability, in the order
+ * they run
+ * @param {string} capability - Registry field, e.g. "retryable" or "prune"
+ * @returns {Array<Object>} Sync types
+ */
+export function getSyncTypesWith(capability) {
+  return SYNC_TYPES.filter((syncType) => syncType[capability]);
+}
+
+/**
+ * Get the sync type that syncs single resources of a mapping type
+ * @param {string} resourceType - Resource mapping type, e.g. "product"
+ * @returns {string|null} Sync type, or null when none does
+ */
+export function getTargetedSyncType(resourceType) {
+  return (
+    SYNC_TYPES.find(
+      (syncType) => syncType.target?.resourceType === resourceType,
+    )?.id || null
+  );
+}
+
+/**
+ * Get the label of a sync type
+ * @param {string} id - Sync type
+ * @returns {string} Label, or the id when the type isn't registered
+ */
+export function getSyncTypeLabel(id) {
+  return getSyncType(id)?.label || id;
+}
+
+/**
+ * Keep the registered sync types of a list, in the order they run
+ * @param {Array<string>} ids - Sync types
+ * @returns {Array<string>}
+ */
+export function sortSyncTypes(ids = []) {
+  return SYNC_TYPES.map((syncType) => syncType.id).filter((id) =>
+    ids.includes(id),
+  );
+}
+
+/**
+ * Get the scopes a sync type uses that have not been granted. A write
+ * scope also grants the matching read scope.
+ * @param {string} id - Sync type
+ * @param {string} grantedScopes - Comma-separated scopes of the session
+ * @returns {Array<string>} Missing scopes
+ */
+export function getMissingScopes(id, grantedScopes = "") {
+  const granted = new Set(
+    grantedScopes
+      .split(",")
+      .map((scope) => scope.trim())
+      .filter(Boolean),
+  );
+  return (getSyncType(id)?.scopes || []).filter(
+    (scope) =>
+      !granted.has(scope) && !granted.has(scope.replace(/^read_/, "write_")),
+  );
+}
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "SyncSchedule" ADD COLUMN "fullResync" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "SyncWatermark" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "connectionId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "watermark" DATETIME NOT NULL,
+    "syncLogId" TEXT,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "SyncWatermark_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncWatermark_connectionId_syncType_key" ON "SyncWatermark"("connectionId", "syncType");
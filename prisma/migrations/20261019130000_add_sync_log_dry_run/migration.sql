@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SyncLog" ADD COLUMN "dryRun" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "SyncLog" ADD COLUMN "plan" TEXT;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "PruneSetting" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "connectionId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "policy" TEXT NOT NULL DEFAULT 'delete',
+    "maxPercent" INTEGER NOT NULL DEFAULT 10,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "PruneSetting_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PruneSetting_connectionId_syncType_key" ON "PruneSetting"("connectionId", "syncType");
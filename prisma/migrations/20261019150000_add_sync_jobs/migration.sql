@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "SyncJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "connectionId" TEXT NOT NULL,
+    "syncLogId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "options" TEXT,
+    "checkpoint" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "workerId" TEXT,
+    "batchId" TEXT,
+    "scheduleId" TEXT,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" DATETIME,
+    "completedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "SyncJob_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SyncJob_syncLogId_fkey" FOREIGN KEY ("syncLogId") REFERENCES "SyncLog" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncJob_syncLogId_key" ON "SyncJob"("syncLogId");
+
+-- CreateIndex
+CREATE INDEX "SyncJob_status_createdAt_idx" ON "SyncJob"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SyncJob_batchId_idx" ON "SyncJob"("batchId");
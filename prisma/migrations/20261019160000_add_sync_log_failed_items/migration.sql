@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SyncLog" ADD COLUMN "failedItems" TEXT;
+ALTER TABLE "SyncLog" ADD COLUMN "retryOfLogId" TEXT;
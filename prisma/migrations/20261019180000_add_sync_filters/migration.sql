@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "SyncFilter" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "connectionId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "query" TEXT NOT NULL DEFAULT '',
+    "exclude" TEXT NOT NULL DEFAULT '',
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "SyncFilter_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncFilter_connectionId_syncType_key" ON "SyncFilter"("connectionId", "syncType");
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "FieldPolicy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "connectionId" TEXT NOT NULL,
+    "resourceType" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "policy" TEXT NOT NULL DEFAULT 'always',
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "FieldPolicy_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FieldPolicy_connectionId_resourceType_field_key" ON "FieldPolicy"("connectionId", "resourceType", "field");
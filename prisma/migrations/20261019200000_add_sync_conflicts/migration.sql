@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "SyncConflict" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "storeConnectionId" TEXT NOT NULL,
+    "resourceType" TEXT NOT NULL,
+    "productionGid" TEXT NOT NULL,
+    "stagingGid" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "title" TEXT,
+    "productionFields" TEXT NOT NULL,
+    "stagingFields" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "detectedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" DATETIME,
+    CONSTRAINT "SyncConflict_storeConnectionId_fkey" FOREIGN KEY ("storeConnectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ConflictSetting" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "connectionId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "strategy" TEXT NOT NULL DEFAULT 'off',
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ConflictSetting_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncConflict_storeConnectionId_resourceType_productionGid_key" ON "SyncConflict"("storeConnectionId", "resourceType", "productionGid");
+
+-- CreateIndex
+CREATE INDEX "SyncConflict_storeConnectionId_status_idx" ON "SyncConflict"("storeConnectionId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConflictSetting_connectionId_syncType_key" ON "ConflictSetting"("connectionId", "syncType");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "SyncLog" ADD COLUMN "direction" TEXT NOT NULL DEFAULT 'pull';
+
+-- CreateIndex
+CREATE INDEX "ResourceMapping_storeConnectionId_stagingGid_idx" ON "ResourceMapping"("storeConnectionId", "stagingGid");
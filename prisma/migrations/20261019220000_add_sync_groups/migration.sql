@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE "SyncGroup" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "connectionId" TEXT NOT NULL,
+    "syncTypes" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "SyncGroup_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "SyncGroupTarget" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "groupId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "connectionId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "SyncGroupTarget_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "SyncGroup" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SyncGroupTarget_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "SyncGroup_shop_idx" ON "SyncGroup"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncGroupTarget_groupId_shop_key" ON "SyncGroupTarget"("groupId", "shop");
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_SyncLog" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "connectionId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "summary" TEXT,
+    "logs" TEXT,
+    "dryRun" BOOLEAN NOT NULL DEFAULT false,
+    "plan" TEXT,
+    "failedItems" TEXT,
+    "retryOfLogId" TEXT,
+    "target" TEXT,
+    "direction" TEXT NOT NULL DEFAULT 'pull',
+    "syncGroupId" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME,
+    CONSTRAINT "SyncLog_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SyncLog_syncGroupId_fkey" FOREIGN KEY ("syncGroupId") REFERENCES "SyncGroup" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_SyncLog" ("id", "shop", "connectionId", "syncType", "status", "summary", "logs", "dryRun", "plan", "failedItems", "retryOfLogId", "target", "direction", "startedAt", "completedAt") SELECT "id", "shop", "connectionId", "syncType", "status", "summary", "logs", "dryRun", "plan", "failedItems", "retryOfLogId", "target", "direction", "startedAt", "completedAt" FROM "SyncLog";
+DROP TABLE "SyncLog";
+ALTER TABLE "new_SyncLog" RENAME TO "SyncLog";
+CREATE INDEX "SyncLog_shop_syncType_idx" ON "SyncLog"("shop", "syncType");
+CREATE INDEX "SyncLog_connectionId_idx" ON "SyncLog"("connectionId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
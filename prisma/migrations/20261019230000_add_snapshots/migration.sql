@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "Snapshot" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "connectionId" TEXT,
+    "syncLogId" TEXT,
+    "productionStore" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'in_progress',
+    "fileName" TEXT,
+    "size" INTEGER,
+    "manifest" TEXT,
+    "pinned" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME,
+    CONSTRAINT "Snapshot_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Snapshot_syncLogId_fkey" FOREIGN KEY ("syncLogId") REFERENCES "SyncLog" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Snapshot_syncLogId_key" ON "Snapshot"("syncLogId");
+
+-- CreateIndex
+CREATE INDEX "Snapshot_shop_idx" ON "Snapshot"("shop");
@@ -0,0 +1,17 @@
+-- Metaobject definition mappings used to be saved with the 'metaobject'
+-- resource type, which now belongs to metaobject entries. Move them to
+-- 'metaobject_definition', dropping any a newer sync already re-created.
+DELETE FROM "ResourceMapping"
+WHERE "resourceType" = 'metaobject'
+  AND "productionGid" LIKE 'gid://shopify/MetaobjectDefinition/%'
+  AND EXISTS (
+    SELECT 1 FROM "ResourceMapping" AS "current"
+    WHERE "current"."storeConnectionId" = "ResourceMapping"."storeConnectionId"
+      AND "current"."resourceType" = 'metaobject_definition'
+      AND "current"."productionId" = "ResourceMapping"."productionId"
+  );
+
+UPDATE "ResourceMapping"
+SET "resourceType" = 'metaobject_definition'
+WHERE "resourceType" = 'metaobject'
+  AND "productionGid" LIKE 'gid://shopify/MetaobjectDefinition/%';
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "SyncGroupPairing" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "ownerShop" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "SyncGroupPairing_ownerShop_idx" ON "SyncGroupPairing"("ownerShop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncGroupPairing_shop_ownerShop_key" ON "SyncGroupPairing"("shop", "ownerShop");
+
+-- Clear production tokens copied into other stores' target connections;
+-- group runs read the token from the group's own connection
+UPDATE "StoreConnection" SET "encryptedToken" = '' WHERE "id" IN (
+    SELECT "target"."connectionId" FROM "SyncGroupTarget" AS "target"
+    JOIN "SyncGroup" AS "group" ON "group"."id" = "target"."groupId"
+    JOIN "StoreConnection" AS "owner" ON "owner"."id" = "group"."connectionId"
+    JOIN "StoreConnection" AS "copy" ON "copy"."id" = "target"."connectionId"
+    WHERE "copy"."shop" <> "group"."shop"
+      AND "copy"."encryptedToken" = "owner"."encryptedToken"
+);
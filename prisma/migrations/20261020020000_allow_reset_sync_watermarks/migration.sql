@@ -0,0 +1,18 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_SyncWatermark" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "connectionId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "watermark" DATETIME,
+    "syncLogId" TEXT,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "SyncWatermark_connectionId_fkey" FOREIGN KEY ("connectionId") REFERENCES "StoreConnection" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_SyncWatermark" ("id", "connectionId", "syncType", "watermark", "syncLogId", "updatedAt") SELECT "id", "connectionId", "syncType", "watermark", "syncLogId", "updatedAt" FROM "SyncWatermark";
+DROP TABLE "SyncWatermark";
+ALTER TABLE "new_SyncWatermark" RENAME TO "SyncWatermark";
+CREATE UNIQUE INDEX "SyncWatermark_connectionId_syncType_key" ON "SyncWatermark"("connectionId", "syncType");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;